@@ -0,0 +1,674 @@
+import { ethers } from "ethers";
+import { quoteExactInput } from "./quoter.js";
+import { findOptimalTradeSize } from "./tradeSizer.js";
+import { poolCombinations } from "./poolRegistry.js";
+import { cycleRoute } from "./cycles.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   ARBITRAGE SIMULATION                                                       ║
+ * ║   Pricing, cost model and trade simulation for the monitor and backtest      ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Everything here works on "monitored pools": registry entries extended with the
+ * token metadata, token ordering, on-chain fees, last price and quoter state
+ * (see initMonitoredPool() in monitor.js). Nothing here talks to the chain or
+ * reads the configuration, so the same code runs on live pools (monitor.js), on
+ * replayed history (backtest.js) and on hand-built pools in unit tests.
+ */
+
+// ===== PRICE HELPERS =====
+/**
+ * Calculate price from sqrtPriceX96
+ * Formula: price = (sqrtPriceX96 / 2^96)^2 * (10^decimalsToken0 / 10^decimalsToken1)
+ * This gives us the price of token0 in terms of token1, which is then
+ * oriented so the result is always quote tokens per 1 base token
+ * 
+ * @param {bigint} sqrtPriceX96 - Square root price from Uniswap V3
+ * @param {boolean} isInverted - Whether the base token is token1 (true) or token0 (false)
+ * @param {number} baseDecimals - Base token decimals (e.g. cbBTC)
+ * @param {number} quoteDecimals - Quote token decimals (e.g. USDC)
+ * @returns {number} Price of the base token in quote tokens
+ */
+export function calculatePrice(sqrtPriceX96, isInverted, baseDecimals, quoteDecimals) {
+  // Using BigInt for precision
+  // sqrtPriceX96 = sqrt(price) * 2^96
+  // price = (sqrtPriceX96 / 2^96)^2
+  
+  // To avoid precision loss, we calculate: price = (sqrtPriceX96^2) / (2^192)
+  const Q96 = 2n ** 96n;
+  const sqrtPriceX96BigInt = BigInt(sqrtPriceX96);
+  
+  if (isInverted) {
+    // Base is token1, quote is token0
+    // price = token1/token0 = base/quote (in raw units)
+    // To get quote per base, we need to invert and adjust for decimals
+    
+    // Calculate price with decimal adjustment
+    const numerator = sqrtPriceX96BigInt * sqrtPriceX96BigInt * (10n ** BigInt(quoteDecimals));
+    const denominator = Q96 * Q96 * (10n ** BigInt(baseDecimals));
+    
+    // Convert to number (this gives base per quote)
+    const basePerQuote = Number(numerator) / Number(denominator);
+    
+    // Invert to get quote per base
+    return 1 / basePerQuote;
+  } else {
+    // Base is token0, quote is token1
+    // price = token1/token0 = quote/base (in raw units)
+    
+    const numerator = sqrtPriceX96BigInt * sqrtPriceX96BigInt * (10n ** BigInt(baseDecimals));
+    const denominator = Q96 * Q96 * (10n ** BigInt(quoteDecimals));
+    
+    return Number(numerator) / Number(denominator);
+  }
+}
+
+/**
+ * Format price for display
+ * Small prices (e.g. cbETH/WETH) get more decimals so changes stay visible
+ */
+export function formatPrice(price) {
+  return price >= 100 ? price.toFixed(2) : price.toPrecision(6);
+}
+
+/**
+ * Calculate Aerodrome Slipstream price from sqrtPriceX96
+ * Aerodrome Slipstream uses the same Uniswap V3 concentrated liquidity model
+ * with sqrtPriceX96 format confirmed from the contract ABI
+ * 
+ * @param {bigint} sqrtPriceX96 - Square root price from Aerodrome Slipstream (X96 format)
+ * @param {boolean} isInverted - Whether the base token is token1 (true) or token0 (false)
+ * @param {number} baseDecimals - Base token decimals
+ * @param {number} quoteDecimals - Quote token decimals
+ * @returns {number} Price of the base token in quote tokens
+ */
+export function calculateAerodromePrice(sqrtPriceX96, isInverted, baseDecimals, quoteDecimals) {
+  // Aerodrome Slipstream uses the same sqrtPriceX96 format as Uniswap V3
+  const Q96 = 2n ** 96n;
+  const sqrtPriceX96BigInt = BigInt(sqrtPriceX96);
+  
+  if (isInverted) {
+    // Base is token1, quote is token0
+    const numerator = sqrtPriceX96BigInt * sqrtPriceX96BigInt * (10n ** BigInt(quoteDecimals));
+    const denominator = Q96 * Q96 * (10n ** BigInt(baseDecimals));
+    const basePerQuote = Number(numerator) / Number(denominator);
+    return 1 / basePerQuote;
+  } else {
+    // Base is token0, quote is token1
+    const numerator = sqrtPriceX96BigInt * sqrtPriceX96BigInt * (10n ** BigInt(baseDecimals));
+    const denominator = Q96 * Q96 * (10n ** BigInt(quoteDecimals));
+    return Number(numerator) / Number(denominator);
+  }
+}
+
+// Price calculator for each pool protocol type
+export const PRICE_CALCULATORS = {
+  uniswapV3: calculatePrice,
+  pancakeV3: calculatePrice,
+  slipstream: calculateAerodromePrice,
+};
+
+/**
+ * Price of a monitored pool's base token in its quote token
+ * @param {Object} pool - Monitored pool { calcPrice, isInverted, baseToken, quoteToken }
+ * @param {bigint} sqrtPriceX96 - Square root price (X96 format)
+ * @returns {number} Quote tokens per 1 base token
+ */
+export function poolPrice(pool, sqrtPriceX96) {
+  return pool.calcPrice(sqrtPriceX96, pool.isInverted, pool.baseToken.decimals, pool.quoteToken.decimals);
+}
+
+/**
+ * Calculate and format spread between two prices
+ */
+export function calculateSpread(price1, price2) {
+  return ((price1 - price2) / price2) * 100;
+}
+
+/**
+ * Format spread for display
+ */
+export function formatSpread(spread) {
+  const sign = spread >= 0 ? "+" : "";
+  return `${sign}${spread.toFixed(3)}%`;
+}
+
+// ===== FEE & GAS HELPERS =====
+
+/**
+ * Calculate USDC trade size from overall budget and percentage allocation
+ * @param {number} overallBudgetUSDC - Total arbitrage budget in USDC
+ * @param {number} budgetPercent - Percentage of budget to use per trade (0-100)
+ * @returns {number} Trade size in USDC
+ */
+export function getArbTradeSizeUSDC(overallBudgetUSDC, budgetPercent) {
+  return overallBudgetUSDC * (budgetPercent / 100);
+}
+
+// Trade-size search used when the caller passes none (ARB_MIN_TRADE_SIZE_USDC / ARB_SIZE_SEARCH_POINTS defaults)
+export const DEFAULT_SIZE_SEARCH = { minTradeSizeUSDC: 10, sizeSearchPoints: 12 };
+
+/**
+ * Gas cost of one swap on a pool: the estimate of the pool's live gas oracle
+ * (pool.gasOracle, attached by the monitor) when available, otherwise the
+ * registry's gasFeeUSDC constant
+ * @param {Object} pool - Pool registry entry, optionally with gasOracle
+ * @returns {Object} { gasFeeUSDC, gasSource: "live" | "config" }
+ */
+function getSwapGasCost(pool) {
+  const liveGasFeeUSDC = pool.gasOracle ? pool.gasOracle.swapCostUSDC(pool) : null;
+  if (liveGasFeeUSDC === null) {
+    return { gasFeeUSDC: pool.gasFeeUSDC, gasSource: "config" };
+  }
+  return { gasFeeUSDC: liveGasFeeUSDC, gasSource: "live" };
+}
+
+/**
+ * Describe where the gas costs of a set of cost models came from
+ * @param {Array} models - Cost models from getDexCostModel()
+ * @returns {string} Label for logs
+ */
+export function formatGasSource(models) {
+  return models.every((model) => model.gasSource === "live") ? "live estimate" : "registry fallback";
+}
+
+/**
+ * Get fee and gas information for a monitored pool
+ * The swap fee is the one read on-chain; it is charged on each leg's input by the quoter
+ * @param {Object} pool - Monitored pool
+ * @returns {Object} { feePips, gasFeeUSDC, gasSource }
+ */
+export function getDexCostModel(pool) {
+  return { feePips: pool.fees.feePips, ...getSwapGasCost(pool) };
+}
+
+/**
+ * Calculate total gas cost for an arbitrage direction
+ * @param {Object} buyPool - Pool where the base token is bought
+ * @param {Object} sellPool - Pool where the base token is sold
+ * @returns {number} Total gas cost in USDC
+ */
+export function totalGasCostForDirection(buyPool, sellPool) {
+  const buyGas = getDexCostModel(buyPool).gasFeeUSDC;
+  const sellGas = getDexCostModel(sellPool).gasFeeUSDC;
+  return buyGas + sellGas;
+}
+
+// ===== SWAP QUOTING =====
+
+/**
+ * Convert a human-readable token amount to raw token units
+ * @param {number} amount - Human-readable amount
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Raw amount
+ */
+function toRawAmount(amount, decimals) {
+  return ethers.parseUnits(amount.toFixed(decimals), decimals);
+}
+
+/**
+ * Quote one leg of an arbitrage against a pool's local liquidity model
+ * The pool's swap fee is taken from the input, so amountOut is what the pool really pays out
+ * @param {Object} pool - Monitored pool { state, fees, isInverted, calcPrice, baseToken, quoteToken }
+ * @param {string} side - "buy" (quote in, base out) or "sell" (base in, quote out)
+ * @param {number} amountIn - Human-readable input amount (quote token for buy, base token for sell)
+ * @returns {Object} { amountIn, amountOut, feeAmount, rawAmountIn, rawAmountOut, sqrtPriceX96After, priceAfter, ticksCrossed, complete }
+ */
+export function quoteLeg(pool, side, amountIn) {
+  const isBuy = side === "buy";
+  const tokenIn = isBuy ? pool.quoteToken : pool.baseToken;
+  const tokenOut = isBuy ? pool.baseToken : pool.quoteToken;
+  
+  // The quote token is token0 when the pool is inverted, the base token is token0 otherwise
+  const zeroForOne = isBuy ? pool.isInverted : !pool.isInverted;
+  const quote = quoteExactInput(pool.state, zeroForOne, toRawAmount(amountIn, tokenIn.decimals), { feePips: pool.fees.feePips });
+  
+  return {
+    amountIn: Number(ethers.formatUnits(quote.amountIn, tokenIn.decimals)),
+    amountOut: Number(ethers.formatUnits(quote.amountOut, tokenOut.decimals)),
+    feeAmount: Number(ethers.formatUnits(quote.feeAmount, tokenIn.decimals)),
+    rawAmountIn: quote.amountIn,
+    rawAmountOut: quote.amountOut,
+    sqrtPriceX96After: quote.sqrtPriceX96After,
+    priceAfter: poolPrice(pool, quote.sqrtPriceX96After),
+    ticksCrossed: quote.ticksCrossed,
+    complete: quote.complete,
+  };
+}
+
+// ===== ARBITRAGE SIMULATION =====
+
+/**
+ * Simulate one arbitrage direction at a given USDC trade size
+ * Walks the buy pool's ticks for the base tokens actually received, then sells exactly that on the sell pool
+ * @param {Object} params - Simulation parameters
+ * @param {string} params.buyDex - DEX where the base token is bought
+ * @param {number} params.buyPrice - Spot price on the buy DEX
+ * @param {string} params.sellDex - DEX where the base token is sold
+ * @param {number} params.sellPrice - Spot price on the sell DEX
+ * @param {number} params.tradeSizeUSDC - USDC value of the buy leg input
+ * @param {number} params.currentBudgetUSDC - Current overall budget
+ * @param {Object} params.pools - The pair's monitored pools keyed by DEX name
+ * @param {number} params.quoteUsdPrice - USDC value of 1 quote token
+ * @returns {Object} Result from calculateArbDirection()
+ */
+export function simulateDirection({ buyDex, buyPrice, sellDex, sellPrice, tradeSizeUSDC, currentBudgetUSDC, pools, quoteUsdPrice }) {
+  const buyPool = pools[buyDex];
+  const sellPool = pools[sellDex];
+  const buyQuote = quoteLeg(buyPool, "buy", tradeSizeUSDC / quoteUsdPrice);
+  return calculateArbDirection({
+    buyDex,
+    sellDex,
+    buyPool,
+    sellPool,
+    pair: { base: buyPool.baseToken.symbol, quote: buyPool.quoteToken.symbol },
+    buyPrice,
+    sellPrice,
+    buyQuote,
+    sellQuote: quoteLeg(sellPool, "sell", buyQuote.amountOut),
+    quoteUsdPrice,
+    tradeSizeUSDC,
+    currentBudgetUSDC,
+  });
+}
+
+/**
+ * Search trade sizes for one direction and return the size that maximizes net profit
+ * Sizes range from the search's floor up to the whole current budget
+ * @param {Object} params - Same as simulateDirection() without tradeSizeUSDC
+ * @param {Object} sizeSearch - { minTradeSizeUSDC, sizeSearchPoints }
+ * @returns {Object|null} Result from findOptimalTradeSize()
+ */
+function optimizeDirection(params, sizeSearch) {
+  return findOptimalTradeSize(
+    (tradeSizeUSDC) => simulateDirection({ ...params, tradeSizeUSDC }),
+    {
+      minSizeUSDC: sizeSearch.minTradeSizeUSDC,
+      maxSizeUSDC: params.currentBudgetUSDC,
+      gridPoints: sizeSearch.sizeSearchPoints,
+      // Sizes that run past loaded liquidity can never be the answer
+      score: (result) => (result.details.fullyFilled ? result.netProfitUSDC : -Infinity),
+    }
+  );
+}
+
+/**
+ * Simulate arbitrage between any two DEXes quoting the same pair
+ * @param {string} dex1Name - First DEX as listed in the pool registry
+ * @param {number} dex1Price - Base token spot price on DEX1 (quote per base)
+ * @param {string} dex2Name - Second DEX
+ * @param {number} dex2Price - Base token spot price on DEX2 (quote per base)
+ * @param {number} currentBudgetUSDC - Current overall budget (may have compounded from previous trades)
+ * @param {number} budgetPct - Percentage of budget to use per trade
+ * @param {Object} pools - The pair's monitored pools keyed by DEX name
+ * @param {number} [quoteUsdPrice] - USDC value of 1 quote token (1 for USDC-quoted pairs)
+ * @param {Object} [sizeSearch] - Trade-size search { minTradeSizeUSDC, sizeSearchPoints } (config.arbitrage fits)
+ * @returns {Object} Best arbitrage direction with budget info, plus `sizing` from the trade-size solver
+ */
+export function simulateArbitrageForPair(dex1Name, dex1Price, dex2Name, dex2Price, currentBudgetUSDC, budgetPct, pools, quoteUsdPrice = 1, sizeSearch = DEFAULT_SIZE_SEARCH) {
+  // Calculate USDC trade size from current budget percentage
+  const tradeSizeUSDC = getArbTradeSizeUSDC(currentBudgetUSDC, budgetPct);
+  const common = { currentBudgetUSDC, pools, quoteUsdPrice };
+  
+  // Direction A: Buy on DEX1, Sell on DEX2
+  const paramsA = { buyDex: dex1Name, buyPrice: dex1Price, sellDex: dex2Name, sellPrice: dex2Price, ...common };
+  const directionA = simulateDirection({ ...paramsA, tradeSizeUSDC });
+  
+  // Direction B: Buy on DEX2, Sell on DEX1
+  const paramsB = { buyDex: dex2Name, buyPrice: dex2Price, sellDex: dex1Name, sellPrice: dex1Price, ...common };
+  const directionB = simulateDirection({ ...paramsB, tradeSizeUSDC });
+  
+  const best = directionA.netProfitUSDC > directionB.netProfitUSDC ? directionA : directionB;
+  
+  // Report what the optimal size would have been, next to the budget-percentage result
+  const sizingA = optimizeDirection(paramsA, sizeSearch);
+  const sizingB = optimizeDirection(paramsB, sizeSearch);
+  const sizing = !sizingB || (sizingA && sizingA.optimalNetProfitUSDC > sizingB.optimalNetProfitUSDC) ? sizingA : sizingB;
+  
+  return { ...best, sizing };
+}
+
+/**
+ * Calculate arbitrage for a specific direction using the new cost model
+ * Amounts named *USDC are USDC values; for pairs not quoted in USDC the quote
+ * token amounts are converted with quoteUsdPrice
+ * @param {Object} params - Calculation parameters
+ * @param {string} params.buyDex - DEX where the base token is bought
+ * @param {string} params.sellDex - DEX where the base token is sold
+ * @param {Object} params.buyPool - Monitored buy pool (for the cost model)
+ * @param {Object} params.sellPool - Monitored sell pool (for the cost model)
+ * @param {Object} params.pair - { base, quote } token symbols
+ * @param {number} params.buyPrice - Spot buy price before the trade (quote per base)
+ * @param {number} params.sellPrice - Spot sell price before the trade (quote per base)
+ * @param {Object} params.buyQuote - Buy leg quote from quoteLeg() (quote in, base out)
+ * @param {Object} params.sellQuote - Sell leg quote from quoteLeg() (base in, quote out)
+ * @param {number} params.quoteUsdPrice - USDC value of 1 quote token
+ * @param {number} params.tradeSizeUSDC - USDC trade size (for logging)
+ * @param {number} params.currentBudgetUSDC - Current overall budget (for tracking compounding)
+ * @returns {Object} Calculation result
+ */
+export function calculateArbDirection({
+  buyDex,
+  sellDex,
+  buyPool,
+  sellPool,
+  pair,
+  buyPrice,
+  sellPrice,
+  buyQuote,
+  sellQuote,
+  quoteUsdPrice,
+  tradeSizeUSDC,
+  currentBudgetUSDC,
+}) {
+  const buyModel = getDexCostModel(buyPool);
+  const sellModel = getDexCostModel(sellPool);
+  const tradeSizeBase = buyQuote.amountOut;
+  
+  // Pool fees are taken from each leg's input inside the quote, so the amounts in and out
+  // are already after fees; the fee amounts are broken out for reporting
+  
+  // Buy leg (execution price excludes the fee and includes price impact from walking the ticks)
+  const usdcSpentAfterFee = buyQuote.amountIn * quoteUsdPrice;
+  const buyTradeFeesUSDC = buyQuote.feeAmount * quoteUsdPrice;
+  const usdcSpentBeforeFee = usdcSpentAfterFee - buyTradeFeesUSDC;
+  const buyExecPrice = tradeSizeBase > 0 ? (buyQuote.amountIn - buyQuote.feeAmount) / tradeSizeBase : Infinity;
+  const buyPriceImpactPct = ((buyExecPrice - buyPrice) / buyPrice) * 100;
+  
+  // Sell leg (the fee is paid in the base token and valued at the leg's execution price)
+  const baseSwapped = sellQuote.amountIn - sellQuote.feeAmount;
+  const sellExecPrice = baseSwapped > 0 ? sellQuote.amountOut / baseSwapped : 0;
+  const sellPriceImpactPct = ((sellPrice - sellExecPrice) / sellPrice) * 100;
+  const usdcReceivedAfterFee = sellQuote.amountOut * quoteUsdPrice;
+  const sellTradeFeesUSDC = sellQuote.feeAmount * sellExecPrice * quoteUsdPrice;
+  const usdcReceivedBeforeFee = usdcReceivedAfterFee + sellTradeFeesUSDC;
+  
+  // Gas costs
+  const totalGasCostUSDC = totalGasCostForDirection(buyPool, sellPool);
+  
+  // Profit
+  const netUSDC = usdcReceivedAfterFee - totalGasCostUSDC;
+  const netProfitUSDC = netUSDC - usdcSpentAfterFee;
+  const netProfitPct = (netProfitUSDC / usdcSpentAfterFee) * 100;
+  
+  // A leg that runs past the loaded liquidity cannot be filled as simulated
+  const fullyFilled = buyQuote.complete && sellQuote.complete;
+  
+  return {
+    isProfitable: fullyFilled && netProfitUSDC > 0,
+    netProfitUSDC,
+    netProfitPct,
+    direction: `Buy on ${buyDex}, Sell on ${sellDex}`,
+    buyDex,
+    sellDex,
+    pair,
+    details: {
+      currentBudgetUSDC,
+      tradeSizeUSDC,
+      tradeSizeBase,
+      quoteUsdPrice,
+      buyPrice,
+      sellPrice,
+      buyExecPrice,
+      sellExecPrice,
+      buyPriceAfter: buyQuote.priceAfter,
+      sellPriceAfter: sellQuote.priceAfter,
+      buyPriceImpactPct,
+      sellPriceImpactPct,
+      buyTicksCrossed: buyQuote.ticksCrossed,
+      sellTicksCrossed: sellQuote.ticksCrossed,
+      buyQuote,
+      sellQuote,
+      fullyFilled,
+      usdcSpentBeforeFee,
+      usdcSpentAfterFee,
+      usdcReceivedBeforeFee,
+      usdcReceivedAfterFee,
+      buyDexName: buyDex,
+      sellDexName: sellDex,
+      buyPoolId: buyPool.id,
+      sellPoolId: sellPool.id,
+      buyModel,
+      sellModel,
+      buyTradeFeesUSDC,
+      sellTradeFeesUSDC,
+      totalGasCostUSDC,
+    },
+  };
+}
+
+// ===== CYCLE ARBITRAGE =====
+
+/**
+ * Simulate a multi-hop cycle at a given USDC trade size
+ * Each hop quotes exactly the tokens received from the previous hop, after the pool's
+ * fee; fees and gas come from each hop's cost model and are valued in USDC like the pairwise legs
+ * @param {Array} cycle - Ordered hops from findCycles() over monitored pools
+ * @param {number} tradeSizeUSDC - USDC value of the first hop input
+ * @param {number} currentBudgetUSDC - Current overall budget (for tracking compounding)
+ * @param {Object} usdPrices - USDC value of 1 unit of each token in the cycle, keyed by token key
+ * @returns {Object} { isProfitable, netProfitUSDC, netProfitPct, route, venues, details }
+ */
+export function simulateCycle(cycle, tradeSizeUSDC, currentBudgetUSDC, usdPrices) {
+  const hops = [];
+  let amountIn = tradeSizeUSDC / usdPrices[cycle[0].tokenIn];
+  
+  for (const hop of cycle) {
+    const pool = hop.pool;
+    const quote = quoteLeg(pool, hop.side, amountIn);
+    const model = getDexCostModel(pool);
+    const isBuy = hop.side === "buy";
+    
+    // Prices are quote per base whichever way the hop trades, excluding the fee taken from the input
+    const amountSwapped = quote.amountIn - quote.feeAmount;
+    const execPrice = isBuy
+      ? (quote.amountOut > 0 ? amountSwapped / quote.amountOut : Infinity)
+      : (amountSwapped > 0 ? quote.amountOut / amountSwapped : 0);
+    const priceImpactPct = isBuy
+      ? ((execPrice - pool.lastPrice) / pool.lastPrice) * 100
+      : ((pool.lastPrice - execPrice) / pool.lastPrice) * 100;
+    
+    const tradeFeeUSDC = quote.feeAmount * usdPrices[hop.tokenIn];
+    
+    hops.push({
+      dex: pool.dex,
+      poolId: pool.id,
+      side: hop.side,
+      tokenIn: isBuy ? pool.quoteToken.symbol : pool.baseToken.symbol,
+      tokenOut: isBuy ? pool.baseToken.symbol : pool.quoteToken.symbol,
+      pair: { base: pool.baseToken.symbol, quote: pool.quoteToken.symbol },
+      amountIn: quote.amountIn,
+      amountOut: quote.amountOut,
+      spotPrice: pool.lastPrice,
+      execPrice,
+      priceAfter: quote.priceAfter,
+      priceImpactPct,
+      ticksCrossed: quote.ticksCrossed,
+      complete: quote.complete,
+      model,
+      tradeFeeUSDC,
+    });
+    amountIn = quote.amountOut;
+  }
+  
+  const startPrice = usdPrices[cycle[0].tokenIn];
+  const usdcSpent = hops[0].amountIn * startPrice;
+  const usdcReceived = hops[hops.length - 1].amountOut * startPrice;
+  const tradeFeesUSDC = hops.reduce((sum, hop) => sum + hop.tradeFeeUSDC, 0);
+  const grossProfitUSDC = usdcReceived - usdcSpent + tradeFeesUSDC;
+  const totalGasCostUSDC = hops.reduce((sum, hop) => sum + hop.model.gasFeeUSDC, 0);
+  const netProfitUSDC = usdcReceived - usdcSpent - totalGasCostUSDC;
+  const netProfitPct = (netProfitUSDC / usdcSpent) * 100;
+  const fullyFilled = hops.every((hop) => hop.complete);
+  
+  return {
+    isProfitable: fullyFilled && netProfitUSDC > 0,
+    netProfitUSDC,
+    netProfitPct,
+    route: cycleRoute(cycle),
+    venues: hops.map((hop) => hop.dex).join(" → "),
+    details: {
+      currentBudgetUSDC,
+      tradeSizeUSDC,
+      hops,
+      fullyFilled,
+      usdcSpent,
+      usdcReceived,
+      grossProfitUSDC,
+      tradeFeesUSDC,
+      totalGasCostUSDC,
+    },
+  };
+}
+
+/**
+ * Simulate every cycle and rank them by net profit
+ * Cycles that run past loaded liquidity rank below every fillable cycle
+ * @param {Array<Array>} cycles - Cycles from findCycles()
+ * @param {number} tradeSizeUSDC - USDC value of each cycle's first hop input
+ * @param {number} currentBudgetUSDC - Current overall budget
+ * @param {Object} usdPrices - USDC value of 1 unit of each token, keyed by token key
+ * @returns {Array} Results from simulateCycle(), best first
+ */
+export function rankCycles(cycles, tradeSizeUSDC, currentBudgetUSDC, usdPrices) {
+  return cycles
+    .map((cycle) => simulateCycle(cycle, tradeSizeUSDC, currentBudgetUSDC, usdPrices))
+    .sort((a, b) => (b.details.fullyFilled - a.details.fullyFilled) || (b.netProfitUSDC - a.netProfitUSDC));
+}
+
+// ===== SPREADS & USD PRICES =====
+
+// Token the arbitrage budget, gas costs and profits are denominated in
+export const BUDGET_TOKEN = "USDC";
+
+/**
+ * Build the pairwise spread list for every combination of pools quoting one pair
+ * @param {Array} pairPools - Pools of a single pair with a current lastPrice
+ * @returns {Array} { dex1, dex2, spread, absSpread, price1, price2 } for each of the N·(N−1)/2 combinations
+ */
+export function buildSpreads(pairPools) {
+  return poolCombinations(pairPools).map(([pool1, pool2]) => {
+    const spread = calculateSpread(pool2.lastPrice, pool1.lastPrice);
+    return {
+      dex1: pool1.dex,
+      dex2: pool2.dex,
+      spread,
+      absSpread: Math.abs(spread),
+      price1: pool1.lastPrice,
+      price2: pool2.lastPrice,
+    };
+  });
+}
+
+/**
+ * USDC value of one unit of a token, from the monitored pools
+ * Uses the average price of every pool pairing the token directly with USDC
+ * @param {string} tokenKey - Registry token key
+ * @param {Array} monitoredPools - All monitored pools
+ * @returns {number|null} USDC per token, or null if no monitored pool prices it
+ */
+export function getTokenUsdPrice(tokenKey, monitoredPools) {
+  if (tokenKey === BUDGET_TOKEN) return 1;
+  const prices = [];
+  for (const pool of monitoredPools) {
+    if (pool.pair.base === tokenKey && pool.pair.quote === BUDGET_TOKEN) prices.push(pool.lastPrice);
+    if (pool.pair.base === BUDGET_TOKEN && pool.pair.quote === tokenKey) prices.push(1 / pool.lastPrice);
+  }
+  if (prices.length === 0) return null;
+  return prices.reduce((sum, price) => sum + price, 0) / prices.length;
+}
+
+// ===== CEX REFERENCE =====
+
+/**
+ * Deviation of a pool's price from an off-chain reference price
+ * @param {number} poolPrice - Pool price (quote per base)
+ * @param {number} referencePrice - Reference price (quote per base)
+ * @returns {number} Deviation in basis points; positive when the pool is above the reference
+ */
+export function referenceDeviationBps(poolPrice, referencePrice) {
+  return ((poolPrice - referencePrice) / referencePrice) * 10000;
+}
+
+/**
+ * Simulate the DEX leg of a CEX–DEX arbitrage, hedged at the reference price
+ * A pool below the reference buys the base token on the DEX and sells it on the CEX; a pool above it buys
+ * on the CEX and sells on the DEX. The CEX leg fills at the reference price less (or plus) its taker fee,
+ * with no depth limit; the DEX leg walks the pool's ticks and pays one swap's gas (getDexCostModel)
+ * @param {Object} pool - Monitored pool with a current lastPrice
+ * @param {number} referencePrice - CEX price (quote per base)
+ * @param {number} tradeSizeUSDC - USDC value of the trade
+ * @param {number} [quoteUsdPrice] - USDC value of 1 quote token (1 for USDC-quoted pairs)
+ * @param {Object} [options]
+ * @param {number} [options.cexFeeBps] - CEX taker fee in basis points
+ * @param {string} [options.venue] - CEX name, for the direction
+ * @returns {Object} { isProfitable, netProfitUSDC, netProfitPct, direction, dexSide, dex, poolId, venue, pair, deviationBps, details }
+ */
+export function simulateCexDexLeg(pool, referencePrice, tradeSizeUSDC, quoteUsdPrice = 1, { cexFeeBps = 0, venue = "CEX" } = {}) {
+  const dexModel = getDexCostModel(pool);
+  const cexFee = cexFeeBps / 10000;
+  const deviationBps = referenceDeviationBps(pool.lastPrice, referencePrice);
+  const dexSide = pool.lastPrice < referencePrice ? "buy" : "sell";
+  const tradeSizeQuote = tradeSizeUSDC / quoteUsdPrice;
+  
+  let dexQuote, tradeSizeBase, dexExecPrice, dexPriceImpactPct, dexTradeFeesUSDC, cexPrice, quoteOut;
+  if (dexSide === "buy") {
+    // Quote in on the DEX, base out sold on the CEX
+    dexQuote = quoteLeg(pool, "buy", tradeSizeQuote);
+    tradeSizeBase = dexQuote.amountOut;
+    dexExecPrice = tradeSizeBase > 0 ? (dexQuote.amountIn - dexQuote.feeAmount) / tradeSizeBase : Infinity;
+    dexPriceImpactPct = ((dexExecPrice - pool.lastPrice) / pool.lastPrice) * 100;
+    dexTradeFeesUSDC = dexQuote.feeAmount * quoteUsdPrice;
+    cexPrice = referencePrice * (1 - cexFee);
+    quoteOut = tradeSizeBase * cexPrice;
+  } else {
+    // Base bought on the CEX with the trade size, sold on the DEX
+    cexPrice = referencePrice * (1 + cexFee);
+    tradeSizeBase = tradeSizeQuote / cexPrice;
+    dexQuote = quoteLeg(pool, "sell", tradeSizeBase);
+    const baseSwapped = dexQuote.amountIn - dexQuote.feeAmount;
+    dexExecPrice = baseSwapped > 0 ? dexQuote.amountOut / baseSwapped : 0;
+    dexPriceImpactPct = ((pool.lastPrice - dexExecPrice) / pool.lastPrice) * 100;
+    dexTradeFeesUSDC = dexQuote.feeAmount * dexExecPrice * quoteUsdPrice;
+    quoteOut = dexQuote.amountOut;
+  }
+  const cexFeesUSDC = tradeSizeBase * referencePrice * cexFee * quoteUsdPrice;
+  
+  const usdcSpent = tradeSizeQuote * quoteUsdPrice;
+  const netProfitUSDC = quoteOut * quoteUsdPrice - usdcSpent - dexModel.gasFeeUSDC;
+  const netProfitPct = (netProfitUSDC / usdcSpent) * 100;
+  const [buyVenue, sellVenue] = dexSide === "buy" ? [pool.dex, venue] : [venue, pool.dex];
+  
+  return {
+    isProfitable: dexQuote.complete && netProfitUSDC > 0,
+    netProfitUSDC,
+    netProfitPct,
+    direction: `Buy on ${buyVenue}, Sell on ${sellVenue}`,
+    dexSide,
+    dex: pool.dex,
+    poolId: pool.id,
+    venue,
+    pair: { base: pool.baseToken.symbol, quote: pool.quoteToken.symbol },
+    deviationBps,
+    details: {
+      tradeSizeUSDC,
+      tradeSizeBase,
+      quoteUsdPrice,
+      poolPrice: pool.lastPrice,
+      referencePrice,
+      cexPrice,
+      dexExecPrice,
+      dexPriceAfter: dexQuote.priceAfter,
+      dexPriceImpactPct,
+      dexTicksCrossed: dexQuote.ticksCrossed,
+      dexQuote,
+      fullyFilled: dexQuote.complete,
+      dexModel,
+      dexTradeFeesUSDC,
+      cexFeeBps,
+      cexFeesUSDC,
+      gasCostUSDC: dexModel.gasFeeUSDC,
+    },
+  };
+}
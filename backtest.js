@@ -0,0 +1,441 @@
+import fs from "fs";
+import { parseArgs } from "util";
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { loadConfig, printConfig } from "./config.js";
+import { POOL_ABIS_BY_PROTOCOL } from "./abis.js";
+import { groupPoolsByPair, pairKey } from "./poolRegistry.js";
+import { resolveTokens } from "./tokenRegistry.js";
+import { constantLiquidityPoolState } from "./quoter.js";
+import { readPoolFees } from "./poolFees.js";
+import { getLogsInChunks } from "./wsConnection.js";
+import {
+  PRICE_CALCULATORS,
+  poolPrice,
+  formatPrice,
+  formatSpread,
+  buildSpreads,
+  getTokenUsdPrice,
+  simulateArbitrageForPair,
+  simulateDirection,
+} from "./arbitrage.js";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   BACKTEST                                                                   ║
+ * ║   Replay historical Swap events through the monitor's arbitrage simulation   ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage:
+ *   node backtest.js --from-block <n> --to-block <n> [--save <fixture.json>]
+ *   node backtest.js --fixture <fixture.json>
+ *
+ * The first form fetches the Swap logs of every registry pool over the block range
+ * with eth_getLogs (BASE_RPC_URL, BACKTEST_LOG_CHUNK_BLOCKS blocks per request),
+ * together with each pool's tokens, fees (with a Slipstream pool's unstaked fee)
+ * and tick spacing, and can save everything as a fixture. The second form
+ * replays a saved fixture without any network access.
+ *
+ * Swaps are replayed in (block, log index) order through the monitor's own logic:
+ * a pool's price is taken when it moves by more than PRICE_CHANGE_THRESHOLD, the
+ * pair's widest spread is simulated with simulateArbitrageForPair() against the
+ * current budget, and every profitable result counts as an opportunity.
+ *
+ * Approximations:
+ * - Swap events carry price and active liquidity but not the initialized ticks
+ *   around them, so each pool is quoted with its active liquidity held constant
+ *   (see constantLiquidityPoolState)
+ * - An opportunity is filled against the pools as they stand at the end of its
+ *   block, the earliest a transaction reacting to it could land. The filled PnL,
+ *   which can be negative, compounds the budget and sets the drawdown. A fill that
+ *   runs past the modeled liquidity is counted as a revert that only costs gas.
+ * - Gas is the registry's gasFeeUSDC per swap; pool fees are the ones read when
+ *   the fixture was fetched
+ */
+
+// Version 2 records every pool's unstakedFeePips (null outside Slipstream); version 1 fixtures lack it
+const FIXTURE_VERSION = 2;
+
+// Load .env quietly (its banner line would break LOG_FORMAT=json output)
+dotenv.config({ quiet: true });
+const config = loadConfig();
+logger.configure(config.log);
+printConfig(config);
+
+// ===== FETCHING =====
+
+/**
+ * Fetch a backtest fixture from the chain
+ * @param {ethers.Provider} provider - Connected provider (must serve eth_getLogs for the range)
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<Object>} Fixture { version, fromBlock, toBlock, tokens, pools, swaps }
+ */
+async function fetchFixture(provider, fromBlock, toBlock) {
+  const tokens = await resolveTokens(config.tokens, provider);
+
+  logger.info(`🔍 Reading ${config.pools.length} registry pools...`);
+  const pools = {};
+  const interfaces = {};
+  for (const entry of config.pools) {
+    const address = entry.address.toLowerCase();
+    const contract = new ethers.Contract(entry.address, POOL_ABIS_BY_PROTOCOL[entry.protocol], provider);
+    // The whole fee state, so a Slipstream pool's unstaked fee is replayed too
+    const [token0, token1, fees, tickSpacing] = await Promise.all([
+      contract.token0(),
+      contract.token1(),
+      readPoolFees({ protocol: entry.protocol, contract }),
+      contract.tickSpacing(),
+    ]);
+    pools[address] = { id: entry.id, token0, token1, feePips: fees.feePips, unstakedFeePips: fees.unstakedFeePips, tickSpacing: Number(tickSpacing) };
+    interfaces[address] = contract.interface;
+  }
+
+  // PancakeSwap's Swap event has extra fields, so its topic differs from Uniswap/Slipstream
+  const swapTopics = [...new Set(Object.values(interfaces).map((iface) => iface.getEvent("Swap").topicHash))];
+  const addresses = config.pools.map((entry) => entry.address);
+  const chunkBlocks = config.backtest.logChunkBlocks;
+
+  logger.info(`📥 Fetching Swap logs for blocks ${fromBlock}-${toBlock} (${chunkBlocks} blocks per request)...`, { fromBlock, toBlock, chunkBlocks });
+  const logs = await getLogsInChunks(provider, { address: addresses, topics: [swapTopics] }, {
+    fromBlock,
+    toBlock,
+    chunkBlocks,
+    onChunk: (start, end, chunk) => logger.info(`   Blocks ${start}-${end}: ${chunk.length} swaps`, { fromBlock: start, toBlock: end, swaps: chunk.length }),
+  });
+  const swaps = [];
+  for (const log of logs) {
+    const address = log.address.toLowerCase();
+    const parsed = interfaces[address]?.parseLog(log);
+    if (!parsed || parsed.name !== "Swap") continue;
+    swaps.push({
+      address,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      sqrtPriceX96: parsed.args.sqrtPriceX96.toString(),
+      liquidity: parsed.args.liquidity.toString(),
+      tick: Number(parsed.args.tick),
+    });
+  }
+
+  return { version: FIXTURE_VERSION, fromBlock, toBlock, tokens, pools, swaps };
+}
+
+/**
+ * Read a fixture written with --save
+ * @param {string} filePath - Fixture path
+ * @returns {Object} Fixture
+ */
+function loadFixture(filePath) {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read backtest fixture ${filePath}: ${error.message}`);
+  }
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Backtest fixture ${filePath} has version ${fixture.version}, expected ${FIXTURE_VERSION}; fetch it again with --save`);
+  }
+  if (!fixture.tokens || !fixture.pools || !Array.isArray(fixture.swaps)) {
+    throw new Error(`Backtest fixture ${filePath} must define tokens, pools and swaps`);
+  }
+  return fixture;
+}
+
+// ===== REPLAY =====
+
+/**
+ * Build monitored-pool objects for the registry pools recorded in a fixture
+ * Registry pools missing from the fixture are skipped with a warning
+ * @param {Object} fixture - Backtest fixture
+ * @returns {Array} Pools shaped like the monitor's, without contracts
+ */
+function buildReplayPools(fixture) {
+  const pools = [];
+  for (const entry of config.pools) {
+    const recorded = fixture.pools[entry.address.toLowerCase()];
+    const baseToken = fixture.tokens[entry.pair.base];
+    const quoteToken = fixture.tokens[entry.pair.quote];
+    if (!recorded || !baseToken || !quoteToken) {
+      logger.warn(`⚠️  ${entry.id}: not in the fixture, skipping`, { pool: entry.id });
+      continue;
+    }
+
+    const poolTokens = [recorded.token0.toLowerCase(), recorded.token1.toLowerCase()];
+    if (!poolTokens.includes(baseToken.address.toLowerCase()) || !poolTokens.includes(quoteToken.address.toLowerCase())) {
+      throw new Error(`${entry.label}: pool ${entry.address} is not a ${baseToken.symbol}/${quoteToken.symbol} pool`);
+    }
+
+    pools.push({
+      ...entry,
+      baseToken,
+      quoteToken,
+      isInverted: recorded.token0.toLowerCase() === quoteToken.address.toLowerCase(),
+      calcPrice: PRICE_CALCULATORS[entry.protocol],
+      fees: { feePips: recorded.feePips, unstakedFeePips: recorded.unstakedFeePips },
+      feeTier: recorded.feePips,
+      tickSpacing: recorded.tickSpacing,
+      state: null,
+      lastPrice: null,
+    });
+  }
+  return pools;
+}
+
+/**
+ * Replay a fixture's swaps and simulate arbitrage after each significant price move
+ * @param {Object} fixture - Backtest fixture
+ * @returns {Object} { pools, swapsReplayed, simulations, opportunities, startBudgetUSDC, finalBudgetUSDC, maxDrawdownUSDC, maxDrawdownPct }
+ */
+function replay(fixture) {
+  const pools = buildReplayPools(fixture);
+  const poolsByAddress = new Map(pools.map((pool) => [pool.address.toLowerCase(), pool]));
+  const pairs = groupPoolsByPair(pools);
+  const swaps = fixture.swaps
+    .filter((swap) => poolsByAddress.has(swap.address.toLowerCase()))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const startBudgetUSDC = config.arbitrage.overallBudgetUSDC;
+  let budgetUSDC = startBudgetUSDC;
+  let peakBudgetUSDC = budgetUSDC;
+  let maxDrawdownUSDC = 0;
+  let maxDrawdownPct = 0;
+  let simulations = 0;
+  const opportunities = [];
+
+  // Opportunities of the current block, latest per pair, waiting to be filled at the block's end
+  let pendingBlock = null;
+  const pending = new Map();
+
+  const pricedPools = () => pools.filter((pool) => pool.lastPrice !== null);
+
+  // Fill one opportunity at its trade size against the current pool states
+  const fill = (opportunity) => {
+    const { result, pairPools, quoteUsdPrice } = opportunity;
+    const buyPool = pairPools[result.buyDex];
+    const sellPool = pairPools[result.sellDex];
+    const filled = simulateDirection({
+      buyDex: result.buyDex,
+      buyPrice: poolPrice(buyPool, buyPool.state.sqrtPriceX96),
+      sellDex: result.sellDex,
+      sellPrice: poolPrice(sellPool, sellPool.state.sqrtPriceX96),
+      tradeSizeUSDC: result.details.tradeSizeUSDC,
+      currentBudgetUSDC: budgetUSDC,
+      pools: pairPools,
+      quoteUsdPrice,
+    });
+    return filled.details.fullyFilled ? filled.netProfitUSDC : -filled.details.totalGasCostUSDC;
+  };
+
+  const fillPending = () => {
+    for (const opportunity of pending.values()) {
+      opportunity.filledProfitUSDC = fill(opportunity);
+      budgetUSDC += opportunity.filledProfitUSDC;
+      opportunity.budgetUSDC = budgetUSDC;
+      opportunities.push(opportunity);
+
+      peakBudgetUSDC = Math.max(peakBudgetUSDC, budgetUSDC);
+      const drawdownUSDC = peakBudgetUSDC - budgetUSDC;
+      if (drawdownUSDC > maxDrawdownUSDC) {
+        maxDrawdownUSDC = drawdownUSDC;
+        maxDrawdownPct = (drawdownUSDC / peakBudgetUSDC) * 100;
+      }
+    }
+    pending.clear();
+  };
+
+  // Same steps as the monitor's findAndSimulateBestSpread, minus verification and execution
+  const simulatePair = (key, swap) => {
+    const pairPools = pairs.get(key).filter((pool) => pool.lastPrice !== null);
+    if (pairPools.length < 2) return;
+
+    const spreads = buildSpreads(pairPools);
+    const maxSpreadPair = spreads.reduce((max, curr) => curr.absSpread > max.absSpread ? curr : max);
+    const quoteUsdPrice = getTokenUsdPrice(pairPools[0].pair.quote, pricedPools());
+    if (quoteUsdPrice === null) return;
+
+    const poolsByDex = Object.fromEntries(pairPools.map((pool) => [pool.dex, pool]));
+    const result = simulateArbitrageForPair(maxSpreadPair.dex1, maxSpreadPair.price1, maxSpreadPair.dex2, maxSpreadPair.price2, budgetUSDC, config.arbitrage.budgetPercent, poolsByDex, quoteUsdPrice, config.arbitrage);
+    simulations++;
+
+    if (result.isProfitable && result.netProfitUSDC > 0) {
+      pending.set(key, {
+        pair: key,
+        blockNumber: swap.blockNumber,
+        txHash: swap.txHash,
+        spread: maxSpreadPair.absSpread,
+        result,
+        pairPools: poolsByDex,
+        quoteUsdPrice,
+      });
+    }
+  };
+
+  for (const swap of swaps) {
+    if (pendingBlock !== null && swap.blockNumber !== pendingBlock) fillPending();
+    pendingBlock = swap.blockNumber;
+
+    const pool = poolsByAddress.get(swap.address.toLowerCase());
+    pool.state = constantLiquidityPoolState(swap, pool.tickSpacing, { wordRadius: config.quoter.wordRadius });
+    const newPrice = poolPrice(pool, pool.state.sqrtPriceX96);
+
+    // A pool's first swap prices it; after that only moves above the threshold (in USDC) count
+    if (pool.lastPrice !== null) {
+      const quoteUsdPrice = getTokenUsdPrice(pool.pair.quote, pricedPools()) ?? 1;
+      if (Math.abs(newPrice - pool.lastPrice) * quoteUsdPrice <= config.thresholds.priceChange) continue;
+    }
+    pool.lastPrice = newPrice;
+    simulatePair(pairKey(pool.pair), swap);
+  }
+  fillPending();
+
+  return {
+    pools,
+    swapsReplayed: swaps.length,
+    simulations,
+    opportunities,
+    startBudgetUSDC,
+    finalBudgetUSDC: budgetUSDC,
+    maxDrawdownUSDC,
+    maxDrawdownPct,
+  };
+}
+
+// ===== REPORT =====
+
+function formatUSDC(amount) {
+  return `${amount >= 0 ? "+" : "-"}$${Math.abs(amount).toFixed(4)}`;
+}
+
+/**
+ * Log the replay results: the formatted report, or a "backtest_results" record
+ * @param {Object} fixture - Replayed fixture
+ * @param {Object} results - Result from replay()
+ */
+function logResults(fixture, results) {
+  const { opportunities } = results;
+  const detectedPnL = opportunities.reduce((sum, opportunity) => sum + opportunity.result.netProfitUSDC, 0);
+  const filledPnL = opportunities.reduce((sum, opportunity) => sum + opportunity.filledProfitUSDC, 0);
+  const losingFills = opportunities.filter((opportunity) => opportunity.filledProfitUSDC < 0).length;
+  const growthPct = ((results.finalBudgetUSDC - results.startBudgetUSDC) / results.startBudgetUSDC) * 100;
+  const countsByPair = {};
+  for (const opportunity of opportunities) {
+    countsByPair[opportunity.pair] = (countsByPair[opportunity.pair] || 0) + 1;
+  }
+
+  logger.event("backtest_results", {
+    fromBlock: fixture.fromBlock,
+    toBlock: fixture.toBlock,
+    swapsReplayed: results.swapsReplayed,
+    pools: results.pools.map((pool) => ({ pool: pool.id, pair: pairKey(pool.pair), lastPrice: pool.lastPrice })),
+    simulations: results.simulations,
+    opportunities: opportunities.map((opportunity) => ({
+      block: opportunity.blockNumber,
+      txHash: opportunity.txHash,
+      pair: opportunity.pair,
+      direction: opportunity.result.direction,
+      spreadPct: opportunity.spread,
+      tradeSizeUSDC: opportunity.result.details.tradeSizeUSDC,
+      detectedProfitUSDC: opportunity.result.netProfitUSDC,
+      filledProfitUSDC: opportunity.filledProfitUSDC,
+      budgetUSDC: opportunity.budgetUSDC,
+    })),
+    opportunitiesByPair: countsByPair,
+    detectedPnLUSDC: detectedPnL,
+    filledPnLUSDC: filledPnL,
+    winningFills: opportunities.length - losingFills,
+    losingFills,
+    startBudgetUSDC: results.startBudgetUSDC,
+    finalBudgetUSDC: results.finalBudgetUSDC,
+    growthPct,
+    maxDrawdownUSDC: results.maxDrawdownUSDC,
+    maxDrawdownPct: results.maxDrawdownPct,
+  }, () => printResults(fixture, results, { detectedPnL, filledPnL, losingFills, growthPct, countsByPair }));
+}
+
+function printResults(fixture, results, { detectedPnL, filledPnL, losingFills, growthPct, countsByPair }) {
+  const { opportunities } = results;
+  if (opportunities.length > 0) {
+    console.log("💰 OPPORTUNITIES:");
+    for (const opportunity of opportunities) {
+      const { result } = opportunity;
+      console.log(`   #${opportunity.blockNumber} ${opportunity.pair} ${result.direction} (spread ${formatSpread(opportunity.spread)}, $${result.details.tradeSizeUSDC.toFixed(2)}): detected ${formatUSDC(result.netProfitUSDC)}, filled ${formatUSDC(opportunity.filledProfitUSDC)} → budget $${opportunity.budgetUSDC.toFixed(2)}`);
+    }
+    console.log();
+  }
+
+  console.log("=".repeat(80));
+  console.log(`📼 BACKTEST RESULTS: blocks ${fixture.fromBlock}-${fixture.toBlock}`);
+  console.log("=".repeat(80));
+  console.log(`   Swaps Replayed: ${results.swapsReplayed} across ${results.pools.length} pools`);
+  for (const pool of results.pools) {
+    const price = pool.lastPrice === null ? "no swaps" : `last ${formatPrice(pool.lastPrice)} ${pool.quoteToken.symbol}`;
+    console.log(`      ${pool.label} ${pairKey(pool.pair)}: ${price}`);
+  }
+  console.log(`   Simulations: ${results.simulations}`);
+  console.log(`   Opportunities Found: ${opportunities.length}`);
+  for (const [pair, count] of Object.entries(countsByPair)) {
+    console.log(`      ${pair}: ${count}`);
+  }
+  console.log(`   Simulated PnL (at detection): ${formatUSDC(detectedPnL)} USDC`);
+  console.log(`   Simulated PnL (filled at block end): ${formatUSDC(filledPnL)} USDC (${opportunities.length - losingFills} winning, ${losingFills} losing)`);
+  console.log(`   Final Budget: $${results.startBudgetUSDC.toFixed(2)} → $${results.finalBudgetUSDC.toFixed(2)} USDC (${growthPct >= 0 ? "+" : ""}${growthPct.toFixed(3)}%)`);
+  console.log(`   Max Drawdown: $${results.maxDrawdownUSDC.toFixed(4)} USDC (${results.maxDrawdownPct.toFixed(3)}%)`);
+}
+
+// ===== MAIN =====
+
+function parseBlockArg(value, name) {
+  const block = Number(value);
+  if (!Number.isInteger(block) || block < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return block;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "from-block": { type: "string" },
+      "to-block": { type: "string" },
+      save: { type: "string" },
+      fixture: { type: "string" },
+    },
+  });
+
+  let fixture;
+  if (values.fixture) {
+    logger.info(`📂 Loading fixture ${values.fixture}`, { fixture: values.fixture });
+    fixture = loadFixture(values.fixture);
+  } else {
+    if (!values["from-block"] || !values["to-block"]) {
+      throw new Error("Usage: node backtest.js --from-block <n> --to-block <n> [--save <fixture.json>] | --fixture <fixture.json>");
+    }
+    const fromBlock = parseBlockArg(values["from-block"], "--from-block");
+    const toBlock = parseBlockArg(values["to-block"], "--to-block");
+    if (toBlock < fromBlock) {
+      throw new Error(`--to-block (${toBlock}) is before --from-block (${fromBlock})`);
+    }
+
+    const provider = new ethers.JsonRpcProvider(config.rpc.baseUrl);
+    try {
+      fixture = await fetchFixture(provider, fromBlock, toBlock);
+    } finally {
+      provider.destroy();
+    }
+    if (values.save) {
+      fs.writeFileSync(values.save, JSON.stringify(fixture, null, 2) + "\n");
+      logger.info(`💾 Saved ${fixture.swaps.length} swaps to ${values.save}`, { fixture: values.save, swaps: fixture.swaps.length });
+    }
+  }
+  logger.info();
+
+  logResults(fixture, replay(fixture));
+}
+
+main().catch((error) => {
+  logger.error(`❌ Backtest failed: ${error.message}`, { error: error.message });
+  process.exit(1);
+});
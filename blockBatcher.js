@@ -0,0 +1,101 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   BLOCK BATCHER                                                              ║
+ * ║   Groups Swap events per block (or Base flashblock) for one evaluation each  ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A block with five swaps across three pools would otherwise be evaluated five
+ * times, four of them on half-updated prices. The monitor applies every Swap to
+ * its pool right away and adds the pool to the open batch; the batch is then
+ * evaluated once, against the final state of every pool in it.
+ *
+ * Modes:
+ * - block: a batch holds one block. It closes when a Swap from another block
+ *   arrives, when the head moves past it, or windowMs after its last Swap
+ * - flashblock: a batch holds windowMs of one block (Base streams a block as
+ *   200ms flashblocks), so a block is evaluated once per window it had swaps in
+ *
+ * The batcher only groups; the caller evaluates what add() or take() hands back
+ * and runs onDue's work in the same order as its Swap handling.
+ */
+
+export const BATCH_MODES = ["block", "flashblock"];
+
+/**
+ * Create a block batcher
+ * @param {Object} options
+ * @param {string} options.mode - block or flashblock
+ * @param {number} options.windowMs - Quiet time that closes a block (block mode), or window length (flashblock mode)
+ * @param {Function} options.onDue - () => void, called when the open batch's time is up; take() it from there
+ * @returns {Object} { add, take, pendingBlock, discard, stop }
+ */
+export function createBlockBatcher({ mode, windowMs, onDue }) {
+  if (!BATCH_MODES.includes(mode)) {
+    throw new Error(`Unknown batch mode "${mode}" (expected one of: ${BATCH_MODES.join(", ")})`);
+  }
+  // { blockNumber, flashblock, entries, swaps } being filled, or null
+  let open = null;
+  let timer = null;
+  // Flashblock windows already closed in the current block
+  let windowBlock = null;
+  let windowIndex = 0;
+
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      onDue();
+    }, windowMs);
+  };
+
+  const close = () => {
+    const batch = open;
+    open = null;
+    clearTimeout(timer);
+    timer = null;
+    return batch;
+  };
+
+  return {
+    /**
+     * Add a Swap to the open batch; a batch of another block is closed first
+     * @param {number} blockNumber - Block of the Swap
+     * @param {string} key - Grouping key (one entry per key; the latest value wins)
+     * @param {*} value - Entry value
+     * @returns {Object|null} Closed batch to evaluate before applying this Swap, or null
+     */
+    add(blockNumber, key, value) {
+      const closed = open && open.blockNumber !== blockNumber ? close() : null;
+      if (!open) {
+        if (mode === "flashblock") {
+          windowIndex = windowBlock === blockNumber ? windowIndex + 1 : 0;
+          windowBlock = blockNumber;
+        }
+        open = { blockNumber, flashblock: mode === "flashblock" ? windowIndex : null, entries: new Map(), swaps: 0 };
+        if (mode === "flashblock") arm();
+      }
+      open.entries.set(key, value);
+      open.swaps++;
+      if (mode === "block") arm();
+      return closed;
+    },
+    /**
+     * Close and return the open batch
+     * @returns {Object|null} { blockNumber, flashblock, entries, swaps }, or null when nothing is open
+     */
+    take() {
+      return open ? close() : null;
+    },
+    // Block of the open batch, or null
+    pendingBlock() {
+      return open ? open.blockNumber : null;
+    },
+    // Drop the open batch unevaluated (its swaps were rolled back)
+    discard() {
+      close();
+    },
+    stop() {
+      close();
+    },
+  };
+}
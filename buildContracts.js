@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { FLASH_ARBITRAGE_ARTIFACT, compileFlashArbitrage } from "./flashArbitrage.js";
+import { logger } from "./logger.js";
+
+// Load .env quietly (its banner line would break LOG_FORMAT=json output)
+dotenv.config({ quiet: true });
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   BUILD CONTRACTS                                                            ║
+ * ║   Compile contracts/FlashArbitrage.sol into build/FlashArbitrage.json        ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage: npm run build:contracts (node buildContracts.js)
+ *
+ * Compiles with solc-js (a dev dependency, no Foundry or Hardhat needed) and
+ * writes the ABI and creation bytecode that deployFlashArbitrage.js deploys.
+ */
+
+async function main() {
+  logger.configure({ format: process.env.LOG_FORMAT || "pretty", level: process.env.LOG_LEVEL || "info" });
+  const artifact = await compileFlashArbitrage();
+  fs.mkdirSync(path.dirname(FLASH_ARBITRAGE_ARTIFACT), { recursive: true });
+  fs.writeFileSync(FLASH_ARBITRAGE_ARTIFACT, JSON.stringify(artifact, null, 2) + "\n");
+
+  const bytecodeSize = (artifact.bytecode.length - 2) / 2;
+  logger.event("contract_built", {
+    contract: artifact.contractName,
+    compiler: artifact.compiler,
+    bytecodeSize,
+    artifact: FLASH_ARBITRAGE_ARTIFACT,
+  }, `🔨 Compiled ${artifact.contractName} with solc ${artifact.compiler} (${bytecodeSize} bytes) → ${FLASH_ARBITRAGE_ARTIFACT}`);
+}
+
+main().catch((error) => {
+  logger.error(`❌ Build failed: ${error.message}`, { error: error.message });
+  process.exit(1);
+});
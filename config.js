@@ -1,26 +1,46 @@
-import dotenv from "dotenv";
-
-// Load environment variables from .env file
-dotenv.config();
+import { loadPoolRegistry } from "./poolRegistry.js";
+import { logger } from "./logger.js";
+import { endpointHost } from "./network.js";
 
 /**
  * Configuration loader with validation
  * Reads all configuration from environment variables
  * Throws error if required variables are missing
+ *
+ * Importing this module does nothing by itself: loadConfig() builds the
+ * configuration from an environment object (process.env by default, after the
+ * caller has loaded .env with dotenv) and printConfig() logs it. The command-line
+ * entry points do both at startup; an embedding service can pass its own
+ * environment object, or build the configuration object itself.
  */
 
-// Helper function to get required environment variable
-function getRequiredEnv(key, description) {
-  const value = process.env[key];
-  if (!value) {
-    throw new Error(`Missing required environment variable: ${key} (${description})`);
+// Readers bound to one environment object
+function envReaders(env) {
+  // Helper function to get required environment variable
+  function getRequiredEnv(key, description) {
+    const value = env[key];
+    if (!value) {
+      throw new Error(`Missing required environment variable: ${key} (${description})`);
+    }
+    return value;
   }
-  return value;
-}
 
-// Helper function to get optional environment variable with default
-function getOptionalEnv(key, defaultValue) {
-  return process.env[key] || defaultValue;
+  // Helper function to get optional environment variable with default
+  function getOptionalEnv(key, defaultValue) {
+    return env[key] || defaultValue;
+  }
+
+  // Helper function to get a required comma-separated list, falling back to a single-value variable
+  function getRequiredList(key, fallbackKey, description) {
+    const value = env[key] || env[fallbackKey];
+    const items = (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+    if (items.length === 0) {
+      throw new Error(`Missing required environment variable: ${key} or ${fallbackKey} (${description})`);
+    }
+    return items;
+  }
+
+  return { getRequiredEnv, getOptionalEnv, getRequiredList };
 }
 
 // Helper function to parse integer with validation
@@ -32,6 +52,13 @@ function parseIntSafe(value, key) {
   return parsed;
 }
 
+// Helper function to parse boolean ("true"/"false") with validation
+function parseBoolSafe(value, key) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new Error(`Invalid boolean value for ${key}: ${value} (expected true or false)`);
+}
+
 // Helper function to parse float with validation
 function parseFloatSafe(value, key) {
   const parsed = parseFloat(value);
@@ -41,123 +68,656 @@ function parseFloatSafe(value, key) {
   return parsed;
 }
 
-// ===== CONFIGURATION OBJECT =====
-const config = {
-  // RPC Configuration
-  rpc: {
-    baseUrl: getRequiredEnv("BASE_RPC_URL", "Base mainnet RPC endpoint"),
-    baseWssUrl: getRequiredEnv("BASE_WSS_URL", "Base mainnet WebSocket endpoint"),
-  },
-
-  // Token Configuration
-  tokens: {
-    cbBTC: {
-      address: getRequiredEnv("CB_BTC_ADDRESS", "cbBTC token address on Base"),
-      decimals: parseIntSafe(
-        getRequiredEnv("CB_BTC_DECIMALS", "cbBTC token decimals"),
-        "CB_BTC_DECIMALS"
-      ),
-      symbol: "cbBTC",
-    },
-    USDC: {
-      address: getRequiredEnv("USDC_ADDRESS", "USDC token address on Base"),
-      decimals: parseIntSafe(
-        getRequiredEnv("USDC_DECIMALS", "USDC token decimals"),
-        "USDC_DECIMALS"
-      ),
-      symbol: "USDC",
-    },
-  },
-
-  // Pool Configuration
-  pools: {
-    uniswap: {
-      cbBTC_USDC: getRequiredEnv(
-        "UNISWAP_POOL_ADDRESS",
-        "Uniswap V3 cbBTC/USDC pool address"
-      ),
-    },
-    aerodrome: {
-      cbBTC_USDC: getRequiredEnv(
-        "AERODROME_POOL_ADDRESS",
-        "Aerodrome Slipstream cbBTC/USDC pool address"
-      ),
-    },
-    pancakeV3: {
-      cbBTC_USDC: getRequiredEnv(
-        "PANCAKE_V3_POOL_ADDRESS",
-        "PancakeSwap V3 cbBTC/USDC pool address on Base"
-      ),
-    },
-  },
-
-  // Monitoring Thresholds
-  thresholds: {
-    // Minimum price change (in USDC) to trigger logging
-    priceChange: parseFloatSafe(
-      getOptionalEnv("PRICE_CHANGE_THRESHOLD", "0.01"),
-      "PRICE_CHANGE_THRESHOLD"
-    ),
-    // Optional: minimum spread percentage to log
-    spread: parseFloatSafe(
-      getOptionalEnv("SPREAD_LOG_THRESHOLD", "0.0"),
-      "SPREAD_LOG_THRESHOLD"
-    ),
-  },
-
-  // Cost Model Configuration
-  costs: {
-    uniswapGasFeeUSDC: parseFloatSafe(
-      getOptionalEnv("UNISWAP_GAS_FEE_USDC", "0.004"),
-      "UNISWAP_GAS_FEE_USDC"
-    ),
-    aerodromeGasFeeUSDC: parseFloatSafe(
-      getOptionalEnv("AERODROME_GAS_FEE_USDC", "0.005"),
-      "AERODROME_GAS_FEE_USDC"
-    ),
-    aerodromeFeeBps: parseFloatSafe(
-      getOptionalEnv("AERODROME_FEE_BPS", "1"),
-      "AERODROME_FEE_BPS"
-    ),
-    pancakeGasFeeUSDC: parseFloatSafe(
-      getOptionalEnv("PANCAKE_GAS_FEE_USDC", "0.004"),
-      "PANCAKE_GAS_FEE_USDC"
-    ),
-    pancakeFixedFeeUSDC: parseFloatSafe(
-      getOptionalEnv("PANCAKE_FIXED_FEE_USDC", "0.05"),
-      "PANCAKE_FIXED_FEE_USDC"
-    ),
-  },
-
-  // Arbitrage Simulation Configuration
-  arbitrage: {
-    // Overall USDC budget available for arbitrage trading
-    overallBudgetUSDC: parseFloatSafe(
-      getRequiredEnv("ARB_OVERALL_BUDGET_USDC", "Overall arbitrage budget in USDC"),
-      "ARB_OVERALL_BUDGET_USDC"
-    ),
-    // Percentage of overall budget to deploy per arbitrage attempt (0-100)
-    // Example: 5 means use 5% of the overall budget per trade
-    budgetPercent: parseFloatSafe(
-      getRequiredEnv("ARB_BUDGET_PERCENT", "Percentage of budget per trade"),
-      "ARB_BUDGET_PERCENT"
-    ),
-  },
-};
-
-// Validate configuration
-console.log("✅ Configuration loaded successfully:");
-console.log(`   RPC: ${config.rpc.baseUrl}`);
-console.log(`   ${config.tokens.cbBTC.symbol}: ${config.tokens.cbBTC.address} (${config.tokens.cbBTC.decimals} decimals)`);
-console.log(`   ${config.tokens.USDC.symbol}: ${config.tokens.USDC.address} (${config.tokens.USDC.decimals} decimals)`);
-console.log(`   Uniswap Pool: ${config.pools.uniswap.cbBTC_USDC}`);
-console.log(`   Aerodrome Pool: ${config.pools.aerodrome.cbBTC_USDC}`);
-console.log(`   PancakeSwap V3 Pool: ${config.pools.pancakeV3.cbBTC_USDC}`);
-console.log(`   Price Change Threshold: $${config.thresholds.priceChange}`);
-console.log(`   Uniswap Gas Fee: $${config.costs.uniswapGasFeeUSDC} USDC`);
-console.log(`   Aerodrome Gas Fee: $${config.costs.aerodromeGasFeeUSDC} USDC (Fee: ${config.costs.aerodromeFeeBps} bps)`);
-console.log(`   PancakeSwap Gas Fee: $${config.costs.pancakeGasFeeUSDC} USDC (Fixed Fee: $${config.costs.pancakeFixedFeeUSDC} USDC)`);
-console.log(`   Arb Budget: $${config.arbitrage.overallBudgetUSDC} USDC (${config.arbitrage.budgetPercent}% per trade = $${(config.arbitrage.overallBudgetUSDC * config.arbitrage.budgetPercent / 100).toFixed(2)} USDC)`);
-console.log();
-
-export default config;
+// Helper function to parse "TOKEN:amount" pairs (comma-separated) into { TOKEN: amount }
+function parseBalancesSafe(value, key) {
+  const balances = {};
+  for (const entry of value.split(",").map((item) => item.trim()).filter(Boolean)) {
+    const [token, amount] = entry.split(":").map((part) => part.trim());
+    const parsed = parseFloat(amount);
+    if (!token || isNaN(parsed) || parsed < 0) {
+      throw new Error(`Invalid balance for ${key}: ${entry} (expected TOKEN:amount)`);
+    }
+    balances[token] = parsed;
+  }
+  return balances;
+}
+
+// Helper function to parse "PAIR:PRODUCT" pairs (comma-separated) into { PAIR: PRODUCT }
+function parseProductsSafe(value, key) {
+  const products = {};
+  for (const entry of value.split(",").map((item) => item.trim()).filter(Boolean)) {
+    const [pair, product] = entry.split(":").map((part) => part.trim());
+    if (!pair || !pair.includes("/") || !product) {
+      throw new Error(`Invalid product mapping for ${key}: ${entry} (expected BASE/QUOTE:PRODUCT)`);
+    }
+    products[pair] = product;
+  }
+  return products;
+}
+
+/**
+ * Build and validate the configuration, and load the pool registry it points to
+ * @param {Object} [env] - Environment variables (process.env by default)
+ * @returns {Object} Configuration object, with the registry's `tokens` and `pools`
+ */
+export function loadConfig(env = process.env) {
+  const { getRequiredEnv, getOptionalEnv, getRequiredList } = envReaders(env);
+
+  // Endpoint lists; the first entry is the default for single-endpoint clients (executor, backtest)
+  const rpcUrls = getRequiredList("BASE_RPC_URLS", "BASE_RPC_URL", "Base mainnet RPC endpoints");
+  const wssUrls = getRequiredList("BASE_WSS_URLS", "BASE_WSS_URL", "Base mainnet WebSocket endpoints");
+
+  // ===== CONFIGURATION OBJECT =====
+  const config = {
+    // Logging Configuration
+    log: {
+      // pretty (human-readable console output) or json (one record per line for log shippers)
+      format: getOptionalEnv("LOG_FORMAT", "pretty"),
+      // Lowest level written: debug, info, warn or error
+      level: getOptionalEnv("LOG_LEVEL", "info"),
+    },
+
+    // RPC Configuration
+    rpc: {
+      baseUrl: rpcUrls[0],
+      baseUrls: rpcUrls,
+      baseWssUrl: wssUrls[0],
+      // WebSocket endpoints, tried in turn when reconnecting
+      baseWssUrls: wssUrls,
+      // eth_blockNumber health check interval for every HTTP endpoint
+      healthCheckIntervalMs: parseIntSafe(
+        getOptionalEnv("RPC_HEALTH_CHECK_INTERVAL_MS", "10000"),
+        "RPC_HEALTH_CHECK_INTERVAL_MS"
+      ),
+      // Blocks an endpoint may trail the best head before it is considered unhealthy
+      maxLagBlocks: parseIntSafe(
+        getOptionalEnv("RPC_MAX_LAG_BLOCKS", "3"),
+        "RPC_MAX_LAG_BLOCKS"
+      ),
+      // Deadline for each HTTP request before failing over
+      requestTimeoutMs: parseIntSafe(
+        getOptionalEnv("RPC_REQUEST_TIMEOUT_MS", "5000"),
+        "RPC_REQUEST_TIMEOUT_MS"
+      ),
+      // Endpoints asked for critical reads (initial slot0, pre-trade quotes); 0 or 1 turns quorum off
+      quorum: parseIntSafe(
+        getOptionalEnv("RPC_QUORUM", "0"),
+        "RPC_QUORUM"
+      ),
+    },
+
+    // WebSocket Connection Configuration
+    ws: {
+      // Send eth_blockNumber over the socket this often to detect a dead connection
+      heartbeatIntervalMs: parseIntSafe(
+        getOptionalEnv("WS_HEARTBEAT_INTERVAL_MS", "15000"),
+        "WS_HEARTBEAT_INTERVAL_MS"
+      ),
+      // A heartbeat (or connect) not answered within this many milliseconds drops the connection
+      heartbeatTimeoutMs: parseIntSafe(
+        getOptionalEnv("WS_HEARTBEAT_TIMEOUT_MS", "10000"),
+        "WS_HEARTBEAT_TIMEOUT_MS"
+      ),
+      // First reconnect delay; doubles on each failed attempt up to the maximum
+      reconnectBaseDelayMs: parseIntSafe(
+        getOptionalEnv("WS_RECONNECT_BASE_DELAY_MS", "1000"),
+        "WS_RECONNECT_BASE_DELAY_MS"
+      ),
+      reconnectMaxDelayMs: parseIntSafe(
+        getOptionalEnv("WS_RECONNECT_MAX_DELAY_MS", "60000"),
+        "WS_RECONNECT_MAX_DELAY_MS"
+      ),
+      // Blocks per eth_getLogs request when backfilling the blocks missed while disconnected
+      backfillChunkBlocks: parseIntSafe(
+        getOptionalEnv("WS_BACKFILL_CHUNK_BLOCKS", "2000"),
+        "WS_BACKFILL_CHUNK_BLOCKS"
+      ),
+    },
+
+    // Block Batching & Reorg Configuration
+    blocks: {
+      // block: evaluate spreads once per block; flashblock: once per Base flashblock window within a block
+      batchMode: getOptionalEnv("BATCH_MODE", "block"),
+      // block mode: quiet time after a block's last Swap before the block counts as complete (the next head ends it
+      // sooner); flashblock mode: window length (Base flashblocks are 200ms)
+      batchWindowMs: parseIntSafe(
+        getOptionalEnv("BATCH_WINDOW_MS", "200"),
+        "BATCH_WINDOW_MS"
+      ),
+      // Blocks built on top of a Swap's block before its results (fills, budget, history, execution) are final;
+      // 0 makes them final at once
+      confirmations: parseIntSafe(
+        getOptionalEnv("CONFIRMATION_BLOCKS", "0"),
+        "CONFIRMATION_BLOCKS"
+      ),
+    },
+
+    // Pending Swap Feed Configuration
+    pending: {
+      // off, mempool (pending transactions on the event socket), flashblocks (pending block of a flashblocks
+      // endpoint) or mock (swaps replayed from PENDING_MOCK_PATH); see pendingFeed.js
+      source: getOptionalEnv("PENDING_SOURCE", "off"),
+      // flashblocks: endpoint serving the preconfirmed pending block (e.g. https://mainnet-preconf.base.org);
+      // the RPC pool when empty
+      rpcUrl: getOptionalEnv("PENDING_RPC_URL", ""),
+      // flashblocks: pending block poll interval (Base builds a flashblock every 200ms)
+      pollIntervalMs: parseIntSafe(
+        getOptionalEnv("PENDING_POLL_INTERVAL_MS", "200"),
+        "PENDING_POLL_INTERVAL_MS"
+      ),
+      // mock: JSON array of { pool, tokenIn, amountIn, via } swaps, one every PENDING_MOCK_INTERVAL_MS
+      mockPath: getOptionalEnv("PENDING_MOCK_PATH", "./pending.mock.json"),
+      mockIntervalMs: parseIntSafe(
+        getOptionalEnv("PENDING_MOCK_INTERVAL_MS", "1000"),
+        "PENDING_MOCK_INTERVAL_MS"
+      ),
+    },
+
+    // Reference Price (CEX) Configuration
+    reference: {
+      // off, coinbase (Advanced Trade ticker socket), generic (any JSON WebSocket) or mock (prices stepped from
+      // REFERENCE_MOCK_PATH); see referenceFeed.js
+      source: getOptionalEnv("REFERENCE_SOURCE", "off"),
+      // Venue name in logs and directions (Coinbase, CEX or Mock CEX by default)
+      venue: getOptionalEnv("REFERENCE_VENUE", ""),
+      // Socket URL; required for generic, Coinbase's public market data endpoint by default for coinbase
+      wsUrl: getOptionalEnv("REFERENCE_WS_URL", ""),
+      // Monitored pair → venue product, e.g. cbBTC/USDC:BTC-USD (USD is taken as USDC)
+      products: parseProductsSafe(
+        getOptionalEnv("REFERENCE_PRODUCTS", "cbBTC/USDC:BTC-USD,WETH/USDC:ETH-USD"),
+        "REFERENCE_PRODUCTS"
+      ),
+      // generic: JSON message (or array of messages) sent on every connect
+      subscribe: getOptionalEnv("REFERENCE_SUBSCRIBE", ""),
+      // generic: dot path of the product in each message (empty for a stream of one product), and the paths of
+      // the prices averaged into the reference (e.g. b,a for the mid of a bid/ask ticker)
+      productPath: getOptionalEnv("REFERENCE_PRODUCT_PATH", ""),
+      pricePaths: getOptionalEnv("REFERENCE_PRICE_PATHS", "price").split(",").map((path) => path.trim()).filter(Boolean),
+      // Prices older than this are not used
+      maxAgeMs: parseIntSafe(
+        getOptionalEnv("REFERENCE_MAX_AGE_MS", "5000"),
+        "REFERENCE_MAX_AGE_MS"
+      ),
+      // Reconnect when the socket sends nothing for this long
+      silenceTimeoutMs: parseIntSafe(
+        getOptionalEnv("REFERENCE_SILENCE_TIMEOUT_MS", "30000"),
+        "REFERENCE_SILENCE_TIMEOUT_MS"
+      ),
+      // A reference move of at least this many basis points re-runs the CEX–DEX simulation without a Swap
+      changeBps: parseFloatSafe(
+        getOptionalEnv("REFERENCE_CHANGE_BPS", "5"),
+        "REFERENCE_CHANGE_BPS"
+      ),
+      // Taker fee charged on the CEX leg
+      cexFeeBps: parseFloatSafe(
+        getOptionalEnv("REFERENCE_CEX_FEE_BPS", "0"),
+        "REFERENCE_CEX_FEE_BPS"
+      ),
+      // mock: JSON object of { "BASE/QUOTE": [prices] }, one step every REFERENCE_MOCK_INTERVAL_MS
+      mockPath: getOptionalEnv("REFERENCE_MOCK_PATH", "./reference.mock.json"),
+      mockIntervalMs: parseIntSafe(
+        getOptionalEnv("REFERENCE_MOCK_INTERVAL_MS", "1000"),
+        "REFERENCE_MOCK_INTERVAL_MS"
+      ),
+    },
+
+    // Token & Pool Configuration
+    // Monitored tokens and pools come from the pool registry file (see pools.json)
+    registryPath: getOptionalEnv("POOL_REGISTRY_PATH", "./pools.json"),
+
+    // Monitoring Thresholds
+    thresholds: {
+      // Minimum price change (in USDC) to trigger logging
+      priceChange: parseFloatSafe(
+        getOptionalEnv("PRICE_CHANGE_THRESHOLD", "0.01"),
+        "PRICE_CHANGE_THRESHOLD"
+      ),
+      // Optional: minimum spread percentage to log
+      spread: parseFloatSafe(
+        getOptionalEnv("SPREAD_LOG_THRESHOLD", "0.0"),
+        "SPREAD_LOG_THRESHOLD"
+      ),
+    },
+
+    // Arbitrage Simulation Configuration
+    arbitrage: {
+      // Overall USDC budget available for arbitrage trading
+      overallBudgetUSDC: parseFloatSafe(
+        getRequiredEnv("ARB_OVERALL_BUDGET_USDC", "Overall arbitrage budget in USDC"),
+        "ARB_OVERALL_BUDGET_USDC"
+      ),
+      // Percentage of overall budget to deploy per arbitrage attempt (0-100)
+      // Example: 5 means use 5% of the overall budget per trade
+      budgetPercent: parseFloatSafe(
+        getRequiredEnv("ARB_BUDGET_PERCENT", "Percentage of budget per trade"),
+        "ARB_BUDGET_PERCENT"
+      ),
+      // Smallest trade size (USDC) the optimal trade-size solver will consider
+      minTradeSizeUSDC: parseFloatSafe(
+        getOptionalEnv("ARB_MIN_TRADE_SIZE_USDC", "10"),
+        "ARB_MIN_TRADE_SIZE_USDC"
+      ),
+      // Number of evenly spaced trade sizes sampled for the profit curve
+      sizeSearchPoints: parseIntSafe(
+        getOptionalEnv("ARB_SIZE_SEARCH_POINTS", "12"),
+        "ARB_SIZE_SEARCH_POINTS"
+      ),
+    },
+
+    // Multi-hop Cycle Configuration
+    cycles: {
+      // Longest token cycle to search (3 = triangular, e.g. USDC → cbBTC → WETH → USDC)
+      maxHops: parseIntSafe(
+        getOptionalEnv("CYCLE_MAX_HOPS", "3"),
+        "CYCLE_MAX_HOPS"
+      ),
+      // Number of ranked cycles to list after each cycle search
+      logTopN: parseIntSafe(
+        getOptionalEnv("CYCLE_LOG_TOP_N", "3"),
+        "CYCLE_LOG_TOP_N"
+      ),
+    },
+
+    // Pre-trade Verification Configuration
+    verifier: {
+      // Re-quote profitable opportunities on-chain (QuoterV2 eth_call) before reporting them
+      enabled: parseBoolSafe(
+        getOptionalEnv("VERIFY_OPPORTUNITIES", "true"),
+        "VERIFY_OPPORTUNITIES"
+      ),
+      // Node the quotes run against (point at a local fork to verify against forked state);
+      // when unset, quotes go through the RPC pool (with quorum if RPC_QUORUM is set)
+      rpcUrl: getOptionalEnv("VERIFY_RPC_URL", ""),
+      // Largest accepted difference (%) between simulated and on-chain leg output
+      tolerancePct: parseFloatSafe(
+        getOptionalEnv("VERIFY_TOLERANCE_PCT", "0.1"),
+        "VERIFY_TOLERANCE_PCT"
+      ),
+    },
+
+    // Price Guard Configuration (manipulated or stale pool prices)
+    priceGuard: {
+      // Check the pools of profitable opportunities against their TWAP, an oracle and their last Swap
+      enabled: parseBoolSafe(
+        getOptionalEnv("PRICE_GUARD_ENABLED", "true"),
+        "PRICE_GUARD_ENABLED"
+      ),
+      // flag (report the reasons) or suppress (report as not profitable, never fill)
+      mode: getOptionalEnv("PRICE_GUARD_MODE", "flag"),
+      // TWAP window read with observe() (0 turns the TWAP check off)
+      twapSeconds: parseIntSafe(
+        getOptionalEnv("PRICE_GUARD_TWAP_SECONDS", "300"),
+        "PRICE_GUARD_TWAP_SECONDS"
+      ),
+      // Largest accepted difference (%) between a pool's spot price and its TWAP
+      maxTwapDeviationPct: parseFloatSafe(
+        getOptionalEnv("PRICE_GUARD_MAX_TWAP_DEVIATION_PCT", "1"),
+        "PRICE_GUARD_MAX_TWAP_DEVIATION_PCT"
+      ),
+      // Chainlink aggregator for one pair, e.g. BTC/USD for cbBTC/USDC (unset turns the oracle check off)
+      oracleAddress: getOptionalEnv("PRICE_GUARD_ORACLE_ADDRESS", ""),
+      oraclePair: getOptionalEnv("PRICE_GUARD_ORACLE_PAIR", "cbBTC/USDC"),
+      // Largest accepted difference (%) between a pool's spot price in USD and the oracle answer
+      maxOracleDeviationPct: parseFloatSafe(
+        getOptionalEnv("PRICE_GUARD_MAX_ORACLE_DEVIATION_PCT", "1"),
+        "PRICE_GUARD_MAX_ORACLE_DEVIATION_PCT"
+      ),
+      // Oracle answers older than this are ignored
+      oracleMaxAgeMs: parseIntSafe(
+        getOptionalEnv("PRICE_GUARD_ORACLE_MAX_AGE_SECONDS", "3600"),
+        "PRICE_GUARD_ORACLE_MAX_AGE_SECONDS"
+      ) * 1000,
+      // Longest time a route pool may go without a Swap (0 turns it off)
+      maxPoolIdleMs: parseIntSafe(
+        getOptionalEnv("PRICE_GUARD_MAX_POOL_IDLE_SECONDS", "1800"),
+        "PRICE_GUARD_MAX_POOL_IDLE_SECONDS"
+      ) * 1000,
+    },
+
+    // Trade Execution Configuration
+    executor: {
+      // simulate (report only), dry-run (build and sign, never broadcast) or live
+      mode: getOptionalEnv("EXECUTOR_MODE", "simulate"),
+      // router (two router swaps) or flash (atomic FlashArbitrage contract call)
+      strategy: getOptionalEnv("EXECUTOR_STRATEGY", "router"),
+      // Deployed contracts/FlashArbitrage.sol address (flash strategy)
+      flashContract: getOptionalEnv("FLASH_ARB_CONTRACT_ADDRESS", ""),
+      // Profit the flash contract must clear on top of the simulated gas cost, in USDC
+      flashMinProfitUSDC: parseFloatSafe(
+        getOptionalEnv("FLASH_MIN_PROFIT_USDC", "0.01"),
+        "FLASH_MIN_PROFIT_USDC"
+      ),
+      // RPC used to build and send transactions (point at a local Anvil/Hardhat fork to test)
+      rpcUrl: getOptionalEnv("EXECUTOR_RPC_URL", rpcUrls[0]),
+      // Signing key for dry-run and live modes
+      privateKey: getOptionalEnv("EXECUTOR_PRIVATE_KEY", ""),
+      // Tolerance applied to each leg's amountOutMinimum and sqrtPriceLimitX96
+      slippageBps: parseFloatSafe(
+        getOptionalEnv("EXECUTOR_SLIPPAGE_BPS", "30"),
+        "EXECUTOR_SLIPPAGE_BPS"
+      ),
+      // Router deadline, in seconds after signing
+      deadlineSeconds: parseIntSafe(
+        getOptionalEnv("EXECUTOR_DEADLINE_SECONDS", "60"),
+        "EXECUTOR_DEADLINE_SECONDS"
+      ),
+      // Gas limit for each swap and approval transaction
+      gasLimitPerSwap: parseIntSafe(
+        getOptionalEnv("EXECUTOR_GAS_LIMIT", "350000"),
+        "EXECUTOR_GAS_LIMIT"
+      ),
+      // Confirmations to wait for before sending the next leg (live mode)
+      confirmations: parseIntSafe(
+        getOptionalEnv("EXECUTOR_CONFIRMATIONS", "1"),
+        "EXECUTOR_CONFIRMATIONS"
+      ),
+      // Give up on a receipt after this many milliseconds (live mode)
+      receiptTimeoutMs: parseIntSafe(
+        getOptionalEnv("EXECUTOR_RECEIPT_TIMEOUT_MS", "60000"),
+        "EXECUTOR_RECEIPT_TIMEOUT_MS"
+      ),
+    },
+
+    // Gas Oracle Configuration
+    gasOracle: {
+      // Replace the registry gas constants with a live estimate (base + priority fee, L1 data fee)
+      enabled: parseBoolSafe(
+        getOptionalEnv("GAS_ORACLE_ENABLED", "true"),
+        "GAS_ORACLE_ENABLED"
+      ),
+      // Re-read gas prices every N blocks (Base produces a block every 2 seconds)
+      refreshBlocks: parseIntSafe(
+        getOptionalEnv("GAS_ORACLE_REFRESH_BLOCKS", "5"),
+        "GAS_ORACLE_REFRESH_BLOCKS"
+      ),
+      // Registry token whose USDC pools price ETH
+      ethToken: getOptionalEnv("GAS_ORACLE_ETH_TOKEN", "WETH"),
+    },
+
+    // History Store Configuration
+    history: {
+      // Append every pool price and simulated opportunity to JSONL files
+      enabled: parseBoolSafe(
+        getOptionalEnv("HISTORY_ENABLED", "true"),
+        "HISTORY_ENABLED"
+      ),
+      // Directory holding prices.jsonl and arbitrage.jsonl
+      dir: getOptionalEnv("HISTORY_DIR", "./data"),
+    },
+
+    // Risk Limits Configuration (any limit set to 0 is off)
+    risk: {
+      // Check every profitable opportunity against the limits and circuit breakers before acting on it
+      enabled: parseBoolSafe(
+        getOptionalEnv("RISK_ENABLED", "false"),
+        "RISK_ENABLED"
+      ),
+      // Largest trade size (USDC) accepted
+      maxNotionalUSDC: parseFloatSafe(
+        getOptionalEnv("RISK_MAX_NOTIONAL_USDC", "10000"),
+        "RISK_MAX_NOTIONAL_USDC"
+      ),
+      // Accepted trades per rolling minute before the breaker trips
+      maxTradesPerMinute: parseIntSafe(
+        getOptionalEnv("RISK_MAX_TRADES_PER_MINUTE", "6"),
+        "RISK_MAX_TRADES_PER_MINUTE"
+      ),
+      // Loss (USDC) over the UTC day that trips the breaker
+      dailyLossLimitUSDC: parseFloatSafe(
+        getOptionalEnv("RISK_DAILY_LOSS_LIMIT_USDC", "100"),
+        "RISK_DAILY_LOSS_LIMIT_USDC"
+      ),
+      // Smallest net profit accepted, in USDC and in basis points of the trade size
+      minNetProfitUSDC: parseFloatSafe(
+        getOptionalEnv("RISK_MIN_NET_PROFIT_USDC", "1"),
+        "RISK_MIN_NET_PROFIT_USDC"
+      ),
+      minNetProfitBps: parseFloatSafe(
+        getOptionalEnv("RISK_MIN_NET_PROFIT_BPS", "5"),
+        "RISK_MIN_NET_PROFIT_BPS"
+      ),
+      // A pool on the route without a Swap for this long counts as stale
+      maxPriceAgeMs: parseIntSafe(
+        getOptionalEnv("RISK_MAX_PRICE_AGE_SECONDS", "300"),
+        "RISK_MAX_PRICE_AGE_SECONDS"
+      ) * 1000,
+      // Largest deviation (%) of a route pool's price from an independent reference (CEX, oracle or the pair's other pools) before the breaker trips
+      maxPriceDeviationPct: parseFloatSafe(
+        getOptionalEnv("RISK_MAX_PRICE_DEVIATION_PCT", "2"),
+        "RISK_MAX_PRICE_DEVIATION_PCT"
+      ),
+      // How long a tripped breaker pauses trading (kill -USR2 <pid> resets it sooner)
+      cooldownMs: parseIntSafe(
+        getOptionalEnv("RISK_BREAKER_COOLDOWN_SECONDS", "900"),
+        "RISK_BREAKER_COOLDOWN_SECONDS"
+      ) * 1000,
+    },
+
+    // Paper-Trading Ledger Configuration
+    ledger: {
+      // Track token balances and PnL per simulated fill instead of compounding a USDC float
+      enabled: parseBoolSafe(
+        getOptionalEnv("PAPER_LEDGER_ENABLED", "false"),
+        "PAPER_LEDGER_ENABLED"
+      ),
+      // Directory holding ledger.json (resumed on restart) and fills.jsonl
+      dir: getOptionalEnv("PAPER_LEDGER_DIR", "./data"),
+      // Starting inventory per registry token key; only used when no ledger.json exists yet
+      initialBalances: parseBalancesSafe(
+        getOptionalEnv("PAPER_INITIAL_BALANCES", `USDC:${env.ARB_OVERALL_BUDGET_USDC}`),
+        "PAPER_INITIAL_BALANCES"
+      ),
+      // round-trip: legs run one after another; inventory: legs fire at once from pre-positioned balances
+      fillMode: getOptionalEnv("PAPER_FILL_MODE", "round-trip"),
+      // Keep a separate inventory per DEX (each starting with the initial balances)
+      perVenue: parseBoolSafe(
+        getOptionalEnv("PAPER_LEDGER_PER_VENUE", "false"),
+        "PAPER_LEDGER_PER_VENUE"
+      ),
+    },
+
+    // Alert Configuration (a sink is enabled when its settings are filled in)
+    alerts: {
+      telegram: {
+        botToken: getOptionalEnv("TELEGRAM_BOT_TOKEN", ""),
+        chatId: getOptionalEnv("TELEGRAM_CHAT_ID", ""),
+        // Bot API base URL (point at a local stub to test)
+        apiUrl: getOptionalEnv("TELEGRAM_API_URL", "https://api.telegram.org"),
+      },
+      discordWebhookUrl: getOptionalEnv("DISCORD_WEBHOOK_URL", ""),
+      slackWebhookUrl: getOptionalEnv("SLACK_WEBHOOK_URL", ""),
+      // Generic endpoint receiving every alert as a JSON POST
+      webhookUrl: getOptionalEnv("ALERT_WEBHOOK_URL", ""),
+      // Deadline for each alert request
+      requestTimeoutMs: parseIntSafe(
+        getOptionalEnv("ALERT_REQUEST_TIMEOUT_MS", "10000"),
+        "ALERT_REQUEST_TIMEOUT_MS"
+      ),
+      // Smallest net profit (USDC) that alerts
+      minNetProfitUSDC: parseFloatSafe(
+        getOptionalEnv("ALERT_MIN_NET_PROFIT_USDC", "1"),
+        "ALERT_MIN_NET_PROFIT_USDC"
+      ),
+      // Smallest absolute spread (%) that alerts (pairwise opportunities only)
+      minSpreadPct: parseFloatSafe(
+        getOptionalEnv("ALERT_MIN_SPREAD_PCT", "0"),
+        "ALERT_MIN_SPREAD_PCT"
+      ),
+      // How long an opportunity must stay above the thresholds before it alerts
+      minDurationMs: parseIntSafe(
+        getOptionalEnv("ALERT_MIN_DURATION_MS", "0"),
+        "ALERT_MIN_DURATION_MS"
+      ),
+      // Time an alert (same pair and direction, route or health condition) stays muted after firing
+      cooldownMs: parseIntSafe(
+        getOptionalEnv("ALERT_COOLDOWN_MS", "300000"),
+        "ALERT_COOLDOWN_MS"
+      ),
+      // Health alert when a pool has no Swap for this many minutes (0 turns it off)
+      poolSilenceMinutes: parseFloatSafe(
+        getOptionalEnv("ALERT_POOL_SILENCE_MINUTES", "30"),
+        "ALERT_POOL_SILENCE_MINUTES"
+      ),
+    },
+
+    // Prometheus Metrics Configuration
+    metrics: {
+      // Serve GET /metrics for Prometheus
+      enabled: parseBoolSafe(
+        getOptionalEnv("METRICS_ENABLED", "false"),
+        "METRICS_ENABLED"
+      ),
+      // Interface and port of the metrics endpoint
+      host: getOptionalEnv("METRICS_HOST", "0.0.0.0"),
+      port: parseIntSafe(
+        getOptionalEnv("METRICS_PORT", "9464"),
+        "METRICS_PORT"
+      ),
+    },
+
+    // Web Dashboard Configuration
+    dashboard: {
+      // Serve the live dashboard page and its event stream
+      enabled: parseBoolSafe(
+        getOptionalEnv("DASHBOARD_ENABLED", "false"),
+        "DASHBOARD_ENABLED"
+      ),
+      // Interface and port of the dashboard (localhost only by default)
+      host: getOptionalEnv("DASHBOARD_HOST", "127.0.0.1"),
+      port: parseIntSafe(
+        getOptionalEnv("DASHBOARD_PORT", "8080"),
+        "DASHBOARD_PORT"
+      ),
+      // Spread history points kept per pair, and budget curve points
+      historyPoints: parseIntSafe(
+        getOptionalEnv("DASHBOARD_HISTORY_POINTS", "500"),
+        "DASHBOARD_HISTORY_POINTS"
+      ),
+      // Rows in the recent opportunity table
+      maxOpportunities: parseIntSafe(
+        getOptionalEnv("DASHBOARD_MAX_OPPORTUNITIES", "50"),
+        "DASHBOARD_MAX_OPPORTUNITIES"
+      ),
+    },
+
+    // Backtest Configuration (node backtest.js)
+    backtest: {
+      // Blocks per eth_getLogs request when fetching Swap history (many RPCs cap the range)
+      logChunkBlocks: parseIntSafe(
+        getOptionalEnv("BACKTEST_LOG_CHUNK_BLOCKS", "2000"),
+        "BACKTEST_LOG_CHUNK_BLOCKS"
+      ),
+    },
+
+    // Swap Quoter Configuration
+    quoter: {
+      // tickBitmap words to load on each side of the current tick (one word = 256 * tickSpacing ticks)
+      wordRadius: parseIntSafe(
+        getOptionalEnv("QUOTER_WORD_RADIUS", "3"),
+        "QUOTER_WORD_RADIUS"
+      ),
+    },
+  };
+
+  // Load monitored tokens and pools (per-venue fallback gas cost lives in the registry, swap fees are read on-chain)
+  // Token decimals/symbols missing from the registry are read on-chain at startup
+  const registry = loadPoolRegistry(config.registryPath, env);
+  config.tokens = registry.tokens;
+  config.pools = registry.pools;
+
+  return config;
+}
+
+/**
+ * Log a loaded configuration: the summary in pretty mode, a "config_loaded" record in JSON mode
+ * @param {Object} config - From loadConfig()
+ */
+export function printConfig(config) {
+  logger.event("config_loaded", {
+    rpcEndpoints: config.rpc.baseUrls.map(endpointHost),
+    wsEndpoints: config.rpc.baseWssUrls.map(endpointHost),
+    rpcQuorum: config.rpc.quorum,
+    tokens: Object.values(config.tokens).map(({ key, symbol, address, decimals }) => ({ key, symbol, address, decimals })),
+    registryPath: config.registryPath,
+    pools: config.pools.map((pool) => ({ id: pool.id, label: pool.label, pair: `${pool.pair.base}/${pool.pair.quote}`, address: pool.address, gasFeeUSDC: pool.gasFeeUSDC })),
+    batchMode: config.blocks.batchMode,
+    confirmations: config.blocks.confirmations,
+    pendingSource: config.pending.source,
+    reference: config.reference.source === "off" ? null : {
+      source: config.reference.source,
+      endpoint: config.reference.wsUrl ? endpointHost(config.reference.wsUrl) : null,
+      products: config.reference.products,
+      cexFeeBps: config.reference.cexFeeBps,
+    },
+    priceChangeThreshold: config.thresholds.priceChange,
+    overallBudgetUSDC: config.arbitrage.overallBudgetUSDC,
+    budgetPercent: config.arbitrage.budgetPercent,
+    cycleMaxHops: config.cycles.maxHops,
+    verifier: { enabled: config.verifier.enabled, tolerancePct: config.verifier.tolerancePct },
+    priceGuard: config.priceGuard.enabled ? {
+      mode: config.priceGuard.mode,
+      twapSeconds: config.priceGuard.twapSeconds,
+      maxTwapDeviationPct: config.priceGuard.maxTwapDeviationPct,
+      oracle: config.priceGuard.oracleAddress ? { address: config.priceGuard.oracleAddress, pair: config.priceGuard.oraclePair, maxDeviationPct: config.priceGuard.maxOracleDeviationPct } : null,
+      maxPoolIdleMs: config.priceGuard.maxPoolIdleMs,
+    } : null,
+    executor: { mode: config.executor.mode, strategy: config.executor.strategy, slippageBps: config.executor.slippageBps },
+    gasOracle: config.gasOracle.enabled,
+    history: config.history.enabled ? config.history.dir : null,
+    risk: config.risk.enabled ? { ...config.risk } : null,
+    ledger: config.ledger.enabled ? { dir: config.ledger.dir, initialBalances: config.ledger.initialBalances, fillMode: config.ledger.fillMode, perVenue: config.ledger.perVenue } : null,
+    metrics: config.metrics.enabled ? `${config.metrics.host}:${config.metrics.port}` : null,
+    dashboard: config.dashboard.enabled ? `${config.dashboard.host}:${config.dashboard.port}` : null,
+    logLevel: config.log.level,
+  }, () => {
+    console.log("✅ Configuration loaded successfully:");
+    console.log(`   RPC: ${config.rpc.baseUrls.join(", ")} (max lag ${config.rpc.maxLagBlocks} blocks, timeout ${config.rpc.requestTimeoutMs}ms, ${config.rpc.quorum >= 2 ? `quorum of ${config.rpc.quorum} for critical reads` : "no quorum"})`);
+    console.log(`   WSS: ${config.rpc.baseWssUrls.join(", ")}`);
+    console.log(`   WebSocket: heartbeat every ${config.ws.heartbeatIntervalMs}ms (timeout ${config.ws.heartbeatTimeoutMs}ms), reconnect backoff ${config.ws.reconnectBaseDelayMs}-${config.ws.reconnectMaxDelayMs}ms`);
+    for (const token of Object.values(config.tokens)) {
+      const decimalsLabel = token.decimals === null ? "decimals read on-chain" : `${token.decimals} decimals`;
+      console.log(`   ${token.symbol || token.key}: ${token.address} (${decimalsLabel})`);
+    }
+    console.log(`   Pool Registry: ${config.registryPath} (${config.pools.length} pools)`);
+    for (const pool of config.pools) {
+      console.log(`   ${pool.label} ${pool.pair.base}/${pool.pair.quote}: ${pool.address} (Gas: $${pool.gasFeeUSDC} USDC, fee read on-chain)`);
+    }
+    console.log(`   Batching: once per ${config.blocks.batchMode} (${config.blocks.batchMode === "block" ? `complete after the next head or ${config.blocks.batchWindowMs}ms without Swaps` : `${config.blocks.batchWindowMs}ms windows`}), results final ${config.blocks.confirmations > 0 ? `after ${config.blocks.confirmations} confirmations` : "at once"}`);
+    console.log(`   Pending Swaps: ${{
+      off: "off",
+      mempool: "mempool (event socket)",
+      flashblocks: `flashblocks (pending block of ${config.pending.rpcUrl ? endpointHost(config.pending.rpcUrl) : "the RPC pool"} every ${config.pending.pollIntervalMs}ms)`,
+      mock: `mock (${config.pending.mockPath}, one every ${config.pending.mockIntervalMs}ms)`,
+    }[config.pending.source] ?? config.pending.source}`);
+    const referenceProducts = Object.entries(config.reference.products).map(([pair, product]) => `${pair} = ${product}`).join(", ");
+    console.log(`   Reference Prices: ${{
+      off: "off",
+      coinbase: `coinbase (${config.reference.wsUrl ? endpointHost(config.reference.wsUrl) : "Advanced Trade ticker"}: ${referenceProducts})`,
+      generic: `generic (${endpointHost(config.reference.wsUrl)}: ${referenceProducts})`,
+      mock: `mock (${config.reference.mockPath}, a step every ${config.reference.mockIntervalMs}ms)`,
+    }[config.reference.source] ?? config.reference.source}${config.reference.source === "off" ? "" : `, max age ${config.reference.maxAgeMs}ms, re-simulated on ${config.reference.changeBps} bps moves, CEX fee ${config.reference.cexFeeBps} bps`}`);
+    console.log(`   Price Change Threshold: $${config.thresholds.priceChange}`);
+    console.log(`   Arb Budget: $${config.arbitrage.overallBudgetUSDC} USDC (${config.arbitrage.budgetPercent}% per trade = $${(config.arbitrage.overallBudgetUSDC * config.arbitrage.budgetPercent / 100).toFixed(2)} USDC)`);
+    console.log(`   Trade Size Search: $${config.arbitrage.minTradeSizeUSDC} USDC to full budget (${config.arbitrage.sizeSearchPoints} points)`);
+    console.log(`   Cycle Search: up to ${config.cycles.maxHops} hops (top ${config.cycles.logTopN} logged)`);
+    console.log(`   Pre-trade Verification: ${config.verifier.enabled ? `on (±${config.verifier.tolerancePct}% via ${config.verifier.rpcUrl || "RPC pool"})` : "off"}`);
+    const guard = config.priceGuard;
+    console.log(`   Price Guard: ${guard.enabled ? `${guard.mode} (${[
+      guard.twapSeconds > 0 ? `spot within ±${guard.maxTwapDeviationPct}% of ${guard.twapSeconds}s TWAP` : null,
+      guard.oracleAddress ? `${guard.oraclePair} within ±${guard.maxOracleDeviationPct}% of oracle ${guard.oracleAddress} (answers ≤ ${guard.oracleMaxAgeMs / 1000}s old)` : null,
+      guard.maxPoolIdleMs > 0 ? `Swap in the last ${guard.maxPoolIdleMs / 1000}s` : null,
+    ].filter(Boolean).join(", ") || "no checks"})` : "off"}`);
+    console.log(`   Execution Mode: ${config.executor.mode}${config.executor.mode === "simulate" ? "" : ` (${config.executor.strategy}) via ${config.executor.rpcUrl}, slippage ${config.executor.slippageBps} bps`}`);
+    console.log(`   Gas Oracle: ${config.gasOracle.enabled ? `live every ${config.gasOracle.refreshBlocks} blocks (ETH priced from ${config.gasOracle.ethToken}/USDC pools), registry gas costs as fallback` : "off (registry gas costs)"}`);
+    console.log(`   History Store: ${config.history.enabled ? config.history.dir : "off"}`);
+    console.log(`   Risk Limits: ${config.risk.enabled ? `notional ≤ $${config.risk.maxNotionalUSDC}, net ≥ $${config.risk.minNetProfitUSDC} and ${config.risk.minNetProfitBps} bps, ≤ ${config.risk.maxTradesPerMinute} trades/min, daily loss < $${config.risk.dailyLossLimitUSDC}, prices ≤ ${config.risk.maxPriceAgeMs / 1000}s old and within ±${config.risk.maxPriceDeviationPct}%, cooldown ${config.risk.cooldownMs / 1000}s` : "off"}`);
+    console.log(`   Paper Ledger: ${config.ledger.enabled ? `${config.ledger.dir} (${config.ledger.fillMode}${config.ledger.perVenue ? ", per venue" : ""}, starting ${Object.entries(config.ledger.initialBalances).map(([token, amount]) => `${amount} ${token}`).join(" + ")})` : "off"}`);
+    console.log(`   Metrics: ${config.metrics.enabled ? `http://${config.metrics.host}:${config.metrics.port}/metrics` : "off"}`);
+    console.log(`   Dashboard: ${config.dashboard.enabled ? `http://${config.dashboard.host}:${config.dashboard.port}/ (${config.dashboard.historyPoints} history points, ${config.dashboard.maxOpportunities} opportunities)` : "off"}`);
+    console.log(`   Alerts: net ≥ $${config.alerts.minNetProfitUSDC}, spread ≥ ${config.alerts.minSpreadPct}%, open ≥ ${config.alerts.minDurationMs}ms, cooldown ${config.alerts.cooldownMs}ms, pool silence ${config.alerts.poolSilenceMinutes > 0 ? `${config.alerts.poolSilenceMinutes} min` : "off"}`);
+    console.log(`   Logging: ${config.log.format} (${config.log.level} and above)`);
+    console.log(`   Backtest Log Chunk: ${config.backtest.logChunkBlocks} blocks per getLogs request`);
+    console.log(`   Quoter Tick Window: ±${config.quoter.wordRadius} bitmap words`);
+    console.log();
+  });
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * Atomic two-leg arbitrage between two concentrated-liquidity pools of the same pair
+ *
+ * The buy leg is a V3 flash swap: the buy pool sends the base tokens first and
+ * calls back for payment. Inside that callback the base tokens are sold on the
+ * sell pool, and the buy pool is repaid from the proceeds. Both legs run in one
+ * transaction, so nothing is left half-done if either leg fails, and the whole
+ * transaction reverts unless the quote tokens left over reach `minProfit`.
+ *
+ * Works with Uniswap V3 and Aerodrome Slipstream pools (uniswapV3SwapCallback)
+ * and PancakeSwap V3 pools (pancakeV3SwapCallback). No capital is held between runs.
+ */
+
+interface IERC20 {
+    function balanceOf(address owner) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+interface IConcentratedLiquidityPool {
+    function token0() external view returns (address);
+    function token1() external view returns (address);
+    function swap(
+        address recipient,
+        bool zeroForOne,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) external returns (int256 amount0, int256 amount1);
+}
+
+contract FlashArbitrage {
+    struct Params {
+        address buyPool;               // Pool the base token is bought on (quote in, base out)
+        address sellPool;              // Pool the base token is sold on (base in, quote out)
+        bool buyZeroForOne;            // Swap direction on the buy pool
+        bool sellZeroForOne;           // Swap direction on the sell pool
+        uint256 amountIn;              // Exact quote token input of the buy leg
+        uint160 buySqrtPriceLimitX96;  // Price limit for the buy leg
+        uint160 sellSqrtPriceLimitX96; // Price limit for the sell leg
+        uint256 minProfit;             // Minimum quote tokens left after repaying the buy pool
+    }
+
+    address public immutable owner;
+
+    // Pool allowed to call back right now (zero outside of execute)
+    address private expectedPool;
+
+    event ArbitrageExecuted(address indexed buyPool, address indexed sellPool, uint256 amountIn, uint256 profit);
+
+    error NotOwner();
+    error UnexpectedCallback();
+    error InsufficientProfit(uint256 profit, uint256 minProfit);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    /**
+     * Run both legs and send the profit (in the quote token) to the owner
+     * @return profit Quote tokens earned after repaying the buy pool
+     */
+    function execute(Params calldata params) external onlyOwner returns (uint256 profit) {
+        IConcentratedLiquidityPool buyPool = IConcentratedLiquidityPool(params.buyPool);
+        address quoteToken = params.buyZeroForOne ? buyPool.token0() : buyPool.token1();
+        uint256 balanceBefore = IERC20(quoteToken).balanceOf(address(this));
+
+        expectedPool = params.buyPool;
+        buyPool.swap(address(this), params.buyZeroForOne, int256(params.amountIn), params.buySqrtPriceLimitX96, abi.encode(params, true));
+        expectedPool = address(0);
+
+        profit = IERC20(quoteToken).balanceOf(address(this)) - balanceBefore;
+        if (profit < params.minProfit) revert InsufficientProfit(profit, params.minProfit);
+        if (profit > 0) _pay(quoteToken, owner, profit);
+
+        emit ArbitrageExecuted(params.buyPool, params.sellPool, params.amountIn, profit);
+    }
+
+    /// Recover tokens sent to the contract by mistake
+    function withdraw(address token, uint256 amount) external onlyOwner {
+        _pay(token, owner, amount);
+    }
+
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external {
+        _swapCallback(amount0Delta, amount1Delta, data);
+    }
+
+    function pancakeV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external {
+        _swapCallback(amount0Delta, amount1Delta, data);
+    }
+
+    /**
+     * Buy leg callback: sell the base tokens just received, then repay the buy pool
+     * Sell leg callback: pay the sell pool in base tokens
+     */
+    function _swapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) private {
+        if (msg.sender != expectedPool) revert UnexpectedCallback();
+        (Params memory params, bool isBuyLeg) = abi.decode(data, (Params, bool));
+
+        // Positive delta is owed to the pool, negative delta was sent to us
+        bool owesToken0 = amount0Delta > 0;
+        uint256 amountOwed = uint256(owesToken0 ? amount0Delta : amount1Delta);
+        IConcentratedLiquidityPool pool = IConcentratedLiquidityPool(msg.sender);
+        address tokenOwed = owesToken0 ? pool.token0() : pool.token1();
+
+        if (isBuyLeg) {
+            uint256 baseReceived = uint256(-(owesToken0 ? amount1Delta : amount0Delta));
+            expectedPool = params.sellPool;
+            IConcentratedLiquidityPool(params.sellPool).swap(
+                address(this),
+                params.sellZeroForOne,
+                int256(baseReceived),
+                params.sellSqrtPriceLimitX96,
+                abi.encode(params, false)
+            );
+            expectedPool = params.buyPool;
+
+            // Fail with a clear reason before the repayment transfer would
+            uint256 available = IERC20(tokenOwed).balanceOf(address(this));
+            if (available < amountOwed + params.minProfit) {
+                revert InsufficientProfit(available > amountOwed ? available - amountOwed : 0, params.minProfit);
+            }
+        }
+
+        _pay(tokenOwed, msg.sender, amountOwed);
+    }
+
+    function _pay(address token, address to, uint256 amount) private {
+        (bool success, bytes memory result) = token.call(abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+        require(success && (result.length == 0 || abi.decode(result, (bool))), "transfer failed");
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   MULTI-HOP CYCLE FINDER                                                     ║
+ * ║   Builds a token graph from the monitored pools and enumerates trade cycles  ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every pool is an undirected edge between its base and quote token, traded in
+ * two directions: "buy" (quote in, base out) and "sell" (base in, quote out).
+ * A cycle is a path of swaps that starts and ends at the same token without
+ * revisiting a token in between, e.g. USDC → cbBTC → WETH → USDC. Several pools
+ * quoting the same pair give several edges, so the same token path can appear
+ * once per combination of venues.
+ */
+
+/**
+ * Build the directed token graph for a set of pools
+ * @param {Array} pools - Pools with `pair: { base, quote }`
+ * @returns {Map<string, Array>} Token key → outgoing hops { pool, side, tokenIn, tokenOut }
+ */
+export function buildTokenGraph(pools) {
+  const graph = new Map();
+  const addHop = (hop) => {
+    if (!graph.has(hop.tokenIn)) graph.set(hop.tokenIn, []);
+    graph.get(hop.tokenIn).push(hop);
+  };
+  for (const pool of pools) {
+    addHop({ pool, side: "buy", tokenIn: pool.pair.quote, tokenOut: pool.pair.base });
+    addHop({ pool, side: "sell", tokenIn: pool.pair.base, tokenOut: pool.pair.quote });
+  }
+  return graph;
+}
+
+/**
+ * Enumerate every simple cycle through a start token
+ * @param {Map<string, Array>} graph - Graph from buildTokenGraph()
+ * @param {string} startToken - Token the cycles start and end with
+ * @param {Object} [options]
+ * @param {number} [options.minHops] - Shortest cycle to return (2 would include same-pair round trips)
+ * @param {number} [options.maxHops] - Longest cycle to return
+ * @returns {Array<Array>} Cycles as ordered hop lists
+ */
+export function findCycles(graph, startToken, { minHops = 3, maxHops = 3 } = {}) {
+  const cycles = [];
+  const path = [];
+  const visited = new Set([startToken]);
+
+  const walk = (token) => {
+    for (const hop of graph.get(token) || []) {
+      if (hop.tokenOut === startToken) {
+        // Buying and selling back on the same pool is never an arbitrage
+        const reusesPool = path.some((step) => step.pool === hop.pool);
+        if (path.length + 1 >= minHops && !reusesPool) cycles.push([...path, hop]);
+        continue;
+      }
+      if (visited.has(hop.tokenOut) || path.length + 1 >= maxHops) continue;
+      visited.add(hop.tokenOut);
+      path.push(hop);
+      walk(hop.tokenOut);
+      path.pop();
+      visited.delete(hop.tokenOut);
+    }
+  };
+
+  walk(startToken);
+  return cycles;
+}
+
+/**
+ * Human-readable token route of a cycle, e.g. "USDC → cbBTC → WETH → USDC"
+ * @param {Array} cycle - Ordered hop list from findCycles()
+ * @returns {string}
+ */
+export function cycleRoute(cycle) {
+  return [cycle[0].tokenIn, ...cycle.map((hop) => hop.tokenOut)].join(" → ");
+}
@@ -0,0 +1,193 @@
+import fs from "fs";
+import http from "http";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   WEB DASHBOARD                                                              ║
+ * ║   Live prices, spreads, opportunities and budget over Server-Sent Events     ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The dashboard keeps a small in-memory view of the monitor and streams every
+ * change to connected browsers:
+ * - GET /         dashboard.html (no build step, no external scripts)
+ * - GET /state    current snapshot as JSON
+ * - GET /events   Server-Sent Events: a "snapshot" event on connect, then
+ *                 "price", "spreads", "opportunity" and "budget" events
+ *
+ * Spread history, the opportunity table and the budget curve are rolling
+ * windows (historyPoints / maxOpportunities entries); the full record lives in
+ * the history store.
+ */
+
+// Comment line sent to idle streams so proxies do not close them
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+const PAGE_PATH = new URL("./dashboard.html", import.meta.url);
+
+// Keep the last `limit` entries of a rolling window
+function pushRolling(list, entry, limit) {
+  list.push(entry);
+  if (list.length > limit) list.splice(0, list.length - limit);
+}
+
+/**
+ * Summarize a pairwise simulation with the breakdown logArbitrageOpportunity() prints
+ * @param {string} pair - Pair key (e.g. "cbBTC/USDC")
+ * @param {Object} arbResult - Result from calculateArbDirection(), optionally with guard and verification
+ * @returns {Object} Opportunity row for the dashboard
+ */
+export function summarizeArbitrage(pair, arbResult) {
+  const d = arbResult.details;
+  return {
+    ts: Date.now(),
+    pair,
+    direction: arbResult.direction,
+    isProfitable: arbResult.isProfitable,
+    stale: arbResult.verification ? arbResult.verification.stale : null,
+    suspicious: arbResult.guard ? arbResult.guard.suspicious : null,
+    tradeSizeUSDC: d.tradeSizeUSDC,
+    tradeSizeBase: d.tradeSizeBase,
+    buy: {
+      dex: d.buyDexName,
+      spotPrice: d.buyPrice,
+      execPrice: d.buyExecPrice,
+      priceImpactPct: d.buyPriceImpactPct,
+      beforeFeeUSDC: d.usdcSpentBeforeFee,
+      feeUSDC: d.buyTradeFeesUSDC,
+      totalUSDC: d.usdcSpentAfterFee,
+    },
+    sell: {
+      dex: d.sellDexName,
+      spotPrice: d.sellPrice,
+      execPrice: d.sellExecPrice,
+      priceImpactPct: d.sellPriceImpactPct,
+      beforeFeeUSDC: d.usdcReceivedBeforeFee,
+      feeUSDC: d.sellTradeFeesUSDC,
+      totalUSDC: d.usdcReceivedAfterFee,
+    },
+    grossSpreadUSDC: d.usdcReceivedBeforeFee - d.usdcSpentBeforeFee,
+    feesUSDC: d.buyTradeFeesUSDC + d.sellTradeFeesUSDC,
+    gasUSDC: d.totalGasCostUSDC,
+    netProfitUSDC: arbResult.netProfitUSDC,
+    netProfitPct: arbResult.netProfitPct,
+  };
+}
+
+/**
+ * Create the dashboard state and event stream
+ * @param {Object} options
+ * @param {number} options.historyPoints - Spread history points kept per pair, and budget curve points
+ * @param {number} options.maxOpportunities - Rows kept in the opportunity table
+ * @returns {Object} { updatePrice, updateSpreads, recordOpportunity, updateBudget, snapshot, subscribe }
+ */
+export function createDashboard({ historyPoints, maxOpportunities }) {
+  const prices = new Map();
+  const spreads = new Map();
+  const spreadHistory = new Map();
+  const opportunities = [];
+  const budget = [];
+  const clients = new Set();
+
+  const broadcast = (event, data) => {
+    const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(frame);
+  };
+
+  const snapshot = () => ({
+    prices: [...prices.values()],
+    spreads: Object.fromEntries(spreads),
+    spreadHistory: Object.fromEntries(spreadHistory),
+    opportunities,
+    budget,
+  });
+
+  return {
+    /**
+     * Record a pool's latest price
+     * @param {Object} price - { poolId, dex, label, pair, price, tick, blockNumber }
+     */
+    updatePrice(price) {
+      const entry = { ts: Date.now(), ...price };
+      prices.set(price.poolId, entry);
+      broadcast("price", entry);
+    },
+    /**
+     * Record a pair's pairwise spreads (from buildSpreads())
+     * @param {string} pair - Pair key
+     * @param {Array} pairSpreads - [{ dex1, dex2, spread }]
+     */
+    updateSpreads(pair, pairSpreads) {
+      const entry = { ts: Date.now(), spreads: pairSpreads.map(({ dex1, dex2, spread }) => ({ dex1, dex2, spread })) };
+      spreads.set(pair, entry);
+      if (!spreadHistory.has(pair)) spreadHistory.set(pair, []);
+      pushRolling(spreadHistory.get(pair), entry, historyPoints);
+      broadcast("spreads", { pair, ...entry });
+    },
+    /**
+     * Add a simulated opportunity to the table
+     * @param {Object} row - From summarizeArbitrage()
+     */
+    recordOpportunity(row) {
+      pushRolling(opportunities, row, maxOpportunities);
+      broadcast("opportunity", row);
+    },
+    /**
+     * Add a point to the budget curve
+     * @param {number} budgetUSDC - Current compounded budget
+     */
+    updateBudget(budgetUSDC) {
+      const point = { ts: Date.now(), budgetUSDC };
+      pushRolling(budget, point, historyPoints);
+      broadcast("budget", point);
+    },
+    snapshot,
+    // Attach an SSE response: send the snapshot now and every change after it
+    subscribe(res) {
+      res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot())}\n\n`);
+      clients.add(res);
+      const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_INTERVAL_MS);
+      res.on("close", () => {
+        clearInterval(keepalive);
+        clients.delete(res);
+      });
+    },
+  };
+}
+
+/**
+ * Serve the dashboard page, snapshot and event stream over HTTP
+ * @param {Object} dashboard - From createDashboard()
+ * @param {Object} options
+ * @param {string} options.host - Interface to listen on
+ * @param {number} options.port - Port to listen on
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startDashboardServer(dashboard, { host, port }) {
+  const page = fs.readFileSync(PAGE_PATH);
+  const server = http.createServer((req, res) => {
+    const path = req.url.split("?")[0];
+    if (req.method === "GET" && path === "/") {
+      res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+      res.end(page);
+    } else if (req.method === "GET" && path === "/state") {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(dashboard.snapshot()));
+    } else if (req.method === "GET" && path === "/events") {
+      res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache", connection: "keep-alive" });
+      dashboard.subscribe(res);
+    } else {
+      res.writeHead(404, { "content-type": "text/plain" });
+      res.end("Not found\n");
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      // Later server errors are logged instead of crashing the monitor
+      server.off("error", reject);
+      server.on("error", (error) => logger.error(`❌ Dashboard server error: ${error.message}`, { error: error.message }));
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,55 @@
+import { ethers } from "ethers";
+import dotenv from "dotenv";
+import { loadConfig } from "./config.js";
+import { FLASH_ARBITRAGE_ARTIFACT, deployFlashArbitrage, loadFlashArbitrageArtifact } from "./flashArbitrage.js";
+import { logger } from "./logger.js";
+
+// Load .env quietly (its banner line would break LOG_FORMAT=json output)
+dotenv.config({ quiet: true });
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   DEPLOY FLASH ARBITRAGE                                                     ║
+ * ║   Deploy build/FlashArbitrage.json with the executor's account               ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage: npm run deploy:flash (node deployFlashArbitrage.js)
+ *
+ * Deploys the artifact written by `npm run build:contracts` to EXECUTOR_RPC_URL,
+ * signed with EXECUTOR_PRIVATE_KEY. That account becomes the contract's owner,
+ * the only caller execute() accepts, so the executor must sign with it too.
+ * Point EXECUTOR_RPC_URL at a local fork (anvil --fork-url) to try it first.
+ */
+
+async function main() {
+  logger.configure({ format: process.env.LOG_FORMAT || "pretty", level: process.env.LOG_LEVEL || "info" });
+  const { rpcUrl, privateKey } = loadConfig().executor;
+  if (!privateKey) {
+    throw new Error("EXECUTOR_PRIVATE_KEY is required to deploy FlashArbitrage");
+  }
+  const artifact = loadFlashArbitrageArtifact();
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  try {
+    const wallet = new ethers.Wallet(privateKey, provider);
+    const { chainId } = await provider.getNetwork();
+    logger.info(`🚀 Deploying ${artifact.contractName} (solc ${artifact.compiler}) from ${wallet.address} on chain ${chainId}`, {
+      artifact: FLASH_ARBITRAGE_ARTIFACT,
+      deployer: wallet.address,
+      chainId: Number(chainId),
+    });
+
+    const contract = await deployFlashArbitrage(wallet, artifact);
+    const address = await contract.getAddress();
+    const txHash = contract.deploymentTransaction().hash;
+    logger.event("contract_deployed", { contract: artifact.contractName, address, owner: wallet.address, txHash },
+      `✅ ${artifact.contractName} deployed at ${address} (owner ${wallet.address}, tx ${txHash})\n   Set FLASH_ARB_CONTRACT_ADDRESS=${address} to use it with EXECUTOR_STRATEGY=flash`);
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((error) => {
+  logger.error(`❌ Deploy failed: ${error.message}`, { error: error.message });
+  process.exit(1);
+});
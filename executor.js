@@ -0,0 +1,313 @@
+import { ethers } from "ethers";
+import { minAmountOut, sqrtPriceLimit } from "./quoter.js";
+import { ERC20_ABI, SWAP_ROUTER_ABIS_BY_PROTOCOL } from "./abis.js";
+import { buildFlashArbitrageParams, encodeFlashArbitrage, decodeFlashArbitrageError, flashArbitrageInterface } from "./flashArbitrage.js";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   TRADE EXECUTOR                                                             ║
+ * ║   Turns a simulated arbitrage into signed router swaps                       ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Modes:
+ * - simulate: nothing is built (the monitor only reports opportunities)
+ * - dry-run:  approvals and both swap legs are built and signed but never broadcast
+ * - live:     transactions are broadcast and each receipt is confirmed before the next leg
+ *
+ * Strategies:
+ * - router: each leg is an exactInputSingle on the pool's router. The slippage limits
+ *   come from the simulation: amountOutMinimum is the quoted output less
+ *   EXECUTOR_SLIPPAGE_BPS, and sqrtPriceLimitX96 is the quoted post-trade price moved
+ *   by the same tolerance.
+ * - flash: both legs run atomically in one call to the FlashArbitrage contract
+ *   (contracts/FlashArbitrage.sol), which reverts below a minimum profit. The call
+ *   is checked with eth_call first so a revert costs no gas.
+ *
+ * Point EXECUTOR_RPC_URL at a local Anvil/Hardhat fork to exercise live mode safely.
+ */
+
+export const EXECUTION_MODES = ["simulate", "dry-run", "live"];
+export const EXECUTION_STRATEGIES = ["router", "flash"];
+
+// Default swap router per protocol on Base (override per pool with `router` in pools.json)
+export const DEFAULT_ROUTERS = {
+  uniswapV3: "0x2626664c2603336E57B271c5C0b26F421741e481", // Uniswap SwapRouter02
+  slipstream: "0xBE6D8f0d05cC4be24d5167a3eF062215bE6D18a5", // Aerodrome Slipstream SwapRouter
+  pancakeV3: "0x678Aa4bF4E210cf2166753e054d5b7c31cc7fa86", // PancakeSwap V3 SmartRouter
+};
+
+// ===== NONCES =====
+
+/**
+ * Local nonce counter so several transactions can be signed back to back
+ * @param {ethers.Provider} provider - Provider used to read the pending nonce
+ * @param {string} address - Sender address
+ * @returns {Object} { next, reset }
+ */
+function createNonceTracker(provider, address) {
+  let nextNonce = null;
+  return {
+    async next() {
+      if (nextNonce === null) {
+        nextNonce = await provider.getTransactionCount(address, "pending");
+      }
+      return nextNonce++;
+    },
+    // Forget the local counter; the next call re-reads the pending nonce from the node
+    reset() {
+      nextNonce = null;
+    },
+  };
+}
+
+// ===== TRANSACTION BUILDING =====
+
+/**
+ * Encode an exactInputSingle call for a pool's router
+ * @param {Object} pool - Monitored pool (protocol and tick spacing)
+ * @param {Object} leg - { tokenIn, tokenOut, feeTier, amountIn, amountOutMinimum, sqrtPriceLimitX96, recipient, deadline }
+ * @returns {string} Calldata
+ */
+export function encodeSwap(pool, leg) {
+  const router = new ethers.Interface(SWAP_ROUTER_ABIS_BY_PROTOCOL[pool.protocol]);
+  if (pool.protocol === "slipstream") {
+    return router.encodeFunctionData("exactInputSingle", [{
+      tokenIn: leg.tokenIn,
+      tokenOut: leg.tokenOut,
+      tickSpacing: pool.state.tickSpacing,
+      recipient: leg.recipient,
+      deadline: leg.deadline,
+      amountIn: leg.amountIn,
+      amountOutMinimum: leg.amountOutMinimum,
+      sqrtPriceLimitX96: leg.sqrtPriceLimitX96,
+    }]);
+  }
+  return router.encodeFunctionData("exactInputSingle", [{
+    tokenIn: leg.tokenIn,
+    tokenOut: leg.tokenOut,
+    fee: leg.feeTier,
+    recipient: leg.recipient,
+    amountIn: leg.amountIn,
+    amountOutMinimum: leg.amountOutMinimum,
+    sqrtPriceLimitX96: leg.sqrtPriceLimitX96,
+  }]);
+}
+
+/**
+ * Create a trade executor
+ * @param {Object} options
+ * @param {string} options.mode - "simulate", "dry-run" or "live"
+ * @param {string} options.strategy - "router" (two router swaps) or "flash" (FlashArbitrage contract)
+ * @param {string} [options.flashContract] - Deployed FlashArbitrage address (flash strategy)
+ * @param {number} options.flashMinProfitUSDC - Profit floor the flash contract enforces on top of gas
+ * @param {string} options.rpcUrl - RPC endpoint transactions are built against (mainnet or a local fork)
+ * @param {string} [options.privateKey] - Signing key (required unless mode is "simulate")
+ * @param {number} options.slippageBps - Output and price tolerance per leg
+ * @param {number} options.deadlineSeconds - Router deadline from signing time
+ * @param {number} options.gasLimitPerSwap - Gas limit for each swap and approval transaction
+ * @param {number} options.confirmations - Confirmations to wait for in live mode
+ * @param {number} options.receiptTimeoutMs - Give up waiting for a receipt after this long
+ * @returns {Object} { mode, address, execute(arbResult, pools) }
+ */
+export function createExecutor({ mode, strategy, flashContract, flashMinProfitUSDC, rpcUrl, privateKey, slippageBps, deadlineSeconds, gasLimitPerSwap, confirmations, receiptTimeoutMs }) {
+  if (!EXECUTION_MODES.includes(mode)) {
+    throw new Error(`Unknown execution mode "${mode}" (expected one of: ${EXECUTION_MODES.join(", ")})`);
+  }
+  if (!EXECUTION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown execution strategy "${strategy}" (expected one of: ${EXECUTION_STRATEGIES.join(", ")})`);
+  }
+  if (mode === "simulate") {
+    return { mode, strategy, address: null, execute: async () => ({ mode, status: "skipped" }) };
+  }
+  if (!privateKey) {
+    throw new Error(`EXECUTOR_PRIVATE_KEY is required in ${mode} mode`);
+  }
+  if (strategy === "flash" && !ethers.isAddress(flashContract)) {
+    throw new Error(`FLASH_ARB_CONTRACT_ADDRESS must be a deployed FlashArbitrage address for the flash strategy`);
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const nonces = createNonceTracker(provider, wallet.address);
+  let busy = false;
+
+  // Sign a transaction with the next local nonce and current EIP-1559 fees
+  const signTransaction = async (to, data, label) => {
+    const [network, feeData, nonce] = await Promise.all([provider.getNetwork(), provider.getFeeData(), nonces.next()]);
+    const signed = await wallet.signTransaction({
+      type: 2,
+      chainId: network.chainId,
+      nonce,
+      to,
+      data,
+      value: 0n,
+      gasLimit: BigInt(gasLimitPerSwap),
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+    });
+    const hash = ethers.Transaction.from(signed).hash;
+    logger.event("tx_signed", { label, nonce, txHash: hash }, `   ✍️  Signed ${label} (nonce ${nonce}): ${hash}`);
+    return { label, nonce, hash, signed };
+  };
+
+  // Broadcast a signed transaction and wait for a successful receipt
+  const sendAndConfirm = async (tx) => {
+    await provider.broadcastTransaction(tx.signed);
+    logger.event("tx_sent", { label: tx.label, txHash: tx.hash }, `   📤 Sent ${tx.label}: ${tx.hash}`);
+    const receipt = await provider.waitForTransaction(tx.hash, confirmations, receiptTimeoutMs);
+    if (!receipt) {
+      throw new Error(`${tx.label} not confirmed within ${receiptTimeoutMs}ms (${tx.hash})`);
+    }
+    if (receipt.status !== 1) {
+      throw new Error(`${tx.label} reverted in block ${receipt.blockNumber} (${tx.hash})`);
+    }
+    logger.event("tx_confirmed", { label: tx.label, txHash: tx.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed },
+      `   ✅ Confirmed ${tx.label} in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+    return { ...tx, receipt };
+  };
+
+  // Approve the router for a leg's input if the current allowance is too small
+  const buildApproval = async (token, router, amount) => {
+    const erc20 = new ethers.Contract(token.address, ERC20_ABI, provider);
+    const allowance = await erc20.allowance(wallet.address, router);
+    if (allowance >= amount) return null;
+    const data = erc20.interface.encodeFunctionData("approve", [router, amount]);
+    return signTransaction(token.address, data, `approve ${token.symbol}`);
+  };
+
+  // Build and sign one swap leg from its simulated quote, scaled to the actual input
+  const buildLeg = async (pool, side, quote, amountIn) => {
+    const isBuy = side === "buy";
+    const tokenIn = isBuy ? pool.quoteToken : pool.baseToken;
+    const tokenOut = isBuy ? pool.baseToken : pool.quoteToken;
+    const zeroForOne = isBuy ? pool.isInverted : !pool.isInverted;
+    const router = pool.router || DEFAULT_ROUTERS[pool.protocol];
+    const expectedOut = (quote.rawAmountOut * amountIn) / quote.rawAmountIn;
+
+    const leg = {
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      feeTier: pool.feeTier,
+      recipient: wallet.address,
+      deadline: Math.floor(Date.now() / 1000) + deadlineSeconds,
+      amountIn,
+      amountOutMinimum: minAmountOut(expectedOut, slippageBps),
+      sqrtPriceLimitX96: sqrtPriceLimit(quote.sqrtPriceX96After, zeroForOne, slippageBps),
+    };
+    logger.event("execution_leg", {
+      side,
+      pool: pool.id,
+      tokenIn: tokenIn.symbol,
+      amountIn: ethers.formatUnits(amountIn, tokenIn.decimals),
+      tokenOut: tokenOut.symbol,
+      amountOutMinimum: ethers.formatUnits(leg.amountOutMinimum, tokenOut.decimals),
+      router,
+    }, `   🔧 ${side.toUpperCase()} on ${pool.dex}: ${ethers.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol} → min ${ethers.formatUnits(leg.amountOutMinimum, tokenOut.decimals)} ${tokenOut.symbol} (router ${router})`);
+
+    const approval = await buildApproval(tokenIn, router, amountIn);
+    const swap = await signTransaction(router, encodeSwap(pool, leg), `${side} on ${pool.dex}`);
+    return { leg, approval, swap, tokenOut };
+  };
+
+  // Two router swaps: dry-run signs both legs, live confirms the buy before selling what it delivered
+  const executeWithRouters = async (arbResult, pools, transactions) => {
+    const d = arbResult.details;
+    const buyPool = pools[arbResult.buyDex];
+    const sellPool = pools[arbResult.sellDex];
+    const buy = await buildLeg(buyPool, "buy", d.buyQuote, d.buyQuote.rawAmountIn);
+
+    if (mode === "dry-run") {
+      // Sign the sell leg for the simulated buy output; nothing is broadcast
+      const sell = await buildLeg(sellPool, "sell", d.sellQuote, d.sellQuote.rawAmountIn);
+      transactions.push(...[buy.approval, buy.swap, sell.approval, sell.swap].filter(Boolean));
+      logger.info(`   🧪 Dry run: ${transactions.length} transactions signed, none broadcast\n`, { transactions: transactions.length });
+      return { mode, status: "signed", transactions };
+    }
+
+    const baseToken = new ethers.Contract(buyPool.baseToken.address, ERC20_ABI, provider);
+    const baseBefore = await baseToken.balanceOf(wallet.address);
+    if (buy.approval) transactions.push(await sendAndConfirm(buy.approval));
+    transactions.push(await sendAndConfirm(buy.swap));
+    const received = (await baseToken.balanceOf(wallet.address)) - baseBefore;
+
+    const sell = await buildLeg(sellPool, "sell", d.sellQuote, received);
+    if (sell.approval) transactions.push(await sendAndConfirm(sell.approval));
+    transactions.push(await sendAndConfirm(sell.swap));
+    logger.info(`   🏁 Both legs confirmed\n`);
+    return { mode, status: "confirmed", transactions };
+  };
+
+  // One atomic FlashArbitrage call, checked with eth_call before it is signed
+  const executeWithFlashContract = async (arbResult, pools, transactions) => {
+    const params = buildFlashArbitrageParams(arbResult, pools, { slippageBps, minProfitUSDC: flashMinProfitUSDC });
+    const quoteToken = pools[arbResult.buyDex].quoteToken;
+    const data = encodeFlashArbitrage(params);
+    logger.info(`   ⚡ FLASH via ${flashContract}: ${ethers.formatUnits(params.amountIn, quoteToken.decimals)} ${quoteToken.symbol} in, min profit ${ethers.formatUnits(params.minProfit, quoteToken.decimals)} ${quoteToken.symbol}`, {
+      contract: flashContract,
+      amountIn: ethers.formatUnits(params.amountIn, quoteToken.decimals),
+      minProfit: ethers.formatUnits(params.minProfit, quoteToken.decimals),
+      token: quoteToken.symbol,
+    });
+
+    try {
+      await provider.call({ from: wallet.address, to: flashContract, data });
+    } catch (error) {
+      const reason = decodeFlashArbitrageError(error.data) || error.shortMessage || error.message;
+      logger.warn(`   🚫 eth_call reverted: ${reason} - not sending\n`, { error: reason });
+      return { mode, status: "reverted", transactions, error: reason };
+    }
+
+    const tx = await signTransaction(flashContract, data, "flash arbitrage");
+    if (mode === "dry-run") {
+      transactions.push(tx);
+      logger.info(`   🧪 Dry run: flash arbitrage signed, not broadcast\n`);
+      return { mode, status: "signed", transactions };
+    }
+
+    const confirmed = await sendAndConfirm(tx);
+    transactions.push(confirmed);
+    for (const log of confirmed.receipt.logs) {
+      const event = flashArbitrageInterface.parseLog(log);
+      if (event?.name === "ArbitrageExecuted") {
+        logger.event("realized_profit", { txHash: confirmed.hash, profit: ethers.formatUnits(event.args.profit, quoteToken.decimals), token: quoteToken.symbol },
+          `   💵 Realized profit: ${ethers.formatUnits(event.args.profit, quoteToken.decimals)} ${quoteToken.symbol}`);
+      }
+    }
+    logger.info();
+    return { mode, status: "confirmed", transactions };
+  };
+
+  /**
+   * Execute a profitable arbitrage direction
+   * @param {Object} arbResult - Result from calculateArbDirection() (details carry the leg quotes)
+   * @param {Object} pools - The pair's monitored pools keyed by DEX name
+   * @returns {Promise<Object>} { mode, status, transactions, error? }
+   */
+  const execute = async (arbResult, pools) => {
+    if (busy) {
+      logger.info(`⏳ Executor busy - skipping ${arbResult.direction}`, { direction: arbResult.direction });
+      return { mode, status: "busy", transactions: [] };
+    }
+    busy = true;
+    const transactions = [];
+
+    logger.event("execution_started", { mode, strategy, pair: `${arbResult.pair.base}/${arbResult.pair.quote}`, direction: arbResult.direction, wallet: wallet.address },
+      `\n🤖 EXECUTOR (${mode}, ${strategy}): ${arbResult.direction} (${arbResult.pair.base}/${arbResult.pair.quote}) from ${wallet.address}`);
+    try {
+      return strategy === "flash"
+        ? await executeWithFlashContract(arbResult, pools, transactions)
+        : await executeWithRouters(arbResult, pools, transactions);
+    } catch (error) {
+      logger.errorEvent("execution_failed", { direction: arbResult.direction, error: error.shortMessage || error.message },
+        `   ❌ Execution failed: ${error.shortMessage || error.message}\n`);
+      return { mode, status: "failed", transactions, error: error.shortMessage || error.message };
+    } finally {
+      // Dry runs never consume nonces, and failed live runs resync from the node
+      nonces.reset();
+      busy = false;
+    }
+  };
+
+  return { mode, strategy, address: wallet.address, execute };
+}
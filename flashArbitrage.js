@@ -0,0 +1,130 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { FLASH_ARBITRAGE_ABI } from "./abis.js";
+import { sqrtPriceLimit } from "./quoter.js";
+
+/**
+ * Flash arbitrage caller
+ * Encodes calls to contracts/FlashArbitrage.sol, which runs both legs of a
+ * pairwise arbitrage in one transaction: a flash swap on the buy pool, a swap
+ * on the sell pool inside its callback, and a revert if the quote tokens left
+ * after repaying the buy pool fall below `minProfit`.
+ *
+ * Also compiles the contract (solc-js, a dev dependency) into
+ * build/FlashArbitrage.json and deploys it from that build.
+ */
+
+export const flashArbitrageInterface = new ethers.Interface(FLASH_ARBITRAGE_ABI);
+
+/**
+ * Build FlashArbitrage.execute() parameters from a simulated direction
+ * @param {Object} arbResult - Result from calculateArbDirection() (details carry the leg quotes)
+ * @param {Object} pools - The pair's monitored pools keyed by DEX name
+ * @param {Object} options
+ * @param {number} options.slippageBps - Tolerance applied to each leg's price limit
+ * @param {number} options.minProfitUSDC - Profit floor on top of the simulated gas cost
+ * @returns {Object} Params struct for execute()
+ */
+export function buildFlashArbitrageParams(arbResult, pools, { slippageBps, minProfitUSDC }) {
+  const d = arbResult.details;
+  const buyPool = pools[arbResult.buyDex];
+  const sellPool = pools[arbResult.sellDex];
+
+  // Quote token in on the buy pool, base token in on the sell pool (see quoteLeg)
+  const buyZeroForOne = buyPool.isInverted;
+  const sellZeroForOne = !sellPool.isInverted;
+
+  // The contract only sees swap output, so gas has to be covered by the profit floor
+  const minProfitQuote = (minProfitUSDC + d.totalGasCostUSDC) / d.quoteUsdPrice;
+
+  return {
+    buyPool: buyPool.address,
+    sellPool: sellPool.address,
+    buyZeroForOne,
+    sellZeroForOne,
+    amountIn: d.buyQuote.rawAmountIn,
+    buySqrtPriceLimitX96: sqrtPriceLimit(d.buyQuote.sqrtPriceX96After, buyZeroForOne, slippageBps),
+    sellSqrtPriceLimitX96: sqrtPriceLimit(d.sellQuote.sqrtPriceX96After, sellZeroForOne, slippageBps),
+    minProfit: ethers.parseUnits(minProfitQuote.toFixed(buyPool.quoteToken.decimals), buyPool.quoteToken.decimals),
+  };
+}
+
+/**
+ * Encode FlashArbitrage.execute() calldata
+ * @param {Object} params - Params from buildFlashArbitrageParams()
+ * @returns {string} Calldata
+ */
+export function encodeFlashArbitrage(params) {
+  return flashArbitrageInterface.encodeFunctionData("execute", [params]);
+}
+
+/**
+ * Decode a FlashArbitrage revert into a readable reason
+ * @param {string} data - Revert data
+ * @returns {string|null} e.g. "InsufficientProfit(1200, 5000)", or null if not a contract error
+ */
+export function decodeFlashArbitrageError(data) {
+  try {
+    const error = flashArbitrageInterface.parseError(data);
+    return error ? `${error.name}(${error.args.map(String).join(", ")})` : null;
+  } catch {
+    return null;
+  }
+}
+
+// ===== BUILD AND DEPLOY =====
+
+export const FLASH_ARBITRAGE_SOURCE = fileURLToPath(new URL("./contracts/FlashArbitrage.sol", import.meta.url));
+export const FLASH_ARBITRAGE_ARTIFACT = fileURLToPath(new URL("./build/FlashArbitrage.json", import.meta.url));
+
+/**
+ * Compile contracts/FlashArbitrage.sol
+ * @returns {Promise<Object>} Artifact { contractName, compiler, abi, bytecode }
+ */
+export async function compileFlashArbitrage() {
+  // Only the build needs the compiler, so it stays out of the runtime dependencies
+  const { default: solc } = await import("solc");
+  const input = {
+    language: "Solidity",
+    sources: { "FlashArbitrage.sol": { content: fs.readFileSync(FLASH_ARBITRAGE_SOURCE, "utf8") } },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      // Newer solc defaults target forks Base may not have activated yet
+      evmVersion: "cancun",
+      outputSelection: { "FlashArbitrage.sol": { FlashArbitrage: ["abi", "evm.bytecode.object"] } },
+    },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter((error) => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(`FlashArbitrage.sol does not compile:\n${errors.map((error) => error.formattedMessage).join("\n")}`);
+  }
+  const contract = output.contracts["FlashArbitrage.sol"].FlashArbitrage;
+  return { contractName: "FlashArbitrage", compiler: solc.version(), abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+}
+
+/**
+ * Read the artifact written by `npm run build:contracts`
+ * @param {string} [filePath] - Artifact path (build/FlashArbitrage.json by default)
+ * @returns {Object} Artifact { contractName, compiler, abi, bytecode }
+ */
+export function loadFlashArbitrageArtifact(filePath = FLASH_ARBITRAGE_ARTIFACT) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No FlashArbitrage build at ${filePath} - run "npm run build:contracts" first`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Deploy FlashArbitrage; the deploying account becomes its owner
+ * @param {ethers.Signer} signer - Deploying account
+ * @param {Object} artifact - { abi, bytecode } from compileFlashArbitrage() or the build
+ * @returns {Promise<ethers.Contract>} Deployed contract
+ */
+export async function deployFlashArbitrage(signer, artifact) {
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const contract = await factory.deploy();
+  await contract.waitForDeployment();
+  return contract;
+}
@@ -0,0 +1,117 @@
+import { ethers } from "ethers";
+import { GAS_PRICE_ORACLE_ABI } from "./abis.js";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   GAS ORACLE                                                                 ║
+ * ║   Live USDC cost of a swap transaction on Base                               ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A swap on Base pays two fees:
+ * - L2 execution: gas units × (base fee + priority fee)
+ * - L1 data fee: charged for posting the transaction to Ethereum, quoted by the
+ *   GasPriceOracle predeploy for a transaction of the given size
+ *
+ * The base fee comes from each new block header and the priority fee from
+ * eth_maxPriorityFeePerGas; both, plus the L1 fee, are refreshed every few blocks.
+ * The ETH cost is converted to USDC with a caller-supplied ETH price (the monitor
+ * uses its WETH/USDC pools). Until every input is known the oracle returns null
+ * and callers fall back to the configured per-pool gas constants.
+ */
+
+// OP Stack GasPriceOracle predeploy (same address on every OP Stack chain)
+export const GAS_PRICE_ORACLE_ADDRESS = "0x420000000000000000000000000000000000000F";
+
+// Typical gas units for one exactInputSingle swap per protocol (override per pool with `gasUnits`)
+export const SWAP_GAS_UNITS = {
+  uniswapV3: 130_000,
+  slipstream: 150_000,
+  pancakeV3: 140_000,
+};
+
+// Signed size of a router swap transaction, used for the L1 data fee quote
+const SWAP_TX_BYTES = 300;
+
+/**
+ * Create a gas oracle
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider emitting new blocks
+ * @param {number} options.refreshBlocks - Refresh fees every N blocks
+ * @param {Function} options.getEthUsdPrice - () => USDC per ETH, or null when unknown
+ * @returns {Object} { start, stop, setProvider, swapCostUSDC, snapshot }
+ */
+export function createGasOracle({ provider, refreshBlocks, getEthUsdPrice }) {
+  let gasPriceOracle = new ethers.Contract(GAS_PRICE_ORACLE_ADDRESS, GAS_PRICE_ORACLE_ABI, provider);
+  let baseFeePerGas = null;
+  let priorityFeePerGas = null;
+  let l1FeeWei = null;
+  let lastRefreshBlock = null;
+  let refreshing = false;
+
+  // Read the latest base fee, priority fee and L1 data fee
+  const refresh = async () => {
+    if (refreshing) return;
+    refreshing = true;
+    try {
+      const [block, priorityFee, l1Fee] = await Promise.all([
+        provider.getBlock("latest"),
+        provider.send("eth_maxPriorityFeePerGas", []),
+        gasPriceOracle.getL1FeeUpperBound(SWAP_TX_BYTES),
+      ]);
+      baseFeePerGas = block.baseFeePerGas;
+      priorityFeePerGas = BigInt(priorityFee);
+      l1FeeWei = l1Fee;
+      lastRefreshBlock = block.number;
+    } catch (error) {
+      logger.error(`⛽ Gas oracle refresh failed (keeping previous values): ${error.shortMessage || error.message}`, { error: error.shortMessage || error.message });
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  const onBlock = (blockNumber) => {
+    if (lastRefreshBlock === null || blockNumber - lastRefreshBlock >= refreshBlocks) {
+      refresh();
+    }
+  };
+
+  /**
+   * Live USDC cost of one swap transaction on a pool
+   * @param {Object} pool - Registry pool (protocol, optional gasUnits)
+   * @returns {number|null} USDC cost, or null until fees and the ETH price are known
+   */
+  const swapCostUSDC = (pool) => {
+    const ethUsdPrice = getEthUsdPrice();
+    const gasUnits = pool.gasUnits || SWAP_GAS_UNITS[pool.protocol];
+    if (baseFeePerGas === null || l1FeeWei === null || !ethUsdPrice || !gasUnits) return null;
+    const costWei = BigInt(gasUnits) * (baseFeePerGas + priorityFeePerGas) + l1FeeWei;
+    return Number(ethers.formatEther(costWei)) * ethUsdPrice;
+  };
+
+  return {
+    // Read fees once, then follow new blocks
+    async start() {
+      await refresh();
+      provider.on("block", onBlock);
+    },
+    stop() {
+      // The provider may already be closed
+      provider.off("block", onBlock).catch(() => {});
+    },
+    // Follow blocks on a new provider (after a reconnect) and refresh right away
+    async setProvider(newProvider) {
+      // The old provider is usually already destroyed
+      provider.off("block", onBlock).catch(() => {});
+      provider = newProvider;
+      gasPriceOracle = new ethers.Contract(GAS_PRICE_ORACLE_ADDRESS, GAS_PRICE_ORACLE_ABI, provider);
+      await refresh();
+      provider.on("block", onBlock);
+    },
+    swapCostUSDC,
+    // Current inputs, for logging
+    snapshot() {
+      return { baseFeePerGas, priorityFeePerGas, l1FeeWei, ethUsdPrice: getEthUsdPrice(), blockNumber: lastRefreshBlock };
+    },
+  };
+}
@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   HISTORY STORE                                                              ║
+ * ║   Append-only JSONL record of prices and simulated arbitrage                 ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Two files in the history directory, one JSON object per line:
+ * - prices.jsonl: every Swap-derived pool price
+ *   { ts, poolId, dex, pair, price, tick, sqrtPriceX96, liquidity, blockNumber, txHash }
+ * - arbitrage.jsonl: every simulated opportunity (pairwise and cycle)
+ *   { ts, kind, pair, direction, spreadPct, tradeSizeUSDC, netProfitUSDC, feesUSDC,
+ *     gasCostUSDC, isProfitable, stale, budgetUSDC }
+ *
+ * `ts` is milliseconds since the epoch. Files are only ever appended to, so they
+ * survive restarts and can be tailed, rotated or copied while the monitor runs.
+ * The query helpers below read them back for spread statistics.
+ */
+
+export const PRICES_FILE = "prices.jsonl";
+export const ARBITRAGE_FILE = "arbitrage.jsonl";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create a history store that appends records to JSONL files
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the history files (created if missing)
+ * @returns {Object} { dir, recordPrice, recordArbitrage, close }
+ */
+export function createHistoryStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const streams = {
+    prices: fs.createWriteStream(path.join(dir, PRICES_FILE), { flags: "a" }),
+    arbitrage: fs.createWriteStream(path.join(dir, ARBITRAGE_FILE), { flags: "a" }),
+  };
+  for (const [name, stream] of Object.entries(streams)) {
+    stream.on("error", (error) => {
+      logger.error(`❌ History store (${name}) write failed: ${error.message}`, { file: name, error: error.message });
+    });
+  }
+
+  // BigInts (sqrtPriceX96, liquidity) are stored as decimal strings
+  const append = (stream, record) => {
+    stream.write(JSON.stringify({ ts: Date.now(), ...record }, (key, value) => (typeof value === "bigint" ? value.toString() : value)) + "\n");
+  };
+
+  return {
+    dir,
+    /**
+     * Record a Swap-derived pool price
+     * @param {Object} record - { poolId, dex, pair, price, tick, sqrtPriceX96, liquidity, blockNumber, txHash }
+     */
+    recordPrice(record) {
+      append(streams.prices, record);
+    },
+    /**
+     * Record a simulated arbitrage result
+     * @param {Object} record - { kind: "pair" | "cycle", pair, direction, spreadPct, tradeSizeUSDC, netProfitUSDC, feesUSDC, gasCostUSDC, isProfitable, stale, budgetUSDC }
+     */
+    recordArbitrage(record) {
+      append(streams.arbitrage, record);
+    },
+    // Flush and close both files
+    close() {
+      return Promise.all(Object.values(streams).map((stream) => new Promise((resolve) => stream.end(resolve))));
+    },
+  };
+}
+
+// ===== QUERY HELPERS =====
+
+/**
+ * Read one history file back, optionally limited to a time window
+ * Lines that are not valid JSON (e.g. a partial line after a crash) are skipped
+ * @param {string} dir - History directory
+ * @param {string} file - PRICES_FILE or ARBITRAGE_FILE
+ * @param {Object} [options]
+ * @param {number} [options.since] - Earliest ts to include (ms)
+ * @param {number} [options.until] - Latest ts to include (ms)
+ * @returns {Promise<Array>} Records in file order
+ */
+export async function readHistory(dir, file, { since = -Infinity, until = Infinity } = {}) {
+  const filePath = path.join(dir, file);
+  if (!fs.existsSync(filePath)) return [];
+
+  const records = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (record.ts >= since && record.ts <= until) records.push(record);
+  }
+  return records;
+}
+
+// Group records by a key function into a Map
+function groupBy(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return groups;
+}
+
+// Value at a percentile (0-100) of an ascending array
+function percentile(sorted, pct) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((pct / 100) * sorted.length) - 1));
+  return sorted[index];
+}
+
+/**
+ * Distribution of the best spread seen per pair
+ * @param {Array} arbitrageRecords - Records from readHistory(dir, ARBITRAGE_FILE)
+ * @returns {Object} { [pair]: { count, mean, min, p50, p90, p99, max } } (spreads in %)
+ */
+export function spreadDistribution(arbitrageRecords) {
+  const result = {};
+  const pairRecords = arbitrageRecords.filter((record) => record.kind === "pair" && Number.isFinite(record.spreadPct));
+  for (const [pair, records] of groupBy(pairRecords, (record) => record.pair)) {
+    const spreads = records.map((record) => record.spreadPct).sort((a, b) => a - b);
+    result[pair] = {
+      count: spreads.length,
+      mean: spreads.reduce((sum, spread) => sum + spread, 0) / spreads.length,
+      min: spreads[0],
+      p50: percentile(spreads, 50),
+      p90: percentile(spreads, 90),
+      p99: percentile(spreads, 99),
+      max: spreads[spreads.length - 1],
+    };
+  }
+  return result;
+}
+
+/**
+ * How long each pair stayed profitable
+ * Each simulation's verdict holds until the pair's next simulation; the last one
+ * holds until `until` (default: its own timestamp, i.e. it adds no time)
+ * @param {Array} arbitrageRecords - Records from readHistory(dir, ARBITRAGE_FILE)
+ * @param {Object} [options]
+ * @param {number} [options.until] - End of the observation window (ms)
+ * @returns {Object} { [pair]: { observedMs, profitableMs, profitablePct } }
+ */
+export function timeProfitablePerPair(arbitrageRecords, { until } = {}) {
+  const result = {};
+  const pairRecords = arbitrageRecords.filter((record) => record.kind === "pair");
+  for (const [pair, records] of groupBy(pairRecords, (record) => record.pair)) {
+    const sorted = [...records].sort((a, b) => a.ts - b.ts);
+    let observedMs = 0;
+    let profitableMs = 0;
+    sorted.forEach((record, i) => {
+      const end = i + 1 < sorted.length ? sorted[i + 1].ts : Math.max(until ?? record.ts, record.ts);
+      const duration = end - record.ts;
+      observedMs += duration;
+      if (record.isProfitable) profitableMs += duration;
+    });
+    result[pair] = {
+      observedMs,
+      profitableMs,
+      profitablePct: observedMs > 0 ? (profitableMs / observedMs) * 100 : 0,
+    };
+  }
+  return result;
+}
+
+/**
+ * Profitable opportunities per UTC hour
+ * @param {Array} arbitrageRecords - Records from readHistory(dir, ARBITRAGE_FILE)
+ * @returns {Array} [{ hour, total, byPair: { [pair]: count } }] in time order; hour is an ISO timestamp
+ */
+export function opportunityCountsPerHour(arbitrageRecords) {
+  const profitable = arbitrageRecords.filter((record) => record.isProfitable);
+  const hours = groupBy(profitable, (record) => Math.floor(record.ts / HOUR_MS) * HOUR_MS);
+  return [...hours.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([hourStart, records]) => {
+      const byPair = {};
+      for (const record of records) {
+        byPair[record.pair] = (byPair[record.pair] || 0) + 1;
+      }
+      return { hour: new Date(hourStart).toISOString(), total: records.length, byPair };
+    });
+}
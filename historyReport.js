@@ -0,0 +1,101 @@
+import dotenv from "dotenv";
+import {
+  ARBITRAGE_FILE,
+  PRICES_FILE,
+  readHistory,
+  spreadDistribution,
+  timeProfitablePerPair,
+  opportunityCountsPerHour,
+} from "./history.js";
+import { logger } from "./logger.js";
+
+// Load .env quietly (its banner line would break LOG_FORMAT=json output)
+dotenv.config({ quiet: true });
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   HISTORY REPORT                                                             ║
+ * ║   Spread statistics from the monitor's JSONL history                         ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Usage: node historyReport.js [hours]
+ *
+ * Reads HISTORY_DIR (default ./data) and prints, for the last `hours` hours
+ * (default: everything recorded):
+ * - the spread distribution per pair
+ * - the share of time each pair was profitable
+ * - profitable opportunities per hour
+ *
+ * LOG_FORMAT=json writes the same statistics as one "history_report" record.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Format a duration in milliseconds as e.g. "2h 05m"
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60_000);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+/**
+ * Print the report
+ * @param {Object} report - Fields of the "history_report" record
+ */
+function printReport({ dir, hours, prices, simulations, spreadDistribution, timeProfitable, opportunitiesPerHour }) {
+  console.log("=".repeat(80));
+  console.log(`🗄️  HISTORY REPORT: ${dir}${hours !== null ? ` (last ${hours}h)` : ""}`);
+  console.log("=".repeat(80));
+  console.log(`   ${prices} price updates, ${simulations} simulated opportunities\n`);
+  if (simulations === 0) return;
+
+  console.log("📊 SPREAD DISTRIBUTION (best spread per simulation):");
+  for (const [pair, stats] of Object.entries(spreadDistribution)) {
+    console.log(`   ${pair}: n=${stats.count} mean ${stats.mean.toFixed(3)}% | min ${stats.min.toFixed(3)}% | p50 ${stats.p50.toFixed(3)}% | p90 ${stats.p90.toFixed(3)}% | p99 ${stats.p99.toFixed(3)}% | max ${stats.max.toFixed(3)}%`);
+  }
+  console.log();
+
+  console.log("⏱️  TIME PROFITABLE:");
+  for (const [pair, time] of Object.entries(timeProfitable)) {
+    console.log(`   ${pair}: ${formatDuration(time.profitableMs)} of ${formatDuration(time.observedMs)} (${time.profitablePct.toFixed(2)}%)`);
+  }
+  console.log();
+
+  console.log("🕐 PROFITABLE OPPORTUNITIES PER HOUR (UTC):");
+  if (opportunitiesPerHour.length === 0) {
+    console.log("   none");
+  }
+  for (const { hour, total, byPair } of opportunitiesPerHour) {
+    const breakdown = Object.entries(byPair).map(([pair, count]) => `${pair}: ${count}`).join(", ");
+    console.log(`   ${hour.slice(0, 13)}:00  ${total}  (${breakdown})`);
+  }
+}
+
+async function main() {
+  logger.configure({ format: process.env.LOG_FORMAT || "pretty", level: process.env.LOG_LEVEL || "info" });
+  const dir = process.env.HISTORY_DIR || "./data";
+  const hours = process.argv[2] ? parseFloat(process.argv[2]) : null;
+  if (hours !== null && (isNaN(hours) || hours <= 0)) {
+    throw new Error(`Invalid number of hours: ${process.argv[2]}`);
+  }
+  const now = Date.now();
+  const window = hours !== null ? { since: now - hours * HOUR_MS } : {};
+
+  const prices = await readHistory(dir, PRICES_FILE, window);
+  const arbitrage = await readHistory(dir, ARBITRAGE_FILE, window);
+
+  const report = {
+    dir,
+    hours,
+    prices: prices.length,
+    simulations: arbitrage.length,
+    spreadDistribution: spreadDistribution(arbitrage),
+    timeProfitable: timeProfitablePerPair(arbitrage),
+    opportunitiesPerHour: opportunityCountsPerHour(arbitrage),
+  };
+  logger.event("history_report", report, () => printReport(report));
+}
+
+main().catch((error) => {
+  logger.error(`❌ History report failed: ${error.message}`, { error: error.message });
+  process.exit(1);
+});
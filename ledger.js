@@ -0,0 +1,310 @@
+import fs from "fs";
+import path from "path";
+import { BUDGET_TOKEN } from "./arbitrage.js";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   PAPER-TRADING LEDGER                                                       ║
+ * ║   Token inventory, simulated fills and realized / unrealized PnL             ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The ledger replaces the single compounding budget float with balances per
+ * token. Every profitable simulation becomes a fill: a list of swap legs
+ * (tokenIn → tokenOut) plus gas. A fill that needs more of a token than the
+ * account holds is rejected and leaves the balances untouched.
+ *
+ * Accounts: one "wallet" by default; with perVenue every DEX holds its own
+ * inventory (each starting with the initial balances), so a leg can only spend
+ * what its venue holds and inventory drifts between venues as it would across
+ * separate wallets.
+ *
+ * Pairwise legs are checked either simultaneously (fill mode "inventory": both
+ * legs fire at once from pre-positioned inventory, so the base token sold must
+ * already be held) or sequentially (fill mode "round-trip": each leg spends what
+ * the previous legs left, so a USDC-only account can buy on one DEX and sell the
+ * same tokens on another). Cycle hops are always sequential.
+ *
+ * PnL uses average cost in USDC: a leg into a token adds the cost of what it
+ * spent to that token's cost basis; a leg back into USDC realizes the proceeds
+ * minus the average cost of the tokens sold. Gas is paid in USDC and realized
+ * immediately. Unrealized PnL marks every non-USDC holding at the current pool
+ * price against its cost basis.
+ *
+ * Files in the ledger directory:
+ * - ledger.json: current state, rewritten after every fill (resumed on restart)
+ * - fills.jsonl: append-only record of every accepted fill
+ */
+
+export const LEDGER_FILE = "ledger.json";
+export const FILLS_FILE = "fills.jsonl";
+export const FILL_MODES = ["round-trip", "inventory"];
+
+// Single account name when balances are not tracked per venue
+const WALLET = "wallet";
+
+// Balances within this of zero count as zero (float dust from repeated fills)
+const DUST = 1e-12;
+
+const formatAmount = (amount) => Number(amount.toPrecision(8)).toString();
+
+/**
+ * Create a paper-trading ledger, resuming its saved state when there is one
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding ledger.json and fills.jsonl (created if missing)
+ * @param {Object} options.initialBalances - Starting amount per token key, e.g. { USDC: 10000, cbBTC: 0.1 }
+ * @param {string} options.fillMode - "round-trip" or "inventory" (how pairwise legs are checked)
+ * @param {boolean} options.perVenue - Track a separate inventory per DEX
+ * @param {Array<string>} options.venues - DEX names (accounts when perVenue)
+ * @param {Function} options.markPrice - (tokenKey) => USDC price or null; values the initial inventory
+ * @returns {Object} { resumed, fill, valuation, close }
+ */
+export function createLedger({ dir, initialBalances, fillMode, perVenue, venues, markPrice }) {
+  if (!FILL_MODES.includes(fillMode)) {
+    throw new Error(`Unknown paper fill mode "${fillMode}" (expected one of: ${FILL_MODES.join(", ")})`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const statePath = path.join(dir, LEDGER_FILE);
+
+  const fundedAccount = () => ({ ...initialBalances });
+  const initialCostBasis = (accountCount) => {
+    const costBasis = {};
+    for (const [token, amount] of Object.entries(initialBalances)) {
+      if (token === BUDGET_TOKEN) continue;
+      const price = markPrice(token);
+      if (price === null) throw new Error(`Ledger: no USDC price for initial ${token} balance`);
+      costBasis[token] = amount * price * accountCount;
+    }
+    return costBasis;
+  };
+
+  const accounts = perVenue ? venues : [WALLET];
+  const resumed = fs.existsSync(statePath);
+  let state;
+  if (resumed) {
+    state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    if (state.perVenue !== perVenue) {
+      throw new Error(`Ledger ${statePath} was kept ${state.perVenue ? "per venue" : "in one wallet"}; move it away to change PAPER_LEDGER_PER_VENUE`);
+    }
+    // Venues added to the registry since the last run start with the initial balances
+    for (const account of accounts.filter((name) => !state.balances[name])) {
+      state.balances[account] = fundedAccount();
+      for (const [token, cost] of Object.entries(initialCostBasis(1))) {
+        state.costBasis[token] = (state.costBasis[token] || 0) + cost;
+      }
+    }
+  } else {
+    state = {
+      createdAt: Date.now(),
+      perVenue,
+      balances: Object.fromEntries(accounts.map((account) => [account, fundedAccount()])),
+      costBasis: initialCostBasis(accounts.length),
+      realizedPnlUSDC: 0,
+      gasPaidUSDC: 0,
+      fills: 0,
+      rejected: 0,
+    };
+  }
+
+  const fills = fs.createWriteStream(path.join(dir, FILLS_FILE), { flags: "a" });
+  fills.on("error", (error) => {
+    logger.error(`❌ Ledger fill log write failed: ${error.message}`, { error: error.message });
+  });
+
+  // Write to a temporary file first so a crash mid-write cannot corrupt the saved state
+  const save = () => {
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+  };
+  if (!resumed) save();
+
+  const balanceOf = (balances, account, token) => balances[account]?.[token] || 0;
+  const totalOf = (token) => Object.values(state.balances).reduce((sum, balances) => sum + (balances[token] || 0), 0);
+
+  // Debit or credit one account, dropping float dust
+  const adjust = (balances, account, token, delta) => {
+    balances[account] = balances[account] || {};
+    const next = (balances[account][token] || 0) + delta;
+    balances[account][token] = Math.abs(next) < DUST ? 0 : next;
+  };
+
+  // First shortfall of a fill against the current balances, or null when it can be filled
+  const findShortfall = (legs, gasUSDC, sequential) => {
+    const balances = structuredClone(state.balances);
+    const needs = new Map();
+    const spend = (account, token, amount) => {
+      if (sequential) {
+        if (amount > balanceOf(balances, account, token) + DUST) {
+          return { account, token, need: amount, have: balanceOf(balances, account, token) };
+        }
+        adjust(balances, account, token, -amount);
+        return null;
+      }
+      const key = `${account}\u0000${token}`;
+      needs.set(key, { account, token, need: (needs.get(key)?.need || 0) + amount });
+      return null;
+    };
+    for (const leg of legs) {
+      const shortfall = spend(leg.account, leg.tokenIn, leg.amountIn);
+      if (shortfall) return shortfall;
+      if (sequential) adjust(balances, leg.account, leg.tokenOut, leg.amountOut);
+    }
+    const gasShortfall = spend(legs[0].account, BUDGET_TOKEN, gasUSDC);
+    if (gasShortfall) return gasShortfall;
+    for (const { account, token, need } of needs.values()) {
+      const have = balanceOf(state.balances, account, token);
+      if (need > have + DUST) return { account, token, need, have };
+    }
+    return null;
+  };
+
+  // Mark-to-market view of the whole inventory
+  const valuation = () => {
+    const tokens = [...new Set(Object.values(state.balances).flatMap((balances) => Object.keys(balances)))];
+    const positions = {};
+    let equityUSDC = 0;
+    let unrealizedPnlUSDC = 0;
+    const unpriced = [];
+    for (const token of tokens) {
+      const amount = totalOf(token);
+      const price = markPrice(token);
+      const costUSDC = token === BUDGET_TOKEN ? amount : state.costBasis[token] || 0;
+      const valueUSDC = price === null ? null : amount * price;
+      const unrealizedUSDC = valueUSDC === null || token === BUDGET_TOKEN ? 0 : valueUSDC - costUSDC;
+      positions[token] = { amount, price, costUSDC, valueUSDC, unrealizedUSDC };
+      if (valueUSDC === null) {
+        unpriced.push(token);
+        continue;
+      }
+      equityUSDC += valueUSDC;
+      unrealizedPnlUSDC += unrealizedUSDC;
+    }
+    return {
+      positions,
+      balances: structuredClone(state.balances),
+      realizedPnlUSDC: state.realizedPnlUSDC,
+      unrealizedPnlUSDC,
+      equityUSDC,
+      unpriced,
+      gasPaidUSDC: state.gasPaidUSDC,
+      fills: state.fills,
+      rejected: state.rejected,
+    };
+  };
+
+  return {
+    // True when the state was loaded from an earlier run
+    resumed,
+    /**
+     * Record a simulated fill, or reject it when an account lacks the tokens
+     * @param {Object} fill
+     * @param {string} fill.kind - "pair" or "cycle"
+     * @param {string} fill.label - Pair + direction, or cycle route
+     * @param {Array<Object>} fill.legs - In execution order, from pairFillLegs() or cycleFillLegs()
+     * @param {number} fill.gasUSDC - Gas cost, paid in USDC from the first leg's account
+     * @returns {Object} { accepted, realizedPnlUSDC, reason }
+     */
+    fill({ kind, label, legs: venueLegs, gasUSDC }) {
+      const legs = venueLegs.map((leg) => ({ ...leg, account: perVenue ? leg.venue : WALLET }));
+      const sequential = kind === "cycle" || fillMode === "round-trip";
+      const shortfall = findShortfall(legs, gasUSDC, sequential);
+      if (shortfall) {
+        state.rejected++;
+        save();
+        const where = perVenue ? ` on ${shortfall.account}` : "";
+        return {
+          accepted: false,
+          realizedPnlUSDC: 0,
+          reason: `insufficient ${shortfall.token}${where}: need ${formatAmount(shortfall.need)}, have ${formatAmount(shortfall.have)}`,
+        };
+      }
+
+      let realizedPnlUSDC = -gasUSDC;
+      for (const leg of legs) {
+        // USDC cost of what the leg spends, at the token's average cost
+        let spentCostUSDC = leg.amountIn;
+        if (leg.tokenIn !== BUDGET_TOKEN) {
+          const held = totalOf(leg.tokenIn);
+          const averageCost = held > 0 ? (state.costBasis[leg.tokenIn] || 0) / held : 0;
+          spentCostUSDC = averageCost * leg.amountIn;
+          state.costBasis[leg.tokenIn] = (state.costBasis[leg.tokenIn] || 0) - spentCostUSDC;
+        }
+        adjust(state.balances, leg.account, leg.tokenIn, -leg.amountIn);
+        adjust(state.balances, leg.account, leg.tokenOut, leg.amountOut);
+        if (leg.tokenOut === BUDGET_TOKEN) {
+          realizedPnlUSDC += leg.amountOut - spentCostUSDC;
+        } else {
+          state.costBasis[leg.tokenOut] = (state.costBasis[leg.tokenOut] || 0) + spentCostUSDC;
+        }
+      }
+      adjust(state.balances, legs[0].account, BUDGET_TOKEN, -gasUSDC);
+      state.realizedPnlUSDC += realizedPnlUSDC;
+      state.gasPaidUSDC += gasUSDC;
+      state.fills++;
+      save();
+      fills.write(JSON.stringify({ ts: Date.now(), kind, label, legs, gasUSDC, realizedPnlUSDC }) + "\n");
+      return { accepted: true, realizedPnlUSDC, reason: null };
+    },
+    valuation,
+    // Flush the fill log
+    close() {
+      return new Promise((resolve) => fills.end(resolve));
+    },
+  };
+}
+
+// ===== FILL HELPERS =====
+
+/**
+ * Swap legs of a pairwise simulation: quote → base on the buy DEX, base → quote on the sell DEX
+ * @param {Object} arbResult - Result from calculateArbDirection()
+ * @param {Map<string, Object>} poolsById - Monitored pools by registry id (results name tokens by symbol, the ledger by key)
+ * @returns {Array<Object>} [{ venue, tokenIn, amountIn, tokenOut, amountOut }] in token units
+ */
+export function pairFillLegs(arbResult, poolsById) {
+  const d = arbResult.details;
+  const { pair } = poolsById.get(d.buyPoolId);
+  return [
+    { venue: d.buyDexName, tokenIn: pair.quote, amountIn: d.buyQuote.amountIn, tokenOut: pair.base, amountOut: d.buyQuote.amountOut },
+    { venue: d.sellDexName, tokenIn: pair.base, amountIn: d.sellQuote.amountIn, tokenOut: pair.quote, amountOut: d.sellQuote.amountOut },
+  ];
+}
+
+/**
+ * Swap legs of a cycle simulation, one per hop
+ * @param {Object} cycleResult - Result from simulateCycle()
+ * @param {Map<string, Object>} poolsById - Monitored pools by registry id (hops name tokens by symbol, the ledger by key)
+ * @returns {Array<Object>} [{ venue, tokenIn, amountIn, tokenOut, amountOut }] in token units
+ */
+export function cycleFillLegs(cycleResult, poolsById) {
+  return cycleResult.details.hops.map((hop) => {
+    const { pair } = poolsById.get(hop.poolId);
+    const isBuy = hop.side === "buy";
+    return {
+      venue: hop.dex,
+      tokenIn: isBuy ? pair.quote : pair.base,
+      amountIn: hop.amountIn,
+      tokenOut: isBuy ? pair.base : pair.quote,
+      amountOut: hop.amountOut,
+    };
+  });
+}
+
+/**
+ * One-line summary of a ledger valuation
+ * @param {Object} valuation - From ledger.valuation()
+ * @returns {string} e.g. "9500 USDC + 0.0055 cbBTC | equity $10000.47 (realized +$0.47, unrealized $0.00)"
+ */
+export function formatLedger(valuation) {
+  // Rounded first so float dust does not print as "-$0.00"
+  const signedUSD = (value) => {
+    const rounded = Number(value.toFixed(2));
+    return `${rounded >= 0 ? "+" : "-"}$${Math.abs(rounded).toFixed(2)}`;
+  };
+  const holdings = Object.entries(valuation.positions)
+    .filter(([, position]) => position.amount !== 0)
+    .map(([token, position]) => `${formatAmount(position.amount)} ${token}`)
+    .join(" + ");
+  const unpriced = valuation.unpriced.length > 0 ? `, ${valuation.unpriced.join(", ")} unpriced` : "";
+  return `${holdings || "empty"} | equity $${valuation.equityUSDC.toFixed(2)} (realized ${signedUSD(valuation.realizedPnlUSDC)}, unrealized ${signedUSD(valuation.unrealizedPnlUSDC)}${unpriced})`;
+}
@@ -0,0 +1,102 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   LOGGER                                                                     ║
+ * ║   Levelled logging: pretty console output or one JSON record per line        ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * LOG_FORMAT picks the output:
+ * - pretty: the human-readable console output (emoji, banners, boxed reports)
+ * - json: one JSON object per line on stdout, for log shippers:
+ *   { ts, level, event, ...fields }
+ *
+ * Named events (price_update, spread, arb_simulation, budget_update, ...) carry
+ * structured fields and a pretty printer; in pretty mode only the printer runs,
+ * in JSON mode only the record is written. Plain messages are "log" events
+ * whose `msg` has the emoji and box-drawing characters stripped. Lines that
+ * are only decoration (separators, blank lines) are dropped in JSON mode.
+ *
+ * LOG_LEVEL (debug, info, warn, error) filters both formats. The logger is a
+ * module-level singleton so every module shares it; the entry point configures
+ * it with config.log before printing the configuration.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ["pretty", "json"];
+
+// Emoji, their variation selectors and box-drawing characters
+const DECORATION = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}─-╿]/gu;
+
+const settings = { format: "pretty", level: LEVELS.info };
+
+// BigInts (amounts, sqrtPriceX96) are written as decimal strings
+const replacer = (key, value) => (typeof value === "bigint" ? value.toString() : value);
+
+function write(level, event, fields) {
+  process.stdout.write(JSON.stringify({ ts: new Date().toISOString(), level, event, ...fields }, replacer) + "\n");
+}
+
+// Pretty-mode output keeps the console stream the old console.* call used
+function print(level, message) {
+  if (level === "error") console.error(message);
+  else if (level === "warn") console.warn(message);
+  else console.log(message);
+}
+
+/**
+ * Log one named event
+ * @param {string} level - debug, info, warn or error
+ * @param {string} type - Event name, e.g. "price_update"
+ * @param {Object} fields - Structured fields for the JSON record
+ * @param {string|Function} [pretty] - Pretty-mode output: a line, or a function that prints itself
+ */
+function logEvent(level, type, fields, pretty) {
+  if (LEVELS[level] < settings.level) return;
+  if (settings.format === "json") {
+    write(level, type, fields);
+  } else if (typeof pretty === "function") {
+    pretty();
+  } else if (pretty !== undefined) {
+    print(level, pretty);
+  }
+}
+
+// Plain message: printed as is, or a "log" record with the decoration stripped
+function logMessage(level, message = "", fields = {}) {
+  if (LEVELS[level] < settings.level) return;
+  if (settings.format !== "json") {
+    print(level, message);
+    return;
+  }
+  const msg = message.replace(DECORATION, "").replace(/\s+/g, " ").trim();
+  if (!/[\p{L}\p{N}]/u.test(msg)) return;
+  write(level, "log", { msg, ...fields });
+}
+
+export const logger = {
+  /**
+   * Set the output format and minimum level
+   * @param {Object} options
+   * @param {string} options.format - "pretty" or "json"
+   * @param {string} options.level - "debug", "info", "warn" or "error"
+   */
+  configure({ format, level }) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Invalid LOG_FORMAT: ${format} (expected ${LOG_FORMATS.join(" or ")})`);
+    }
+    if (!(level in LEVELS)) {
+      throw new Error(`Invalid LOG_LEVEL: ${level} (expected ${Object.keys(LEVELS).join(", ")})`);
+    }
+    settings.format = format;
+    settings.level = LEVELS[level];
+  },
+  get format() {
+    return settings.format;
+  },
+  event: (type, fields, pretty) => logEvent("info", type, fields, pretty),
+  warnEvent: (type, fields, pretty) => logEvent("warn", type, fields, pretty),
+  errorEvent: (type, fields, pretty) => logEvent("error", type, fields, pretty),
+  debug: (message, fields) => logMessage("debug", message, fields),
+  info: (message, fields) => logMessage("info", message, fields),
+  warn: (message, fields) => logMessage("warn", message, fields),
+  error: (message, fields) => logMessage("error", message, fields),
+};
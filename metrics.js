@@ -0,0 +1,170 @@
+import http from "http";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   METRICS                                                                    ║
+ * ║   Prometheus /metrics endpoint for prices, spreads, profit and latency       ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Exposed in the Prometheus text format (version 0.0.4) on METRICS_HOST:METRICS_PORT:
+ * - arb_pool_price{pool,dex,pair}: last Swap price (quote per base)
+ * - arb_pool_tick{pool,dex,pair}: last Swap tick
+ * - arb_spread_percent{pair,dex1,dex2}: pairwise spread from calculateSpread()
+ * - arb_best_net_profit_usdc{pair}: net profit of the latest simulation ("cycles" for the best cycle)
+ * - arb_budget_usdc: current compounded budget
+ * - arb_swaps_processed_total{pool}: Swap events applied (live and backfilled)
+ * - arb_opportunities_total{pair,kind}: profitable opportunities found (kind "pair" or "cycle")
+ * - arb_ws_connected: 1 while the WebSocket is connected, 0 while reconnecting
+ * - arb_ws_disconnects_total, arb_ws_reconnects_total: WebSocket connections lost and re-established
+ * - arb_ws_backfilled_blocks_total: blocks replayed with getLogs after reconnects
+ * - arb_event_to_decision_seconds{pair}: histogram from the Swap's block timestamp to the end of
+ *   findAndSimulateBestSpread(). Block timestamps have one-second resolution, so small values are coarse.
+ */
+
+// Latency buckets (seconds); Base produces a block every 2 seconds
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 8, 13, 21, 30];
+
+// Label values are quoted; backslashes, quotes and newlines must be escaped
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+// One metric family: samples keyed by their label set
+function createFamily(name, help, type) {
+  const series = new Map();
+  const entry = (labels) => {
+    const key = formatLabels(labels);
+    if (!series.has(key)) series.set(key, { labels, value: 0 });
+    return series.get(key);
+  };
+  return { name, help, type, series, entry };
+}
+
+function createGauge(name, help) {
+  const family = createFamily(name, help, "gauge");
+  return {
+    family,
+    set(labels, value) {
+      family.entry(labels).value = value;
+    },
+  };
+}
+
+function createCounter(name, help) {
+  const family = createFamily(name, help, "counter");
+  return {
+    family,
+    inc(labels, by = 1) {
+      family.entry(labels).value += by;
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const family = createFamily(name, help, "histogram");
+  return {
+    family,
+    buckets,
+    observe(labels, value) {
+      const entry = family.entry(labels);
+      entry.value = entry.value || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.value.counts[i]++;
+      });
+      entry.value.sum += value;
+      entry.value.count++;
+    },
+  };
+}
+
+// Render one family in the text exposition format
+function renderFamily({ family, buckets }) {
+  const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+  for (const { labels, value } of family.series.values()) {
+    if (family.type !== "histogram") {
+      lines.push(`${family.name}${formatLabels(labels)} ${formatValue(value)}`);
+      continue;
+    }
+    // Bucket counts are cumulative: each observation was counted in every bucket it fits
+    buckets.forEach((bound, i) => {
+      lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+    });
+    lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+    lines.push(`${family.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+    lines.push(`${family.name}_count${formatLabels(labels)} ${value.count}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Create the monitor's metrics
+ * @returns {Object} { poolPrice, poolTick, spread, referencePrice, referenceDeviation, bestNetProfit, budget, swapsProcessed, opportunities, reorgs, wsConnected, wsDisconnects, wsReconnects, wsBackfilledBlocks, decisionLatency, render }
+ */
+export function createMetrics() {
+  const metrics = {
+    poolPrice: createGauge("arb_pool_price", "Last Swap price of the pool (quote token per base token)"),
+    poolTick: createGauge("arb_pool_tick", "Last Swap tick of the pool"),
+    spread: createGauge("arb_spread_percent", "Pairwise spread between two pools of a pair (percent)"),
+    referencePrice: createGauge("arb_reference_price", "Off-chain reference price of the pair (quote token per base token)"),
+    referenceDeviation: createGauge("arb_reference_deviation_bps", "Deviation of the pool's price from the reference price (basis points)"),
+    bestNetProfit: createGauge("arb_best_net_profit_usdc", "Net profit of the latest simulation (USDC)"),
+    budget: createGauge("arb_budget_usdc", "Current compounded arbitrage budget (USDC)"),
+    swapsProcessed: createCounter("arb_swaps_processed_total", "Swap events applied, live and backfilled"),
+    opportunities: createCounter("arb_opportunities_total", "Profitable opportunities found"),
+    reorgs: createCounter("arb_reorgs_total", "Chain reorganizations rolled back"),
+    wsConnected: createGauge("arb_ws_connected", "1 while the WebSocket connection is up, 0 while reconnecting"),
+    wsDisconnects: createCounter("arb_ws_disconnects_total", "WebSocket connections lost"),
+    wsReconnects: createCounter("arb_ws_reconnects_total", "WebSocket connections re-established"),
+    wsBackfilledBlocks: createCounter("arb_ws_backfilled_blocks_total", "Blocks backfilled with getLogs after WebSocket reconnects"),
+    decisionLatency: createHistogram("arb_event_to_decision_seconds", "Time from the Swap's block timestamp to the end of the spread simulation", LATENCY_BUCKETS),
+  };
+  return {
+    ...metrics,
+    // Every family in the Prometheus text format
+    render() {
+      return Object.values(metrics).map(renderFamily).join("\n\n") + "\n";
+    },
+  };
+}
+
+/**
+ * Serve GET /metrics over HTTP
+ * @param {Object} metrics - From createMetrics()
+ * @param {Object} options
+ * @param {string} options.host - Interface to listen on
+ * @param {number} options.port - Port to listen on
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startMetricsServer(metrics, { host, port }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404, { "content-type": "text/plain" });
+      res.end("Not found\n");
+      return;
+    }
+    res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(metrics.render());
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      // Later server errors are logged instead of crashing the monitor
+      server.off("error", reject);
+      server.on("error", (error) => logger.error(`❌ Metrics server error: ${error.message}`, { error: error.message }));
+      resolve(server);
+    });
+  });
+}
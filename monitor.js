@@ -0,0 +1,1829 @@
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import { loadPoolState, loadTickData, applySwapToPoolState, needsTickReload } from "./quoter.js";
+import { POOL_ABIS_BY_PROTOCOL } from "./abis.js";
+import { groupPoolsByPair, pairKey } from "./poolRegistry.js";
+import { resolveTokens } from "./tokenRegistry.js";
+import { buildTokenGraph, findCycles } from "./cycles.js";
+import {
+  BUDGET_TOKEN,
+  PRICE_CALCULATORS,
+  poolPrice,
+  formatPrice,
+  formatSpread,
+  formatGasSource,
+  getArbTradeSizeUSDC,
+  simulateArbitrageForPair,
+  rankCycles,
+  buildSpreads,
+  getTokenUsdPrice,
+  referenceDeviationBps,
+  simulateCexDexLeg,
+} from "./arbitrage.js";
+import { createExecutor } from "./executor.js";
+import { createVerifier } from "./verifier.js";
+import { createPriceGuard } from "./priceGuard.js";
+import { createGasOracle } from "./gasOracle.js";
+import { readPoolFees, watchPoolFees, formatFeePips, formatPoolFees } from "./poolFees.js";
+import { createHistoryStore } from "./history.js";
+import { createWsConnection, createStaticConnection, getLogsInChunks } from "./wsConnection.js";
+import { createRpcPool, createProviderPool } from "./rpcPool.js";
+import { createBlockBatcher } from "./blockBatcher.js";
+import { createReorgTracker } from "./reorgTracker.js";
+import { createPendingFeed, decodePendingSwaps, projectSwap } from "./pendingFeed.js";
+import { createReferenceFeed } from "./referenceFeed.js";
+import { createNotifier, createSinks } from "./notifier.js";
+import { createMetrics, startMetricsServer } from "./metrics.js";
+import { createDashboard, startDashboardServer, summarizeArbitrage } from "./dashboard.js";
+import { createLedger, pairFillLegs, cycleFillLegs, formatLedger } from "./ledger.js";
+import { createRiskManager, median } from "./risk.js";
+import { logger } from "./logger.js";
+import { endpointHost } from "./network.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   ARBITRAGE MONITOR ENGINE                                                   ║
+ * ║   Embeddable monitor: start / stop, state snapshots and typed events         ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * createArbMonitor({ config, provider }) builds a monitor from a configuration
+ * object (see loadConfig() in config.js) without starting anything. start()
+ * connects, initializes every registry pool, runs the initial spread and cycle
+ * analysis and subscribes to Swap events; stop() unsubscribes and releases every
+ * connection, timer, server and file it opened. index.js runs one from the
+ * command line; services can run their own.
+ *
+ * Without `provider` the monitor manages its own connections (self-healing
+ * WebSocket on BASE_WSS_URLS, health-scored RPC pool on BASE_RPC_URLS). With an
+ * injected provider, every event subscription and read goes through it, and
+ * keeping it connected is the caller's job.
+ *
+ * Each Swap moves its pool's state at once, but spreads and cycles are
+ * evaluated once per block (or Base flashblock window, see blockBatcher.js),
+ * against the final state of every pool that swapped in it. Results wait for
+ * CONFIRMATION_BLOCKS before they are acted on. A reorg rolls the pools back to
+ * the last confirmed block, drops the pending results and replays the blocks
+ * since (see reorgTracker.js).
+ *
+ * With PENDING_SOURCE set, swaps still pending (mempool, Base flashblocks, or a
+ * mock file) are projected onto their pools with the local quoter, and the
+ * spreads that would result are reported as unconfirmed opportunities (see
+ * pendingFeed.js). Projections never move the pools' own state and are dropped
+ * on every new head.
+ *
+ * With REFERENCE_SOURCE set, each pair is also measured against an off-chain
+ * price (Coinbase, another CEX socket, or a mock file; see referenceFeed.js):
+ * every spread evaluation reports each pool's deviation from it in bps, and the
+ * DEX leg of a CEX–DEX arbitrage on the furthest pool is simulated, again
+ * whenever the reference itself moves. These simulations are reported only.
+ *
+ * With PRICE_GUARD_ENABLED, the pools of each profitable pair opportunity are
+ * checked against their own TWAP, an optional Chainlink feed and the time since
+ * their last Swap before it is verified (see priceGuard.js). Suspicious ones are
+ * flagged, or with PRICE_GUARD_MODE=suppress reported as not profitable.
+ *
+ * The monitor is an EventEmitter:
+ * - price: every applied Swap (see PriceEvent)
+ * - spread: every spread evaluation of a pair (see SpreadEvent)
+ * - opportunity: every simulated pair arbitrage or cycle ranking, profitable or
+ *   not (see OpportunityEvent); with confirmations, once when simulated
+ *   (final: false) and again once acted on (final: true). Pairs projected from a
+ *   pending swap come as unconfirmed: true and are never acted on
+ * - reference: every CEX–DEX simulation against the reference price (see ReferenceEvent)
+ * - budget: every budget change after a fill (see BudgetEvent)
+ * - reorg: every rollback (see ReorgEvent)
+ * - error: (error, context) for failures while monitoring (Swap handling,
+ *   tick reloads, backfills, execution). They are logged either way, and only
+ *   emitted when an "error" listener is attached, so an embedding service that
+ *   does not listen is not crashed by EventEmitter's unhandled-error rule.
+ * Logging (pretty or JSON, see logger.js), history, alerts, metrics, the ledger
+ * and the dashboard work exactly as before; the events come on top.
+ */
+
+/**
+ * @typedef {Object} PriceEvent
+ * @property {string} poolId - Registry pool id
+ * @property {string} dex - DEX name
+ * @property {string} label - Display name
+ * @property {string} pair - Pair key, e.g. "cbBTC/USDC"
+ * @property {number} price - Quote tokens per base token after the Swap
+ * @property {number} tick - Pool tick after the Swap
+ * @property {number} blockNumber - Block of the Swap
+ * @property {string} txHash - Transaction of the Swap
+ * @property {boolean} backfilled - Replayed from getLogs after a reconnect
+ */
+
+/**
+ * @typedef {Object} Trigger
+ * @property {number} block - Block of the batch
+ * @property {number} [flashblock] - Window index within the block (BATCH_MODE=flashblock)
+ * @property {Array<string>} pools - Pools whose price moved past PRICE_CHANGE_THRESHOLD in the batch
+ * @property {number} swaps - Swaps in the batch
+ * @property {string} txHash - Last Swap of the batch
+ */
+
+/**
+ * @typedef {Object} PendingTrigger
+ * @property {string} source - Feed the transaction came from: mempool, flashblocks or mock
+ * @property {string} txHash - Pending transaction
+ * @property {number|null} block - Block being built (flashblocks), null otherwise
+ * @property {Array<string>} pools - Pools the transaction swaps on, projected past PRICE_CHANGE_THRESHOLD
+ */
+
+/**
+ * @typedef {Object} SpreadEvent
+ * @property {string} pair - Pair key
+ * @property {Array<Object>} spreads - { dex1, dex2, spreadPct } for every pool combination
+ * @property {Object} max - Widest spread { dex1, dex2, spreadPct }
+ * @property {Object|null} reference - { venue, price, ageMs, deviations: [{ poolId, dex, price, deviationBps }] }
+ *   against the reference price; null when REFERENCE_SOURCE is off or the price is older than REFERENCE_MAX_AGE_MS
+ * @property {Object|null} trigger - Batch that caused the evaluation (see Trigger), null at startup
+ */
+
+/**
+ * @typedef {Object} OpportunityEvent
+ * @property {string} kind - "pair" or "cycle"
+ * @property {string} key - Pair key, or the cycle route
+ * @property {Object} result - Pair: result from simulateArbitrageForPair() (with guard and verification);
+ *   cycle: the best result from rankCycles()
+ * @property {Array<Object>|null} ranked - Cycle: every ranked cycle, best first; null for pairs
+ * @property {boolean} filled - Passed the risk limits (and the ledger) and compounded the budget; false until final
+ * @property {boolean} final - Acted on; false while the trigger's block waits for confirmations
+ * @property {boolean} unconfirmed - Projected from a pending swap (see PendingTrigger); never filled or final
+ * @property {Object|null} trigger - Batch that caused the evaluation (see Trigger), the pending transaction
+ *   (see PendingTrigger) when unconfirmed, null at startup
+ */
+
+/**
+ * @typedef {Object} ReferenceEvent
+ * @property {string} pair - Pair key
+ * @property {Object} reference - { venue, price, ageMs, deviations } (see SpreadEvent)
+ * @property {Object} result - Result from simulateCexDexLeg() for the pool furthest from the reference
+ * @property {Object|null} trigger - Batch that caused the evaluation (see Trigger), or { source: "reference",
+ *   venue, price, previousPrice } when the reference price moved by REFERENCE_CHANGE_BPS
+ */
+
+/**
+ * @typedef {Object} BudgetEvent
+ * @property {string} source - "pair" or "cycle"
+ * @property {number} previousUSDC - Budget before the fill
+ * @property {number} profitUSDC - Simulated net profit of the fill
+ * @property {number} budgetUSDC - Budget after the fill (the ledger's equity when the ledger is on)
+ */
+
+/**
+ * @typedef {Object} ReorgEvent
+ * @property {number} fromBlock - First replaced block
+ * @property {number} confirmedBlock - Block the pools were rolled back to
+ * @property {string} reason - How the reorg was found
+ * @property {Array<Object>} dropped - Pending results dropped { block, label }
+ * @property {boolean} resynced - The reorg reached confirmed blocks, so the pools were re-read from the chain instead
+ */
+
+// ===== OPPORTUNITY LOGGING =====
+
+/**
+ * Format every pool's deviation from the reference price
+ * @param {Object} reference - { venue, price, deviations }
+ * @returns {string} e.g. "vs Coinbase 97000.00: Uniswap +3.2 bps | Aerodrome -1.0 bps"
+ */
+function formatDeviations(reference) {
+  const deviations = reference.deviations.map(({ dex, deviationBps }) => `${dex} ${deviationBps >= 0 ? "+" : ""}${deviationBps.toFixed(1)} bps`);
+  return `vs ${reference.venue} ${formatPrice(reference.price)}: ${deviations.join(" | ")}`;
+}
+
+/**
+ * Log the trade-size solver's answer next to the budget-percentage trade size
+ * @param {Object|null} sizing - Result from findOptimalTradeSize()
+ * @param {number} tradeSizeUSDC - Trade size used by the budget-percentage simulation
+ * @param {boolean} withCurve - Also print the sampled profit curve
+ */
+function logTradeSizing(sizing, tradeSizeUSDC, withCurve) {
+  if (!sizing) return;
+  const best = sizing.optimalResult;
+  const sizeDelta = ((sizing.optimalSizeUSDC - tradeSizeUSDC) / tradeSizeUSDC) * 100;
+  
+  if (!withCurve) {
+    console.log(`   🎯 Optimal size: $${sizing.optimalSizeUSDC.toFixed(2)} (${best.direction}) → net $${sizing.optimalNetProfitUSDC.toFixed(2)}`);
+    return;
+  }
+  
+  console.log("🎯 TRADE SIZE OPTIMIZER:");
+  console.log(`   Budget % Size: $${tradeSizeUSDC.toFixed(2)} USDC`);
+  console.log(`   Optimal Size: $${sizing.optimalSizeUSDC.toFixed(2)} USDC (${sizeDelta >= 0 ? "+" : ""}${sizeDelta.toFixed(1)}%, ${best.direction})`);
+  console.log(`   Optimal Net Profit: $${sizing.optimalNetProfitUSDC.toFixed(2)} USDC`);
+  console.log("   Profit Curve:");
+  for (const point of sizing.curve) {
+    const fillNote = point.fillable ? "" : " (exceeds loaded liquidity)";
+    console.log(`     $${point.sizeUSDC.toFixed(2).padStart(12)} → $${point.netProfitUSDC.toFixed(2)}${fillNote}`);
+  }
+  console.log();
+}
+
+/**
+ * Log the on-chain verification of an opportunity's legs
+ * @param {Object} verification - Result from verifier.verify()
+ */
+function logVerification(verification) {
+  console.log(`🔎 ON-CHAIN VERIFICATION (tolerance ±${verification.tolerancePct}%):`);
+  for (const leg of verification.legs) {
+    const label = `${leg.side.toUpperCase()} on ${leg.dex}`;
+    if (leg.revertReason !== null) {
+      console.log(`   ❌ ${label}: quote reverted (${leg.revertReason})`);
+      continue;
+    }
+    const withinTolerance = Math.abs(leg.deviationPct) <= verification.tolerancePct;
+    const agreement = leg.providersAgree ? "" : " - RPC endpoints disagree";
+    console.log(`   ${withinTolerance && leg.providersAgree ? "✅" : "⚠️ "} ${label}: simulated ${leg.simulatedOut.toPrecision(8)} ${leg.tokenOut}, on-chain ${leg.actualOut.toPrecision(8)} ${leg.tokenOut} (${leg.deviationPct >= 0 ? "+" : ""}${leg.deviationPct.toFixed(4)}%)${agreement}`);
+  }
+}
+
+/**
+ * Log the price guard checks of an opportunity's pools
+ * @param {Object} guard - Result from priceGuard.check()
+ */
+function logGuard(guard) {
+  console.log(`🛡️  PRICE GUARD (${guard.mode}):`);
+  for (const leg of guard.legs) {
+    const twap = leg.twapError !== null
+      ? `TWAP unavailable (${leg.twapError})`
+      : leg.twapPrice !== null ? `TWAP ${formatPrice(leg.twapPrice)} (${leg.twapDeviationPct >= 0 ? "+" : ""}${leg.twapDeviationPct.toFixed(4)}%)` : null;
+    const oracle = leg.oracleDeviationPct !== null ? `oracle ${leg.oracleDeviationPct >= 0 ? "+" : ""}${leg.oracleDeviationPct.toFixed(4)}%` : null;
+    const checks = [`spot ${formatPrice(leg.spotPrice)}`, twap, oracle, `last Swap ${Math.round(leg.idleMs / 1000)}s ago`].filter(Boolean).join(", ");
+    console.log(`   ${leg.reasons.length > 0 ? "⚠️ " : "✅"} ${leg.side.toUpperCase()} on ${leg.dex}: ${checks}`);
+  }
+  const oracle = guard.oracle;
+  if (oracle && (oracle.error !== null || oracle.stale)) {
+    console.log(`   ⚠️  Oracle not used: ${oracle.error ?? `answer ${Math.round(oracle.ageMs / 1000)}s old`}`);
+  }
+}
+
+/**
+ * Print arbitrage opportunity in a formatted way with budget compounding
+ * @param {Object} arbResult - Result from calculateArbDirection()
+ */
+function printArbitrageOpportunity(arbResult) {
+  const d = arbResult.details;
+  const pair = arbResult.pair;
+  const newBudgetUSDC = d.currentBudgetUSDC + arbResult.netProfitUSDC;
+  
+  // Build fee labels for both buy and sell legs
+  const buyFeeLabel = d.buyModel.feePips > 0 ? `${formatFeePips(d.buyModel.feePips)} ($${d.buyTradeFeesUSDC.toFixed(4)})` : "";
+  const sellFeeLabel = d.sellModel.feePips > 0 ? `${formatFeePips(d.sellModel.feePips)} ($${d.sellTradeFeesUSDC.toFixed(4)})` : "";
+  
+  const totalFees = d.buyTradeFeesUSDC + d.sellTradeFeesUSDC;
+  const spread = d.usdcReceivedBeforeFee - d.usdcSpentBeforeFee;
+  
+  if (arbResult.guard?.suspicious && arbResult.guard.mode === "suppress") {
+    console.log(`🛡️  [${pair.base}/${pair.quote}] Suppressed opportunity: ${arbResult.direction} looked profitable (net: $${arbResult.netProfitUSDC.toFixed(2)}) but ${arbResult.guard.reasons.join("; ")}`);
+    logGuard(arbResult.guard);
+    return;
+  }
+  
+  if (arbResult.verification?.stale) {
+    console.log(`🕸️  [${pair.base}/${pair.quote}] Stale opportunity: ${arbResult.direction} looked profitable (net: $${arbResult.netProfitUSDC.toFixed(2)}) but on-chain quotes disagree`);
+    logVerification(arbResult.verification);
+    return;
+  }
+  
+  if (!arbResult.isProfitable) {
+    console.log(`💤 [${pair.base}/${pair.quote}] Not profitable after fees/gas/impact (best: ${arbResult.direction}, net: $${arbResult.netProfitUSDC.toFixed(2)})`);
+    console.log(`   📊 Spread: $${spread.toFixed(2)} | Fees: $${totalFees.toFixed(4)} | Gas: $${d.totalGasCostUSDC.toFixed(4)} | Impact: ${d.buyPriceImpactPct.toFixed(3)}% / ${d.sellPriceImpactPct.toFixed(3)}% | Net: $${arbResult.netProfitUSDC.toFixed(2)}`);
+    if (!d.fullyFilled) {
+      console.log(`   ⚠️  Trade runs past loaded pool liquidity - cannot be filled at this size`);
+    }
+    logTradeSizing(arbResult.sizing, d.tradeSizeUSDC, false);
+    return;
+  }
+  
+  console.log("\n" + "═".repeat(80));
+  console.log("💰 PROFITABLE ARBITRAGE OPPORTUNITY DETECTED!");
+  console.log("═".repeat(80));
+  if (arbResult.guard?.suspicious) {
+    console.log(`🚩 FLAGGED: ${arbResult.guard.reasons.join("; ")}`);
+  }
+  console.log(`📍 Direction: ${arbResult.direction} (${pair.base}/${pair.quote})`);
+  console.log(`📊 Trade Size: $${d.tradeSizeUSDC.toFixed(2)} USDC (${d.tradeSizeBase.toFixed(8)} ${pair.base})`);
+  console.log(`💵 Net Profit: $${arbResult.netProfitUSDC.toFixed(2)} USDC (${arbResult.netProfitPct.toFixed(3)}%)`);
+  console.log();
+  console.log("📋 BUY LEG - " + d.buyDexName + ":");
+  console.log(`   Spot Price: ${formatPrice(d.buyPrice)} ${pair.quote} per ${pair.base}`);
+  console.log(`   Execution Price: ${formatPrice(d.buyExecPrice)} ${pair.quote} per ${pair.base} (impact: ${d.buyPriceImpactPct.toFixed(4)}%, ${d.buyTicksCrossed} ticks crossed)`);
+  console.log(`   Price After Trade: ${formatPrice(d.buyPriceAfter)} ${pair.quote}`);
+  console.log(`   Cost before fee: $${d.usdcSpentBeforeFee.toFixed(2)}`);
+  if (buyFeeLabel) {
+    console.log(`   Trade Fee: ${buyFeeLabel}`);
+  }
+  console.log(`   ✅ Total USDC Spent: $${d.usdcSpentAfterFee.toFixed(2)}`);
+  console.log();
+  console.log("📋 SELL LEG - " + d.sellDexName + ":");
+  console.log(`   Spot Price: ${formatPrice(d.sellPrice)} ${pair.quote} per ${pair.base}`);
+  console.log(`   Execution Price: ${formatPrice(d.sellExecPrice)} ${pair.quote} per ${pair.base} (impact: ${d.sellPriceImpactPct.toFixed(4)}%, ${d.sellTicksCrossed} ticks crossed)`);
+  console.log(`   Price After Trade: ${formatPrice(d.sellPriceAfter)} ${pair.quote}`);
+  console.log(`   Revenue before fee: $${d.usdcReceivedBeforeFee.toFixed(2)}`);
+  if (sellFeeLabel) {
+    console.log(`   Trade Fee: ${sellFeeLabel}`);
+  }
+  console.log(`   ✅ Total USDC Received: $${d.usdcReceivedAfterFee.toFixed(2)}`);
+  console.log();
+  console.log("📋 SUMMARY:");
+  console.log(`   Gross Spread: $${spread.toFixed(2)}`);
+  console.log(`   Total Fees: $${totalFees.toFixed(4)}`);
+  console.log(`   Gas: $${d.totalGasCostUSDC.toFixed(4)} (${formatGasSource([d.buyModel, d.sellModel])})`);
+  console.log(`   Net Profit: $${arbResult.netProfitUSDC.toFixed(2)}`);
+  console.log();
+  if (arbResult.guard) {
+    logGuard(arbResult.guard);
+    console.log();
+  }
+  if (arbResult.verification) {
+    logVerification(arbResult.verification);
+    console.log();
+  }
+  logTradeSizing(arbResult.sizing, d.tradeSizeUSDC, true);
+  console.log("📊 BUDGET COMPOUNDING:");
+  console.log(`   Previous Budget: $${d.currentBudgetUSDC.toFixed(2)} USDC`);
+  console.log(`   Profit Added: +$${arbResult.netProfitUSDC.toFixed(4)} USDC`);
+  console.log(`   📈 New Budget: $${newBudgetUSDC.toFixed(2)} USDC`);
+  console.log("═".repeat(80) + "\n");
+}
+
+/**
+ * Print the best cycle in a formatted way, followed by the runner-up ranking
+ * @param {Array} ranked - Results from rankCycles(), best first
+ * @param {number} topN - Number of ranked cycles to list
+ */
+function printCycleOpportunity(ranked, topN) {
+  const best = ranked[0];
+  const d = best.details;
+  const logRanking = () => {
+    ranked.slice(0, topN).forEach((result, i) => {
+      const fillNote = result.details.fullyFilled ? "" : " (exceeds loaded liquidity)";
+      console.log(`   ${i + 1}. ${result.route} via ${result.venues}: $${result.netProfitUSDC.toFixed(2)}${fillNote}`);
+    });
+  };
+  
+  if (!best.isProfitable) {
+    console.log(`💤 [cycles] Not profitable after fees/gas/impact (best: ${best.route} via ${best.venues}, net: $${best.netProfitUSDC.toFixed(2)})`);
+    console.log(`   📊 Gross: $${d.grossProfitUSDC.toFixed(2)} | Fees: $${d.tradeFeesUSDC.toFixed(4)} | Gas: $${d.totalGasCostUSDC.toFixed(4)} | Net: $${best.netProfitUSDC.toFixed(2)}`);
+    if (!d.fullyFilled) {
+      console.log(`   ⚠️  Trade runs past loaded pool liquidity - cannot be filled at this size`);
+    }
+    logRanking();
+    return;
+  }
+  
+  console.log("\n" + "═".repeat(80));
+  console.log("🔺 PROFITABLE CYCLE ARBITRAGE DETECTED!");
+  console.log("═".repeat(80));
+  console.log(`📍 Route: ${best.route} (${best.venues})`);
+  console.log(`📊 Trade Size: $${d.tradeSizeUSDC.toFixed(2)} USDC`);
+  console.log(`💵 Net Profit: $${best.netProfitUSDC.toFixed(2)} USDC (${best.netProfitPct.toFixed(3)}%)`);
+  console.log();
+  d.hops.forEach((hop, i) => {
+    console.log(`📋 HOP ${i + 1} - ${hop.dex}: ${hop.side.toUpperCase()} ${hop.tokenIn} → ${hop.tokenOut}`);
+    console.log(`   Spot Price: ${formatPrice(hop.spotPrice)} ${hop.pair.quote} per ${hop.pair.base}`);
+    console.log(`   Execution Price: ${formatPrice(hop.execPrice)} ${hop.pair.quote} per ${hop.pair.base} (impact: ${hop.priceImpactPct.toFixed(4)}%, ${hop.ticksCrossed} ticks crossed)`);
+    console.log(`   Amount: ${hop.amountIn.toPrecision(8)} ${hop.tokenIn} → ${hop.amountOut.toPrecision(8)} ${hop.tokenOut}`);
+    console.log(`   Trade Fee: ${formatFeePips(hop.model.feePips)} ($${hop.tradeFeeUSDC.toFixed(4)})`);
+    console.log();
+  });
+  console.log("📋 SUMMARY:");
+  console.log(`   Gross Profit: $${d.grossProfitUSDC.toFixed(2)}`);
+  console.log(`   Total Fees: $${d.tradeFeesUSDC.toFixed(4)}`);
+  console.log(`   Gas: $${d.totalGasCostUSDC.toFixed(4)} (${formatGasSource(d.hops.map((hop) => hop.model))})`);
+  console.log(`   Net Profit: $${best.netProfitUSDC.toFixed(2)}`);
+  console.log();
+  console.log("🏆 CYCLE RANKING:");
+  logRanking();
+  console.log();
+  console.log("📊 BUDGET COMPOUNDING:");
+  console.log(`   Previous Budget: $${d.currentBudgetUSDC.toFixed(2)} USDC`);
+  console.log(`   Profit Added: +$${best.netProfitUSDC.toFixed(4)} USDC`);
+  console.log(`   📈 New Budget: $${(d.currentBudgetUSDC + best.netProfitUSDC).toFixed(2)} USDC`);
+  console.log("═".repeat(80) + "\n");
+}
+
+/**
+ * Log a pairwise simulation: the formatted report, or an "arb_simulation" record
+ * @param {string} key - Pair key
+ * @param {Object} arbResult - Result from calculateArbDirection(), optionally with guard and verification
+ * @param {Object|null} trigger - Batch that caused the evaluation { block, pools, swaps, txHash }, null at startup
+ */
+function logArbitrageOpportunity(key, arbResult, trigger) {
+  const { ts, ...summary } = summarizeArbitrage(key, arbResult);
+  const sizing = arbResult.sizing;
+  logger.event("arb_simulation", {
+    ...summary,
+    ...trigger,
+    fullyFilled: arbResult.details.fullyFilled,
+    optimalSizeUSDC: sizing ? sizing.optimalSizeUSDC : null,
+    optimalNetProfitUSDC: sizing ? sizing.optimalNetProfitUSDC : null,
+    guard: arbResult.guard ?? null,
+    verification: arbResult.verification ?? null,
+  }, () => printArbitrageOpportunity(arbResult));
+}
+
+/**
+ * Log a cycle ranking: the formatted report, or a "cycle_simulation" record for the best cycle
+ * @param {Array} ranked - Results from rankCycles(), best first
+ * @param {number} topN - Number of ranked cycles to list
+ * @param {Object|null} trigger - Batch that caused the evaluation { block, pools, swaps, txHash }, null at startup
+ */
+function logCycleOpportunity(ranked, topN, trigger) {
+  const best = ranked[0];
+  const d = best.details;
+  logger.event("cycle_simulation", {
+    route: best.route,
+    venues: best.venues,
+    ...trigger,
+    isProfitable: best.isProfitable,
+    tradeSizeUSDC: d.tradeSizeUSDC,
+    hops: d.hops.map((hop) => ({
+      dex: hop.dex,
+      side: hop.side,
+      tokenIn: hop.tokenIn,
+      tokenOut: hop.tokenOut,
+      amountIn: hop.amountIn,
+      amountOut: hop.amountOut,
+      spotPrice: hop.spotPrice,
+      execPrice: hop.execPrice,
+      priceImpactPct: hop.priceImpactPct,
+      feeUSDC: hop.tradeFeeUSDC,
+    })),
+    grossProfitUSDC: d.grossProfitUSDC,
+    feesUSDC: d.tradeFeesUSDC,
+    gasUSDC: d.totalGasCostUSDC,
+    netProfitUSDC: best.netProfitUSDC,
+    netProfitPct: best.netProfitPct,
+    fullyFilled: d.fullyFilled,
+    ranking: ranked.slice(0, topN).map((result) => ({ route: result.route, venues: result.venues, netProfitUSDC: result.netProfitUSDC })),
+  }, () => printCycleOpportunity(ranked, topN));
+}
+
+// ===== POOL INITIALIZATION =====
+
+/**
+ * Initialize one registry pool: build its contract, detect token ordering,
+ * read the initial price and load tick liquidity for the quoter
+ * @param {Object} entry - Pool registry entry
+ * @param {ethers.Provider} provider - Connected provider (events and fee reads)
+ * @param {Object} rpcPool - RPC pool from createRpcPool() (slot0 and tick data)
+ * @param {Object} tokens - Resolved registry tokens by key
+ * @param {Object} quoterOptions - config.quoter { wordRadius }
+ * @returns {Promise<Object>} Monitored pool { ...entry, contract, baseToken, quoteToken, isInverted, calcPrice, fees, feeTier, lastPrice, lastSwapLog, lastSwapAt, state }
+ */
+async function initMonitoredPool(entry, provider, rpcPool, tokens, quoterOptions) {
+  const baseToken = tokens[entry.pair.base];
+  const quoteToken = tokens[entry.pair.quote];
+  
+  logger.info("=".repeat(80));
+  logger.info(`${entry.emoji} ${entry.label.toUpperCase()} ${baseToken.symbol}/${quoteToken.symbol} INITIALIZATION`);
+  logger.info("=".repeat(80));
+  logger.info(`📍 Pool Address: ${entry.address}\n`);
+  
+  // Create pool contract instance using the ABI for the entry's protocol type
+  const contract = new ethers.Contract(entry.address, POOL_ABIS_BY_PROTOCOL[entry.protocol], provider);
+  
+  // Detect token ordering
+  logger.info("🔍 Detecting token ordering...");
+  const token0 = await contract.token0();
+  const token1 = await contract.token1();
+  
+  // Check the pool actually holds the configured pair, then whether the base token is token0 or token1
+  const poolTokens = [token0.toLowerCase(), token1.toLowerCase()];
+  if (!poolTokens.includes(baseToken.address.toLowerCase()) || !poolTokens.includes(quoteToken.address.toLowerCase())) {
+    throw new Error(`${entry.label}: pool ${entry.address} is not a ${baseToken.symbol}/${quoteToken.symbol} pool`);
+  }
+  const isInverted = token0.toLowerCase() === quoteToken.address.toLowerCase();
+  
+  logger.info(`   Token0: ${token0}`);
+  logger.info(`   Token1: ${token1}`);
+  logger.info(`   ${baseToken.symbol} is: ${isInverted ? 'token1' : 'token0'}`);
+  logger.info(`   ${quoteToken.symbol} is: ${isInverted ? 'token0' : 'token1'}\n`);
+  
+  const pool = {
+    ...entry,
+    contract,
+    baseToken,
+    quoteToken,
+    isInverted,
+    calcPrice: PRICE_CALCULATORS[entry.protocol],
+  };
+  
+  // Swap fee the pool actually charges (Slipstream fees are refreshed while monitoring)
+  pool.fees = await readPoolFees(pool);
+  // Fee tier in hundredths of a bip; Uniswap and PancakeSwap routers and quoters use it to select the pool
+  pool.feeTier = pool.fees.feePips;
+  logger.info(`💸 Swap Fee: ${formatPoolFees(pool.fees)}\n`);
+  
+  // Get initial price from slot0 (a quorum read when RPC_QUORUM is set, so one lagging node cannot skew it)
+  logger.info("📊 Reading initial price from slot0...");
+  const { value: slot0 } = await rpcPool.quorumRead((runner) => contract.connect(runner).slot0(), `${entry.label} slot0`);
+  pool.lastPrice = poolPrice(pool, slot0.sqrtPriceX96);
+  // Position { blockNumber, index } of the last Swap log applied, set by the Swap handler
+  pool.lastSwapLog = null;
+  // Pools count as silent from startup until their first Swap
+  pool.lastSwapAt = Date.now();
+  
+  logger.info(`💰 Initial ${entry.label} Price: 1 ${baseToken.symbol} = ${formatPrice(pool.lastPrice)} ${quoteToken.symbol}`, { pool: entry.id, pair: `${baseToken.symbol}/${quoteToken.symbol}`, price: pool.lastPrice });
+  
+  // Load liquidity and initialized ticks for the local quoter
+  logger.info("🧮 Loading tick liquidity for quoter...");
+  pool.state = await rpcPool.read((runner) => loadPoolState(contract.connect(runner), { wordRadius: quoterOptions.wordRadius }), `${entry.label} tick data`);
+  logger.info(`   Loaded ${pool.state.ticks.size} initialized ticks (tick spacing ${pool.state.tickSpacing})\n`);
+  
+  return pool;
+}
+
+/**
+ * Copy what Swaps and fee changes move in a monitored pool, to roll back a reorg
+ * Tick data reloads replace the bitmap and tick maps, so a shallow state copy is enough
+ * @param {Object} pool - Monitored pool
+ * @returns {Object} Snapshot for restorePool()
+ */
+function snapshotPool(pool) {
+  return { state: { ...pool.state }, lastPrice: pool.lastPrice, lastSwapLog: pool.lastSwapLog, fees: pool.fees };
+}
+
+/**
+ * Put a monitored pool back to a snapshot
+ * @param {Object} pool - Monitored pool
+ * @param {Object} snapshot - From snapshotPool()
+ */
+function restorePool(pool, { state, lastPrice, lastSwapLog, fees }) {
+  Object.assign(pool, { state, lastPrice, lastSwapLog, fees });
+}
+
+// ===== MONITOR =====
+
+/**
+ * Create an arbitrage monitor; nothing connects until start()
+ * @param {Object} options
+ * @param {Object} options.config - Configuration from loadConfig() (or an object of the same shape)
+ * @param {ethers.Provider} [options.provider] - Connected provider for events and reads, instead of the configured endpoints
+ * @returns {EventEmitter} The monitor: { start, stop, getState, resetRisk } plus the events listed above
+ */
+export function createArbMonitor({ config, provider: injectedProvider = null }) {
+  const monitor = new EventEmitter();
+  
+  // Opened by start(), released by stop()
+  let running = false;
+  let connection = null;
+  let rpcPool = null;
+  let gasOracle = null;
+  let history = null;
+  let ledger = null;
+  let risk = null;
+  let batcher = null;
+  let tracker = null;
+  let pendingFeed = null;
+  let referenceFeed = null;
+  let metricsServer = null;
+  let dashboardServer = null;
+  let silenceTimer = null;
+  // Removes the event subscriptions on the current provider (replaced on every reconnect)
+  let unsubscribers = [];
+  let monitoredPools = [];
+  
+  // Mutable budget (compounds as trades are simulated as profitable)
+  let overallBudgetUSDC = config.arbitrage.overallBudgetUSDC;
+  const budgetPercent = config.arbitrage.budgetPercent;
+  
+  // Latest spread evaluation per pair, and latest simulation per pair (or "cycles"), for getState()
+  const latestSpreads = new Map();
+  const latestOpportunities = new Map();
+  
+  // Pool id → state projected from the pending swaps seen since the last head, and pending swap counts
+  const projectedStates = new Map();
+  const pendingStats = { swaps: 0, projected: 0, opportunities: 0 };
+  
+  // Latest CEX–DEX simulation per pair, for getState() and the REFERENCE_CHANGE_BPS check
+  const latestReference = new Map();
+  
+  // Failures are logged where they happen; listeners also get them as "error" events
+  const emitError = (error, context) => {
+    if (monitor.listenerCount("error") > 0) monitor.emit("error", error, context);
+  };
+  
+  // Release everything start() opened; also safe after a partial start
+  const teardown = async () => {
+    running = false;
+    clearInterval(silenceTimer);
+    // An injected provider stays open, so take the subscriptions off it; an own connection just closes
+    if (injectedProvider) {
+      for (const unsubscribe of unsubscribers) {
+        await unsubscribe().catch(() => {});
+      }
+      if (gasOracle) gasOracle.stop();
+    }
+    unsubscribers = [];
+    if (pendingFeed) pendingFeed.stop();
+    projectedStates.clear();
+    if (referenceFeed) referenceFeed.stop();
+    if (batcher) batcher.stop();
+    if (tracker && tracker.status().pendingResults > 0) {
+      logger.info(`⏳ Discarding ${tracker.status().pendingResults} results still waiting for confirmations`, tracker.status());
+    }
+    if (connection) connection.stop();
+    if (rpcPool) rpcPool.stop();
+    for (const server of [metricsServer, dashboardServer]) {
+      if (!server) continue;
+      server.close();
+      // Dashboard event streams never end on their own
+      server.closeAllConnections();
+    }
+    if (history) await history.close();
+    if (ledger) {
+      logger.event("ledger_closed", ledger.valuation(), `💼 Paper ledger: ${formatLedger(ledger.valuation())}`);
+      await ledger.close();
+    }
+    connection = rpcPool = gasOracle = history = ledger = risk = batcher = tracker = pendingFeed = referenceFeed = null;
+    metricsServer = dashboardServer = silenceTimer = null;
+  };
+  
+  /**
+   * Connect, initialize every registry pool, run the initial spread and cycle analysis, and subscribe to Swaps
+   * @returns {Promise<void>} Resolves once monitoring; rejects, after releasing what it opened, if startup fails
+   */
+  const start = async () => {
+    if (running) throw new Error("Monitor is already running");
+    running = true;
+    
+    const pairLabels = [...groupPoolsByPair(config.pools).keys()].join(", ");
+    const venueLabels = [...new Set(config.pools.map((pool) => pool.label))].join(" + ");
+    logger.info(`🚀 Starting Multi-DEX Price Monitor on Base (${pairLabels})`);
+    logger.info(`   📊 ${venueLabels}\n`);
+    
+    overallBudgetUSDC = config.arbitrage.overallBudgetUSDC;
+    logger.info(`📊 Initial Budget: $${overallBudgetUSDC.toFixed(2)} USDC (${budgetPercent}% per trade = $${(overallBudgetUSDC * budgetPercent / 100).toFixed(2)} USDC)\n`, { budgetUSDC: overallBudgetUSDC, budgetPercent });
+    
+    // Connect to Base mainnet using WebSocket for real-time events
+    // The connection reconnects on its own; `provider` is the first socket, used for startup reads.
+    // An injected provider serves events and reads as is; keeping it connected is the caller's job
+    connection = injectedProvider ? createStaticConnection(injectedProvider) : createWsConnection({ urls: config.rpc.baseWssUrls, ...config.ws });
+    
+    // HTTP endpoints for reads, scored on latency, head block and error rate
+    rpcPool = injectedProvider ? createProviderPool(injectedProvider) : createRpcPool({ urls: config.rpc.baseUrls, ...config.rpc });
+    
+    try {
+      const provider = await connection.start();
+      await rpcPool.start();
+      if (injectedProvider) {
+        logger.info("📡 Using the injected provider for events and reads\n");
+      } else {
+        logger.info(`📡 Connected to Base WSS: ${endpointHost(connection.url)}\n`, { url: endpointHost(connection.url) });
+        logger.info(`🩺 RPC pool: ${rpcPool.metrics().endpoints.map((endpoint) => `${endpoint.endpoint} (${endpoint.healthy ? `head ${endpoint.headBlock}, ${Math.round(endpoint.latencyMs)}ms` : `unhealthy: ${endpoint.lastError ?? `head ${endpoint.headBlock}`}`})`).join(", ")}\n`);
+      }
+      
+      // ===== EXECUTOR =====
+      // Signs (dry-run) or sends (live) router swaps for profitable pairwise opportunities
+      const executor = createExecutor(config.executor);
+      if (executor.mode !== "simulate") {
+        logger.info(`🤖 Executor: ${executor.mode} mode (${executor.strategy}), wallet ${executor.address}\n`);
+      }
+      
+      // ===== VERIFIER =====
+      // Re-quotes profitable opportunities with eth_call against each venue's QuoterV2
+      const verifier = config.verifier.enabled ? createVerifier({ ...config.verifier, rpcPool }) : null;
+      
+      // ===== PRICE GUARD =====
+      // Checks the pools of profitable opportunities for spot prices away from their TWAP or an oracle, and for idle pools
+      const priceGuard = config.priceGuard.enabled ? createPriceGuard({ ...config.priceGuard, rpcPool }) : null;
+      
+      // ===== HISTORY STORE =====
+      // Appends every pool price and simulated opportunity to JSONL files that survive restarts
+      history = config.history.enabled ? createHistoryStore(config.history) : null;
+      if (history) {
+        logger.info(`🗄️  Recording history to ${history.dir}\n`);
+      }
+      
+      // ===== NOTIFIER =====
+      // Sends profitable opportunities and health problems to every configured alert sink
+      const alertSinks = createSinks(config.alerts);
+      const notifier = alertSinks.length > 0 ? createNotifier({ sinks: alertSinks, ...config.alerts }) : null;
+      if (notifier) {
+        logger.info(`🔔 Alerts to ${alertSinks.map((sink) => sink.name).join(", ")}\n`);
+      }
+      
+      // ===== METRICS =====
+      // Prometheus gauges, counters and histograms, served on /metrics
+      const metrics = config.metrics.enabled ? createMetrics() : null;
+      metricsServer = metrics ? await startMetricsServer(metrics, config.metrics) : null;
+      if (metrics) {
+        metrics.budget.set({}, overallBudgetUSDC);
+        logger.info(`📏 Metrics on http://${config.metrics.host}:${config.metrics.port}/metrics\n`);
+      }
+      
+      // ===== DASHBOARD =====
+      // Browser view of prices, spreads, opportunities and the budget curve, streamed over SSE
+      const dashboard = config.dashboard.enabled ? createDashboard(config.dashboard) : null;
+      dashboardServer = dashboard ? await startDashboardServer(dashboard, config.dashboard) : null;
+      if (dashboard) {
+        dashboard.updateBudget(overallBudgetUSDC);
+        logger.info(`🖥️  Dashboard on http://${config.dashboard.host}:${config.dashboard.port}/\n`);
+      }
+      
+      // ===== TOKEN REGISTRY =====
+      // Read decimals and symbols on-chain for any token the registry leaves open
+      logger.info("🪙 Resolving token metadata...");
+      const tokens = await rpcPool.read((runner) => resolveTokens(config.tokens, runner), "token metadata");
+      for (const token of Object.values(tokens)) {
+        logger.info(`   ${token.symbol}: ${token.address} (${token.decimals} decimals)`);
+      }
+      if (!tokens[BUDGET_TOKEN]) {
+        throw new Error(`Pool registry must define the budget token ${BUDGET_TOKEN}`);
+      }
+      logger.info();
+      
+      // ===== POOL INITIALIZATION =====
+      // One monitored pool per registry entry, in registry order
+      monitoredPools = [];
+      for (const entry of config.pools) {
+        monitoredPools.push(await initMonitoredPool(entry, provider, rpcPool, tokens, config.quoter));
+      }
+      for (const pool of monitoredPools) {
+        const labels = { pool: pool.id, dex: pool.dex, pair: pairKey(pool.pair) };
+        if (metrics) {
+          metrics.poolPrice.set(labels, pool.lastPrice);
+          metrics.poolTick.set(labels, pool.state.tick);
+        }
+        if (dashboard) {
+          dashboard.updatePrice({ poolId: pool.id, dex: pool.dex, label: pool.label, pair: labels.pair, price: pool.lastPrice, tick: pool.state.tick, blockNumber: null });
+        }
+      }
+      
+      // ===== GAS ORACLE =====
+      // Live swap gas cost from block base fees and the L1 data fee, priced with the monitored ETH/USDC pools
+      if (config.gasOracle.enabled) {
+        const ethToken = config.gasOracle.ethToken;
+        if (getTokenUsdPrice(ethToken, monitoredPools) === null) {
+          logger.warn(`⚠️  No monitored ${ethToken}/${BUDGET_TOKEN} pool - gas costs stay at registry values\n`, { token: ethToken });
+        } else {
+          gasOracle = createGasOracle({
+            provider,
+            refreshBlocks: config.gasOracle.refreshBlocks,
+            getEthUsdPrice: () => getTokenUsdPrice(ethToken, monitoredPools),
+          });
+          await gasOracle.start();
+          // Each pool's gas cost (see getDexCostModel) follows the oracle from here on
+          for (const pool of monitoredPools) pool.gasOracle = gasOracle;
+          const gas = gasOracle.snapshot();
+          if (gas.baseFeePerGas !== null) {
+            logger.info(`⛽ Gas Oracle: base fee ${ethers.formatUnits(gas.baseFeePerGas, "gwei")} gwei + priority ${ethers.formatUnits(gas.priorityFeePerGas, "gwei")} gwei, L1 data fee ${ethers.formatEther(gas.l1FeeWei)} ETH per swap (ETH = $${gas.ethUsdPrice.toFixed(2)})`);
+            for (const pool of monitoredPools) {
+              logger.info(`   ${pool.label} ${pool.pair.base}/${pool.pair.quote}: $${gasOracle.swapCostUSDC(pool).toFixed(4)} per swap (registry fallback $${pool.gasFeeUSDC})`);
+            }
+            logger.info();
+          }
+        }
+      }
+      
+      // ===== PAPER LEDGER =====
+      // Token balances and PnL per simulated fill; the budget follows the ledger's equity and survives restarts
+      const poolsById = new Map(monitoredPools.map((pool) => [pool.id, pool]));
+      ledger = config.ledger.enabled
+        ? createLedger({
+          ...config.ledger,
+          venues: [...new Set(monitoredPools.map((pool) => pool.dex))],
+          markPrice: (tokenKey) => getTokenUsdPrice(tokenKey, monitoredPools),
+        })
+        : null;
+      if (ledger) {
+        const valuation = ledger.valuation();
+        overallBudgetUSDC = valuation.equityUSDC;
+        if (metrics) metrics.budget.set({}, overallBudgetUSDC);
+        if (dashboard) dashboard.updateBudget(overallBudgetUSDC);
+        logger.event("ledger_loaded", { dir: config.ledger.dir, resumed: ledger.resumed, ...valuation },
+          `💼 Paper ledger ${ledger.resumed ? "resumed" : "started"} in ${config.ledger.dir}: ${formatLedger(valuation)}\n`);
+      }
+      
+      // Pools grouped per pair; spreads and simulations are computed within each pair
+      const pairs = groupPoolsByPair(monitoredPools);
+      
+      // ===== RISK LIMITS =====
+      // Per-trade limits and circuit breakers. A pool's reference price must not include the pool itself, or a
+      // moved pool drags its own reference along: the CEX reference price when fresh, else the price guard's
+      // oracle (USD, converted through the quote token), else the median of the pair's other pools. Pools with
+      // none of these (a single-pool pair without a feed) skip the deviation check.
+      const riskReferencePrice = (pool) => {
+        const key = pairKey(pool.pair);
+        const reference = referenceFeed && referenceFeed.price(key);
+        if (reference) return reference.price;
+        const oracle = priceGuard && priceGuard.latestOracle();
+        const quoteUsdPrice = oracle && oracle.pair === key ? getTokenUsdPrice(pool.pair.quote, monitoredPools) : null;
+        if (quoteUsdPrice) return oracle.price / quoteUsdPrice;
+        const others = pairs.get(key).filter((pairPool) => pairPool !== pool && pairPool.lastPrice);
+        return others.length > 0 ? median(others.map((pairPool) => pairPool.lastPrice)) : null;
+      };
+      risk = config.risk.enabled ? createRiskManager({ ...config.risk, referencePrice: riskReferencePrice }) : null;
+      
+      // Consult the risk limits; logs and returns false when the opportunity must not be acted on
+      const riskAllows = ({ label, notionalUSDC, netProfitUSDC, pools, fields }) => {
+        if (!risk) return true;
+        const decision = risk.check({ notionalUSDC, netProfitUSDC, pools });
+        if (!decision.allowed) {
+          logger.event("risk_rejected", { ...fields, notionalUSDC, netProfitUSDC, reason: decision.reason },
+            `🛡️  Risk check blocked ${label}: ${decision.reason}\n`);
+        }
+        return decision.allowed;
+      };
+      
+      // ===== CONFIRMATIONS =====
+      // Results wait for CONFIRMATION_BLOCKS before they are acted on; unconfirmed blocks are checked by hash
+      tracker = createReorgTracker({
+        confirmations: config.blocks.confirmations,
+        blockHash: async (blockNumber) => {
+          const block = await rpcPool.read((runner) => runner.getBlock(blockNumber), `block ${blockNumber}`);
+          if (!block) throw new Error(`block ${blockNumber} not found`);
+          return block.hash;
+        },
+      });
+      await tracker.advance(await rpcPool.read((runner) => runner.getBlockNumber(), "head block"));
+      
+      // ===== HELPER FUNCTION: Compound the budget after a profitable simulation =====
+      // With the ledger the fill must fit the inventory, and the budget becomes the ledger's equity;
+      // returns false when the ledger rejects the fill
+      const compoundBudget = ({ kind, label, legs, gasUSDC, profitUSDC, fields }) => {
+        const previousBudget = overallBudgetUSDC;
+        // Realized PnL counted toward the daily loss limit
+        let pnlUSDC = profitUSDC;
+        if (ledger) {
+          const fill = ledger.fill({ kind, label, legs, gasUSDC });
+          if (!fill.accepted) {
+            logger.event("paper_fill_rejected", { ...fields, reason: fill.reason },
+              `🚫 Paper fill rejected (${label}): ${fill.reason}\n`);
+            return false;
+          }
+          const valuation = ledger.valuation();
+          overallBudgetUSDC = valuation.equityUSDC;
+          pnlUSDC = fill.realizedPnlUSDC;
+          logger.event("paper_fill", { ...fields, legs, gasUSDC, fillRealizedPnlUSDC: fill.realizedPnlUSDC, ...valuation },
+            `💼 Paper fill (${label}): realized ${fill.realizedPnlUSDC >= 0 ? "+" : "-"}$${Math.abs(fill.realizedPnlUSDC).toFixed(4)} → ${formatLedger(valuation)}`);
+        } else {
+          overallBudgetUSDC += profitUSDC;
+        }
+        if (risk) risk.recordTrade(pnlUSDC);
+        const changeUSDC = overallBudgetUSDC - previousBudget;
+        logger.event("budget_update", { ...fields, previousUSDC: previousBudget, profitUSDC, budgetUSDC: overallBudgetUSDC },
+          `💰 Budget updated: $${previousBudget.toFixed(2)} ${changeUSDC >= 0 ? "+" : "-"} $${Math.abs(changeUSDC).toFixed(4)} = $${overallBudgetUSDC.toFixed(2)} USDC\n`);
+        if (metrics) metrics.budget.set({}, overallBudgetUSDC);
+        if (dashboard) dashboard.updateBudget(overallBudgetUSDC);
+        monitor.emit("budget", { source: fields.source, previousUSDC: previousBudget, profitUSDC, budgetUSDC: overallBudgetUSDC });
+        return true;
+      };
+      
+      
+      // ===== HELPER FUNCTION: Measure a pair against the reference price =====
+      // Each pool's deviation from the CEX price; null without a reference price younger than REFERENCE_MAX_AGE_MS
+      const referenceDeviations = (key) => {
+        const reference = referenceFeed && referenceFeed.price(key);
+        if (!reference) return null;
+        const deviations = pairs.get(key).map((pool) => ({
+          poolId: pool.id,
+          dex: pool.dex,
+          price: pool.lastPrice,
+          deviationBps: referenceDeviationBps(pool.lastPrice, reference.price),
+        }));
+        return { venue: reference.venue, price: reference.price, ageMs: Date.now() - reference.ts, deviations };
+      };
+      
+      // ===== HELPER FUNCTION: Simulate the CEX–DEX leg of one pair =====
+      // The pool furthest from the reference is traded against it at the budget-percentage trade size. Reported
+      // only: the CEX leg is not placed, so nothing is filled, executed or recorded
+      const simulateAgainstReference = (key, reference, trigger) => {
+        const pairPools = pairs.get(key);
+        if (metrics) {
+          metrics.referencePrice.set({ pair: key, venue: reference.venue }, reference.price);
+          for (const { poolId, dex, deviationBps } of reference.deviations) {
+            metrics.referenceDeviation.set({ pool: poolId, dex, pair: key }, deviationBps);
+          }
+        }
+        const quoteUsdPrice = getTokenUsdPrice(pairPools[0].pair.quote, monitoredPools);
+        if (quoteUsdPrice === null) {
+          logger.debug(`   No monitored ${pairPools[0].quoteToken.symbol}/${BUDGET_TOKEN} pool - skipping the CEX–DEX simulation`, { pair: key });
+          return;
+        }
+        const furthest = reference.deviations.reduce((max, curr) => Math.abs(curr.deviationBps) > Math.abs(max.deviationBps) ? curr : max);
+        const pool = pairPools.find((candidate) => candidate.id === furthest.poolId);
+        const tradeSizeUSDC = getArbTradeSizeUSDC(overallBudgetUSDC, budgetPercent);
+        const result = simulateCexDexLeg(pool, reference.price, tradeSizeUSDC, quoteUsdPrice, { cexFeeBps: config.reference.cexFeeBps, venue: reference.venue });
+        const d = result.details;
+        
+        // A reference move has no spread line above it, so the deviations go with the simulation
+        const moved = trigger && trigger.source === "reference" ? `🏦 [${key}] ${formatDeviations(reference)}\n` : "";
+        const fillNote = d.fullyFilled ? "" : " - runs past loaded pool liquidity";
+        logger.event("cex_dex_simulation", {
+          pair: key,
+          ...trigger,
+          venue: reference.venue,
+          referencePrice: reference.price,
+          deviations: reference.deviations,
+          pool: pool.id,
+          dex: pool.dex,
+          deviationBps: result.deviationBps,
+          direction: result.direction,
+          isProfitable: result.isProfitable,
+          tradeSizeUSDC,
+          netProfitUSDC: result.netProfitUSDC,
+          dexFeesUSDC: d.dexTradeFeesUSDC,
+          cexFeesUSDC: d.cexFeesUSDC,
+          gasCostUSDC: d.gasCostUSDC,
+          fullyFilled: d.fullyFilled,
+        }, `${moved}   ${result.isProfitable ? "💰" : "💤"} CEX–DEX (${pool.dex} ${result.deviationBps >= 0 ? "+" : ""}${result.deviationBps.toFixed(1)} bps): ${result.direction}, net ${result.netProfitUSDC >= 0 ? "+" : "-"}$${Math.abs(result.netProfitUSDC).toFixed(4)} on $${tradeSizeUSDC.toFixed(2)} USDC (DEX fee $${d.dexTradeFeesUSDC.toFixed(4)}, CEX fee $${d.cexFeesUSDC.toFixed(4)}, gas $${d.gasCostUSDC.toFixed(4)})${fillNote}`);
+        latestReference.set(key, {
+          ts: Date.now(),
+          venue: reference.venue,
+          price: reference.price,
+          deviations: reference.deviations,
+          direction: result.direction,
+          isProfitable: result.isProfitable,
+          tradeSizeUSDC,
+          netProfitUSDC: result.netProfitUSDC,
+        });
+        monitor.emit("reference", { pair: key, reference, result, trigger });
+      };
+      
+      // ===== HELPER FUNCTION: Find and simulate best spread for one pair =====
+      // `trigger` is the batch that caused the evaluation ({ block, pools, swaps, txHash }), null at startup
+      const findAndSimulateBestSpread = async (key, trigger = null) => {
+        const pairPools = pairs.get(key);
+        const reference = referenceDeviations(key);
+        // A lone pool has no spreads but can still be traded against the reference
+        if (pairPools.length < 2) {
+          if (reference) simulateAgainstReference(key, reference, trigger);
+          return;
+        }
+        
+        const spreads = buildSpreads(pairPools);
+        if (metrics) {
+          for (const { dex1, dex2, spread } of spreads) {
+            metrics.spread.set({ pair: key, dex1, dex2 }, spread);
+          }
+        }
+        if (dashboard) dashboard.updateSpreads(key, spreads);
+        const maxSpreadPair = spreads.reduce((max, curr) => curr.absSpread > max.absSpread ? curr : max);
+        const spreadList = spreads.map(({ dex1, dex2, spread }) => ({ dex1, dex2, spreadPct: spread }));
+        const maxSpread = { dex1: maxSpreadPair.dex1, dex2: maxSpreadPair.dex2, spreadPct: maxSpreadPair.spread };
+        
+        logger.event("spread", {
+          pair: key,
+          ...trigger,
+          ...maxSpread,
+          spreads: spreadList,
+          reference,
+        }, `📈 [${key}] Max spread: ${maxSpreadPair.dex1} vs ${maxSpreadPair.dex2} (${formatSpread(maxSpreadPair.absSpread)})${reference ? `\n   🏦 ${formatDeviations(reference)}` : ""}`);
+        latestSpreads.set(key, { ts: Date.now(), spreads: spreadList, max: maxSpread, reference });
+        monitor.emit("spread", { pair: key, spreads: spreadList, max: maxSpread, reference, trigger });
+        if (reference) simulateAgainstReference(key, reference, trigger);
+        
+        // Trade sizes and profits are in USDC, so non-USDC quotes need a USDC price
+        const quoteUsdPrice = getTokenUsdPrice(pairPools[0].pair.quote, monitoredPools);
+        if (quoteUsdPrice === null) {
+          logger.warn(`   ⚠️  No monitored ${pairPools[0].quoteToken.symbol}/${BUDGET_TOKEN} pool - skipping simulation`, { pair: key });
+          return;
+        }
+        
+        // Simulate arbitrage for best pair with current (potentially compounded) budget
+        const pools = Object.fromEntries(pairPools.map((pool) => [pool.dex, pool]));
+        let arbResult = simulateArbitrageForPair(maxSpreadPair.dex1, maxSpreadPair.price1, maxSpreadPair.dex2, maxSpreadPair.price2, overallBudgetUSDC, budgetPercent, pools, quoteUsdPrice, config.arbitrage);
+        
+        // A spread one pool's manipulated or idle price opened is not an opportunity
+        if (arbResult.isProfitable && priceGuard) {
+          const guard = await priceGuard.check(arbResult, pools, quoteUsdPrice);
+          arbResult = { ...arbResult, guard, isProfitable: !(guard.suspicious && guard.mode === "suppress") };
+        }
+        
+        // Confirm the cached-state verdict against on-chain quotes before reporting it as real
+        if (arbResult.isProfitable && verifier) {
+          const verification = await verifier.verify(arbResult, pools);
+          arbResult = { ...arbResult, verification, isProfitable: !verification.stale };
+        }
+        logArbitrageOpportunity(key, arbResult, trigger);
+        
+        if (metrics) {
+          metrics.bestNetProfit.set({ pair: key }, arbResult.netProfitUSDC);
+          if (arbResult.isProfitable) metrics.opportunities.inc({ pair: key, kind: "pair" });
+        }
+        if (dashboard) dashboard.recordOpportunity(summarizeArbitrage(key, arbResult));
+        
+        if (notifier) {
+          notifier.opportunity({
+            group: key,
+            key: `${key} ${arbResult.direction}`,
+            isProfitable: arbResult.isProfitable,
+            netProfitUSDC: arbResult.netProfitUSDC,
+            spreadPct: maxSpreadPair.absSpread,
+            title: `💰 [${key}] ${arbResult.direction}`,
+            message: `Net profit $${arbResult.netProfitUSDC.toFixed(2)} on $${arbResult.details.tradeSizeUSDC.toFixed(2)} USDC (${arbResult.netProfitPct.toFixed(3)}%), spread ${formatSpread(maxSpreadPair.absSpread)}${arbResult.guard?.suspicious ? `\n🚩 Flagged: ${arbResult.guard.reasons.join("; ")}` : ""}`,
+            data: { kind: "pair", pair: key, direction: arbResult.direction, tradeSizeUSDC: arbResult.details.tradeSizeUSDC },
+          });
+        }
+        
+        // Compound budget if profitable (and, with the ledger, if the inventory covers the fill), execute and
+        // record; once the trigger's block is confirmed
+        const latest = (filled, final) => ({
+          ts: Date.now(),
+          kind: "pair",
+          direction: arbResult.direction,
+          isProfitable: arbResult.isProfitable,
+          tradeSizeUSDC: arbResult.details.tradeSizeUSDC,
+          netProfitUSDC: arbResult.netProfitUSDC,
+          filled,
+          final,
+        });
+        const finalize = () => {
+          const filled = arbResult.isProfitable && arbResult.netProfitUSDC > 0 && riskAllows({
+            label: `${key} ${arbResult.direction}`,
+            notionalUSDC: arbResult.details.tradeSizeUSDC,
+            netProfitUSDC: arbResult.netProfitUSDC,
+            pools: [poolsById.get(arbResult.details.buyPoolId), poolsById.get(arbResult.details.sellPoolId)],
+            fields: { source: "pair", pair: key, direction: arbResult.direction },
+          }) && compoundBudget({
+            kind: "pair",
+            label: `${key} ${arbResult.direction}`,
+            legs: ledger ? pairFillLegs(arbResult, poolsById) : null,
+            gasUSDC: arbResult.details.totalGasCostUSDC,
+            profitUSDC: arbResult.netProfitUSDC,
+            fields: { source: "pair", pair: key, direction: arbResult.direction },
+          });
+          if (filled) {
+            // Hand the opportunity to the executor (no-op in simulate mode)
+            executor.execute(arbResult, pools).catch((error) => {
+              logger.error(`❌ Executor error: ${error.message}`, { pair: key, direction: arbResult.direction, error: error.message });
+              emitError(error, { source: "executor", pair: key, direction: arbResult.direction });
+            });
+          }
+          latestOpportunities.set(key, latest(filled, true));
+          monitor.emit("opportunity", { kind: "pair", key, result: arbResult, ranked: null, filled, final: true, unconfirmed: false, trigger });
+          
+          if (history) {
+            const d = arbResult.details;
+            history.recordArbitrage({
+              kind: "pair",
+              pair: key,
+              direction: arbResult.direction,
+              spreadPct: maxSpreadPair.absSpread,
+              tradeSizeUSDC: d.tradeSizeUSDC,
+              netProfitUSDC: arbResult.netProfitUSDC,
+              feesUSDC: d.buyTradeFeesUSDC + d.sellTradeFeesUSDC,
+              gasCostUSDC: d.totalGasCostUSDC,
+              isProfitable: arbResult.isProfitable,
+              stale: arbResult.verification ? arbResult.verification.stale : null,
+              suspicious: arbResult.guard ? arbResult.guard.suspicious : null,
+              budgetUSDC: overallBudgetUSDC,
+            });
+          }
+        };
+        if (tracker.defer(trigger && trigger.block, `${key} ${arbResult.direction}`, finalize)) {
+          latestOpportunities.set(key, latest(false, false));
+          monitor.emit("opportunity", { kind: "pair", key, result: arbResult, ranked: null, filled: false, final: false, unconfirmed: false, trigger });
+        } else {
+          finalize();
+        }
+      };
+      
+      // Multi-hop cycles start and end in the budget token and are built once from the registry
+      const cycles = findCycles(buildTokenGraph(monitoredPools), BUDGET_TOKEN, { maxHops: config.cycles.maxHops });
+      
+      // ===== HELPER FUNCTION: Find and simulate best cycle =====
+      // Only cycles through one of `changedPools` are re-evaluated when they are given
+      const findAndSimulateBestCycle = (changedPools = null, trigger = null) => {
+        const candidates = changedPools
+          ? cycles.filter((cycle) => cycle.some((hop) => changedPools.includes(hop.pool)))
+          : cycles;
+        
+        // Hop fees are valued in USDC, so every token on the route needs a USDC price
+        const usdPrices = {};
+        for (const tokenKey of new Set(candidates.flatMap((cycle) => cycle.map((hop) => hop.tokenIn)))) {
+          usdPrices[tokenKey] = getTokenUsdPrice(tokenKey, monitoredPools);
+        }
+        const priced = candidates.filter((cycle) => cycle.every((hop) => usdPrices[hop.tokenIn] !== null));
+        if (priced.length === 0) return;
+        
+        const tradeSizeUSDC = getArbTradeSizeUSDC(overallBudgetUSDC, budgetPercent);
+        const ranked = rankCycles(priced, tradeSizeUSDC, overallBudgetUSDC, usdPrices);
+        logCycleOpportunity(ranked, config.cycles.logTopN, trigger);
+        
+        const best = ranked[0];
+        if (metrics) {
+          metrics.bestNetProfit.set({ pair: "cycles" }, best.netProfitUSDC);
+          if (best.isProfitable) metrics.opportunities.inc({ pair: best.route, kind: "cycle" });
+        }
+        if (notifier) {
+          notifier.opportunity({
+            group: "cycles",
+            key: `${best.route} via ${best.venues}`,
+            isProfitable: best.isProfitable,
+            netProfitUSDC: best.netProfitUSDC,
+            spreadPct: null,
+            title: `🔺 Cycle ${best.route}`,
+            message: `Via ${best.venues}: net profit $${best.netProfitUSDC.toFixed(2)} on $${best.details.tradeSizeUSDC.toFixed(2)} USDC (${best.netProfitPct.toFixed(3)}%)`,
+            data: { kind: "cycle", route: best.route, venues: best.venues, tradeSizeUSDC: best.details.tradeSizeUSDC },
+          });
+        }
+        // Compound budget if profitable, and record; once the trigger's block is confirmed
+        const latest = (filled, final) => ({
+          ts: Date.now(),
+          kind: "cycle",
+          route: best.route,
+          venues: best.venues,
+          isProfitable: best.isProfitable,
+          tradeSizeUSDC: best.details.tradeSizeUSDC,
+          netProfitUSDC: best.netProfitUSDC,
+          filled,
+          final,
+        });
+        const finalize = () => {
+          const cycleAllowed = best.isProfitable && best.netProfitUSDC > 0 && riskAllows({
+            label: `${best.route} via ${best.venues}`,
+            notionalUSDC: best.details.tradeSizeUSDC,
+            netProfitUSDC: best.netProfitUSDC,
+            pools: best.details.hops.map((hop) => poolsById.get(hop.poolId)),
+            fields: { source: "cycle", route: best.route, venues: best.venues },
+          });
+          const filled = cycleAllowed && compoundBudget({
+            kind: "cycle",
+            label: `${best.route} via ${best.venues}`,
+            legs: ledger ? cycleFillLegs(best, poolsById) : null,
+            gasUSDC: best.details.totalGasCostUSDC,
+            profitUSDC: best.netProfitUSDC,
+            fields: { source: "cycle", route: best.route, venues: best.venues },
+          });
+          latestOpportunities.set("cycles", latest(filled, true));
+          monitor.emit("opportunity", { kind: "cycle", key: best.route, result: best, ranked, filled, final: true, unconfirmed: false, trigger });
+          
+          if (history) {
+            history.recordArbitrage({
+              kind: "cycle",
+              pair: best.route,
+              direction: best.venues,
+              spreadPct: null,
+              tradeSizeUSDC: best.details.tradeSizeUSDC,
+              netProfitUSDC: best.netProfitUSDC,
+              feesUSDC: best.details.tradeFeesUSDC,
+              gasCostUSDC: best.details.totalGasCostUSDC,
+              isProfitable: best.isProfitable,
+              stale: null,
+              budgetUSDC: overallBudgetUSDC,
+            });
+          }
+        };
+        if (tracker.defer(trigger && trigger.block, `${best.route} via ${best.venues}`, finalize)) {
+          latestOpportunities.set("cycles", latest(false, false));
+          monitor.emit("opportunity", { kind: "cycle", key: best.route, result: best, ranked, filled: false, final: false, unconfirmed: false, trigger });
+        } else {
+          finalize();
+        }
+      };
+      
+      // ===== INITIAL SPREAD ANALYSIS =====
+      logger.info("=".repeat(80));
+      logger.info("📊 INITIAL SPREAD ANALYSIS");
+      logger.info("=".repeat(80));
+      for (const [key, pairPools] of pairs) {
+        if (pairPools.length < 2) {
+          logger.info(`[${key}] Only one pool (${pairPools[0].dex}) - price reference only\n`);
+          continue;
+        }
+        for (const { dex1, dex2, spread } of buildSpreads(pairPools)) {
+          logger.info(`[${key}] ${dex1} vs ${dex2}: ${formatSpread(spread)}`, { pair: key, dex1, dex2, spreadPct: spread });
+        }
+        
+        // Simulate initial arbitrage for best pair
+        logger.info(`\n🔍 Checking initial ${key} arbitrage opportunity...`);
+        await findAndSimulateBestSpread(key);
+        logger.info();
+      }
+      
+      // ===== INITIAL CYCLE ANALYSIS =====
+      logger.info("=".repeat(80));
+      logger.info("🔺 INITIAL CYCLE ANALYSIS");
+      logger.info("=".repeat(80));
+      if (cycles.length === 0) {
+        logger.info(`No ${BUDGET_TOKEN} cycles of 3-${config.cycles.maxHops} hops across the monitored pairs\n`);
+      } else {
+        logger.info(`Found ${cycles.length} cycles through ${BUDGET_TOKEN} (up to ${config.cycles.maxHops} hops)`);
+        findAndSimulateBestCycle();
+        logger.info();
+      }
+      
+      logger.info("=".repeat(80));
+      logger.info("👀 MONITORING STARTED - Listening for price changes...");
+      logger.info("=".repeat(80));
+      logger.info();
+      
+      // ===== HELPER FUNCTION: Keep quoter tick data in sync =====
+      const reloadTickData = async (pool) => {
+        try {
+          await rpcPool.read((runner) => loadTickData(pool.contract.connect(runner), pool.state), `${pool.id} tick data`);
+        } catch (error) {
+          logger.error(`❌ Error reloading ${pool.id} tick data: ${error.message}`, { pool: pool.id, error: error.message });
+          emitError(error, { source: "tick-reload", pool: pool.id });
+        }
+      };
+      
+      // ===== HELPER FUNCTION: Keep pool fees current =====
+      const updatePoolFees = (pool, fees, reason) => {
+        if (fees.feePips !== pool.fees.feePips || fees.unstakedFeePips !== pool.fees.unstakedFeePips) {
+          logger.event("fee_change", { pool: pool.id, pair: pairKey(pool.pair), reason, previousFeePips: pool.fees.feePips, feePips: fees.feePips, unstakedFeePips: fees.unstakedFeePips },
+            `💸 ${pool.label} ${pairKey(pool.pair)} fee changed (${reason}): ${formatPoolFees(pool.fees)} → ${formatPoolFees(fees)}`);
+        }
+        pool.fees = fees;
+      };
+      
+      // Re-read a pool's fees; a failed read keeps the current ones until the next re-read
+      const refreshPoolFees = async (pool, reason) => {
+        try {
+          updatePoolFees(pool, await readPoolFees(pool), reason);
+        } catch (error) {
+          logger.warn(`⚠️  ${pool.label} ${pairKey(pool.pair)} fee read failed (${reason}), keeping ${formatPoolFees(pool.fees)}: ${error.message}`, { pool: pool.id, reason, error: error.message });
+        }
+      };
+      
+      // ===== HELPER FUNCTION: Block timestamps for decision latency =====
+      // One lookup per block, shared by its Swaps; only recent blocks are kept
+      const blockTimestamps = new Map();
+      const blockTimestamp = (blockNumber) => {
+        if (!blockTimestamps.has(blockNumber)) {
+          const lookup = rpcPool.read((runner) => runner.getBlock(blockNumber), `block ${blockNumber}`).then((block) => block.timestamp);
+          lookup.catch(() => blockTimestamps.delete(blockNumber));
+          blockTimestamps.set(blockNumber, lookup);
+          if (blockTimestamps.size > 64) blockTimestamps.delete(blockTimestamps.keys().next().value);
+        }
+        return blockTimestamps.get(blockNumber);
+      };
+      
+      // ===== SWAP QUEUE =====
+      // Swaps, batch evaluations, head updates, backfills and rollbacks all change pool state, so they run one
+      // at a time in arrival order
+      let queue = Promise.resolve();
+      const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+      };
+      
+      // ===== HELPER FUNCTION: Show a pool's price in metrics and the dashboard =====
+      const publishPoolPrice = (pool, price, blockNumber) => {
+        const key = pairKey(pool.pair);
+        if (metrics) {
+          const labels = { pool: pool.id, dex: pool.dex, pair: key };
+          metrics.poolPrice.set(labels, price);
+          metrics.poolTick.set(labels, pool.state.tick);
+        }
+        if (dashboard) {
+          dashboard.updatePrice({ poolId: pool.id, dex: pool.dex, label: pool.label, pair: key, price, tick: pool.state.tick, blockNumber });
+        }
+      };
+      
+      // ===== HELPER FUNCTION: Evaluate one batch =====
+      // Every pool in the batch already holds its state at the end of the batch; pools that moved past the
+      // price threshold have their pairs and cycles evaluated once
+      const evaluateBatch = async ({ blockNumber, flashblock, entries, swaps }) => {
+        const movedPools = [];
+        let lastLog = null;
+        let backfilledBatch = false;
+        for (const { pool, log, backfilled } of entries.values()) {
+          lastLog = !lastLog || log.index > lastLog.index ? log : lastLog;
+          backfilledBatch = backfilledBatch || backfilled;
+          
+          // Dynamic Slipstream fee modules move the fee without an event, so re-read it after each batch
+          if (pool.protocol === "slipstream") {
+            await refreshPoolFees(pool, "Swap");
+          }
+          
+          // Only log if price changed significantly (threshold from config is in USDC)
+          const newPrice = poolPrice(pool, pool.state.sqrtPriceX96);
+          const quoteUsdPrice = getTokenUsdPrice(pool.pair.quote, monitoredPools) ?? 1;
+          if (Math.abs(newPrice - pool.lastPrice) * quoteUsdPrice <= config.thresholds.priceChange) continue;
+          
+          const key = pairKey(pool.pair);
+          const priceChange = ((newPrice - pool.lastPrice) / pool.lastPrice) * 100;
+          const changeSymbol = priceChange >= 0 ? "📈" : "📉";
+          logger.event("price_update", {
+            pool: pool.id,
+            block: log.blockNumber,
+            txHash: log.transactionHash,
+            dex: pool.dex,
+            pair: key,
+            price: newPrice,
+            previousPrice: pool.lastPrice,
+            changePct: priceChange,
+            tick: pool.state.tick,
+            backfilled,
+          }, () => {
+            console.log(`[${new Date().toLocaleTimeString()}] ${changeSymbol} ${pool.label.toUpperCase()} ${key} Price Update`);
+            console.log(`   Price: 1 ${pool.baseToken.symbol} = ${formatPrice(newPrice)} ${pool.quoteToken.symbol}`);
+            console.log(`   Change: ${priceChange >= 0 ? "+" : ""}${priceChange.toFixed(3)}%`);
+            console.log(`   Tx: ${log.transactionHash}`);
+            console.log("─".repeat(80));
+          });
+          pool.lastPrice = newPrice;
+          movedPools.push(pool);
+        }
+        if (movedPools.length === 0) return;
+        
+        const trigger = {
+          block: blockNumber,
+          ...(flashblock !== null && { flashblock }),
+          pools: movedPools.map((pool) => pool.id),
+          swaps,
+          txHash: lastLog.transactionHash,
+        };
+        // Look the block up alongside the simulations; backfilled blocks are old and would skew the latency
+        const eventTimestamp = metrics && !backfilledBatch ? blockTimestamp(blockNumber) : null;
+        for (const key of new Set(movedPools.map((pool) => pairKey(pool.pair)))) {
+          await findAndSimulateBestSpread(key, trigger);
+          if (eventTimestamp) {
+            const decidedAt = Date.now() / 1000;
+            eventTimestamp
+              .then((timestamp) => metrics.decisionLatency.observe({ pair: key }, decidedAt - timestamp))
+              .catch((error) => logger.error(`❌ Error reading block ${blockNumber} timestamp: ${error.message}`, { block: blockNumber, error: error.message }));
+          }
+        }
+        findAndSimulateBestCycle(movedPools, trigger);
+      };
+      
+      // Batches close on a Swap from another block, on a new head or when their window runs out
+      batcher = createBlockBatcher({
+        mode: config.blocks.batchMode,
+        windowMs: config.blocks.batchWindowMs,
+        onDue: () => {
+          enqueue(async () => {
+            const batch = batcher && batcher.take();
+            if (batch) await evaluateBatch(batch);
+          }).catch((error) => {
+            logger.error(`❌ Error evaluating batch: ${error.message}`, { error: error.message });
+            emitError(error, { source: "batch" });
+          });
+        },
+      });
+      
+      // ===== HELPER FUNCTION: Apply one Swap event =====
+      // Live events, backfilled logs and reorg replays all come through here, in chain order (see enqueue); a log
+      // at or before the pool's last applied Swap (seen live and again in a backfill) is skipped
+      const handleSwap = async (pool, { sqrtPriceX96, liquidity, tick }, log, { backfilled = false } = {}) => {
+        if (tracker.observe(log)) {
+          await rollback(log.blockNumber, log.removed ? `${pool.id} Swap log removed` : `block ${log.blockNumber} replaced`);
+          return;
+        }
+        const last = pool.lastSwapLog;
+        if (last && (log.blockNumber < last.blockNumber || (log.blockNumber === last.blockNumber && log.index <= last.index))) {
+          return;
+        }
+        // A Swap from another block closes the open batch, which is evaluated before this Swap moves any pool
+        const closed = batcher.add(log.blockNumber, pool.id, { pool, log, backfilled });
+        if (closed) await evaluateBatch(closed);
+        
+        tracker.checkpoint(log.blockNumber, pool.id, () => snapshotPool(pool));
+        pool.lastSwapLog = { blockNumber: log.blockNumber, index: log.index };
+        pool.lastSwapAt = Date.now();
+        const key = pairKey(pool.pair);
+        
+        // Compute price directly from the event's sqrtPriceX96 argument
+        const newPrice = poolPrice(pool, sqrtPriceX96);
+        
+        // Keep the quoter's view of the pool current, even for small moves
+        applySwapToPoolState(pool.state, sqrtPriceX96, liquidity, tick);
+        if (needsTickReload(pool.state)) {
+          await reloadTickData(pool);
+        }
+        
+        if (metrics) metrics.swapsProcessed.inc({ pool: pool.id });
+        publishPoolPrice(pool, newPrice, log.blockNumber);
+        monitor.emit("price", { poolId: pool.id, dex: pool.dex, label: pool.label, pair: key, price: newPrice, tick: Number(tick), blockNumber: log.blockNumber, txHash: log.transactionHash, backfilled });
+        
+        if (history) {
+          // Like opportunities, a price is only recorded once its block is confirmed, so a reorg drops it
+          const record = () => history.recordPrice({
+            poolId: pool.id,
+            dex: pool.dex,
+            pair: key,
+            price: newPrice,
+            tick: Number(tick),
+            sqrtPriceX96,
+            liquidity,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+          });
+          if (!tracker.defer(log.blockNumber, `${pool.id} price`, record)) record();
+        }
+      };
+      
+      // ===== HELPER FUNCTION: Replay Swap logs =====
+      // Runs a block range's Swap logs through the live handler and evaluates the last batch; returns the log count.
+      // `source` (backfill or replay) labels errors
+      const replaySwaps = async (provider, { fromBlock, toBlock }, source) => {
+        const swapTopics = [...new Set(monitoredPools.map((pool) => pool.contract.interface.getEvent("Swap").topicHash))];
+        const logs = await getLogsInChunks(
+          provider,
+          { address: monitoredPools.map((pool) => pool.address), topics: [swapTopics] },
+          { fromBlock, toBlock, chunkBlocks: config.ws.backfillChunkBlocks }
+        );
+        const poolsByAddress = new Map(monitoredPools.map((pool) => [pool.address.toLowerCase(), pool]));
+        for (const log of logs) {
+          const pool = poolsByAddress.get(log.address.toLowerCase());
+          const parsed = pool.contract.interface.parseLog(log);
+          if (!parsed || parsed.name !== "Swap") continue;
+          try {
+            await handleSwap(pool, parsed.args, log, { backfilled: true });
+          } catch (error) {
+            logger.error(`❌ Error processing ${source === "backfill" ? "backfilled" : "replayed"} ${pool.id} swap: ${error.message}`, { pool: pool.id, txHash: log.transactionHash, error: error.message });
+            emitError(error, { source, pool: pool.id, txHash: log.transactionHash });
+          }
+        }
+        const lastBatch = batcher.take();
+        if (lastBatch) await evaluateBatch(lastBatch);
+        return logs.length;
+      };
+      
+      // ===== HELPER FUNCTION: Roll back a reorg =====
+      // Pools go back to their state at the last confirmed block, the results waiting on the replaced blocks are
+      // dropped, and the blocks since are replayed from eth_getLogs. A reorg at or below the confirmed block (any
+      // reorg with CONFIRMATION_BLOCKS=0) has nothing to roll back to, so the pools are re-read from the chain
+      const rollback = async (fromBlock, reason) => {
+        batcher.discard();
+        projectedStates.clear();
+        const { confirmedBlock, snapshots, dropped } = tracker.rollback(fromBlock);
+        const resynced = fromBlock <= confirmedBlock;
+        logger.warnEvent("reorg", { fromBlock, confirmedBlock, reason, dropped, pools: [...snapshots.keys()], resynced },
+          `🔀 Reorg at block ${fromBlock} (${reason}): ${resynced
+            ? `block ${confirmedBlock} was already confirmed, re-reading every pool from the chain`
+            : `rolling ${snapshots.size} pools back to block ${confirmedBlock} and dropping ${dropped.length} pending results`}`);
+        if (metrics) metrics.reorgs.inc({});
+        
+        for (const [poolId, snapshot] of snapshots) {
+          restorePool(poolsById.get(poolId), snapshot);
+        }
+        const head = await rpcPool.read((runner) => runner.getBlockNumber(), "head block");
+        if (resynced) {
+          for (const pool of monitoredPools) {
+            pool.state = await rpcPool.read((runner) => loadPoolState(pool.contract.connect(runner), { wordRadius: config.quoter.wordRadius }), `${pool.id} tick data`);
+            pool.lastPrice = poolPrice(pool, pool.state.sqrtPriceX96);
+            // Swaps of the new chain are all newer than the state just read
+            pool.lastSwapLog = null;
+            publishPoolPrice(pool, pool.lastPrice, head);
+          }
+        } else {
+          for (const poolId of snapshots.keys()) {
+            const pool = poolsById.get(poolId);
+            publishPoolPrice(pool, poolPrice(pool, pool.state.sqrtPriceX96), confirmedBlock);
+          }
+          const logs = await replaySwaps(connection.provider, { fromBlock: confirmedBlock + 1, toBlock: head }, "replay");
+          logger.event("reorg_replayed", { fromBlock: confirmedBlock + 1, toBlock: head, logs },
+            `🔀 Replayed blocks ${confirmedBlock + 1}-${head}: ${logs} Swap logs`);
+        }
+        monitor.emit("reorg", { fromBlock, confirmedBlock, reason, dropped, resynced });
+      };
+      
+      // ===== HELPER FUNCTION: Follow the head =====
+      // A new head completes the open batch's block and confirms the blocks it buries deep enough; pending swap
+      // projections start over, since the swaps they stood for have landed (or not) by now
+      const advanceHead = async (blockNumber) => {
+        projectedStates.clear();
+        const pendingBlock = batcher.pendingBlock();
+        if (pendingBlock !== null && pendingBlock < blockNumber) {
+          await evaluateBatch(batcher.take());
+        }
+        const { final, reorgBlock } = await tracker.advance(blockNumber);
+        for (const { label, action } of final) {
+          try {
+            action();
+          } catch (error) {
+            logger.error(`❌ Error acting on ${label}: ${error.message}`, { label, error: error.message });
+            emitError(error, { source: "confirmation", label });
+          }
+        }
+        if (reorgBlock !== null) {
+          await rollback(reorgBlock, `block ${reorgBlock} hash changed before ${tracker.confirmations} confirmations`);
+        }
+      };
+      
+      // ===== HELPER FUNCTION: Project a pending transaction =====
+      // Each decoded swap moves a projection of its pool, stacked on the pending swaps before it, and every pair
+      // projected past the price threshold is simulated on the projected pools. Nothing is filled, executed or
+      // recorded. Only reads pool state, in one synchronous pass, so it runs outside the swap queue
+      const evaluatePending = (tx, source) => {
+        // A pending block the head already reached has landed; its Swaps come through handleSwap
+        const { headBlock } = tracker.status();
+        if (tx.blockNumber !== null && headBlock !== null && tx.blockNumber <= headBlock) return;
+        const swaps = decodePendingSwaps(tx, monitoredPools);
+        
+        const movedPools = [];
+        for (const { pool, zeroForOne, amountIn, method } of swaps) {
+          pendingStats.swaps++;
+          const key = pairKey(pool.pair);
+          const tokenIn = zeroForOne !== pool.isInverted ? pool.baseToken : pool.quoteToken;
+          const amount = ethers.formatUnits(amountIn, tokenIn.decimals);
+          const projection = projectSwap(pool, projectedStates.get(pool.id) ?? pool.state, zeroForOne, amountIn);
+          if (!projection) {
+            logger.debug(`🔮 Pending ${method} of ${amount} ${tokenIn.symbol} on ${pool.id} runs past the loaded ticks - not projected`, { pool: pool.id, txHash: tx.hash });
+            continue;
+          }
+          projectedStates.set(pool.id, projection.state);
+          pendingStats.projected++;
+          
+          const changePct = ((projection.price - pool.lastPrice) / pool.lastPrice) * 100;
+          logger.event("pending_swap", {
+            source,
+            txHash: tx.hash,
+            block: tx.blockNumber,
+            pool: pool.id,
+            pair: key,
+            method,
+            tokenIn: tokenIn.symbol,
+            amountIn: amount,
+            price: projection.price,
+            previousPrice: pool.lastPrice,
+            changePct,
+          }, `🔮 Pending ${method} (${source}): ${amount} ${tokenIn.symbol} on ${pool.label} ${key} → 1 ${pool.baseToken.symbol} = ${formatPrice(projection.price)} ${pool.quoteToken.symbol} (${changePct >= 0 ? "+" : ""}${changePct.toFixed(3)}%) [${tx.hash}]`);
+          const quoteUsdPrice = getTokenUsdPrice(pool.pair.quote, monitoredPools) ?? 1;
+          if (Math.abs(projection.price - pool.lastPrice) * quoteUsdPrice > config.thresholds.priceChange && !movedPools.includes(pool)) {
+            movedPools.push(pool);
+          }
+        }
+        if (movedPools.length === 0) return;
+        
+        const projectedPools = monitoredPools.map((pool) => {
+          const state = projectedStates.get(pool.id);
+          return state ? { ...pool, state, lastPrice: poolPrice(pool, state.sqrtPriceX96) } : pool;
+        });
+        const trigger = { source, txHash: tx.hash, block: tx.blockNumber, pools: movedPools.map((pool) => pool.id) };
+        for (const key of new Set(movedPools.map((pool) => pairKey(pool.pair)))) {
+          const pairPools = projectedPools.filter((pool) => pairKey(pool.pair) === key);
+          const quoteUsdPrice = getTokenUsdPrice(pairPools[0].pair.quote, projectedPools);
+          if (pairPools.length < 2 || quoteUsdPrice === null) continue;
+          
+          const maxSpreadPair = buildSpreads(pairPools).reduce((max, curr) => curr.absSpread > max.absSpread ? curr : max);
+          const pools = Object.fromEntries(pairPools.map((pool) => [pool.dex, pool]));
+          const arbResult = simulateArbitrageForPair(maxSpreadPair.dex1, maxSpreadPair.price1, maxSpreadPair.dex2, maxSpreadPair.price2, overallBudgetUSDC, budgetPercent, pools, quoteUsdPrice, config.arbitrage);
+          pendingStats.opportunities++;
+          logger.event("provisional_opportunity", {
+            pair: key,
+            ...trigger,
+            unconfirmed: true,
+            dex1: maxSpreadPair.dex1,
+            dex2: maxSpreadPair.dex2,
+            spreadPct: maxSpreadPair.spread,
+            direction: arbResult.direction,
+            isProfitable: arbResult.isProfitable,
+            tradeSizeUSDC: arbResult.details.tradeSizeUSDC,
+            netProfitUSDC: arbResult.netProfitUSDC,
+          }, `⚡ [${key}] Unconfirmed ${arbResult.isProfitable ? "PROFITABLE" : "unprofitable"} if ${tx.hash} lands: ${arbResult.direction}, net ${arbResult.netProfitUSDC >= 0 ? "+" : "-"}$${Math.abs(arbResult.netProfitUSDC).toFixed(4)} on $${arbResult.details.tradeSizeUSDC.toFixed(2)} USDC (spread ${formatSpread(maxSpreadPair.absSpread)})\n`);
+          monitor.emit("opportunity", { kind: "pair", key, result: arbResult, ranked: null, filled: false, final: false, unconfirmed: true, trigger });
+        }
+      };
+      
+      // ===== EVENT LISTENERS =====
+      // Attached to the current socket at startup and again after every reconnect; stop() removes them
+      // Pool events are attached before the fee watch, whose factory read can fail
+      const subscribePool = async (pool, provider) => {
+        unsubscribers.push(() => pool.contract.removeAllListeners());
+        
+        // Liquidity added or removed changes initialized ticks, so reload them
+        pool.contract.on("Mint", () => reloadTickData(pool));
+        pool.contract.on("Burn", () => reloadTickData(pool));
+        
+        // Swap event layouts differ after `tick` (PancakeSwap adds protocol fees), so take the event from the end
+        pool.contract.on("Swap", async (sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick, ...rest) => {
+          const event = rest[rest.length - 1];
+          try {
+            // Let a reconnect backfill finish first so swaps are applied in chain order
+            await connection.settled();
+            await enqueue(() => handleSwap(pool, { sqrtPriceX96, liquidity, tick }, event.log));
+          } catch (error) {
+            logger.error(`❌ Error processing ${pool.id} swap event: ${error.message}`, { pool: pool.id, txHash: event.log.transactionHash, error: error.message });
+            emitError(error, { source: "swap", pool: pool.id, txHash: event.log.transactionHash });
+          }
+        });
+        
+        // Fee-change events re-read the pool's fees (Slipstream only; other pools have a fixed fee)
+        const unwatchFees = await watchPoolFees(pool, provider, (fees, eventName) => updatePoolFees(pool, fees, eventName));
+        if (unwatchFees) unsubscribers.push(unwatchFees);
+      };
+      
+      // New heads close batches and confirm results
+      const subscribeHeads = (provider) => {
+        const onHead = (blockNumber) => {
+          enqueue(() => advanceHead(blockNumber)).catch((error) => {
+            logger.error(`❌ Error processing block ${blockNumber}: ${error.message}`, { block: blockNumber, error: error.message });
+            emitError(error, { source: "block", block: blockNumber });
+          });
+        };
+        provider.on("block", onHead);
+        unsubscribers.push(() => provider.off("block", onHead));
+      };
+      
+      for (const pool of monitoredPools) {
+        await subscribePool(pool, provider);
+      }
+      subscribeHeads(provider);
+      
+      // ===== PENDING FEED =====
+      // Pending transactions from the mempool, Base flashblocks or a mock file, projected as they arrive
+      if (config.pending.source !== "off") {
+        pendingFeed = createPendingFeed({
+          ...config.pending,
+          provider,
+          rpcPool,
+          pools: monitoredPools,
+          onTransaction: (tx, source) => {
+            try {
+              evaluatePending(tx, source);
+            } catch (error) {
+              logger.error(`❌ Error projecting pending transaction ${tx.hash}: ${error.message}`, { txHash: tx.hash, error: error.message });
+              emitError(error, { source: "pending", txHash: tx.hash });
+            }
+          },
+        });
+        await pendingFeed.start();
+        const origin = { mempool: "the mempool", flashblocks: `the pending block of ${config.pending.rpcUrl ? "PENDING_RPC_URL" : "the RPC pool"}`, mock: config.pending.mockPath }[pendingFeed.source];
+        logger.info(`🔮 Projecting pending swaps from ${origin} (unconfirmed opportunities only)\n`, { source: pendingFeed.source });
+      }
+      
+      // ===== REFERENCE FEED =====
+      // CEX prices per pair; a move of REFERENCE_CHANGE_BPS since the pair's last CEX–DEX simulation re-runs it.
+      // That only reads pool state, in one synchronous pass, so it runs outside the swap queue
+      if (config.reference.source !== "off") {
+        const unknownPairs = Object.keys(config.reference.products).filter((key) => !pairs.has(key));
+        if (unknownPairs.length > 0 && config.reference.source !== "mock") {
+          logger.warn(`⚠️  REFERENCE_PRODUCTS pairs not in the pool registry are ignored: ${unknownPairs.join(", ")}`, { pairs: unknownPairs });
+        }
+        referenceFeed = createReferenceFeed({
+          ...config.reference,
+          products: Object.fromEntries(Object.entries(config.reference.products).filter(([key]) => pairs.has(key))),
+          reconnectBaseDelayMs: config.ws.reconnectBaseDelayMs,
+          reconnectMaxDelayMs: config.ws.reconnectMaxDelayMs,
+          onPrice: ({ pair: key, price, venue }) => {
+            if (!running || !pairs.has(key)) return;
+            const last = latestReference.get(key);
+            if (last && Math.abs(referenceDeviationBps(price, last.price)) < config.reference.changeBps) return;
+            try {
+              const reference = referenceDeviations(key);
+              if (reference) simulateAgainstReference(key, reference, { source: "reference", venue, price, previousPrice: last ? last.price : null });
+            } catch (error) {
+              logger.error(`❌ Error simulating ${key} against the reference price: ${error.message}`, { pair: key, error: error.message });
+              emitError(error, { source: "reference", pair: key });
+            }
+          },
+        });
+        await referenceFeed.start();
+        const origin = referenceFeed.source === "mock" ? config.reference.mockPath : `${referenceFeed.venue} (${referenceFeed.status().endpoint})`;
+        logger.info(`🏦 Measuring pools against reference prices from ${origin}\n`, { source: referenceFeed.source, venue: referenceFeed.venue });
+      }
+      
+      // ===== RECONNECT HANDLING =====
+      // Bind every pool contract and the gas oracle to the new socket, re-subscribe, and catch up on
+      // liquidity and fee changes missed while disconnected. Every pool and the head listener are
+      // subscribed before the catch-up reads, and a failure is contained to its pool or feed.
+      connection.onReconnect(async (newProvider) => {
+        // The old socket's subscriptions went with it
+        unsubscribers = [];
+        for (const pool of monitoredPools) {
+          pool.contract = pool.contract.connect(newProvider);
+          try {
+            await subscribePool(pool, newProvider);
+          } catch (error) {
+            logger.error(`❌ Error re-subscribing ${pool.id}: ${error.message}`, { pool: pool.id, error: error.message });
+            emitError(error, { source: "resubscribe", pool: pool.id });
+          }
+        }
+        subscribeHeads(newProvider);
+        for (const pool of monitoredPools) {
+          await reloadTickData(pool);
+          await refreshPoolFees(pool, "reconnect");
+        }
+        for (const [name, feed] of [["gas oracle", gasOracle], ["pending feed", pendingFeed]]) {
+          if (!feed) continue;
+          try {
+            await feed.setProvider(newProvider);
+          } catch (error) {
+            logger.error(`❌ Error moving the ${name} to the new socket: ${error.message}`, { feed: name, error: error.message });
+            emitError(error, { source: "resubscribe", feed: name });
+          }
+        }
+      });
+      
+      // Replay the Swap logs of the blocks missed while disconnected through the live handler
+      connection.onGap((newProvider, gap) => enqueue(() => replaySwaps(newProvider, gap, "backfill")));
+      
+      // Connection state for /metrics; the gap overlaps the last block seen, as in wsConnection's counters
+      if (metrics) {
+        metrics.wsConnected.set({}, 1);
+        // Export the counters at 0 before the first drop, so rate() has a starting sample
+        for (const counter of [metrics.wsDisconnects, metrics.wsReconnects, metrics.wsBackfilledBlocks]) counter.inc({}, 0);
+        connection.onDisconnect(() => {
+          metrics.wsConnected.set({}, 0);
+          metrics.wsDisconnects.inc({});
+        });
+        connection.onReconnect(() => {
+          metrics.wsConnected.set({}, 1);
+          metrics.wsReconnects.inc({});
+        });
+        connection.onGap((newProvider, gap) => {
+          metrics.wsBackfilledBlocks.inc({}, gap.toBlock - gap.fromBlock + 1);
+        });
+      }
+      
+      // ===== HEALTH ALERTS =====
+      // Lost WebSocket connections, unhealthy RPC endpoints and pools that stopped swapping
+      if (notifier) {
+        connection.onDisconnect((reason) => {
+          notifier.health("ws-connection", "🔌 RPC reconnecting", `WebSocket connection to ${endpointHost(connection.url)} lost (${reason}), reconnecting`);
+        });
+        connection.onReconnect(() => {
+          notifier.resolve("ws-connection", "🔌 RPC reconnected", `WebSocket reconnected to ${endpointHost(connection.url)}`);
+        });
+        rpcPool.onHealthChange((endpoint, healthy, reason) => {
+          if (healthy) {
+            notifier.resolve(`rpc:${endpoint}`, `💚 RPC ${endpoint} healthy`, `RPC endpoint ${endpoint} recovered`);
+          } else {
+            notifier.health(`rpc:${endpoint}`, `💔 RPC ${endpoint} unhealthy`, `RPC endpoint ${endpoint} is unhealthy (${reason})`);
+          }
+        });
+        if (risk) {
+          risk.onBreakerChange((tripped, reason) => {
+            if (tripped) {
+              notifier.health("risk-breaker", "🛑 Circuit breaker tripped", `Trading paused: ${reason}`);
+            } else {
+              notifier.resolve("risk-breaker", "🟢 Trading resumed", `Circuit breaker cleared (was: ${reason})`);
+            }
+          });
+        }
+        
+        const silenceMs = config.alerts.poolSilenceMinutes * 60 * 1000;
+        if (silenceMs > 0) {
+          silenceTimer = setInterval(() => {
+            for (const pool of monitoredPools) {
+              const key = `pool-silent:${pool.id}`;
+              const silentMs = Date.now() - pool.lastSwapAt;
+              if (silentMs >= silenceMs) {
+                notifier.health(key, `🔇 No Swap from ${pool.label} ${pairKey(pool.pair)}`, `No Swap event from ${pool.id} (${pool.address}) in ${Math.floor(silentMs / 60000)} minutes`);
+              } else {
+                notifier.resolve(key, `🔊 ${pool.label} ${pairKey(pool.pair)} swapping again`, `Swap events from ${pool.id} resumed`);
+              }
+            }
+          }, Math.min(silenceMs, 60 * 1000));
+        }
+      }
+    } catch (error) {
+      await teardown();
+      throw error;
+    }
+  };
+  
+  /**
+   * Unsubscribe and release every connection, timer, server and file opened by start()
+   * @returns {Promise<void>}
+   */
+  const stop = async () => {
+    if (running) await teardown();
+  };
+  
+  /**
+   * Snapshot of the monitor's state
+   * @returns {Object} { running, budgetUSDC, budgetPercent, pools, spreads, opportunities, blocks, pending, reference, ledger, risk, connection, rpc }
+   */
+  const getState = () => ({
+    running,
+    budgetUSDC: overallBudgetUSDC,
+    budgetPercent,
+    pools: monitoredPools.map((pool) => ({
+      id: pool.id,
+      dex: pool.dex,
+      label: pool.label,
+      pair: pairKey(pool.pair),
+      address: pool.address,
+      price: pool.lastPrice,
+      tick: pool.state.tick,
+      feePips: pool.fees.feePips,
+      lastSwapBlock: pool.lastSwapLog ? pool.lastSwapLog.blockNumber : null,
+      lastSwapAt: pool.lastSwapAt,
+    })),
+    // Pair → { ts, spreads, max, reference }
+    spreads: Object.fromEntries(latestSpreads),
+    // Pair (or "cycles") → latest simulation { ts, kind, isProfitable, tradeSizeUSDC, netProfitUSDC, filled, final, ... }
+    opportunities: Object.fromEntries(latestOpportunities),
+    // Head, confirmed block, results waiting for confirmations, reorgs
+    blocks: tracker ? tracker.status() : null,
+    // Pending feed counters, decoded and projected swaps, unconfirmed opportunities, pools projected right now
+    pending: pendingFeed ? { ...pendingFeed.status(), ...pendingStats, projectedPools: [...projectedStates.keys()] } : null,
+    // Reference feed connection and prices, and the latest CEX–DEX simulation per pair
+    reference: referenceFeed ? { ...referenceFeed.status(), pairs: Object.fromEntries(latestReference) } : null,
+    ledger: ledger ? ledger.valuation() : null,
+    risk: risk ? risk.status() : null,
+    connection: connection ? connection.metrics() : null,
+    rpc: rpcPool ? rpcPool.metrics() : null,
+  });
+  
+  /**
+   * Resume trading after a circuit breaker tripped (no-op without risk limits)
+   * @param {string} why - Who or what reset it, for the log
+   */
+  const resetRisk = (why) => {
+    if (risk) risk.reset(why);
+  };
+  
+  return Object.assign(monitor, { start, stop, getState, resetRisk });
+}
@@ -0,0 +1,43 @@
+import { ethers } from "ethers";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   NETWORK                                                                    ║
+ * ║   Base network, endpoint redaction and request timeouts shared by clients    ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every RPC, WebSocket and reference-feed client uses these, so endpoint URLs are
+ * redacted the same way wherever they are logged, alerted on or exported.
+ */
+
+// Base mainnet; a static network skips chain-id detection, which retries forever on a dead endpoint
+export const BASE_NETWORK = ethers.Network.from(8453);
+
+/**
+ * Endpoint host only; paths and query strings usually carry API keys
+ * Use it for every URL that reaches a log, an alert, a metric label or getState()
+ * @param {string} url - Endpoint URL
+ * @returns {string} host[:port], or the input when it is not a URL
+ */
+export function endpointHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Reject if a promise does not settle within `ms`
+ * @param {Promise} promise - Request to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} label - Request name for the timeout error
+ * @returns {Promise} The request's result
+ */
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,239 @@
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   NOTIFIER                                                                   ║
+ * ║   Profitable-spread and health alerts to Telegram, Discord, Slack, webhooks  ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Alerts go to every configured sink:
+ * - telegram: Bot API sendMessage (TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID)
+ * - discord / slack: incoming webhook ({ content } / { text })
+ * - webhook: generic HTTP POST of the alert object as JSON
+ *
+ * Opportunity alerts fire when a result clears every threshold (net profit,
+ * spread %) and has stayed above them for the minimum duration. The duration is
+ * measured between evaluations, which happen on Swaps, so it is only as precise
+ * as the Swap rate.
+ *
+ * Each alert has a key (pair + direction, cycle route, or a health condition).
+ * A key that fired is muted for the cooldown, so one persisting spread or one
+ * flapping connection sends one alert per cooldown instead of one per Swap.
+ * A health alert stays active, and is not repeated, until it is resolved; the
+ * resolution is only sent for alerts that went out.
+ */
+
+/**
+ * @typedef {Object} Alert
+ * @property {number} ts - Milliseconds since the epoch
+ * @property {string} kind - "opportunity", "health" or "resolved"
+ * @property {string} key - Deduplication key
+ * @property {string} title - One-line summary
+ * @property {string} message - Details, may span several lines
+ * @property {Object} data - Machine-readable fields (generic webhook only)
+ */
+
+// POST a JSON body, throwing on network errors, timeouts and non-2xx answers
+async function postJson(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  }
+}
+
+const alertText = (alert) => `${alert.title}\n${alert.message}`;
+
+// ===== SINKS =====
+
+/**
+ * Telegram bot sink
+ * @param {Object} options
+ * @param {string} options.botToken - Bot token from @BotFather
+ * @param {string} options.chatId - Chat, group or channel id
+ * @param {string} options.apiUrl - Bot API base URL (point at a local stub to test)
+ * @param {number} options.timeoutMs - Request deadline
+ * @returns {Object} { name, send(alert) }
+ */
+export function createTelegramSink({ botToken, chatId, apiUrl, timeoutMs }) {
+  return {
+    name: "telegram",
+    send: (alert) => postJson(`${apiUrl}/bot${botToken}/sendMessage`, { chat_id: chatId, text: alertText(alert), disable_web_page_preview: true }, timeoutMs),
+  };
+}
+
+/**
+ * Discord incoming webhook sink
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @param {number} options.timeoutMs - Request deadline
+ * @returns {Object} { name, send(alert) }
+ */
+export function createDiscordSink({ url, timeoutMs }) {
+  return {
+    name: "discord",
+    send: (alert) => postJson(url, { content: alertText(alert) }, timeoutMs),
+  };
+}
+
+/**
+ * Slack incoming webhook sink
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @param {number} options.timeoutMs - Request deadline
+ * @returns {Object} { name, send(alert) }
+ */
+export function createSlackSink({ url, timeoutMs }) {
+  return {
+    name: "slack",
+    send: (alert) => postJson(url, { text: alertText(alert) }, timeoutMs),
+  };
+}
+
+/**
+ * Generic HTTP webhook sink: POSTs the whole alert as JSON
+ * @param {Object} options
+ * @param {string} options.url - Endpoint URL
+ * @param {number} options.timeoutMs - Request deadline
+ * @returns {Object} { name, send(alert) }
+ */
+export function createWebhookSink({ url, timeoutMs }) {
+  return {
+    name: "webhook",
+    send: (alert) => postJson(url, alert, timeoutMs),
+  };
+}
+
+/**
+ * Build the sinks that have their settings filled in
+ * @param {Object} alertsConfig - config.alerts
+ * @returns {Array<Object>} Sinks
+ */
+export function createSinks({ telegram, discordWebhookUrl, slackWebhookUrl, webhookUrl, requestTimeoutMs }) {
+  const sinks = [];
+  if (telegram.botToken && telegram.chatId) {
+    sinks.push(createTelegramSink({ ...telegram, timeoutMs: requestTimeoutMs }));
+  }
+  if (discordWebhookUrl) sinks.push(createDiscordSink({ url: discordWebhookUrl, timeoutMs: requestTimeoutMs }));
+  if (slackWebhookUrl) sinks.push(createSlackSink({ url: slackWebhookUrl, timeoutMs: requestTimeoutMs }));
+  if (webhookUrl) sinks.push(createWebhookSink({ url: webhookUrl, timeoutMs: requestTimeoutMs }));
+  return sinks;
+}
+
+// ===== NOTIFIER =====
+
+/**
+ * Create a notifier with thresholds, deduplication and cooldowns
+ * @param {Object} options
+ * @param {Array<Object>} options.sinks - From createSinks()
+ * @param {number} options.minNetProfitUSDC - Smallest net profit that alerts
+ * @param {number} options.minSpreadPct - Smallest absolute spread (%) that alerts (cycles have no spread and skip it)
+ * @param {number} options.minDurationMs - How long an opportunity must stay above the thresholds before it alerts
+ * @param {number} options.cooldownMs - Time an alert key stays muted after firing
+ * @returns {Object} { sinks, opportunity, health, resolve, metrics }
+ */
+export function createNotifier({ sinks, minNetProfitUSDC, minSpreadPct, minDurationMs, cooldownMs }) {
+  // Group → { key, since }: the opportunity currently above the thresholds and since when
+  const open = new Map();
+  // Key → time its last alert was sent
+  const lastSentAt = new Map();
+  // Health keys alerted and not yet resolved
+  const activeHealth = new Set();
+  const counters = { sent: 0, suppressed: 0, failed: 0 };
+
+  const dispatch = async (alert) => {
+    lastSentAt.set(alert.key, alert.ts);
+    counters.sent++;
+    const results = await Promise.allSettled(sinks.map((sink) => sink.send(alert)));
+    results.forEach((result, i) => {
+      if (result.status === "rejected") {
+        counters.failed++;
+        logger.error(`❌ Alert to ${sinks[i].name} failed: ${result.reason.message}`, { sink: sinks[i].name, alertKey: alert.key, error: result.reason.message });
+      }
+    });
+    logger.event("alert_sent", { kind: alert.kind, alertKey: alert.key, title: alert.title, sinks: sinks.map((sink) => sink.name) },
+      `🔔 Alert sent (${sinks.map((sink) => sink.name).join(", ")}): ${alert.title}`);
+  };
+
+  const coolingDown = (key, now) => lastSentAt.has(key) && now - lastSentAt.get(key) < cooldownMs;
+
+  return {
+    sinks,
+    /**
+     * Evaluate a simulated opportunity; alerts once it has cleared the thresholds for minDurationMs
+     * @param {Object} opportunity
+     * @param {string} opportunity.group - What is evaluated (a pair, or all cycles); only its latest key stays open
+     * @param {string} opportunity.key - Deduplication key (pair + direction, or cycle route)
+     * @param {boolean} opportunity.isProfitable - Verdict after verification
+     * @param {number} opportunity.netProfitUSDC - Net profit
+     * @param {number|null} opportunity.spreadPct - Absolute spread (%), null for cycles
+     * @param {string} opportunity.title - One-line summary
+     * @param {string} opportunity.message - Details
+     * @param {Object} [opportunity.data] - Extra fields for the generic webhook
+     * @returns {Promise<void>} Resolves once every sink has answered (never rejects)
+     */
+    async opportunity({ group, key, isProfitable, netProfitUSDC, spreadPct, title, message, data = {} }) {
+      const now = Date.now();
+      const qualifies = isProfitable
+        && netProfitUSDC >= minNetProfitUSDC
+        && (spreadPct === null || Math.abs(spreadPct) >= minSpreadPct);
+      if (!qualifies) {
+        open.delete(group);
+        return;
+      }
+      // A different key (e.g. the direction flipped) is a new opportunity
+      if (open.get(group)?.key !== key) open.set(group, { key, since: now });
+      const openForMs = now - open.get(group).since;
+      if (openForMs < minDurationMs) return;
+      if (coolingDown(key, now)) {
+        counters.suppressed++;
+        return;
+      }
+      await dispatch({
+        ts: now,
+        kind: "opportunity",
+        key,
+        title,
+        message: `${message}\nOpen for ${(openForMs / 1000).toFixed(0)}s`,
+        data: { ...data, netProfitUSDC, spreadPct, openForMs },
+      });
+    },
+    /**
+     * Raise a health condition (stale pool, lost connection, unhealthy endpoint)
+     * @param {string} key - Condition key, e.g. "pool-silent:uniswap-cbbtc-usdc"
+     * @param {string} title - One-line summary
+     * @param {string} message - Details
+     * @returns {Promise<void>}
+     */
+    async health(key, title, message) {
+      const now = Date.now();
+      if (activeHealth.has(key)) return;
+      if (coolingDown(key, now)) {
+        counters.suppressed++;
+        return;
+      }
+      activeHealth.add(key);
+      await dispatch({ ts: now, kind: "health", key, title, message, data: {} });
+    },
+    /**
+     * Clear a health condition, alerting only if it had been raised
+     * @param {string} key - Condition key passed to health()
+     * @param {string} title - One-line summary
+     * @param {string} message - Details
+     * @returns {Promise<void>}
+     */
+    async resolve(key, title, message) {
+      if (!activeHealth.delete(key)) return;
+      await dispatch({ ts: Date.now(), kind: "resolved", key, title, message, data: {} });
+    },
+    // Alert counters, for logs and metrics
+    metrics() {
+      return { ...counters, openOpportunities: open.size, activeHealth: [...activeHealth] };
+    },
+  };
+}
@@ -0,0 +1,318 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { SWAP_ROUTER_ABIS_BY_PROTOCOL, ROUTER_MULTICALL_ABI, POOL_SWAP_ABI } from "./abis.js";
+import { DEFAULT_ROUTERS, encodeSwap } from "./executor.js";
+import { quoteExactInput, MIN_SQRT_RATIO, MAX_SQRT_RATIO } from "./quoter.js";
+import { poolPrice } from "./arbitrage.js";
+import { logger } from "./logger.js";
+import { BASE_NETWORK } from "./network.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   PENDING SWAP FEED                                                          ║
+ * ║   Swaps on the monitored pools, seen before their block lands                ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * By the time a Swap event arrives, every other bot has seen the same block.
+ * This feed hands the monitor transactions that are not in a block yet, so it
+ * can decode the swaps they make on monitored pools, project each pool's
+ * post-swap sqrtPriceX96 with the local quoter, and report the opportunities
+ * that state would open. Such opportunities are provisional: they are never
+ * filled, executed or recorded, and the transaction may still fail or never land.
+ *
+ * Sources:
+ * - mempool: newPendingTransactions on the event socket, each hash fetched with
+ *   eth_getTransactionByHash. Base's sequencer keeps its mempool private, so this
+ *   only sees what the endpoint's own txpool gossips
+ * - flashblocks: polls eth_getBlockByNumber("pending") on a flashblocks-aware
+ *   endpoint (e.g. https://mainnet-preconf.base.org), which serves the block
+ *   being built as of its latest 200ms flashblock. Its transactions are
+ *   preconfirmed; new ones are handed on once. Regular nodes answer "pending"
+ *   with the latest block, which the monitor skips as already landed
+ * - mock: replays a JSON file of swap descriptions as router (or pool) calls, a
+ *   local stand-in for trying the projection without either endpoint
+ *
+ * Decoded calls: exactInputSingle on each pool's router (see DEFAULT_ROUTERS),
+ * also inside multicall, and exact-input swap() calls on the pool itself.
+ * Multi-hop paths, exact-output swaps and aggregator or Universal Router calls
+ * are not decoded.
+ */
+
+export const PENDING_SOURCES = ["off", "mempool", "flashblocks", "mock"];
+
+// eth_getTransactionByHash requests in flight at once in mempool mode; further hashes are dropped
+const MAX_IN_FLIGHT = 32;
+
+// Mock swaps are encoded as these calls (see buildMockTransaction)
+const MOCK_VIAS = ["router", "multicall", "pool"];
+
+const poolSwapInterface = new ethers.Interface(POOL_SWAP_ABI);
+const routerInterfaces = Object.fromEntries(
+  Object.entries(SWAP_ROUTER_ABIS_BY_PROTOCOL).map(([protocol, abi]) => [protocol, new ethers.Interface([...abi, ...ROUTER_MULTICALL_ABI])])
+);
+
+// ===== DECODING =====
+
+// Router address a pool's swaps go through
+const routerOf = (pool) => (pool.router || DEFAULT_ROUTERS[pool.protocol]).toLowerCase();
+
+// token0 of a pool (the base token unless the pool is inverted)
+const token0Of = (pool) => (pool.isInverted ? pool.quoteToken : pool.baseToken);
+
+// Parsed call, or null when the calldata does not match the interface
+const parseCall = (iface, data) => {
+  try {
+    return iface.parseTransaction({ data });
+  } catch {
+    return null;
+  }
+};
+
+// Swaps in one router call (and the calls inside a multicall) on the pools behind that router
+function decodeRouterCall(routedPools, data) {
+  for (const protocol of new Set(routedPools.map((pool) => pool.protocol))) {
+    const call = parseCall(routerInterfaces[protocol], data);
+    if (!call) continue;
+    if (call.name === "multicall") {
+      return call.args.data.toArray().flatMap((inner) => decodeRouterCall(routedPools, inner));
+    }
+    if (call.name !== "exactInputSingle") return [];
+    const params = call.args.params;
+    const tokenIn = params.tokenIn.toLowerCase();
+    const tokenOut = params.tokenOut.toLowerCase();
+    const pool = routedPools.find((candidate) => {
+      const tokens = [candidate.baseToken.address.toLowerCase(), candidate.quoteToken.address.toLowerCase()];
+      // Slipstream routers pick the pool by tick spacing, the others by fee tier
+      const sameVenue = protocol === "slipstream"
+        ? Number(params.tickSpacing) === candidate.state.tickSpacing
+        : Number(params.fee) === candidate.feeTier;
+      return candidate.protocol === protocol && tokenIn !== tokenOut && tokens.includes(tokenIn) && tokens.includes(tokenOut) && sameVenue;
+    });
+    if (!pool) return [];
+    return [{ pool, zeroForOne: tokenIn === token0Of(pool).address.toLowerCase(), amountIn: params.amountIn, method: "exactInputSingle" }];
+  }
+  return [];
+}
+
+/**
+ * Decode the swaps a transaction makes on monitored pools
+ * @param {Object} tx - { to, data }
+ * @param {Array<Object>} pools - Monitored pools
+ * @returns {Array<Object>} { pool, zeroForOne, amountIn, method } per decoded swap, in call order
+ */
+export function decodePendingSwaps(tx, pools) {
+  if (!tx.to || !tx.data || tx.data === "0x") return [];
+  const to = tx.to.toLowerCase();
+  const target = pools.find((pool) => pool.address.toLowerCase() === to);
+  if (target) {
+    const call = parseCall(poolSwapInterface, tx.data);
+    // Exact output (negative amountSpecified) is not projected
+    if (!call || call.args.amountSpecified <= 0n) return [];
+    return [{ pool: target, zeroForOne: call.args.zeroForOne, amountIn: call.args.amountSpecified, method: "swap" }];
+  }
+  const routedPools = pools.filter((pool) => routerOf(pool) === to);
+  return routedPools.length > 0 ? decodeRouterCall(routedPools, tx.data) : [];
+}
+
+// ===== PROJECTION =====
+
+/**
+ * Project a pool's state after an exact-input swap with the local quoter
+ * @param {Object} pool - Monitored pool (fees, token ordering)
+ * @param {Object} state - State to swap against: the pool's own, or an earlier projection
+ * @param {boolean} zeroForOne - true to swap token0 for token1
+ * @param {bigint} amountIn - Raw input amount
+ * @returns {Object|null} { state, price, amountOut }, or null when the swap runs past the loaded ticks
+ */
+export function projectSwap(pool, state, zeroForOne, amountIn) {
+  const quote = quoteExactInput(state, zeroForOne, amountIn, { feePips: pool.fees.feePips });
+  if (!quote.complete) return null;
+  // Tick maps are shared with the pool; only price, tick and active liquidity move
+  const projected = { ...state, sqrtPriceX96: quote.sqrtPriceX96After, tick: quote.tickAfter, liquidity: quote.liquidityAfter };
+  return { state: projected, price: poolPrice(pool, projected.sqrtPriceX96), amountOut: quote.amountOut };
+}
+
+// ===== MOCK SOURCE =====
+
+/**
+ * Encode a mock swap description as the transaction a wallet would send
+ * @param {Object} entry - { pool: registry id, tokenIn: token key, amountIn: human amount, via?: router | multicall | pool }
+ * @param {Array<Object>} pools - Monitored pools
+ * @param {number} index - Position in the file, for errors and the transaction hash
+ * @returns {Object} { hash, to, data, blockNumber: null }
+ */
+export function buildMockTransaction(entry, pools, index) {
+  const where = `Mock pending swap #${index + 1}`;
+  const pool = pools.find((candidate) => candidate.id === entry.pool);
+  if (!pool) throw new Error(`${where}: unknown pool "${entry.pool}" (expected one of: ${pools.map((candidate) => candidate.id).join(", ")})`);
+  const via = entry.via || "router";
+  if (!MOCK_VIAS.includes(via)) throw new Error(`${where}: unknown via "${via}" (expected one of: ${MOCK_VIAS.join(", ")})`);
+  const tokenIn = { [pool.pair.base]: pool.baseToken, [pool.pair.quote]: pool.quoteToken }[entry.tokenIn];
+  if (!tokenIn) throw new Error(`${where}: tokenIn must be ${pool.pair.base} or ${pool.pair.quote}`);
+  const tokenOut = tokenIn === pool.baseToken ? pool.quoteToken : pool.baseToken;
+  const amountIn = ethers.parseUnits(String(entry.amountIn), tokenIn.decimals);
+  const zeroForOne = tokenIn === token0Of(pool);
+  const hash = ethers.id(`mock pending swap ${index} ${Date.now()}`);
+
+  if (via === "pool") {
+    const limit = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+    const data = poolSwapInterface.encodeFunctionData("swap", [ethers.ZeroAddress, zeroForOne, amountIn, limit, "0x"]);
+    return { hash, to: pool.address, data, blockNumber: null };
+  }
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+  const swap = encodeSwap(pool, {
+    tokenIn: tokenIn.address,
+    tokenOut: tokenOut.address,
+    feeTier: pool.feeTier,
+    amountIn,
+    amountOutMinimum: 0n,
+    sqrtPriceLimitX96: 0n,
+    recipient: ethers.ZeroAddress,
+    deadline,
+  });
+  const data = via === "multicall"
+    ? routerInterfaces[pool.protocol].encodeFunctionData("multicall(uint256,bytes[])", [deadline, [swap]])
+    : swap;
+  return { hash, to: pool.router || DEFAULT_ROUTERS[pool.protocol], data, blockNumber: null };
+}
+
+// ===== FEED =====
+
+/**
+ * Create a pending swap feed
+ * @param {Object} options
+ * @param {string} options.source - mempool, flashblocks or mock
+ * @param {ethers.Provider} options.provider - Event socket (mempool)
+ * @param {Object} options.rpcPool - RPC pool from createRpcPool(), polled when rpcUrl is empty (flashblocks)
+ * @param {string} [options.rpcUrl] - Flashblocks-aware endpoint for the pending block (flashblocks)
+ * @param {number} options.pollIntervalMs - Pending block poll interval (flashblocks)
+ * @param {string} options.mockPath - JSON file of mock swaps (mock)
+ * @param {number} options.mockIntervalMs - Delay between mock swaps (mock)
+ * @param {Array<Object>} options.pools - Monitored pools (mock transactions are encoded for them)
+ * @param {Function} options.onTransaction - ({ hash, to, data, blockNumber }, source) => void; blockNumber is the
+ *   pending block (flashblocks) or null
+ * @returns {Object} { source, start, stop, setProvider, status }
+ */
+export function createPendingFeed({ source, provider, rpcPool, rpcUrl, pollIntervalMs, mockPath, mockIntervalMs, pools, onTransaction }) {
+  if (!PENDING_SOURCES.includes(source) || source === "off") {
+    throw new Error(`Unknown pending source "${source}" (expected one of: ${PENDING_SOURCES.filter((name) => name !== "off").join(", ")})`);
+  }
+  let running = false;
+  let timer = null;
+  let inFlight = 0;
+  // flashblocks: pending block being polled, and the transactions of it already handed on
+  let pendingBlock = null;
+  const seen = new Set();
+  let failing = false;
+  const counters = { transactions: 0, dropped: 0, errors: 0 };
+  const pendingProvider = source === "flashblocks" && rpcUrl
+    ? new ethers.JsonRpcProvider(rpcUrl, BASE_NETWORK, { staticNetwork: BASE_NETWORK })
+    : null;
+
+  const deliver = (tx) => {
+    if (!running) return;
+    counters.transactions++;
+    onTransaction(tx, source);
+  };
+
+  // ----- mempool -----
+  const onPendingHash = async (hash) => {
+    if (inFlight >= MAX_IN_FLIGHT) {
+      counters.dropped++;
+      return;
+    }
+    inFlight++;
+    try {
+      const tx = await provider.getTransaction(hash);
+      // Already mined or dropped by the time it was fetched
+      if (tx && tx.blockNumber === null) deliver({ hash: tx.hash, to: tx.to, data: tx.data, blockNumber: null });
+    } catch {
+      counters.errors++;
+    } finally {
+      inFlight--;
+    }
+  };
+
+  // ----- flashblocks -----
+  const readPendingBlock = () => {
+    const read = (runner) => runner.send("eth_getBlockByNumber", ["pending", true]);
+    return pendingProvider ? read(pendingProvider) : rpcPool.read(read, "pending block");
+  };
+
+  const poll = async () => {
+    try {
+      const block = await readPendingBlock();
+      if (block) {
+        const number = block.number === null ? null : Number(block.number);
+        if (number !== pendingBlock) {
+          pendingBlock = number;
+          seen.clear();
+        }
+        for (const tx of block.transactions) {
+          if (typeof tx === "string" || seen.has(tx.hash)) continue;
+          seen.add(tx.hash);
+          deliver({ hash: tx.hash, to: tx.to, data: tx.input, blockNumber: number });
+        }
+      }
+      if (failing) {
+        failing = false;
+        logger.info("🔮 Pending block polling recovered");
+      }
+    } catch (error) {
+      counters.errors++;
+      if (!failing) {
+        failing = true;
+        logger.warn(`⚠️  Pending block poll failed, retrying every ${pollIntervalMs}ms: ${error.shortMessage || error.message}`, { error: error.shortMessage || error.message });
+      }
+    }
+    if (running) timer = setTimeout(poll, pollIntervalMs);
+  };
+
+  // ----- mock -----
+  const replayMock = (transactions, index) => {
+    if (!running) return;
+    if (index >= transactions.length) {
+      logger.info(`🧪 Mock pending feed finished (${transactions.length} transactions from ${mockPath})`);
+      return;
+    }
+    deliver(transactions[index]);
+    timer = setTimeout(() => replayMock(transactions, index + 1), mockIntervalMs);
+  };
+
+  return {
+    source,
+    // Subscribe, start polling, or load and start replaying the mock file (a bad file fails here)
+    async start() {
+      running = true;
+      if (source === "mempool") {
+        await provider.on("pending", onPendingHash);
+      } else if (source === "flashblocks") {
+        timer = setTimeout(poll, 0);
+      } else {
+        const entries = JSON.parse(fs.readFileSync(mockPath, "utf8"));
+        if (!Array.isArray(entries)) throw new Error(`Mock pending feed ${mockPath} must hold a JSON array of swaps`);
+        const transactions = entries.map((entry, index) => buildMockTransaction(entry, pools, index));
+        timer = setTimeout(() => replayMock(transactions, 0), mockIntervalMs);
+      }
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+      if (source === "mempool") provider.off("pending", onPendingHash).catch(() => {});
+      if (pendingProvider) pendingProvider.destroy();
+    },
+    // Follow pending transactions on a new socket (after a reconnect); only the mempool source uses it
+    async setProvider(newProvider) {
+      if (source !== "mempool") return;
+      // The old provider is usually already destroyed
+      provider.off("pending", onPendingHash).catch(() => {});
+      provider = newProvider;
+      if (running) await provider.on("pending", onPendingHash);
+    },
+    // Counters, for getState()
+    status() {
+      return { source, pendingBlock, ...counters };
+    },
+  };
+}
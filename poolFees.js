@@ -0,0 +1,97 @@
+import { ethers } from "ethers";
+import { SLIPSTREAM_FEE_ABI } from "./abis.js";
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   POOL FEES                                                                  ║
+ * ║   Swap fee each pool actually charges, read on-chain                         ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * V3-style pools take their fee as a percentage of every swap's input, in
+ * hundredths of a bip (500 = 0.05%). The fee is passed to the local quoter, so
+ * quoted outputs are what the pool really pays out.
+ *
+ * - Uniswap V3 and PancakeSwap V3: fee() is fixed when the pool is created
+ * - Aerodrome Slipstream: fee() is resolved by the factory's swap fee module and
+ *   can change at any time (custom per-pool fees, dynamic fee modules).
+ *   unstakedFee() is the share of that fee taken from unstaked liquidity for the
+ *   gauge; it does not change what the trader pays and is read for reporting.
+ *
+ * Slipstream fees are re-read when the factory or a fee module emits a fee-change
+ * event for the pool, and after each swap, since dynamic fee modules move the fee
+ * without emitting anything.
+ */
+
+const FEE_DENOMINATOR = 1_000_000;
+
+/**
+ * Format a fee in hundredths of a bip as a percentage
+ * @param {number} feePips - Fee in hundredths of a bip
+ * @returns {string} e.g. "0.05%"
+ */
+export function formatFeePips(feePips) {
+  return `${parseFloat(((feePips / FEE_DENOMINATOR) * 100).toFixed(4))}%`;
+}
+
+/**
+ * Format a pool's fees for logs
+ * @param {Object} fees - Result from readPoolFees()
+ * @returns {string} e.g. "0.05%" or "0.04% (unstaked fee 10%)"
+ */
+export function formatPoolFees(fees) {
+  if (fees.unstakedFeePips === null) return formatFeePips(fees.feePips);
+  return `${formatFeePips(fees.feePips)} (unstaked fee ${formatFeePips(fees.unstakedFeePips)})`;
+}
+
+/**
+ * Read a pool's current swap fee (and Slipstream unstaked fee)
+ * @param {Object} pool - Monitored pool { protocol, contract }
+ * @returns {Promise<Object>} { feePips, unstakedFeePips } (unstakedFeePips is null outside Slipstream)
+ */
+export async function readPoolFees(pool) {
+  if (pool.protocol !== "slipstream") {
+    return { feePips: Number(await pool.contract.fee()), unstakedFeePips: null };
+  }
+  const [fee, unstakedFee] = await Promise.all([pool.contract.fee(), pool.contract.unstakedFee()]);
+  return { feePips: Number(fee), unstakedFeePips: Number(unstakedFee) };
+}
+
+/**
+ * Re-read a pool's fees whenever a fee-change event concerning it is seen
+ * Only Slipstream pools can change fee; other protocols are not watched.
+ * @param {Object} pool - Monitored pool { protocol, address, contract }
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {Function} onFeeChange - Called with (fees, event name) after each re-read
+ * @returns {Promise<Function|null>} async () => void that stops watching, or null if the pool is not watched
+ */
+export async function watchPoolFees(pool, provider, onFeeChange) {
+  if (pool.protocol !== "slipstream") return null;
+  const feeInterface = new ethers.Interface(SLIPSTREAM_FEE_ABI);
+  const factoryAddress = await pool.contract.factory();
+
+  const refresh = async (eventName) => {
+    try {
+      onFeeChange(await readPoolFees(pool), eventName);
+    } catch (error) {
+      logger.error(`❌ ${pool.label}: fee refresh after ${eventName} failed: ${error.shortMessage || error.message}`, { pool: pool.id, trigger: eventName, error: error.shortMessage || error.message });
+    }
+  };
+
+  // Factory-wide fee module and default changes can move this pool's fees
+  const factory = new ethers.Contract(factoryAddress, SLIPSTREAM_FEE_ABI, provider);
+  for (const eventName of ["SwapFeeModuleChanged", "UnstakedFeeModuleChanged", "DefaultUnstakedFeeChanged"]) {
+    factory.on(eventName, () => refresh(eventName));
+  }
+
+  // Custom fee modules announce per-pool fees from their own address, so match on the pool topic only
+  const setCustomFee = feeInterface.getEvent("SetCustomFee");
+  const customFeeFilter = { topics: [setCustomFee.topicHash, ethers.zeroPadValue(pool.address, 32)] };
+  const onCustomFee = () => refresh("SetCustomFee");
+  provider.on(customFeeFilter, onCustomFee);
+  return async () => {
+    await factory.removeAllListeners();
+    await provider.off(customFeeFilter, onCustomFee);
+  };
+}
+
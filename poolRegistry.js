@@ -0,0 +1,204 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { POOL_ABIS_BY_PROTOCOL } from "./abis.js";
+
+/**
+ * Pool registry loader
+ * Reads the monitored tokens and pools from a JSON file (pools.json by default)
+ *
+ * `tokens` maps a token key (used by pool pairs) to { address, decimals?, symbol? }.
+ * Missing decimals and symbols are read on-chain at startup (see tokenRegistry.js).
+ *
+ * Each entry in `pools` describes one pool on one venue:
+ * - id: Unique pool id (defaults to "<dex>:<base>/<quote>")
+ * - dex: Short DEX name used in logs (unique within a pair)
+ * - label: Display name (defaults to dex)
+ * - emoji: Optional banner emoji
+ * - protocol: Pool protocol type, one of the keys of POOL_ABIS_BY_PROTOCOL
+ * - address: Pool contract address
+ * - pair: { base, quote } token keys from the `tokens` section
+ * - gasFeeUSDC: Fallback gas cost (USDC equivalent) per swap, used until the gas oracle has a live estimate
+ * - gasUnits: Optional gas units per swap (defaults to the protocol's estimate, see gasOracle.js)
+ * - router: Optional swap router address (defaults to the protocol's router, see executor.js)
+ * - quoter: Optional QuoterV2 address (defaults to the protocol's quoter, see verifier.js)
+ *
+ * String values may reference environment variables as ${VAR} or ${VAR:-default},
+ * so existing .env settings (pool addresses, fee overrides) keep working.
+ */
+
+const ENV_REF_PATTERN = /\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g;
+
+// Helper function to substitute ${VAR} and ${VAR:-default} references from `env`
+function resolveEnvRefs(value, path, env) {
+  if (typeof value === "string") {
+    return value.replace(ENV_REF_PATTERN, (match, key, defaultValue) => {
+      const envValue = env[key];
+      if (envValue) return envValue;
+      if (defaultValue !== undefined) return defaultValue;
+      throw new Error(`Missing required environment variable: ${key} (referenced by pool registry ${path})`);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => resolveEnvRefs(item, `${path}[${i}]`, env));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveEnvRefs(item, `${path}.${key}`, env)])
+    );
+  }
+  return value;
+}
+
+// Helper function to parse a numeric registry field with validation
+function parseNumberField(value, path) {
+  const parsed = typeof value === "number" ? value : parseFloat(value);
+  if (isNaN(parsed)) {
+    throw new Error(`Invalid number in pool registry at ${path}: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate and normalize a single registry entry
+ * @param {Object} entry - Raw entry with env references already resolved
+ * @param {string} path - Location of the entry (for error messages)
+ * @returns {Object} Normalized pool entry
+ */
+function parsePoolEntry(entry, path) {
+  for (const field of ["dex", "protocol", "address", "pair"]) {
+    if (!entry[field]) {
+      throw new Error(`Missing "${field}" in pool registry at ${path}`);
+    }
+  }
+  if (!POOL_ABIS_BY_PROTOCOL[entry.protocol]) {
+    const known = Object.keys(POOL_ABIS_BY_PROTOCOL).join(", ");
+    throw new Error(`Unknown protocol "${entry.protocol}" in pool registry at ${path} (expected one of: ${known})`);
+  }
+  if (!ethers.isAddress(entry.address)) {
+    throw new Error(`Invalid pool address in pool registry at ${path}: ${entry.address}`);
+  }
+  for (const field of ["router", "quoter"]) {
+    if (entry[field] !== undefined && !ethers.isAddress(entry[field])) {
+      throw new Error(`Invalid ${field} address in pool registry at ${path}: ${entry[field]}`);
+    }
+  }
+  if (!entry.pair.base || !entry.pair.quote) {
+    throw new Error(`Pool registry pair at ${path} needs both "base" and "quote"`);
+  }
+
+  return {
+    id: entry.id || `${entry.dex}:${entry.pair.base}/${entry.pair.quote}`,
+    dex: entry.dex,
+    label: entry.label || entry.dex,
+    emoji: entry.emoji || "🔷",
+    protocol: entry.protocol,
+    address: entry.address,
+    pair: { base: entry.pair.base, quote: entry.pair.quote },
+    gasFeeUSDC: parseNumberField(entry.gasFeeUSDC ?? 0, `${path}.gasFeeUSDC`),
+    gasUnits: entry.gasUnits !== undefined ? parseNumberField(entry.gasUnits, `${path}.gasUnits`) : null,
+    router: entry.router || null,
+    quoter: entry.quoter || null,
+  };
+}
+
+/**
+ * Validate and normalize a token entry
+ * @param {string} key - Token key used by pool pairs
+ * @param {Object} entry - Raw entry with env references already resolved
+ * @returns {Object} { key, address, decimals, symbol } (decimals/symbol may be null until read on-chain)
+ */
+function parseTokenEntry(key, entry) {
+  const path = `tokens.${key}`;
+  if (!entry || !ethers.isAddress(entry.address)) {
+    throw new Error(`Invalid token address in pool registry at ${path}: ${entry?.address}`);
+  }
+  const hasDecimals = entry.decimals !== undefined && entry.decimals !== "";
+  return {
+    key,
+    address: entry.address,
+    decimals: hasDecimals ? parseNumberField(entry.decimals, `${path}.decimals`) : null,
+    symbol: entry.symbol || null,
+  };
+}
+
+/**
+ * Load the pool registry from a JSON file
+ * @param {string} filePath - Path to the registry file
+ * @param {Object} [env] - Variables for ${VAR} references (process.env by default)
+ * @returns {Object} { tokens, pools } with normalized token and pool entries
+ */
+export function loadPoolRegistry(filePath, env = process.env) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read pool registry ${filePath}: ${error.message}`);
+  }
+  if (!raw.tokens || typeof raw.tokens !== "object") {
+    throw new Error(`Pool registry ${filePath} must define tokens under "tokens"`);
+  }
+  if (!Array.isArray(raw.pools) || raw.pools.length < 2) {
+    throw new Error(`Pool registry ${filePath} must list at least two pools under "pools"`);
+  }
+
+  const tokens = Object.fromEntries(
+    Object.entries(raw.tokens).map(([key, entry]) => [key, parseTokenEntry(key, resolveEnvRefs(entry, `tokens.${key}`, env))])
+  );
+  const pools = raw.pools.map((entry, i) => parsePoolEntry(resolveEnvRefs(entry, `pools[${i}]`, env), `pools[${i}]`));
+
+  const seenIds = new Set();
+  const seenVenues = new Set();
+  for (const pool of pools) {
+    for (const tokenKey of [pool.pair.base, pool.pair.quote]) {
+      if (!tokens[tokenKey]) {
+        throw new Error(`Pool ${pool.id} references unknown token "${tokenKey}"`);
+      }
+    }
+    const venue = `${pool.dex}:${pairKey(pool.pair)}`;
+    if (seenIds.has(pool.id) || seenVenues.has(venue)) {
+      throw new Error(`Duplicate pool in pool registry: ${pool.id}`);
+    }
+    seenIds.add(pool.id);
+    seenVenues.add(venue);
+  }
+  return { tokens, pools };
+}
+
+/**
+ * Key identifying a trading pair, e.g. "cbBTC/USDC"
+ * @param {Object} pair - { base, quote } token keys
+ * @returns {string}
+ */
+export function pairKey(pair) {
+  return `${pair.base}/${pair.quote}`;
+}
+
+/**
+ * Group pools by trading pair, keeping registry order
+ * @param {Array} pools - Pools with a `pair` field
+ * @returns {Map<string, Array>} Pair key → pools quoting that pair
+ */
+export function groupPoolsByPair(pools) {
+  const groups = new Map();
+  for (const pool of pools) {
+    const key = pairKey(pool.pair);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pool);
+  }
+  return groups;
+}
+
+/**
+ * Build every unordered pair of pools (N·(N−1)/2 combinations)
+ * @param {Array} pools - Pools to combine
+ * @returns {Array<Array>} [poolA, poolB] pairs
+ */
+export function poolCombinations(pools) {
+  const combinations = [];
+  for (let i = 0; i < pools.length; i++) {
+    for (let j = i + 1; j < pools.length; j++) {
+      combinations.push([pools[i], pools[j]]);
+    }
+  }
+  return combinations;
+}
@@ -0,0 +1,174 @@
+import { ethers } from "ethers";
+import { CHAINLINK_AGGREGATOR_ABI } from "./abis.js";
+import { poolPrice } from "./arbitrage.js";
+import { getSqrtRatioAtTick } from "./quoter.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   PRICE GUARD                                                                ║
+ * ║   TWAP, oracle and idle-pool checks on the pools of profitable opportunities ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * A single large swap (a sandwich front-run, or an attack on a protocol that
+ * reads the pool as an oracle) moves one pool's spot price far from the others,
+ * which the simulation reports as a big, real-looking spread. Before a profitable
+ * opportunity is reported, each leg's pool is checked:
+ *
+ * - TWAP: observe([twapSeconds, 0]) gives the pool's time-weighted average tick
+ *   over the window; a spot price further than maxTwapDeviationPct from it is
+ *   suspicious. Pools whose observation buffer does not reach back that far
+ *   revert with "OLD" and are reported as unchecked, not suspicious.
+ * - Oracle: with a Chainlink aggregator configured for the pair (e.g. BTC/USD for
+ *   cbBTC/USDC), a spot price (in USD through the quote token's USDC price)
+ *   further than maxOracleDeviationPct from the latest answer is suspicious.
+ *   Answers older than oracleMaxAgeMs are ignored.
+ * - Idle: a pool without a Swap for maxPoolIdleMs (counted from the monitor's
+ *   start when it has not seen one) has a price nobody is trading against.
+ *
+ * In "flag" mode suspicious opportunities are reported with the reasons; in
+ * "suppress" mode they are reported as not profitable and never filled.
+ * A threshold of 0 turns its check off.
+ */
+
+// flag: report the reasons next to the opportunity; suppress: also treat it as not profitable
+export const GUARD_MODES = ["flag", "suppress"];
+
+/**
+ * Readable reason from a failed eth_call
+ * @param {Error} error - ethers error
+ * @returns {string}
+ */
+function revertReason(error) {
+  return error.reason || error.revert?.name || error.shortMessage || error.message;
+}
+
+/**
+ * Time-weighted average tick between two tick cumulatives, rounded toward negative
+ * infinity like Uniswap's OracleLibrary.consult
+ * @param {bigint} olderCumulative - tickCumulative `seconds` ago
+ * @param {bigint} newerCumulative - tickCumulative now
+ * @param {number} seconds - Window length
+ * @returns {number} Average tick
+ */
+export function twapTick(olderCumulative, newerCumulative, seconds) {
+  const delta = newerCumulative - olderCumulative;
+  const window = BigInt(seconds);
+  let tick = delta / window;
+  if (delta < 0n && delta % window !== 0n) tick--;
+  return Number(tick);
+}
+
+/**
+ * Create a price guard
+ * @param {Object} options
+ * @param {string} options.mode - One of GUARD_MODES
+ * @param {Object} options.rpcPool - RPC pool from createRpcPool()
+ * @param {number} options.twapSeconds - TWAP window (0 turns the TWAP check off)
+ * @param {number} options.maxTwapDeviationPct - Largest accepted spot/TWAP difference
+ * @param {string} [options.oracleAddress] - Chainlink aggregator (empty turns the oracle check off)
+ * @param {string} [options.oraclePair] - Pair key the aggregator prices, e.g. "cbBTC/USDC"
+ * @param {number} options.maxOracleDeviationPct - Largest accepted spot/oracle difference
+ * @param {number} options.oracleMaxAgeMs - Oldest oracle answer that is used
+ * @param {number} options.maxPoolIdleMs - Longest accepted time since a pool's last Swap (0 turns it off)
+ * @returns {Object} { mode, check(arbResult, pools, quoteUsdPrice), latestOracle() }
+ */
+export function createPriceGuard({ mode, rpcPool, twapSeconds, maxTwapDeviationPct, oracleAddress, oraclePair, maxOracleDeviationPct, oracleMaxAgeMs, maxPoolIdleMs }) {
+  if (!GUARD_MODES.includes(mode)) {
+    throw new Error(`Unknown price guard mode "${mode}" (expected one of: ${GUARD_MODES.join(", ")})`);
+  }
+  if (oracleAddress && !ethers.isAddress(oracleAddress)) {
+    throw new Error(`Invalid price guard oracle address "${oracleAddress}"`);
+  }
+  // Aggregator decimals never change, so they are read once
+  let oracleDecimals = null;
+  // Last answer read, kept for latestOracle(): { price, updatedAtMs }
+  let lastOracle = null;
+
+  // Spot price against the pool's own TWAP
+  const readTwap = async (pool) => {
+    const { tickCumulatives } = await rpcPool.read(
+      (runner) => pool.contract.connect(runner).observe([twapSeconds, 0]),
+      `${pool.dex} observe`
+    );
+    return poolPrice(pool, getSqrtRatioAtTick(twapTick(tickCumulatives[0], tickCumulatives[1], twapSeconds)));
+  };
+
+  // Latest aggregator answer, or null with a note when it is too old to use
+  const readOracle = async () => {
+    const oracle = { price: null, ageMs: null, stale: false, error: null };
+    try {
+      const round = await rpcPool.read(async (runner) => {
+        const aggregator = new ethers.Contract(oracleAddress, CHAINLINK_AGGREGATOR_ABI, runner);
+        if (oracleDecimals === null) oracleDecimals = Number(await aggregator.decimals());
+        return aggregator.latestRoundData();
+      }, "oracle latestRoundData");
+      oracle.ageMs = Date.now() - Number(round.updatedAt) * 1000;
+      oracle.stale = oracle.ageMs > oracleMaxAgeMs;
+      oracle.price = Number(ethers.formatUnits(round.answer, oracleDecimals));
+      lastOracle = { price: oracle.price, updatedAtMs: Number(round.updatedAt) * 1000 };
+    } catch (error) {
+      oracle.error = revertReason(error);
+    }
+    return oracle;
+  };
+
+  // Check one leg's pool; the reasons name what made it suspicious
+  const checkPool = async (pool, side, oracle, quoteUsdPrice) => {
+    const spotPrice = pool.lastPrice;
+    const leg = { side, dex: pool.dex, spotPrice, twapPrice: null, twapDeviationPct: null, twapError: null, oracleDeviationPct: null, idleMs: Date.now() - pool.lastSwapAt, reasons: [] };
+
+    if (twapSeconds > 0) {
+      try {
+        leg.twapPrice = await readTwap(pool);
+        leg.twapDeviationPct = ((spotPrice - leg.twapPrice) / leg.twapPrice) * 100;
+        if (maxTwapDeviationPct > 0 && Math.abs(leg.twapDeviationPct) > maxTwapDeviationPct) {
+          leg.reasons.push(`spot ${leg.twapDeviationPct >= 0 ? "+" : ""}${leg.twapDeviationPct.toFixed(2)}% from ${twapSeconds}s TWAP`);
+        }
+      } catch (error) {
+        leg.twapError = revertReason(error);
+      }
+    }
+    if (oracle && oracle.price !== null && !oracle.stale) {
+      leg.oracleDeviationPct = ((spotPrice * quoteUsdPrice - oracle.price) / oracle.price) * 100;
+      if (maxOracleDeviationPct > 0 && Math.abs(leg.oracleDeviationPct) > maxOracleDeviationPct) {
+        leg.reasons.push(`spot ${leg.oracleDeviationPct >= 0 ? "+" : ""}${leg.oracleDeviationPct.toFixed(2)}% from oracle`);
+      }
+    }
+    if (maxPoolIdleMs > 0 && leg.idleMs > maxPoolIdleMs) {
+      leg.reasons.push(`no Swap for ${Math.round(leg.idleMs / 1000)}s`);
+    }
+    return leg;
+  };
+
+  /**
+   * Check the pools of a profitable direction
+   * @param {Object} arbResult - Result from calculateArbDirection()
+   * @param {Object} pools - The pair's monitored pools keyed by DEX name
+   * @param {number} [quoteUsdPrice] - USDC per quote token, converts spot prices for the oracle
+   * @returns {Promise<Object>} { suspicious, mode, reasons, oracle: { price, ageMs, stale, error }|null,
+   *   legs: [{ side, dex, spotPrice, twapPrice, twapDeviationPct, twapError, oracleDeviationPct, idleMs, reasons }] }
+   */
+  const check = async (arbResult, pools, quoteUsdPrice = 1) => {
+    const pair = `${arbResult.pair.base}/${arbResult.pair.quote}`;
+    const oracle = oracleAddress && pair === oraclePair ? await readOracle() : null;
+    const legs = await Promise.all([
+      checkPool(pools[arbResult.buyDex], "buy", oracle, quoteUsdPrice),
+      checkPool(pools[arbResult.sellDex], "sell", oracle, quoteUsdPrice),
+    ]);
+    const reasons = legs.flatMap((leg) => leg.reasons.map((reason) => `${leg.dex}: ${reason}`));
+    return { suspicious: reasons.length > 0, mode, reasons, oracle, legs };
+  };
+
+  /**
+   * Last oracle answer read by check(), for other consumers of an independent price
+   * @returns {Object|null} { pair, price (USD per base token), ageMs }, or null before the first read or
+   *   once the answer is older than oracleMaxAgeMs
+   */
+  const latestOracle = () => {
+    if (!lastOracle) return null;
+    const ageMs = Date.now() - lastOracle.updatedAtMs;
+    return ageMs > oracleMaxAgeMs ? null : { pair: oraclePair, price: lastOracle.price, ageMs };
+  };
+
+  return { mode, check, latestOracle };
+}
@@ -0,0 +1,472 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   CONCENTRATED LIQUIDITY SWAP QUOTER                                         ║
+ * ║   Local tick-walking quotes for Uniswap V3 style pools                       ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Uniswap V3, PancakeSwap V3 and Aerodrome Slipstream all share the same
+ * concentrated liquidity math. This module loads `liquidity`, `tickBitmap`
+ * and `ticks` for a pool and replays the pool's swap loop off-chain, so we
+ * get the exact output and post-trade price for a given input instead of
+ * assuming the whole trade fills at the slot0 spot price.
+ *
+ * All math is done with BigInt and mirrors TickMath, SqrtPriceMath,
+ * SwapMath and TickBitmap from the Uniswap V3 core contracts.
+ */
+
+// ===== CONSTANTS =====
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const Q96 = 2n ** 96n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+const FEE_DENOMINATOR = 1_000_000n;
+
+// Number of tickBitmap words loaded on each side of the current word.
+// One word covers 256 * tickSpacing ticks.
+const DEFAULT_WORD_RADIUS = 3;
+
+// ===== BIGINT HELPERS =====
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  const result = product / denominator;
+  return product % denominator === 0n ? result : result + 1n;
+}
+
+function divRoundingUp(a, b) {
+  const result = a / b;
+  return a % b === 0n ? result : result + 1n;
+}
+
+function mostSignificantBit(x) {
+  return x.toString(2).length - 1;
+}
+
+function leastSignificantBit(x) {
+  let bit = 0;
+  while ((x & 1n) === 0n) {
+    x >>= 1n;
+    bit++;
+  }
+  return bit;
+}
+
+// ===== TICK MATH =====
+
+/**
+ * Calculate sqrt(1.0001^tick) * 2^96
+ * @param {number} tick - Tick to convert
+ * @returns {bigint} sqrtPriceX96 at the given tick
+ */
+export function getSqrtRatioAtTick(tick) {
+  if (tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick out of range: ${tick}`);
+  }
+  const absTick = BigInt(Math.abs(tick));
+
+  let ratio = (absTick & 0x1n) !== 0n
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+  if ((absTick & 0x2n) !== 0n) ratio = (ratio * 0xfff97272373d413259a46990580e213an) >> 128n;
+  if ((absTick & 0x4n) !== 0n) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdccn) >> 128n;
+  if ((absTick & 0x8n) !== 0n) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0n) >> 128n;
+  if ((absTick & 0x10n) !== 0n) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644n) >> 128n;
+  if ((absTick & 0x20n) !== 0n) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0n) >> 128n;
+  if ((absTick & 0x40n) !== 0n) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861n) >> 128n;
+  if ((absTick & 0x80n) !== 0n) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053n) >> 128n;
+  if ((absTick & 0x100n) !== 0n) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4n) >> 128n;
+  if ((absTick & 0x200n) !== 0n) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54n) >> 128n;
+  if ((absTick & 0x400n) !== 0n) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3n) >> 128n;
+  if ((absTick & 0x800n) !== 0n) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9n) >> 128n;
+  if ((absTick & 0x1000n) !== 0n) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825n) >> 128n;
+  if ((absTick & 0x2000n) !== 0n) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5n) >> 128n;
+  if ((absTick & 0x4000n) !== 0n) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7n) >> 128n;
+  if ((absTick & 0x8000n) !== 0n) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6n) >> 128n;
+  if ((absTick & 0x10000n) !== 0n) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9n) >> 128n;
+  if ((absTick & 0x20000n) !== 0n) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604n) >> 128n;
+  if ((absTick & 0x40000n) !== 0n) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98n) >> 128n;
+  if ((absTick & 0x80000n) !== 0n) ratio = (ratio * 0x48a170391f7dc42444e8fa2n) >> 128n;
+
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Downcast from Q128.128 to Q128.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Calculate the greatest tick whose sqrt ratio is <= sqrtPriceX96
+ * Uses a floating point estimate and then corrects it against getSqrtRatioAtTick
+ * @param {bigint} sqrtPriceX96 - Square root price (X96 format)
+ * @returns {number} Tick
+ */
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error(`sqrtPriceX96 out of range: ${sqrtPriceX96}`);
+  }
+  const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
+  let tick = Math.floor((2 * Math.log(sqrtPrice)) / Math.log(1.0001));
+  tick = Math.min(Math.max(tick, MIN_TICK), MAX_TICK);
+
+  while (tick > MIN_TICK && getSqrtRatioAtTick(tick) > sqrtPriceX96) tick--;
+  while (tick < MAX_TICK && getSqrtRatioAtTick(tick + 1) <= sqrtPriceX96) tick++;
+  return tick;
+}
+
+// ===== SQRT PRICE MATH =====
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount, add) {
+  if (amount === 0n) return sqrtPriceX96;
+  const numerator1 = liquidity << 96n;
+  const product = amount * sqrtPriceX96;
+  if (add) {
+    return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 + product);
+  }
+  if (numerator1 <= product) {
+    throw new Error("Insufficient liquidity for token0 output");
+  }
+  return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 - product);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount, add) {
+  if (add) {
+    return sqrtPriceX96 + (amount << 96n) / liquidity;
+  }
+  const quotient = divRoundingUp(amount << 96n, liquidity);
+  if (sqrtPriceX96 <= quotient) {
+    throw new Error("Insufficient liquidity for token1 output");
+  }
+  return sqrtPriceX96 - quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn, true)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn, true);
+}
+
+function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  if (sqrtRatioA > sqrtRatioB) [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtRatioB - sqrtRatioA;
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtRatioB), sqrtRatioA)
+    : (numerator1 * numerator2) / sqrtRatioB / sqrtRatioA;
+}
+
+function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  if (sqrtRatioA > sqrtRatioB) [sqrtRatioA, sqrtRatioB] = [sqrtRatioB, sqrtRatioA];
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtRatioB - sqrtRatioA, Q96)
+    : (liquidity * (sqrtRatioB - sqrtRatioA)) / Q96;
+}
+
+// ===== SWAP MATH =====
+
+/**
+ * Compute a single exact-input swap step within one tick range
+ * @param {bigint} sqrtRatioCurrentX96 - Current pool price
+ * @param {bigint} sqrtRatioTargetX96 - Price that cannot be exceeded in this step
+ * @param {bigint} liquidity - Usable liquidity in the range
+ * @param {bigint} amountRemaining - Input still to be swapped
+ * @param {bigint} feePips - Pool fee in hundredths of a bip (3000 = 0.3%)
+ * @returns {Object} { sqrtRatioNextX96, amountIn, amountOut, feeAmount }
+ */
+function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const amountRemainingLessFee = (amountRemaining * (FEE_DENOMINATOR - feePips)) / FEE_DENOMINATOR;
+
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+    : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+
+  const sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+    ? sqrtRatioTargetX96
+    : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  const reachedTarget = sqrtRatioNextX96 === sqrtRatioTargetX96;
+
+  let amountOut;
+  if (zeroForOne) {
+    if (!reachedTarget) amountIn = getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    amountOut = getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    if (!reachedTarget) amountIn = getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    amountOut = getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, feePips, FEE_DENOMINATOR - feePips)
+    : amountRemaining - amountIn;
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+// ===== TICK BITMAP =====
+
+function compressTick(tick, tickSpacing) {
+  return Math.floor(tick / tickSpacing);
+}
+
+function bitmapPosition(compressedTick) {
+  const wordPos = compressedTick >> 8;
+  const bitPos = ((compressedTick % 256) + 256) % 256;
+  return { wordPos, bitPos };
+}
+
+/**
+ * Find the next initialized tick within the same bitmap word as `tick`
+ * Mirrors TickBitmap.nextInitializedTickWithinOneWord
+ * @returns {Object} { next, initialized, loaded } - loaded is false if the word was never fetched
+ */
+function nextInitializedTickWithinOneWord(state, tick, lte) {
+  const compressed = compressTick(tick, state.tickSpacing);
+
+  if (lte) {
+    const { wordPos, bitPos } = bitmapPosition(compressed);
+    if (!state.bitmap.has(wordPos)) return { next: tick, initialized: false, loaded: false };
+    const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+    const masked = state.bitmap.get(wordPos) & mask;
+    const initialized = masked !== 0n;
+    const next = initialized
+      ? (compressed - (bitPos - mostSignificantBit(masked))) * state.tickSpacing
+      : (compressed - bitPos) * state.tickSpacing;
+    return { next, initialized, loaded: true };
+  }
+
+  const { wordPos, bitPos } = bitmapPosition(compressed + 1);
+  if (!state.bitmap.has(wordPos)) return { next: tick, initialized: false, loaded: false };
+  const mask = MAX_UINT256 ^ ((1n << BigInt(bitPos)) - 1n);
+  const masked = state.bitmap.get(wordPos) & mask;
+  const initialized = masked !== 0n;
+  const next = initialized
+    ? (compressed + 1 + (leastSignificantBit(masked) - bitPos)) * state.tickSpacing
+    : (compressed + 1 + (255 - bitPos)) * state.tickSpacing;
+  return { next, initialized, loaded: true };
+}
+
+// ===== POOL STATE =====
+
+/**
+ * Load everything the quoter needs from a pool contract
+ * The contract must expose slot0, liquidity, tickSpacing, tickBitmap and ticks
+ * @param {ethers.Contract} poolContract - Pool contract instance
+ * @param {Object} [options]
+ * @param {number} [options.wordRadius] - Bitmap words to load on each side of the current word
+ * @returns {Promise<Object>} Pool state used by quoteExactInput()
+ */
+export async function loadPoolState(poolContract, { wordRadius = DEFAULT_WORD_RADIUS } = {}) {
+  const [slot0, liquidity, tickSpacing] = await Promise.all([
+    poolContract.slot0(),
+    poolContract.liquidity(),
+    poolContract.tickSpacing(),
+  ]);
+
+  const state = {
+    sqrtPriceX96: BigInt(slot0.sqrtPriceX96),
+    tick: Number(slot0.tick),
+    liquidity: BigInt(liquidity),
+    tickSpacing: Number(tickSpacing),
+    bitmap: new Map(),
+    ticks: new Map(),
+    wordRadius,
+    centerWord: 0,
+  };
+  await loadTickData(poolContract, state);
+  return state;
+}
+
+/**
+ * (Re)load the bitmap words around the current tick and every initialized tick in them
+ * @param {ethers.Contract} poolContract - Pool contract instance
+ * @param {Object} state - Pool state from loadPoolState()
+ */
+export async function loadTickData(poolContract, state) {
+  const { wordPos: centerWord } = bitmapPosition(compressTick(state.tick, state.tickSpacing));
+  const minWord = Math.max(centerWord - state.wordRadius, MIN_TICK >> 8);
+  const maxWord = Math.min(centerWord + state.wordRadius, MAX_TICK >> 8);
+
+  const wordPositions = [];
+  for (let wordPos = minWord; wordPos <= maxWord; wordPos++) wordPositions.push(wordPos);
+  const words = await Promise.all(wordPositions.map((wordPos) => poolContract.tickBitmap(wordPos)));
+
+  const bitmap = new Map();
+  const initializedTicks = [];
+  wordPositions.forEach((wordPos, i) => {
+    const word = BigInt(words[i]);
+    bitmap.set(wordPos, word);
+    for (let bitPos = 0; bitPos < 256; bitPos++) {
+      if ((word >> BigInt(bitPos)) & 1n) {
+        initializedTicks.push(((wordPos << 8) + bitPos) * state.tickSpacing);
+      }
+    }
+  });
+
+  const tickInfos = await Promise.all(initializedTicks.map((tick) => poolContract.ticks(tick)));
+  const ticks = new Map();
+  initializedTicks.forEach((tick, i) => {
+    ticks.set(tick, { liquidityNet: BigInt(tickInfos[i].liquidityNet) });
+  });
+
+  state.bitmap = bitmap;
+  state.ticks = ticks;
+  state.centerWord = centerWord;
+}
+
+/**
+ * Build a pool state from a Swap event alone, holding its active liquidity constant
+ * Swap events carry price, tick and active liquidity but not the initialized ticks
+ * around them, so the loaded window has no initialized ticks: quotes never cross a
+ * tick and are exact only while the trade stays inside the current tick range
+ * @param {Object} swap - { sqrtPriceX96, liquidity, tick } from a Swap event
+ * @param {number} tickSpacing - Pool tick spacing
+ * @param {Object} [options]
+ * @param {number} [options.wordRadius] - Bitmap words to mark as loaded on each side of the current word
+ * @returns {Object} Pool state used by quoteExactInput()
+ */
+export function constantLiquidityPoolState({ sqrtPriceX96, liquidity, tick }, tickSpacing, { wordRadius = DEFAULT_WORD_RADIUS } = {}) {
+  const state = {
+    sqrtPriceX96: BigInt(sqrtPriceX96),
+    tick: Number(tick),
+    liquidity: BigInt(liquidity),
+    tickSpacing: Number(tickSpacing),
+    bitmap: new Map(),
+    ticks: new Map(),
+    wordRadius,
+    centerWord: 0,
+  };
+  const { wordPos: centerWord } = bitmapPosition(compressTick(state.tick, state.tickSpacing));
+  const minWord = Math.max(centerWord - wordRadius, MIN_TICK >> 8);
+  const maxWord = Math.min(centerWord + wordRadius, MAX_TICK >> 8);
+  for (let wordPos = minWord; wordPos <= maxWord; wordPos++) state.bitmap.set(wordPos, 0n);
+  state.centerWord = centerWord;
+  return state;
+}
+
+/**
+ * Update pool state from a Swap event (price, tick and active liquidity)
+ * @param {Object} state - Pool state from loadPoolState()
+ * @param {bigint} sqrtPriceX96 - sqrtPriceX96 from the Swap event
+ * @param {bigint} liquidity - Active liquidity from the Swap event
+ * @param {number|bigint} tick - Tick from the Swap event
+ */
+export function applySwapToPoolState(state, sqrtPriceX96, liquidity, tick) {
+  state.sqrtPriceX96 = BigInt(sqrtPriceX96);
+  state.liquidity = BigInt(liquidity);
+  state.tick = Number(tick);
+}
+
+/**
+ * Whether the current tick has drifted far enough from the loaded window that
+ * tick data should be reloaded to keep a full radius on both sides
+ * @param {Object} state - Pool state from loadPoolState()
+ * @returns {boolean}
+ */
+export function needsTickReload(state) {
+  const { wordPos } = bitmapPosition(compressTick(state.tick, state.tickSpacing));
+  return Math.abs(wordPos - state.centerWord) >= Math.max(1, Math.floor(state.wordRadius / 2));
+}
+
+// ===== QUOTING =====
+
+/**
+ * Quote an exact-input swap by walking initialized ticks
+ * @param {Object} state - Pool state from loadPoolState()
+ * @param {boolean} zeroForOne - true to swap token0 for token1
+ * @param {bigint} amountIn - Raw input amount (token units)
+ * @param {Object} [options]
+ * @param {number|bigint} [options.feePips] - Pool fee in hundredths of a bip (default 0)
+ * @returns {Object} { amountIn, amountOut, feeAmount, sqrtPriceX96After, tickAfter, liquidityAfter, ticksCrossed, complete }
+ *   complete is false if the input could not be fully swapped within the loaded tick range
+ */
+export function quoteExactInput(state, zeroForOne, amountIn, { feePips = 0 } = {}) {
+  const fee = BigInt(feePips);
+  const sqrtPriceLimitX96 = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+
+  let amountRemaining = BigInt(amountIn);
+  let amountOut = 0n;
+  let feeAmount = 0n;
+  let sqrtPriceX96 = state.sqrtPriceX96;
+  let tick = state.tick;
+  let liquidity = state.liquidity;
+  let ticksCrossed = 0;
+  let complete = true;
+
+  while (amountRemaining > 0n && sqrtPriceX96 !== sqrtPriceLimitX96) {
+    const step = nextInitializedTickWithinOneWord(state, tick, zeroForOne);
+    if (!step.loaded) {
+      complete = false;
+      break;
+    }
+    const tickNext = Math.min(Math.max(step.next, MIN_TICK), MAX_TICK);
+    const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+
+    const sqrtPriceTargetX96 = zeroForOne
+      ? (sqrtPriceNextX96 < sqrtPriceLimitX96 ? sqrtPriceLimitX96 : sqrtPriceNextX96)
+      : (sqrtPriceNextX96 > sqrtPriceLimitX96 ? sqrtPriceLimitX96 : sqrtPriceNextX96);
+
+    const swapStep = computeSwapStep(sqrtPriceX96, sqrtPriceTargetX96, liquidity, amountRemaining, fee);
+    const sqrtPriceStartX96 = sqrtPriceX96;
+    sqrtPriceX96 = swapStep.sqrtRatioNextX96;
+    amountRemaining -= swapStep.amountIn + swapStep.feeAmount;
+    amountOut += swapStep.amountOut;
+    feeAmount += swapStep.feeAmount;
+
+    if (sqrtPriceX96 === sqrtPriceNextX96) {
+      if (step.initialized) {
+        const tickInfo = state.ticks.get(tickNext);
+        if (!tickInfo) {
+          complete = false;
+          break;
+        }
+        liquidity += zeroForOne ? -tickInfo.liquidityNet : tickInfo.liquidityNet;
+        ticksCrossed++;
+      }
+      tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+      tick = getTickAtSqrtRatio(sqrtPriceX96);
+    }
+  }
+
+  if (amountRemaining > 0n) complete = false;
+
+  return {
+    amountIn: BigInt(amountIn) - amountRemaining,
+    amountOut,
+    feeAmount,
+    sqrtPriceX96After: sqrtPriceX96,
+    tickAfter: tick,
+    liquidityAfter: liquidity,
+    ticksCrossed,
+    complete,
+  };
+}
+
+// ===== SLIPPAGE LIMITS =====
+
+/**
+ * Minimum acceptable output for a leg
+ * @param {bigint} expectedOut - Raw output from the simulation
+ * @param {number} slippageBps - Tolerance in basis points
+ * @returns {bigint} Raw amountOutMinimum
+ */
+export function minAmountOut(expectedOut, slippageBps) {
+  return (expectedOut * BigInt(10_000 - Math.round(slippageBps))) / 10_000n;
+}
+
+/**
+ * Price limit for a leg: the simulated post-trade price moved by the slippage tolerance
+ * Prices are squared, so the sqrt price moves by the square root of the tolerance
+ * @param {bigint} sqrtPriceX96After - Simulated post-trade sqrt price
+ * @param {boolean} zeroForOne - Swap direction (price falls when true)
+ * @param {number} slippageBps - Tolerance in basis points
+ * @returns {bigint} sqrtPriceLimitX96 clamped to the valid range
+ */
+export function sqrtPriceLimit(sqrtPriceX96After, zeroForOne, slippageBps) {
+  const tolerance = slippageBps / 10_000;
+  const factor = Math.sqrt(zeroForOne ? 1 - tolerance : 1 + tolerance);
+  const limit = (sqrtPriceX96After * BigInt(Math.round(factor * 1e12))) / 10n ** 12n;
+  if (limit <= MIN_SQRT_RATIO) return MIN_SQRT_RATIO + 1n;
+  if (limit >= MAX_SQRT_RATIO) return MAX_SQRT_RATIO - 1n;
+  return limit;
+}
@@ -0,0 +1,301 @@
+import fs from "fs";
+import WebSocket from "ws";
+import { logger } from "./logger.js";
+import { endpointHost } from "./network.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   REFERENCE PRICE FEED                                                       ║
+ * ║   Off-chain (CEX) prices for each monitored pair, to measure the pools by    ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Pairwise spreads only show the pools disagreeing with each other. Most
+ * mispricing on a cbBTC/USDC pool shows up against the centralized venues, so
+ * this feed keeps one reference price per pair (quote tokens per base token,
+ * with USD taken as USDC) for the monitor to report each pool's deviation from
+ * and to simulate the DEX leg of a CEX–DEX arbitrage on (see simulateCexDexLeg).
+ *
+ * Sources:
+ * - coinbase: Coinbase Advanced Trade market data socket, ticker channel (mid of
+ *   best bid and ask, last trade price when the book is missing) plus the
+ *   heartbeats channel, which keeps quiet subscriptions open
+ * - generic: any venue streaming JSON over a WebSocket. REFERENCE_SUBSCRIBE is
+ *   sent as is on every connect, the product is read from REFERENCE_PRODUCT_PATH
+ *   and the price is the average of REFERENCE_PRICE_PATHS (e.g. bid and ask)
+ * - mock: steps through a JSON file of prices per pair, one step every
+ *   interval, holding the last price at the end; a local stand-in for tests
+ *
+ * Products map monitored pairs to venue symbols (REFERENCE_PRODUCTS). A socket
+ * that closes, or sends nothing for silenceTimeoutMs, is reconnected with the
+ * same backoff as the event socket. A price older than maxAgeMs is not served.
+ */
+
+export const REFERENCE_SOURCES = ["off", "coinbase", "generic", "mock"];
+
+// Public market data endpoint; ticker and heartbeats need no authentication
+export const COINBASE_WS_URL = "wss://advanced-trade-ws.coinbase.com";
+
+// Venue named in logs and directions when REFERENCE_VENUE is not set
+const DEFAULT_VENUES = { coinbase: "Coinbase", generic: "CEX", mock: "Mock CEX" };
+
+// Value at a dot-separated path ("data.b", "events.0.price"), or undefined
+const readPath = (message, path) =>
+  path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), message);
+
+// ===== MESSAGE PARSING =====
+
+/**
+ * Prices in one Coinbase Advanced Trade message
+ * @param {Object} message - Parsed message
+ * @returns {Array<Object>} { product, price } per ticker
+ */
+function parseCoinbaseMessage(message) {
+  if (message.channel !== "ticker") return [];
+  const prices = [];
+  for (const event of message.events ?? []) {
+    for (const ticker of event.tickers ?? []) {
+      const bid = Number(ticker.best_bid);
+      const ask = Number(ticker.best_ask);
+      const price = bid > 0 && ask > 0 ? (bid + ask) / 2 : Number(ticker.price);
+      prices.push({ product: ticker.product_id, price });
+    }
+  }
+  return prices;
+}
+
+/**
+ * Price in one generic venue message
+ * @param {Object} message - Parsed message
+ * @param {string} productPath - Path of the product symbol; empty when the stream carries one product
+ * @param {Array<string>} pricePaths - Paths of the prices to average
+ * @returns {Array<Object>} { product, price }, or nothing when the message carries no price
+ */
+function parseGenericMessage(message, productPath, pricePaths) {
+  const values = pricePaths.map((path) => Number(readPath(message, path)));
+  if (values.some((value) => !(value > 0))) return [];
+  const product = productPath ? readPath(message, productPath) : null;
+  return [{ product, price: values.reduce((sum, value) => sum + value, 0) / values.length }];
+}
+
+// ===== FEED =====
+
+/**
+ * Create a reference price feed
+ * @param {Object} options
+ * @param {string} options.source - coinbase, generic or mock
+ * @param {string} [options.venue] - Venue name for logs and directions (a default per source when empty)
+ * @param {string} [options.wsUrl] - Socket URL (generic; coinbase defaults to COINBASE_WS_URL)
+ * @param {Object} options.products - Pair key → venue product symbol (coinbase, generic)
+ * @param {string} [options.subscribe] - JSON message, or array of messages, sent on connect (generic)
+ * @param {string} [options.productPath] - Path of the product symbol in a message (generic)
+ * @param {Array<string>} options.pricePaths - Paths of the prices to average (generic)
+ * @param {number} options.maxAgeMs - Age after which a price is no longer served
+ * @param {number} options.silenceTimeoutMs - Reconnect after this long without a message
+ * @param {number} options.reconnectBaseDelayMs - Delay before the first reconnect attempt
+ * @param {number} options.reconnectMaxDelayMs - Longest delay between reconnect attempts
+ * @param {string} options.mockPath - JSON file of { pair: [prices] } (mock)
+ * @param {number} options.mockIntervalMs - Delay between mock price steps (mock)
+ * @param {Function} options.onPrice - ({ pair, price, previousPrice, venue, ts }) => void, on every price update
+ * @returns {Object} { source, venue, start, stop, price, status }
+ */
+export function createReferenceFeed({
+  source,
+  venue,
+  wsUrl,
+  products,
+  subscribe,
+  productPath,
+  pricePaths,
+  maxAgeMs,
+  silenceTimeoutMs,
+  reconnectBaseDelayMs,
+  reconnectMaxDelayMs,
+  mockPath,
+  mockIntervalMs,
+  onPrice,
+}) {
+  if (!REFERENCE_SOURCES.includes(source) || source === "off") {
+    throw new Error(`Unknown reference source "${source}" (expected one of: ${REFERENCE_SOURCES.filter((name) => name !== "off").join(", ")})`);
+  }
+  const url = source === "coinbase" ? wsUrl || COINBASE_WS_URL : wsUrl;
+  if (source === "generic" && !url) {
+    throw new Error("REFERENCE_WS_URL is required for the generic reference source");
+  }
+  if (source === "generic" && !productPath && Object.keys(products).length !== 1) {
+    throw new Error("REFERENCE_PRODUCT_PATH is required when REFERENCE_PRODUCTS maps more than one pair");
+  }
+  let subscribeMessages = [];
+  if (source === "coinbase") {
+    const productIds = [...new Set(Object.values(products))];
+    subscribeMessages = ["ticker", "heartbeats"].map((channel) => ({ type: "subscribe", product_ids: productIds, channel }));
+  } else if (source === "generic" && subscribe) {
+    try {
+      const parsed = JSON.parse(subscribe);
+      subscribeMessages = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      throw new Error(`Invalid REFERENCE_SUBSCRIBE JSON: ${error.message}`);
+    }
+  }
+  venue = venue || DEFAULT_VENUES[source];
+
+  // Product → pairs it prices
+  const productPairs = new Map();
+  for (const [pair, product] of Object.entries(products)) {
+    if (!productPairs.has(product)) productPairs.set(product, []);
+    productPairs.get(product).push(pair);
+  }
+  // Pair → { price, ts, product }
+  const prices = new Map();
+  let running = false;
+  let socket = null;
+  let reconnectTimer = null;
+  let silenceTimer = null;
+  let mockTimer = null;
+  let attempt = 0;
+  let disconnectedAt = null;
+  const counters = { messages: 0, updates: 0, reconnects: 0, errors: 0 };
+
+  const update = (pair, product, price) => {
+    if (!(price > 0)) return;
+    const previous = prices.get(pair);
+    const ts = Date.now();
+    prices.set(pair, { price, ts, product });
+    counters.updates++;
+    onPrice({ pair, price, previousPrice: previous ? previous.price : null, venue, ts });
+  };
+
+  // ----- sockets -----
+  const handleMessage = (raw) => {
+    counters.messages++;
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      counters.errors++;
+      return;
+    }
+    if (message.type === "error") {
+      counters.errors++;
+      logger.warn(`⚠️  ${venue} reference feed error: ${message.message ?? JSON.stringify(message)}`, { venue, error: message.message });
+      return;
+    }
+    const parsed = source === "coinbase" ? parseCoinbaseMessage(message) : parseGenericMessage(message, productPath, pricePaths);
+    for (const { product, price } of parsed) {
+      // A single-product stream needs no product field
+      const pairs = productPath || source === "coinbase" ? productPairs.get(product) : Object.keys(products);
+      for (const pair of pairs ?? []) update(pair, product, price);
+    }
+  };
+
+  const armSilenceTimer = (ws) => {
+    clearTimeout(silenceTimer);
+    silenceTimer = setTimeout(() => {
+      logger.warn(`⚠️  No ${venue} reference message in ${silenceTimeoutMs}ms - reconnecting`, { venue, silenceTimeoutMs });
+      ws.terminate();
+    }, silenceTimeoutMs);
+  };
+
+  const scheduleReconnect = () => {
+    if (!running) return;
+    const backoffMs = Math.min(reconnectMaxDelayMs, reconnectBaseDelayMs * 2 ** attempt);
+    attempt++;
+    reconnectTimer = setTimeout(connect, Math.round(backoffMs * (0.8 + Math.random() * 0.4)));
+  };
+
+  function connect() {
+    reconnectTimer = null;
+    const ws = new WebSocket(url);
+    socket = ws;
+    ws.on("open", () => {
+      for (const message of subscribeMessages) ws.send(JSON.stringify(message));
+      armSilenceTimer(ws);
+    });
+    ws.on("message", (raw) => {
+      if (disconnectedAt !== null) {
+        const downtimeMs = Date.now() - disconnectedAt;
+        counters.reconnects++;
+        disconnectedAt = null;
+        logger.event("reference_reconnected", { venue, endpoint: endpointHost(url), downtimeMs },
+          `🏦 ${venue} reference feed reconnected after ${(downtimeMs / 1000).toFixed(1)}s`);
+      }
+      attempt = 0;
+      armSilenceTimer(ws);
+      handleMessage(raw);
+    });
+    // "close" follows every error, so reconnecting is left to it
+    ws.on("error", (error) => {
+      counters.errors++;
+      if (disconnectedAt === null) {
+        logger.warn(`⚠️  ${venue} reference feed error (${endpointHost(url)}): ${error.message}`, { venue, error: error.message });
+      }
+    });
+    ws.on("close", () => {
+      clearTimeout(silenceTimer);
+      if (socket !== ws || !running) return;
+      socket = null;
+      if (disconnectedAt === null) {
+        disconnectedAt = Date.now();
+        logger.warn(`🔌 ${venue} reference feed disconnected, reconnecting with backoff`, { venue, endpoint: endpointHost(url) });
+      }
+      scheduleReconnect();
+    });
+  }
+
+  // ----- mock -----
+  const stepMock = (series, index) => {
+    if (!running) return;
+    for (const [pair, steps] of Object.entries(series)) {
+      update(pair, "mock", steps[Math.min(index, steps.length - 1)]);
+    }
+    mockTimer = setTimeout(() => stepMock(series, index + 1), mockIntervalMs);
+  };
+
+  return {
+    source,
+    venue,
+    // Open the socket (it keeps reconnecting in the background), or load the mock file (a bad file fails here)
+    async start() {
+      running = true;
+      if (source === "mock") {
+        const series = JSON.parse(fs.readFileSync(mockPath, "utf8"));
+        const valid = series && typeof series === "object" && !Array.isArray(series) &&
+          Object.values(series).every((steps) => Array.isArray(steps) && steps.length > 0 && steps.every((price) => typeof price === "number" && price > 0));
+        if (!valid) throw new Error(`Mock reference feed ${mockPath} must hold a JSON object of { "BASE/QUOTE": [prices] }`);
+        mockTimer = setTimeout(() => stepMock(series, 0), mockIntervalMs);
+        return;
+      }
+      connect();
+    },
+    stop() {
+      running = false;
+      clearTimeout(reconnectTimer);
+      clearTimeout(silenceTimer);
+      clearTimeout(mockTimer);
+      reconnectTimer = silenceTimer = mockTimer = null;
+      if (socket) socket.terminate();
+      socket = null;
+    },
+    /**
+     * Current reference price of a pair
+     * @param {string} pair - Pair key
+     * @returns {Object|null} { price, ts, product, venue }, or null when there is none younger than maxAgeMs
+     */
+    price(pair) {
+      const entry = prices.get(pair);
+      if (!entry || Date.now() - entry.ts > maxAgeMs) return null;
+      return { ...entry, venue };
+    },
+    // Connection, counters and each pair's latest price, for getState()
+    status() {
+      const now = Date.now();
+      return {
+        source,
+        venue,
+        endpoint: source === "mock" ? mockPath : endpointHost(url),
+        connected: source === "mock" ? running : socket !== null && socket.readyState === WebSocket.OPEN,
+        ...counters,
+        prices: Object.fromEntries([...prices].map(([pair, { price, ts, product }]) => [pair, { price, product, ageMs: now - ts }])),
+      };
+    },
+  };
+}
@@ -0,0 +1,172 @@
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   REORG TRACKER                                                              ║
+ * ║   Confirmation depth, rollback checkpoints and reorg detection               ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Results of a Swap's block (risk checks, paper fills, budget, execution and the
+ * history record) are deferred until `confirmations` blocks are built on top of
+ * it. Before a pool's first Swap in each unconfirmed block, its state is
+ * checkpointed. A reorg then rolls every pool back to its earliest unconfirmed
+ * checkpoint, which is its state at the last confirmed block, and drops the
+ * pending results of every unconfirmed block.
+ *
+ * ethers does not pass removed logs to contract listeners, so a reorg is found
+ * by block hash:
+ * - a log flagged `removed` (for providers that do pass them on)
+ * - a Swap at a height already seen under another block hash
+ * - a block whose canonical hash, read once the block reaches the confirmation
+ *   depth, no longer matches the hash of its Swaps
+ *
+ * With confirmations = 0 every result is final at once and nothing is
+ * checkpointed, so only the first two checks apply and a reorg can only be
+ * repaired by re-reading the pools from the chain.
+ */
+
+// Block hashes remembered for the same-height check
+const HASH_HISTORY = 128;
+
+/**
+ * Create a reorg tracker
+ * @param {Object} options
+ * @param {number} options.confirmations - Blocks on top of a block before its results are final
+ * @param {Function} options.blockHash - async (blockNumber) => canonical block hash
+ * @returns {Object} { confirmations, observe, checkpoint, defer, advance, rollback, status }
+ */
+export function createReorgTracker({ confirmations, blockHash }) {
+  // Block → hash of the Swaps seen in it
+  const hashes = new Map();
+  // Unconfirmed block → Map(key → state before the key's first change in that block)
+  const checkpoints = new Map();
+  // Unconfirmed block → [{ label, action }] waiting for the block to be confirmed
+  const deferred = new Map();
+  let headBlock = null;
+  let confirmedBlock = null;
+  const counters = { reorgs: 0, finalized: 0, dropped: 0 };
+
+  // Results of startup evaluations (no block) and of confirmed blocks need no waiting
+  const isFinal = (blockNumber) =>
+    confirmations === 0 || blockNumber === null || (confirmedBlock !== null && blockNumber <= confirmedBlock);
+
+  return {
+    confirmations,
+    /**
+     * Record a Swap log's block hash
+     * @param {Object} log - { blockNumber, blockHash, removed }
+     * @returns {boolean} true when the log reveals a reorg at its block
+     */
+    observe({ blockNumber, blockHash: hash, removed }) {
+      if (removed) return true;
+      const known = hashes.get(blockNumber);
+      if (known === undefined) {
+        hashes.set(blockNumber, hash);
+        if (hashes.size > HASH_HISTORY) hashes.delete(hashes.keys().next().value);
+        return false;
+      }
+      return known !== hash;
+    },
+    /**
+     * Save a key's state before its first change in an unconfirmed block
+     * @param {number} blockNumber - Block of the change
+     * @param {string} key - What is changing (the monitor uses pool ids)
+     * @param {Function} save - () => snapshot, only called when a checkpoint is needed
+     */
+    checkpoint(blockNumber, key, save) {
+      if (isFinal(blockNumber)) return;
+      if (!checkpoints.has(blockNumber)) checkpoints.set(blockNumber, new Map());
+      const saved = checkpoints.get(blockNumber);
+      if (!saved.has(key)) saved.set(key, save());
+    },
+    /**
+     * Hold a result until its block is confirmed
+     * @param {number|null} blockNumber - Block the result was computed from, null at startup
+     * @param {string} label - Description, for the reorg log
+     * @param {Function} action - () => void, run once the block is confirmed
+     * @returns {boolean} false when the block is already final and the caller should run the action itself
+     */
+    defer(blockNumber, label, action) {
+      if (isFinal(blockNumber)) return false;
+      if (!deferred.has(blockNumber)) deferred.set(blockNumber, []);
+      deferred.get(blockNumber).push({ label, action });
+      return true;
+    },
+    /**
+     * Move the head; blocks reaching the confirmation depth are checked against their canonical hash
+     * @param {number} head - New head block
+     * @returns {Promise<Object>} { final, reorgBlock }: results now final, in block order (run their actions),
+     *   and the first block found replaced, or null
+     */
+    async advance(head) {
+      const final = [];
+      if (headBlock !== null && head <= headBlock) return { final, reorgBlock: null };
+      headBlock = head;
+      const target = head - confirmations;
+      if (confirmations === 0) {
+        confirmedBlock = target;
+        return { final, reorgBlock: null };
+      }
+
+      const due = [...new Set([...checkpoints.keys(), ...deferred.keys()])].filter((block) => block <= target).sort((a, b) => a - b);
+      for (const block of due) {
+        const expected = hashes.get(block);
+        if (expected !== undefined) {
+          let actual;
+          try {
+            actual = await blockHash(block);
+          } catch (error) {
+            // Try again on the next head; the blocks from here on stay pending
+            logger.warn(`⚠️  Could not read block ${block} to confirm it: ${error.shortMessage || error.message}`, { block, error: error.shortMessage || error.message });
+            counters.finalized += final.length;
+            return { final, reorgBlock: null };
+          }
+          if (actual !== expected) {
+            counters.finalized += final.length;
+            return { final, reorgBlock: block };
+          }
+        }
+        final.push(...(deferred.get(block) ?? []));
+        deferred.delete(block);
+        checkpoints.delete(block);
+        confirmedBlock = block;
+      }
+      confirmedBlock = Math.max(confirmedBlock ?? target, target);
+      counters.finalized += final.length;
+      return { final, reorgBlock: null };
+    },
+    /**
+     * Undo every unconfirmed block after a reorg at `fromBlock`
+     * @param {number} fromBlock - First replaced block
+     * @returns {Object} { confirmedBlock, snapshots, dropped }: the block everything was rolled back to, each
+     *   key's earliest unconfirmed checkpoint, and the dropped results ({ block, label })
+     */
+    rollback(fromBlock) {
+      const snapshots = new Map();
+      for (const block of [...checkpoints.keys()].sort((a, b) => a - b)) {
+        for (const [key, snapshot] of checkpoints.get(block)) {
+          if (!snapshots.has(key)) snapshots.set(key, snapshot);
+        }
+      }
+      const dropped = [...deferred.entries()]
+        .sort(([a], [b]) => a - b)
+        .flatMap(([block, entries]) => entries.map(({ label }) => ({ block, label })));
+      // Hashes of the replaced blocks belong to the old chain
+      const firstUnconfirmed = confirmedBlock === null ? fromBlock : Math.min(fromBlock, confirmedBlock + 1);
+      for (const block of [...hashes.keys()]) {
+        if (block >= firstUnconfirmed) hashes.delete(block);
+      }
+      checkpoints.clear();
+      deferred.clear();
+      counters.reorgs++;
+      counters.dropped += dropped.length;
+      return { confirmedBlock, snapshots, dropped };
+    },
+    // Head, confirmed block, pending results and counters, for getState()
+    status() {
+      let pendingResults = 0;
+      for (const entries of deferred.values()) pendingResults += entries.length;
+      return { confirmations, headBlock, confirmedBlock, pendingBlocks: deferred.size, pendingResults, ...counters };
+    },
+  };
+}
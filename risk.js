@@ -0,0 +1,205 @@
+import { logger } from "./logger.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   RISK LIMITS                                                                ║
+ * ║   Per-trade limits and circuit breakers consulted before acting              ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every profitable opportunity is checked before it compounds the budget, books
+ * a ledger fill or reaches the executor.
+ *
+ * Limits that reject one opportunity:
+ * - notional above maxNotionalUSDC
+ * - net profit below minNetProfitUSDC, or below minNetProfitBps of the notional
+ * - a pool on the route without a Swap for maxPriceAgeMs (its price may be stale)
+ *
+ * Circuit breakers that pause all trading for cooldownMs:
+ * - maxTradesPerMinute accepted trades in the last 60 seconds
+ * - the UTC day's PnL down by dailyLossLimitUSDC or more
+ * - a pool on the route more than maxPriceDeviationPct away from its reference price
+ *
+ * A paused manager rejects everything until the cooldown ends or reset() is
+ * called (SIGUSR2 in the monitor). A breaker whose condition still holds when
+ * the cooldown ends trips again on the next check. Any limit set to 0 is off.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - At least one value
+ * @returns {number} Median
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Create a risk manager
+ * @param {Object} options
+ * @param {number} options.maxNotionalUSDC - Largest trade size
+ * @param {number} options.maxTradesPerMinute - Accepted trades per rolling minute before the breaker trips
+ * @param {number} options.dailyLossLimitUSDC - Loss over the UTC day that trips the breaker
+ * @param {number} options.minNetProfitUSDC - Smallest net profit accepted
+ * @param {number} options.minNetProfitBps - Smallest net profit accepted, in basis points of the notional
+ * @param {number} options.maxPriceAgeMs - Oldest last Swap accepted on a route's pools
+ * @param {number} options.maxPriceDeviationPct - Largest pool price deviation from the reference before the breaker trips
+ * @param {number} options.cooldownMs - How long a tripped breaker pauses trading
+ * @param {Function} options.referencePrice - (pool) => reference price in the pool's quote token, or null
+ * @returns {Object} { check, recordTrade, reset, onBreakerChange, status }
+ */
+export function createRiskManager({
+  maxNotionalUSDC,
+  maxTradesPerMinute,
+  dailyLossLimitUSDC,
+  minNetProfitUSDC,
+  minNetProfitBps,
+  maxPriceAgeMs,
+  maxPriceDeviationPct,
+  cooldownMs,
+  referencePrice,
+}) {
+  // Acceptance times within the last minute
+  let recentTrades = [];
+  const daily = { day: utcDay(Date.now()), pnlUSDC: 0 };
+  // { reason, trippedAt, until } while trading is paused
+  let breaker = null;
+  const breakerHandlers = [];
+  const counters = { checked: 0, accepted: 0, rejected: 0, trips: 0 };
+
+  const rollDay = (now) => {
+    const day = utcDay(now);
+    if (day !== daily.day) {
+      daily.day = day;
+      daily.pnlUSDC = 0;
+    }
+  };
+
+  const trip = (reason, now) => {
+    breaker = { reason, trippedAt: now, until: now + cooldownMs };
+    counters.trips++;
+    logger.warnEvent("risk_breaker_tripped", { reason, cooldownMs, until: new Date(breaker.until).toISOString() },
+      `🛑 Circuit breaker tripped: ${reason} - trading paused for ${Math.round(cooldownMs / 1000)}s (kill -USR2 ${process.pid} to reset)`);
+    for (const handler of breakerHandlers) handler(true, reason);
+  };
+
+  const resume = (why) => {
+    const reason = breaker.reason;
+    breaker = null;
+    logger.event("risk_breaker_reset", { reason, resumedBy: why }, `🟢 Trading resumed (${why}); breaker was: ${reason}`);
+    for (const handler of breakerHandlers) handler(false, reason);
+  };
+
+  const reject = (reason) => {
+    counters.rejected++;
+    return { allowed: false, reason };
+  };
+
+  // First breaker condition that holds for this opportunity, or null
+  const breakerCondition = (pools, now) => {
+    recentTrades = recentTrades.filter((ts) => now - ts < MINUTE_MS);
+    if (maxTradesPerMinute > 0 && recentTrades.length >= maxTradesPerMinute) {
+      return `${recentTrades.length} trades in the last minute (max ${maxTradesPerMinute})`;
+    }
+    if (dailyLossLimitUSDC > 0 && daily.pnlUSDC <= -dailyLossLimitUSDC) {
+      return `daily loss $${(-daily.pnlUSDC).toFixed(2)} reached the $${dailyLossLimitUSDC} limit`;
+    }
+    if (maxPriceDeviationPct > 0) {
+      for (const pool of pools) {
+        const reference = referencePrice(pool);
+        if (reference === null) continue;
+        const deviationPct = ((pool.lastPrice - reference) / reference) * 100;
+        if (Math.abs(deviationPct) > maxPriceDeviationPct) {
+          return `${pool.id} price ${pool.lastPrice.toPrecision(8)} is ${deviationPct.toFixed(2)}% from its reference ${reference.toPrecision(8)} (max ±${maxPriceDeviationPct}%)`;
+        }
+      }
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Decide whether an opportunity may be acted on
+     * @param {Object} opportunity
+     * @param {number} opportunity.notionalUSDC - Trade size
+     * @param {number} opportunity.netProfitUSDC - Simulated net profit
+     * @param {Array<Object>} opportunity.pools - Monitored pools on the route (lastPrice, lastSwapAt)
+     * @returns {Object} { allowed, reason }
+     */
+    check({ notionalUSDC, netProfitUSDC, pools }) {
+      const now = Date.now();
+      counters.checked++;
+      rollDay(now);
+      if (breaker && now >= breaker.until) resume("cooldown ended");
+      if (breaker) {
+        return reject(`paused: ${breaker.reason} (resumes in ${Math.ceil((breaker.until - now) / 1000)}s)`);
+      }
+
+      const condition = breakerCondition(pools, now);
+      if (condition) {
+        trip(condition, now);
+        return reject(`paused: ${condition}`);
+      }
+
+      if (maxNotionalUSDC > 0 && notionalUSDC > maxNotionalUSDC) {
+        return reject(`notional $${notionalUSDC.toFixed(2)} above the $${maxNotionalUSDC} limit`);
+      }
+      if (netProfitUSDC < minNetProfitUSDC) {
+        return reject(`net profit $${netProfitUSDC.toFixed(4)} below $${minNetProfitUSDC}`);
+      }
+      const netProfitBps = (netProfitUSDC / notionalUSDC) * 10000;
+      if (netProfitBps < minNetProfitBps) {
+        return reject(`net profit ${netProfitBps.toFixed(1)} bps below ${minNetProfitBps} bps`);
+      }
+      if (maxPriceAgeMs > 0) {
+        const stale = pools.find((pool) => now - pool.lastSwapAt > maxPriceAgeMs);
+        if (stale) {
+          return reject(`${stale.id} price is stale (no Swap for ${Math.round((now - stale.lastSwapAt) / 1000)}s)`);
+        }
+      }
+
+      counters.accepted++;
+      return { allowed: true, reason: null };
+    },
+    /**
+     * Count an accepted trade and its PnL toward the rate limit and daily loss
+     * @param {number} pnlUSDC - Realized PnL of the trade (negative for a loss)
+     */
+    recordTrade(pnlUSDC) {
+      const now = Date.now();
+      rollDay(now);
+      recentTrades.push(now);
+      daily.pnlUSDC += pnlUSDC;
+    },
+    /**
+     * Manually resume trading; also forgives the day's losses and the last minute's trades so the
+     * same breaker does not trip again on the next check
+     * @param {string} why - Who or what reset it, for the log
+     */
+    reset(why) {
+      daily.pnlUSDC = Math.max(daily.pnlUSDC, 0);
+      recentTrades = [];
+      if (breaker) {
+        resume(why);
+      } else {
+        logger.info(`🟢 Risk reset (${why}): no breaker was tripped`);
+      }
+    },
+    /**
+     * Register a handler for breaker changes
+     * @param {Function} handler - (tripped, reason) => void
+     */
+    onBreakerChange(handler) {
+      breakerHandlers.push(handler);
+    },
+    // Breaker state and counters, for logs and metrics
+    status() {
+      return { ...counters, breaker: breaker && { ...breaker }, dailyPnlUSDC: daily.pnlUSDC, tradesLastMinute: recentTrades.length };
+    },
+  };
+}
@@ -0,0 +1,283 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+import { BASE_NETWORK, endpointHost, withTimeout } from "./network.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   RPC POOL                                                                   ║
+ * ║   Health-scored HTTP endpoints with failover and quorum reads                ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Every endpoint in BASE_RPC_URLS is scored on:
+ * - latency: moving average of request and heartbeat round trips
+ * - head block: how far its eth_blockNumber trails the best endpoint
+ * - error rate: moving average of failed (or timed out) requests
+ *
+ * An endpoint that has not reported a head yet, is more than maxLagBlocks behind,
+ * or fails more than half its requests is unhealthy and only used by read() when
+ * nothing healthy is left.
+ *
+ * - read(fn) runs fn(provider) on the best endpoint and fails over to the next
+ *   one on error or timeout
+ * - quorumRead(fn) runs fn on the best `quorum` healthy endpoints at once and
+ *   compares the answers. Disagreement is logged and counted, and the majority
+ *   answer wins (on a tie, the endpoint with the highest head). With fewer healthy
+ *   endpoints than the quorum the read is marked degraded. With quorum off it is read(fn).
+ *
+ * Quorum reads are meant for critical reads (initial slot0, pre-trade quotes),
+ * where one lagging node would otherwise feed stale data into the spread math.
+ */
+
+// Weight of the newest sample in the latency and error-rate moving averages
+const LATENCY_ALPHA = 0.3;
+const ERROR_ALPHA = 0.2;
+// Error rate above which an endpoint is unhealthy
+const MAX_ERROR_RATE = 0.5;
+// Score penalty (ms of latency) per block an endpoint trails the best head
+const LAG_PENALTY_MS = 500;
+
+// Canonical string for comparing answers (BigInts, ethers Results and nested objects)
+function comparable(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (typeof item === "bigint") return item.toString();
+    if (Array.isArray(item)) return [...item];
+    return item;
+  });
+}
+
+/**
+ * Create a pool of HTTP RPC endpoints
+ * @param {Object} options
+ * @param {Array<string>} options.urls - Endpoint URLs, in order of preference
+ * @param {number} options.healthCheckIntervalMs - Time between eth_blockNumber health checks
+ * @param {number} options.maxLagBlocks - Blocks an endpoint may trail the best head and stay healthy
+ * @param {number} options.requestTimeoutMs - Deadline for each request
+ * @param {number} options.quorum - Endpoints asked per quorum read (0 or 1 turns quorum off)
+ * @returns {Object} { start, stop, provider, read, quorumRead, onHealthChange, metrics }
+ */
+export function createRpcPool({ urls, healthCheckIntervalMs, maxLagBlocks, requestTimeoutMs, quorum }) {
+  const endpoints = urls.map((url, i) => ({
+    url,
+    label: endpointHost(url),
+    priority: i,
+    provider: new ethers.JsonRpcProvider(url, BASE_NETWORK, { staticNetwork: BASE_NETWORK }),
+    latencyMs: null,
+    errorRate: 0,
+    headBlock: null,
+    requests: 0,
+    errors: 0,
+    lastError: null,
+    healthy: true,
+  }));
+  const counters = { failovers: 0, quorumReads: 0, degradedReads: 0, disagreements: 0 };
+  const healthHandlers = [];
+  let healthTimer = null;
+
+  const bestHead = () => Math.max(...endpoints.map((endpoint) => endpoint.headBlock ?? -Infinity));
+  const lagOf = (endpoint) => (endpoint.headBlock === null ? null : bestHead() - endpoint.headBlock);
+
+  // Re-evaluate health after every sample, logging transitions
+  const updateHealth = (endpoint) => {
+    const lag = lagOf(endpoint);
+    const healthy = endpoint.errorRate <= MAX_ERROR_RATE && lag !== null && lag <= maxLagBlocks;
+    if (healthy !== endpoint.healthy) {
+      const reason = healthy ? "recovered" : `error rate ${(endpoint.errorRate * 100).toFixed(0)}%, ${lag === null ? "no head block yet" : `${lag} blocks behind`}`;
+      logger.event("rpc_health", { endpoint: endpoint.label, healthy, reason, errorRate: endpoint.errorRate, lagBlocks: lag },
+        `${healthy ? "💚" : "💔"} RPC ${endpoint.label} ${healthy ? "healthy" : "unhealthy"} (${reason})`);
+      endpoint.healthy = healthy;
+      for (const handler of healthHandlers) handler(endpoint.label, healthy, reason);
+    }
+  };
+
+  const recordSuccess = (endpoint, latencyMs) => {
+    endpoint.requests++;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : LATENCY_ALPHA * latencyMs + (1 - LATENCY_ALPHA) * endpoint.latencyMs;
+    endpoint.errorRate = (1 - ERROR_ALPHA) * endpoint.errorRate;
+    updateHealth(endpoint);
+  };
+
+  const recordError = (endpoint, error) => {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.errorRate = ERROR_ALPHA + (1 - ERROR_ALPHA) * endpoint.errorRate;
+    updateHealth(endpoint);
+  };
+
+  // Lower is better: latency, inflated by errors, plus a penalty per block behind
+  const scoreOf = (endpoint) => {
+    const latencyMs = endpoint.latencyMs ?? requestTimeoutMs;
+    return latencyMs * (1 + 4 * endpoint.errorRate) + (lagOf(endpoint) ?? 0) * LAG_PENALTY_MS;
+  };
+
+  // Healthy endpoints by score, then unhealthy ones as a last resort
+  const ranked = () => [...endpoints].sort((a, b) => (b.healthy - a.healthy) || (scoreOf(a) - scoreOf(b)) || (a.priority - b.priority));
+
+  // Run fn on one endpoint, timing it and recording the outcome
+  const runOn = async (endpoint, fn, label) => {
+    const startedAt = Date.now();
+    try {
+      const value = await withTimeout(fn(endpoint.provider), requestTimeoutMs, `${label} on ${endpoint.label}`);
+      recordSuccess(endpoint, Date.now() - startedAt);
+      return value;
+    } catch (error) {
+      recordError(endpoint, error);
+      throw error;
+    }
+  };
+
+  const checkHealth = async () => {
+    await Promise.all(endpoints.map(async (endpoint) => {
+      try {
+        // Store the head before runOn re-evaluates health
+        await runOn(endpoint, async (provider) => {
+          endpoint.headBlock = Number(await provider.send("eth_blockNumber", []));
+        }, "eth_blockNumber");
+      } catch {
+        // Recorded by runOn
+      }
+    }));
+    // A new best head changes every endpoint's lag
+    endpoints.forEach(updateHealth);
+  };
+
+  /**
+   * Run a read on the best endpoint, failing over on error or timeout
+   * @param {Function} fn - async (provider) => value
+   * @param {string} [label] - Name for logs
+   * @returns {Promise<*>} fn's result from the first endpoint that answers
+   */
+  const read = async (fn, label = "read") => {
+    let lastError;
+    for (const [i, endpoint] of ranked().entries()) {
+      try {
+        return await runOn(endpoint, fn, label);
+      } catch (error) {
+        lastError = error;
+        if (i < endpoints.length - 1) {
+          counters.failovers++;
+          logger.warnEvent("rpc_failover", { read: label, endpoint: endpoint.label, error: error.shortMessage || error.message },
+            `🔀 RPC ${label} failed on ${endpoint.label} (${error.shortMessage || error.message}), failing over`);
+        }
+      }
+    }
+    throw lastError;
+  };
+
+  /**
+   * Run a critical read on several endpoints and check they agree
+   * @param {Function} fn - async (provider) => value
+   * @param {string} [label] - Name for logs
+   * @returns {Promise<Object>} { value, agreed, degraded, responses: [{ endpoint, headBlock, value, error }] }
+   */
+  const quorumRead = async (fn, label = "read") => {
+    if (quorum < 2 || endpoints.length < 2) {
+      return { value: await read(fn, label), agreed: true, degraded: false, responses: [] };
+    }
+    counters.quorumReads++;
+    const healthy = ranked().filter((endpoint) => endpoint.healthy);
+    const asked = healthy.length > 0 ? healthy.slice(0, quorum) : ranked().slice(0, 1);
+    const responses = await Promise.all(asked.map(async (endpoint) => {
+      try {
+        return { endpoint: endpoint.label, headBlock: endpoint.headBlock, value: await runOn(endpoint, fn, label), error: null };
+      } catch (error) {
+        return { endpoint: endpoint.label, headBlock: endpoint.headBlock, value: null, error: error.shortMessage || error.message };
+      }
+    }));
+
+    const answered = responses.filter((response) => response.error === null);
+    if (answered.length === 0) {
+      throw new Error(`${label} failed on every quorum endpoint (${responses.map((response) => `${response.endpoint}: ${response.error}`).join("; ")})`);
+    }
+
+    // Group identical answers; the largest group wins, then the freshest head
+    const groups = new Map();
+    for (const response of answered) {
+      const key = comparable(response.value);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(response);
+    }
+    const freshest = (group) => Math.max(...group.map((response) => response.headBlock ?? -Infinity));
+    const [winner] = [...groups.values()].sort((a, b) => (b.length - a.length) || (freshest(b) - freshest(a)));
+
+    const agreed = groups.size === 1;
+    if (!agreed) {
+      counters.disagreements++;
+      logger.warnEvent("rpc_quorum_disagreement", {
+        read: label,
+        answers: answered.map((response) => ({ endpoint: response.endpoint, headBlock: response.headBlock, value: comparable(response.value) })),
+      }, () => {
+        console.warn(`⚖️  RPC quorum disagreement on ${label}: ${groups.size} different answers from ${answered.length} endpoints`);
+        for (const response of answered) {
+          console.warn(`   ${response.endpoint} (head ${response.headBlock ?? "?"}): ${comparable(response.value)}`);
+        }
+      });
+    }
+    const degraded = answered.length < quorum;
+    if (degraded) counters.degradedReads++;
+    return { value: winner[0].value, agreed, degraded, responses };
+  };
+
+  return {
+    // Check every endpoint once, then keep checking in the background
+    async start() {
+      await checkHealth();
+      healthTimer = setInterval(checkHealth, healthCheckIntervalMs);
+    },
+    stop() {
+      clearInterval(healthTimer);
+      for (const endpoint of endpoints) endpoint.provider.destroy();
+    },
+    // Provider of the best endpoint right now, for reads that do not need per-call failover
+    provider() {
+      return ranked()[0].provider;
+    },
+    read,
+    quorumRead,
+    /**
+     * Register a handler run when an endpoint turns healthy or unhealthy
+     * @param {Function} handler - (endpoint label, healthy, reason) => void
+     */
+    onHealthChange(handler) {
+      healthHandlers.push(handler);
+    },
+    // Per-endpoint health and pool counters, for logs and metrics
+    metrics() {
+      return {
+        ...counters,
+        endpoints: endpoints.map((endpoint) => ({
+          endpoint: endpoint.label,
+          healthy: endpoint.healthy,
+          latencyMs: endpoint.latencyMs,
+          headBlock: endpoint.headBlock,
+          lagBlocks: lagOf(endpoint),
+          errorRate: endpoint.errorRate,
+          requests: endpoint.requests,
+          errors: endpoint.errors,
+          lastError: endpoint.lastError,
+        })),
+      };
+    },
+  };
+}
+
+/**
+ * Wrap a caller-owned provider in the RPC pool interface: every read runs on it,
+ * there is no failover or quorum, and stop() leaves the provider open
+ * @param {ethers.Provider} provider - Connected provider
+ * @returns {Object} Same shape as createRpcPool()
+ */
+export function createProviderPool(provider) {
+  const read = (fn) => fn(provider);
+  return {
+    async start() {},
+    stop() {},
+    provider: () => provider,
+    read,
+    quorumRead: async (fn) => ({ value: await read(fn), agreed: true, degraded: false, responses: [] }),
+    onHealthChange() {},
+    metrics() {
+      return { failovers: 0, quorumReads: 0, degradedReads: 0, disagreements: 0, endpoints: [] };
+    },
+  };
+}
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateArbDirection, simulateArbitrageForPair, simulateDirection } from "../arbitrage.js";
+import { buildPool } from "./helpers/pools.js";
+
+// Leg quote in the shape quoteLeg() returns (only the fields calculateArbDirection reads)
+function legQuote({ amountIn, amountOut, feeAmount, complete = true }) {
+  return { amountIn, amountOut, feeAmount, priceAfter: 0, ticksCrossed: 0, complete };
+}
+
+// Two cbBTC/USDC pools keyed by DEX name
+function pairPools({ uniswapPrice, pancakePrice, liquidity }) {
+  return {
+    Uniswap: buildPool({ dex: "Uniswap", price: uniswapPrice, liquidity }),
+    PancakeSwap: buildPool({ dex: "PancakeSwap", price: pancakePrice, liquidity }),
+  };
+}
+
+test("calculateArbDirection nets fees and gas out of the leg quotes", () => {
+  const pools = pairPools({ uniswapPrice: 90000, pancakePrice: 91000 });
+  const result = calculateArbDirection({
+    buyDex: "Uniswap",
+    sellDex: "PancakeSwap",
+    buyPool: pools.Uniswap,
+    sellPool: pools.PancakeSwap,
+    pair: { base: "cbBTC", quote: "USDC" },
+    buyPrice: 90000,
+    sellPrice: 91000,
+    // 1000 USDC in, 0.5 of it the fee, 0.011 cbBTC out
+    buyQuote: legQuote({ amountIn: 1000, amountOut: 0.011, feeAmount: 0.5 }),
+    // 0.011 cbBTC in, 0.0000055 of it the fee, 1000.5 USDC out
+    sellQuote: legQuote({ amountIn: 0.011, amountOut: 1000.5, feeAmount: 0.0000055 }),
+    quoteUsdPrice: 1,
+    tradeSizeUSDC: 1000,
+    currentBudgetUSDC: 10000,
+  });
+
+  const d = result.details;
+  assert.equal(d.totalGasCostUSDC, 0.008);
+  assert.ok(Math.abs(result.netProfitUSDC - (1000.5 - 0.008 - 1000)) < 1e-9);
+  assert.equal(result.isProfitable, true);
+  assert.equal(result.direction, "Buy on Uniswap, Sell on PancakeSwap");
+  assert.equal(d.usdcSpentAfterFee, 1000);
+  assert.equal(d.buyTradeFeesUSDC, 0.5);
+  assert.ok(Math.abs(d.buyExecPrice - 999.5 / 0.011) < 1e-6);
+  assert.ok(Math.abs(d.sellExecPrice - 1000.5 / (0.011 - 0.0000055)) < 1e-6);
+  assert.ok(Math.abs(d.sellTradeFeesUSDC - 0.0000055 * d.sellExecPrice) < 1e-9);
+  assert.equal(d.buyPoolId, "Uniswap:cbBTC/USDC");
+  assert.equal(d.fullyFilled, true);
+});
+
+test("calculateArbDirection values quote tokens at quoteUsdPrice", () => {
+  const pools = pairPools({ uniswapPrice: 90000, pancakePrice: 91000 });
+  const params = {
+    buyDex: "Uniswap",
+    sellDex: "PancakeSwap",
+    buyPool: pools.Uniswap,
+    sellPool: pools.PancakeSwap,
+    pair: { base: "cbBTC", quote: "WETH" },
+    buyPrice: 30,
+    sellPrice: 30.3,
+    buyQuote: legQuote({ amountIn: 1, amountOut: 0.033, feeAmount: 0.0005 }),
+    sellQuote: legQuote({ amountIn: 0.033, amountOut: 1.004, feeAmount: 0.0000165 }),
+    tradeSizeUSDC: 3000,
+    currentBudgetUSDC: 10000,
+  };
+  const result = calculateArbDirection({ ...params, quoteUsdPrice: 3000 });
+
+  assert.equal(result.details.usdcSpentAfterFee, 3000);
+  assert.ok(Math.abs(result.details.usdcReceivedAfterFee - 3012) < 1e-9);
+  assert.ok(Math.abs(result.netProfitUSDC - (3012 - 0.008 - 3000)) < 1e-9);
+});
+
+test("calculateArbDirection never reports an unfillable leg as profitable", () => {
+  const pools = pairPools({ uniswapPrice: 90000, pancakePrice: 91000 });
+  const result = calculateArbDirection({
+    buyDex: "Uniswap",
+    sellDex: "PancakeSwap",
+    buyPool: pools.Uniswap,
+    sellPool: pools.PancakeSwap,
+    pair: { base: "cbBTC", quote: "USDC" },
+    buyPrice: 90000,
+    sellPrice: 91000,
+    buyQuote: legQuote({ amountIn: 1000, amountOut: 0.011, feeAmount: 0.5 }),
+    sellQuote: legQuote({ amountIn: 0.011, amountOut: 1000.5, feeAmount: 0.0000055, complete: false }),
+    quoteUsdPrice: 1,
+    tradeSizeUSDC: 1000,
+    currentBudgetUSDC: 10000,
+  });
+
+  assert.ok(result.netProfitUSDC > 0);
+  assert.equal(result.details.fullyFilled, false);
+  assert.equal(result.isProfitable, false);
+});
+
+test("simulateArbitrageForPair buys on the cheaper pool in either argument order", () => {
+  const pools = pairPools({ uniswapPrice: 90000, pancakePrice: 90900, liquidity: 10n ** 15n });
+  const forward = simulateArbitrageForPair("Uniswap", pools.Uniswap.lastPrice, "PancakeSwap", pools.PancakeSwap.lastPrice, 10000, 5, pools);
+  const reverse = simulateArbitrageForPair("PancakeSwap", pools.PancakeSwap.lastPrice, "Uniswap", pools.Uniswap.lastPrice, 10000, 5, pools);
+
+  for (const result of [forward, reverse]) {
+    assert.equal(result.buyDex, "Uniswap");
+    assert.equal(result.sellDex, "PancakeSwap");
+    assert.equal(result.isProfitable, true);
+    assert.equal(result.details.tradeSizeUSDC, 500);
+    // A 1% spread less two 0.05% fees and $0.008 of gas, on pools deep enough for no visible impact
+    assert.ok(Math.abs(result.netProfitUSDC - (500 * 1.01 * 0.9995 * 0.9995 - 500 - 0.008)) < 0.01);
+  }
+  assert.equal(forward.netProfitUSDC, reverse.netProfitUSDC);
+});
+
+test("simulateArbitrageForPair loses fees and gas on equal prices", () => {
+  const pools = pairPools({ uniswapPrice: 90000, pancakePrice: 90000, liquidity: 10n ** 15n });
+  const result = simulateArbitrageForPair("Uniswap", pools.Uniswap.lastPrice, "PancakeSwap", pools.PancakeSwap.lastPrice, 10000, 5, pools);
+
+  assert.equal(result.isProfitable, false);
+  assert.ok(Math.abs(result.netProfitUSDC - (500 * 0.9995 * 0.9995 - 500 - 0.008)) < 0.01);
+});
+
+test("simulateArbitrageForPair sizes trades to the pools' depth", () => {
+  // Shallow pools: price impact grows with size, so the best size lies inside the searched range
+  const pools = pairPools({ uniswapPrice: 90000, pancakePrice: 90900, liquidity: 10n ** 10n });
+  const result = simulateArbitrageForPair("Uniswap", pools.Uniswap.lastPrice, "PancakeSwap", pools.PancakeSwap.lastPrice, 10000, 5, pools);
+  const { sizing } = result;
+
+  assert.ok(sizing.optimalSizeUSDC > 10 && sizing.optimalSizeUSDC < 10000);
+  assert.ok(sizing.optimalNetProfitUSDC >= result.netProfitUSDC);
+  // The reported optimum is what simulating that size gives
+  const atOptimum = simulateDirection({
+    buyDex: "Uniswap",
+    buyPrice: pools.Uniswap.lastPrice,
+    sellDex: "PancakeSwap",
+    sellPrice: pools.PancakeSwap.lastPrice,
+    tradeSizeUSDC: sizing.optimalSizeUSDC,
+    currentBudgetUSDC: 10000,
+    pools,
+    quoteUsdPrice: 1,
+  });
+  assert.equal(atOptimum.netProfitUSDC, sizing.optimalNetProfitUSDC);
+  assert.ok(atOptimum.details.buyPriceImpactPct > 0 && atOptimum.details.sellPriceImpactPct > 0);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const FIXTURE = fileURLToPath(new URL("./fixtures/backtest.fixture.json", import.meta.url));
+
+// Registry pool addresses the fixture was recorded with (pools.json reads them from the environment)
+const ENV = {
+  BASE_RPC_URL: "http://127.0.0.1:1",
+  BASE_WSS_URL: "ws://127.0.0.1:1",
+  UNISWAP_POOL_ADDRESS: "0xfbb6eed8e7aa03b138556eedaf5d271a5e1e43ef",
+  AERODROME_POOL_ADDRESS: "0x4e962bb3889bf030368f56810a9c96b83cb3e778",
+  PANCAKE_V3_POOL_ADDRESS: "0x4e962bb3889bf030368f56810a9c96b83cb3e779",
+  ARB_OVERALL_BUDGET_USDC: "10000",
+  ARB_BUDGET_PERCENT: "5",
+  LOG_FORMAT: "json",
+  LOG_LEVEL: "info",
+};
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test("the recorded fixture holds each pool's full fee state", () => {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  const aerodrome = fixture.pools[ENV.AERODROME_POOL_ADDRESS];
+  const uniswap = fixture.pools[ENV.UNISWAP_POOL_ADDRESS];
+
+  assert.deepEqual([aerodrome.feePips, aerodrome.unstakedFeePips], [100, 100000]);
+  assert.deepEqual([uniswap.feePips, uniswap.unstakedFeePips], [500, null]);
+});
+
+test("backtest.js --fixture replays the recorded swaps", async () => {
+  const { stdout } = await promisify(execFile)(process.execPath, ["backtest.js", "--fixture", FIXTURE], {
+    cwd: ROOT,
+    env: { ...process.env, ...ENV },
+    timeout: 60_000,
+  });
+  const records = stdout.split("\n").filter((line) => line.startsWith("{")).map((line) => JSON.parse(line));
+  const results = records.find((record) => record.event === "backtest_results");
+
+  assert.equal(results.fromBlock, 1000);
+  assert.equal(results.toBlock, 1020);
+  assert.equal(results.swapsReplayed, 10);
+  assert.equal(results.simulations, 9);
+
+  assert.deepEqual(results.opportunities.map(({ block, direction }) => [block, direction]), [
+    [1002, "Buy on Uniswap, Sell on Aerodrome"],
+    [1003, "Buy on PancakeSwap, Sell on Aerodrome"],
+    [1004, "Buy on PancakeSwap, Sell on Aerodrome"],
+    [1005, "Buy on PancakeSwap, Sell on Uniswap"],
+    [1006, "Buy on Uniswap, Sell on Aerodrome"],
+  ]);
+  assert.deepEqual(results.opportunitiesByPair, { "cbBTC/USDC": 5 });
+  // Block 1005's spread closes within its own block, so its block-end fill loses
+  assert.ok(results.opportunities[3].detectedProfitUSDC > 0);
+  assert.ok(results.opportunities[3].filledProfitUSDC < 0);
+
+  assertClose(results.detectedPnLUSDC, 22.00041, "detected PnL");
+  assertClose(results.filledPnLUSDC, 12.454235, "filled PnL");
+  assert.equal(results.winningFills, 4);
+  assert.equal(results.losingFills, 1);
+  assert.equal(results.startBudgetUSDC, 10000);
+  assertClose(results.finalBudgetUSDC, 10012.454235, "final budget");
+  assertClose(results.maxDrawdownUSDC, 0.508932, "max drawdown");
+  assertClose(results.maxDrawdownPct, (0.508932 / 10009.439626) * 100, "max drawdown %");
+});
+
+test("backtest.js --fixture rejects fixtures saved before unstaked fees were recorded", async () => {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  const oldFixture = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "backtest-test-")), "v1.fixture.json");
+  fs.writeFileSync(oldFixture, JSON.stringify({ ...fixture, version: 1 }));
+  try {
+    await assert.rejects(
+      promisify(execFile)(process.execPath, ["backtest.js", "--fixture", oldFixture], { cwd: ROOT, env: { ...process.env, ...ENV }, timeout: 60_000 }),
+      (error) => {
+        assert.equal(error.code, 1);
+        assert.match(error.stdout + error.stderr, /has version 1, expected 2; fetch it again with --save/);
+        return true;
+      }
+    );
+  } finally {
+    fs.rmSync(path.dirname(oldFixture), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBlockBatcher } from "../blockBatcher.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("createBlockBatcher rejects unknown modes", () => {
+  assert.throws(() => createBlockBatcher({ mode: "slot", windowMs: 10, onDue: () => {} }), /Unknown batch mode "slot" \(expected one of: block, flashblock\)/);
+});
+
+test("createBlockBatcher closes a block's batch when a Swap from the next block arrives", () => {
+  const batcher = createBlockBatcher({ mode: "block", windowMs: 60_000, onDue: () => assert.fail("batch due") });
+  assert.equal(batcher.add(100, "Uniswap", "first"), null);
+  assert.equal(batcher.add(100, "PancakeSwap", "only"), null);
+  assert.equal(batcher.add(100, "Uniswap", "last"), null);
+  assert.equal(batcher.pendingBlock(), 100);
+
+  const closed = batcher.add(101, "Uniswap", "next block");
+  assert.equal(closed.blockNumber, 100);
+  assert.equal(closed.flashblock, null);
+  assert.equal(closed.swaps, 3);
+  // One entry per key; the latest value wins
+  assert.deepEqual(Object.fromEntries(closed.entries), { Uniswap: "last", PancakeSwap: "only" });
+
+  assert.equal(batcher.take().blockNumber, 101);
+  assert.equal(batcher.take(), null);
+  assert.equal(batcher.pendingBlock(), null);
+  batcher.stop();
+});
+
+test("createBlockBatcher calls onDue once a block has been quiet for windowMs", async () => {
+  let due = 0;
+  const batcher = createBlockBatcher({ mode: "block", windowMs: 200, onDue: () => due++ });
+  batcher.add(100, "Uniswap", 1);
+  await sleep(120);
+  // Each Swap restarts the quiet time
+  batcher.add(100, "Uniswap", 2);
+  await sleep(120);
+  assert.equal(due, 0);
+  await sleep(150);
+  assert.equal(due, 1);
+  assert.equal(batcher.take().swaps, 2);
+
+  // A discarded batch is never due
+  batcher.add(101, "Uniswap", 3);
+  batcher.discard();
+  await sleep(250);
+  assert.equal(due, 1);
+  assert.equal(batcher.take(), null);
+});
+
+test("createBlockBatcher numbers the flashblock windows of each block from 0", async () => {
+  let due = 0;
+  const batcher = createBlockBatcher({ mode: "flashblock", windowMs: 200, onDue: () => due++ });
+
+  batcher.add(100, "Uniswap", 1);
+  assert.equal(batcher.take().flashblock, 0);
+  batcher.add(100, "Uniswap", 2);
+  batcher.add(100, "PancakeSwap", 3);
+  assert.equal(batcher.add(101, "Uniswap", 4).flashblock, 1);
+  assert.equal(batcher.take().flashblock, 0);
+
+  // The window is timed from its first Swap, not restarted by later ones
+  batcher.add(101, "Uniswap", 5);
+  await sleep(120);
+  batcher.add(101, "PancakeSwap", 6);
+  await sleep(150);
+  assert.equal(due, 1);
+  const window = batcher.take();
+  assert.deepEqual([window.blockNumber, window.flashblock, window.swaps], [101, 1, 2]);
+  batcher.stop();
+});
@@ -0,0 +1,113 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { SWAP_ROUTER_ABIS_BY_PROTOCOL } from "../abis.js";
+import { simulateArbitrageForPair } from "../arbitrage.js";
+import { DEFAULT_ROUTERS, createExecutor } from "../executor.js";
+import { logger } from "../logger.js";
+import { minAmountOut, sqrtPriceLimit } from "../quoter.js";
+import { startFakeChain } from "./helpers/fakeChain.js";
+import { TOKENS, buildPool } from "./helpers/pools.js";
+
+// Dry runs only read nonces, fees and allowances, so the in-process node is enough; live mode is tested on a fork
+const SLIPPAGE_BPS = 30;
+const wallet = ethers.Wallet.createRandom();
+
+let chain;
+
+before(async () => {
+  logger.configure({ format: "pretty", level: "error" });
+  chain = await startFakeChain();
+  chain.addToken(TOKENS.cbBTC);
+  chain.addToken(TOKENS.USDC);
+});
+
+after(async () => {
+  await chain.close();
+});
+
+function dryRunExecutor() {
+  return createExecutor({
+    mode: "dry-run",
+    strategy: "router",
+    flashMinProfitUSDC: 0,
+    rpcUrl: chain.httpUrl,
+    privateKey: wallet.privateKey,
+    slippageBps: SLIPPAGE_BPS,
+    deadlineSeconds: 60,
+    gasLimitPerSwap: 300000,
+    confirmations: 1,
+    receiptTimeoutMs: 1000,
+  });
+}
+
+// A profitable Uniswap → PancakeSwap opportunity on hand-built pools
+function opportunity() {
+  const pools = {
+    Uniswap: buildPool({ dex: "Uniswap", price: 90000 }),
+    PancakeSwap: buildPool({ dex: "PancakeSwap", price: 91000, protocol: "pancakeV3", tickSpacing: 50 }),
+  };
+  const result = simulateArbitrageForPair("Uniswap", pools.Uniswap.lastPrice, "PancakeSwap", pools.PancakeSwap.lastPrice, 10000, 5, pools);
+  assert.equal(result.isProfitable, true);
+  assert.equal(result.buyDex, "Uniswap");
+  return { result, pools };
+}
+
+// The exactInputSingle parameters of a signed swap
+function swapParams(tx, pool) {
+  const router = new ethers.Interface(SWAP_ROUTER_ABIS_BY_PROTOCOL[pool.protocol]);
+  return router.parseTransaction({ data: ethers.Transaction.from(tx.signed).data }).args[0];
+}
+
+test("createExecutor rejects unknown modes and a missing signing key", () => {
+  assert.throws(() => createExecutor({ mode: "paper", strategy: "router" }), /Unknown execution mode "paper" \(expected one of: simulate, dry-run, live\)/);
+  assert.throws(() => createExecutor({ mode: "dry-run", strategy: "router", rpcUrl: chain.httpUrl }), /EXECUTOR_PRIVATE_KEY is required in dry-run mode/);
+});
+
+test("createExecutor dry-run signs both approvals and swaps with consecutive nonces", async () => {
+  chain.setNonce(wallet.address, 7);
+  const { result, pools } = opportunity();
+  const executor = dryRunExecutor();
+
+  const execution = await executor.execute(result, pools);
+  assert.equal(execution.status, "signed");
+  assert.deepEqual(execution.transactions.map((tx) => [tx.label, tx.nonce]), [
+    ["approve USDC", 7],
+    ["buy on Uniswap", 8],
+    ["approve cbBTC", 9],
+    ["sell on PancakeSwap", 10],
+  ]);
+  const [approveUsdc, buy, approveCbBtc, sell] = execution.transactions.map((tx) => ethers.Transaction.from(tx.signed));
+  for (const tx of [approveUsdc, buy, approveCbBtc, sell]) {
+    assert.equal(tx.from, wallet.address);
+    assert.equal(tx.chainId, 8453n);
+  }
+  assert.equal(approveUsdc.to, TOKENS.USDC.address);
+  assert.equal(buy.to, DEFAULT_ROUTERS.uniswapV3);
+  assert.equal(approveCbBtc.to, TOKENS.cbBTC.address);
+  assert.equal(sell.to, DEFAULT_ROUTERS.pancakeV3);
+
+  // Nothing was broadcast, so the next run signs from the same pending nonce
+  const again = await executor.execute(result, pools);
+  assert.equal(again.transactions[0].nonce, 7);
+});
+
+test("createExecutor derives each leg's limits from its quote and the slippage tolerance", async () => {
+  const { result, pools } = opportunity();
+  const { buyQuote, sellQuote } = result.details;
+  const execution = await dryRunExecutor().execute(result, pools);
+  const buy = swapParams(execution.transactions[1], pools.Uniswap);
+  const sell = swapParams(execution.transactions[3], pools.PancakeSwap);
+
+  // Buying cbBTC (token1) with USDC moves the inverted pool's sqrt price down, selling moves it up
+  assert.equal(buy.amountIn, buyQuote.rawAmountIn);
+  assert.equal(buy.amountOutMinimum, minAmountOut(buyQuote.rawAmountOut, SLIPPAGE_BPS));
+  assert.equal(buy.amountOutMinimum, (buyQuote.rawAmountOut * 9970n) / 10000n);
+  assert.equal(buy.sqrtPriceLimitX96, sqrtPriceLimit(buyQuote.sqrtPriceX96After, true, SLIPPAGE_BPS));
+  assert.ok(buy.sqrtPriceLimitX96 < buyQuote.sqrtPriceX96After);
+
+  assert.equal(sell.amountIn, sellQuote.rawAmountIn);
+  assert.equal(sell.amountOutMinimum, minAmountOut(sellQuote.rawAmountOut, SLIPPAGE_BPS));
+  assert.equal(sell.sqrtPriceLimitX96, sqrtPriceLimit(sellQuote.sqrtPriceX96After, false, SLIPPAGE_BPS));
+  assert.ok(sell.sqrtPriceLimitX96 > sellQuote.sqrtPriceX96After);
+});
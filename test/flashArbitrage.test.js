@@ -0,0 +1,239 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { ERC20_ABI, FLASH_ARBITRAGE_ABI, POOL_ABIS_BY_PROTOCOL, SWAP_ROUTER_ABIS_BY_PROTOCOL } from "../abis.js";
+import { PRICE_CALCULATORS, poolPrice, simulateArbitrageForPair } from "../arbitrage.js";
+import { DEFAULT_ROUTERS, createExecutor, encodeSwap } from "../executor.js";
+import {
+  buildFlashArbitrageParams,
+  compileFlashArbitrage,
+  decodeFlashArbitrageError,
+  deployFlashArbitrage,
+  encodeFlashArbitrage,
+  flashArbitrageInterface,
+} from "../flashArbitrage.js";
+import { readPoolFees } from "../poolFees.js";
+import { loadPoolState } from "../quoter.js";
+import { TOKENS, sqrtPriceForPrice } from "./helpers/pools.js";
+
+/**
+ * The fork tests run against an anvil fork of Base and are skipped without one:
+ *
+ *   anvil --fork-url $BASE_RPC_URL
+ *   FORK_RPC_URL=http://127.0.0.1:8545 npm test
+ *
+ * They deploy FlashArbitrage from the first anvil account, open a spread by
+ * swapping on the Uniswap pool, and run the arbitrage back through the
+ * Aerodrome pool, atomically and then as two router swaps from the live
+ * executor. Everything is reverted to an anvil snapshot afterwards.
+ */
+const FORK_RPC_URL = process.env.FORK_RPC_URL;
+const SKIP_FORK = FORK_RPC_URL ? false : "set FORK_RPC_URL to an anvil fork of Base";
+
+// The monitored cbBTC/USDC pools (see README), overridable like the registry's
+const FORK_POOLS = {
+  Uniswap: { protocol: "uniswapV3", address: process.env.UNISWAP_POOL_ADDRESS || "0xfbb6eed8e7aa03b138556eedaf5d271a5e1e43ef" },
+  Aerodrome: { protocol: "slipstream", address: process.env.AERODROME_POOL_ADDRESS || "0x4e962bb3889bf030368f56810a9c96b83cb3e778" },
+};
+
+// How far the Uniswap swap pushes cbBTC above the Aerodrome price
+const SPREAD_PCT = 0.5;
+
+let artifact;
+
+before(async () => {
+  artifact = await compileFlashArbitrage();
+});
+
+test("the compiled contract implements FLASH_ARBITRAGE_ABI", () => {
+  const compiled = new ethers.Interface(artifact.abi);
+  for (const fragment of new ethers.Interface(FLASH_ARBITRAGE_ABI).fragments) {
+    const name = fragment.format("sighash");
+    const match = fragment.type === "function" ? compiled.getFunction(name) : fragment.type === "event" ? compiled.getEvent(name) : compiled.getError(name);
+    assert.ok(match, `${fragment.type} ${name} is not in the compiled ABI`);
+    assert.equal(match.format("full"), fragment.format("full"));
+  }
+  assert.ok(compiled.getFunction("uniswapV3SwapCallback") && compiled.getFunction("pancakeV3SwapCallback"));
+});
+
+// ===== FORK =====
+
+let provider;
+let snapshot;
+let owner;
+let flash;
+let pools;
+
+// Read a pool the way the monitor initializes it (see initMonitoredPool)
+async function loadForkPool(dex, { protocol, address }) {
+  const contract = new ethers.Contract(address, POOL_ABIS_BY_PROTOCOL[protocol], provider);
+  const pool = {
+    id: `${dex}:cbBTC/USDC`,
+    dex,
+    label: dex,
+    protocol,
+    address,
+    contract,
+    pair: { base: "cbBTC", quote: "USDC" },
+    gasFeeUSDC: 0.004,
+    baseToken: TOKENS.cbBTC,
+    quoteToken: TOKENS.USDC,
+    isInverted: (await contract.token0()).toLowerCase() === TOKENS.USDC.address.toLowerCase(),
+    calcPrice: PRICE_CALCULATORS[protocol],
+  };
+  pool.fees = await readPoolFees(pool);
+  pool.feeTier = pool.fees.feePips;
+  await refreshPool(pool);
+  return pool;
+}
+
+async function refreshPool(pool) {
+  pool.state = await loadPoolState(pool.contract);
+  pool.lastPrice = poolPrice(pool, pool.state.sqrtPriceX96);
+}
+
+const usdc = () => new ethers.Contract(TOKENS.USDC.address, ERC20_ABI, provider);
+const cbBtc = () => new ethers.Contract(TOKENS.cbBTC.address, ERC20_ABI, provider);
+const TRANSFER_INTERFACE = new ethers.Interface(["event Transfer(address indexed from, address indexed to, uint256 value)"]);
+
+/**
+ * Buy cbBTC on a pool through its router until its price is `pct` above a target
+ * The price limit stops the swap there, so the router only takes the USDC it needs
+ */
+async function pushPriceAbove(pool, targetPrice, pct) {
+  const amountIn = 10_000_000n * 10n ** 6n;
+  await provider.send("anvil_dealERC20", [owner.address, TOKENS.USDC.address, ethers.toQuantity(amountIn)]);
+  const router = DEFAULT_ROUTERS[pool.protocol];
+  await (await usdc().connect(owner).approve(router, amountIn)).wait();
+
+  const limit = sqrtPriceForPrice(targetPrice * (1 + pct / 100), { baseDecimals: 8, quoteDecimals: 6, isInverted: pool.isInverted });
+  const data = encodeSwap(pool, {
+    tokenIn: TOKENS.USDC.address,
+    tokenOut: TOKENS.cbBTC.address,
+    feeTier: pool.feeTier,
+    amountIn,
+    amountOutMinimum: 0n,
+    sqrtPriceLimitX96: limit,
+    recipient: owner.address,
+    deadline: Math.floor(Date.now() / 1000) + 3600,
+  });
+  await (await owner.sendTransaction({ to: router, data })).wait();
+  await refreshPool(pool);
+}
+
+// The arbitrage back from the pushed Uniswap pool, simulated on freshly read pools
+async function simulateOpportunity() {
+  for (const pool of Object.values(pools)) await refreshPool(pool);
+  return simulateArbitrageForPair("Uniswap", pools.Uniswap.lastPrice, "Aerodrome", pools.Aerodrome.lastPrice, 10_000, 5, pools);
+}
+
+before(async () => {
+  if (SKIP_FORK) return;
+  provider = new ethers.JsonRpcProvider(FORK_RPC_URL);
+  snapshot = await provider.send("evm_snapshot", []);
+  owner = await provider.getSigner(0);
+  flash = await deployFlashArbitrage(owner, artifact);
+
+  pools = {};
+  for (const [dex, entry] of Object.entries(FORK_POOLS)) pools[dex] = await loadForkPool(dex, entry);
+  await pushPriceAbove(pools.Uniswap, pools.Aerodrome.lastPrice, SPREAD_PCT);
+});
+
+after(async () => {
+  if (SKIP_FORK) return;
+  await provider.send("evm_revert", [snapshot]);
+  provider.destroy();
+});
+
+test("FlashArbitrage only runs for its owner", { skip: SKIP_FORK }, async () => {
+  const result = await simulateOpportunity();
+  const data = encodeFlashArbitrage(buildFlashArbitrageParams(result, pools, { slippageBps: 30, minProfitUSDC: 0.01 }));
+  const stranger = await provider.getSigner(1);
+
+  await assert.rejects(provider.call({ from: stranger.address, to: await flash.getAddress(), data }), (error) => {
+    assert.equal(decodeFlashArbitrageError(error.data), "NotOwner()");
+    return true;
+  });
+});
+
+test("FlashArbitrage reverts when the profit is below minProfit", { skip: SKIP_FORK }, async () => {
+  const result = await simulateOpportunity();
+  assert.equal(result.isProfitable, true);
+  const params = buildFlashArbitrageParams(result, pools, { slippageBps: 30, minProfitUSDC: 0.01 });
+  // Twice what the legs can return
+  const expectedProfit = result.details.sellQuote.rawAmountOut - result.details.buyQuote.rawAmountIn;
+  const data = encodeFlashArbitrage({ ...params, minProfit: expectedProfit * 2n });
+
+  await assert.rejects(provider.call({ from: owner.address, to: await flash.getAddress(), data }), (error) => {
+    assert.match(decodeFlashArbitrageError(error.data), new RegExp(`^InsufficientProfit\\(\\d+, ${expectedProfit * 2n}\\)$`));
+    return true;
+  });
+});
+
+test("FlashArbitrage executes a simulated opportunity and pays the profit to its owner", { skip: SKIP_FORK }, async () => {
+  const result = await simulateOpportunity();
+  assert.equal(result.isProfitable, true);
+  assert.equal(result.buyDex, "Aerodrome");
+  assert.equal(result.sellDex, "Uniswap");
+
+  const params = buildFlashArbitrageParams(result, pools, { slippageBps: 30, minProfitUSDC: 0.01 });
+  const balanceBefore = await usdc().balanceOf(owner.address);
+  const tx = await owner.sendTransaction({ to: await flash.getAddress(), data: encodeFlashArbitrage(params) });
+  const receipt = await tx.wait();
+
+  const executed = receipt.logs.map((log) => flashArbitrageInterface.parseLog(log)).find((event) => event?.name === "ArbitrageExecuted");
+  const { profit } = executed.args;
+  assert.ok(profit >= params.minProfit);
+  assert.equal(await usdc().balanceOf(owner.address), balanceBefore + profit);
+
+  // The local quoter walked the same ticks the pools did
+  const expectedProfit = result.details.sellQuote.rawAmountOut - result.details.buyQuote.rawAmountIn;
+  const deviation = Number(profit - expectedProfit) / Number(expectedProfit);
+  assert.ok(Math.abs(deviation) < 0.01, `profit ${profit} vs simulated ${expectedProfit}`);
+});
+
+// ===== EXECUTOR =====
+
+test("the live executor confirms the buy before selling the cbBTC it received", { skip: SKIP_FORK }, async () => {
+  // The FlashArbitrage test closed the spread; reopen it and undo this trade afterwards
+  const executorSnapshot = await provider.send("evm_snapshot", []);
+  try {
+    await pushPriceAbove(pools.Uniswap, pools.Aerodrome.lastPrice, SPREAD_PCT);
+    const result = await simulateOpportunity();
+    assert.equal(result.isProfitable, true);
+
+    const trader = ethers.Wallet.createRandom();
+    await provider.send("anvil_setBalance", [trader.address, ethers.toQuantity(ethers.parseEther("1"))]);
+    await provider.send("anvil_dealERC20", [trader.address, TOKENS.USDC.address, ethers.toQuantity(result.details.buyQuote.rawAmountIn)]);
+    const executor = createExecutor({
+      mode: "live",
+      strategy: "router",
+      flashMinProfitUSDC: 0,
+      rpcUrl: FORK_RPC_URL,
+      privateKey: trader.privateKey,
+      slippageBps: 30,
+      deadlineSeconds: 300,
+      gasLimitPerSwap: 500000,
+      confirmations: 1,
+      receiptTimeoutMs: 30000,
+    });
+
+    const execution = await executor.execute(result, pools);
+    assert.equal(execution.status, "confirmed", execution.error);
+    assert.deepEqual(execution.transactions.map((tx) => tx.label), ["approve USDC", "buy on Aerodrome", "approve cbBTC", "sell on Uniswap"]);
+    const [, buy, , sell] = execution.transactions;
+    assert.ok(buy.receipt.blockNumber < sell.receipt.blockNumber);
+
+    // The sell leg spends what the buy delivered, not the simulated amount
+    const received = buy.receipt.logs
+      .filter((log) => log.address.toLowerCase() === TOKENS.cbBTC.address.toLowerCase())
+      .map((log) => TRANSFER_INTERFACE.parseLog(log))
+      .find((event) => event?.args.to === trader.address).args.value;
+    const router = new ethers.Interface(SWAP_ROUTER_ABIS_BY_PROTOCOL.uniswapV3);
+    const [sellParams] = router.parseTransaction({ data: ethers.Transaction.from(sell.signed).data }).args;
+    assert.equal(sellParams.amountIn, received);
+    assert.equal(await cbBtc().balanceOf(trader.address), 0n);
+  } finally {
+    await provider.send("evm_revert", [executorSnapshot]);
+  }
+});
@@ -0,0 +1,296 @@
+import http from "node:http";
+import { ethers } from "ethers";
+import { WebSocketServer } from "ws";
+import { ERC20_ABI, PANCAKE_V3_POOL_ABI, UNISWAP_POOL_ABI } from "../../abis.js";
+import { getTickAtSqrtRatio } from "../../quoter.js";
+
+/**
+ * In-process JSON-RPC node for monitor tests
+ *
+ * Serves a WebSocket endpoint with just enough of eth_* for the monitor: token
+ * metadata, Uniswap V3 and PancakeSwap V3 pool reads (slot0, fees, tick bitmap
+ * and ticks), block heads, log and head subscriptions. Swaps are pushed by the
+ * test and each one is mined in its own block.
+ *
+ * The same port answers plain HTTP JSON-RPC (without subscriptions), with the
+ * account nonces and fee data the executor reads to sign transactions. Nothing
+ * sent to it is mined; token allowances are always 0.
+ */
+
+const TOKEN_INTERFACE = new ethers.Interface([...ERC20_ABI, "function decimals() view returns (uint8)", "function symbol() view returns (string)"]);
+const POOL_INTERFACES = {
+  uniswapV3: new ethers.Interface(UNISWAP_POOL_ABI),
+  pancakeV3: new ethers.Interface(PANCAKE_V3_POOL_ABI),
+};
+
+// Each pool holds one position this many ticks either side of its starting tick
+const POSITION_HALF_WIDTH = 2000;
+
+/**
+ * Start a fake chain on an ephemeral local port
+ * @param {Object} [options]
+ * @param {number} [options.blockNumber] - Head block at startup
+ * @returns {Promise<Object>} { url, httpUrl, addToken, setNonce, addPool, waitForSubscribers, waitForUnsubscribed, swap, close }
+ */
+export async function startFakeChain({ blockNumber = 1000 } = {}) {
+  let head = blockNumber;
+  const tokens = new Map();
+  const pools = new Map();
+  const logs = [];
+  // Subscription id → { socket, params }
+  const subscriptions = new Map();
+  let nextSubscriptionId = 1;
+  let logIndex = 0;
+  // Lowercase address → pending nonce
+  const nonces = new Map();
+
+  const until = async (condition) => {
+    while (!condition()) await new Promise((resolve) => setTimeout(resolve, 10));
+  };
+
+  const blockHash = (number) => ethers.zeroPadValue(ethers.toBeHex(number), 32);
+
+  const blockHeader = (number) => ({
+    number: ethers.toQuantity(number),
+    hash: blockHash(number),
+    parentHash: blockHash(number - 1),
+    timestamp: ethers.toQuantity(Math.floor(Date.now() / 1000)),
+    baseFeePerGas: "0x3b9aca0",
+    gasLimit: "0x1c9c380",
+    gasUsed: "0x0",
+    miner: ethers.ZeroAddress,
+    difficulty: "0x0",
+    nonce: "0x0000000000000000",
+    extraData: "0x",
+    transactions: [],
+  });
+
+  const bitmapWord = (pool, wordPos) => {
+    let word = 0n;
+    for (const tick of pool.ticks.keys()) {
+      const compressed = Math.floor(tick / pool.tickSpacing);
+      if (compressed >> 8 === wordPos) word |= 1n << BigInt(((compressed % 256) + 256) % 256);
+    }
+    return word;
+  };
+
+  const call = ({ to, data }) => {
+    const address = to.toLowerCase();
+    const token = tokens.get(address);
+    if (token) {
+      const { name } = TOKEN_INTERFACE.parseTransaction({ data });
+      if (name === "decimals") return TOKEN_INTERFACE.encodeFunctionResult(name, [token.decimals]);
+      if (name === "symbol") return TOKEN_INTERFACE.encodeFunctionResult(name, [token.symbol]);
+      if (name === "allowance") return TOKEN_INTERFACE.encodeFunctionResult(name, [0n]);
+      throw new Error(`unsupported token call ${name}`);
+    }
+    const pool = pools.get(address);
+    if (!pool) throw new Error(`no contract at ${to}`);
+    const { name, args } = pool.iface.parseTransaction({ data });
+    const result = (values) => pool.iface.encodeFunctionResult(name, values);
+    switch (name) {
+      case "token0": return result([pool.token0]);
+      case "token1": return result([pool.token1]);
+      case "fee": return result([pool.feePips]);
+      case "tickSpacing": return result([pool.tickSpacing]);
+      case "liquidity": return result([pool.liquidity]);
+      case "slot0": return result([pool.sqrtPriceX96, pool.tick, 0, 1, 1, 0, true]);
+      case "tickBitmap": return result([bitmapWord(pool, Number(args[0]))]);
+      case "ticks": {
+        const liquidityNet = pool.ticks.get(Number(args[0])) ?? 0n;
+        return result([liquidityNet < 0n ? -liquidityNet : liquidityNet, liquidityNet, 0, 0, 0, 0, 0, liquidityNet !== 0n]);
+      }
+    }
+    throw new Error(`unsupported pool call ${name}`);
+  };
+
+  const matchesFilter = (log, filter) => {
+    if (filter.address && ![].concat(filter.address).some((address) => address.toLowerCase() === log.address.toLowerCase())) return false;
+    return (filter.topics || []).every((topic, i) => topic === null || [].concat(topic).includes(log.topics[i]));
+  };
+
+  const handle = ({ id, method, params }, socket) => {
+    switch (method) {
+      case "eth_chainId": return "0x2105";
+      case "net_version": return "8453";
+      case "eth_blockNumber": return ethers.toQuantity(head);
+      case "eth_call": return call(params[0]);
+      case "eth_getBlockByNumber": return blockHeader(params[0] === "latest" || params[0] === "pending" ? head : Number(params[0]));
+      case "eth_getTransactionCount": return ethers.toQuantity(nonces.get(params[0].toLowerCase()) ?? 0);
+      case "eth_gasPrice": return "0x3b9aca0";
+      case "eth_maxPriorityFeePerGas": return "0xf4240";
+      case "eth_getLogs": {
+        const [filter] = params;
+        const fromBlock = filter.fromBlock === undefined ? 0 : Number(filter.fromBlock);
+        const toBlock = filter.toBlock === undefined || filter.toBlock === "latest" ? head : Number(filter.toBlock);
+        return logs.filter((log) => Number(log.blockNumber) >= fromBlock && Number(log.blockNumber) <= toBlock && matchesFilter(log, filter));
+      }
+      case "eth_subscribe": {
+        if (!socket) throw new Error("subscriptions need a WebSocket");
+        const subscriptionId = ethers.toQuantity(nextSubscriptionId++);
+        subscriptions.set(subscriptionId, { socket, params });
+        return subscriptionId;
+      }
+      case "eth_unsubscribe": return subscriptions.delete(params[0]);
+    }
+    throw new Error(`method ${method} not supported (request ${id})`);
+  };
+
+  const notify = (subscriptionId, socket, result) => {
+    socket.send(JSON.stringify({ jsonrpc: "2.0", method: "eth_subscription", params: { subscription: subscriptionId, result } }));
+  };
+
+  // One JSON-RPC request or batch, over either transport
+  const respond = (request, socket) => {
+    if (Array.isArray(request)) return request.map((entry) => respond(entry, socket));
+    try {
+      return { jsonrpc: "2.0", id: request.id, result: handle(request, socket) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id: request.id, error: { code: -32000, message: error.message } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify(respond(JSON.parse(body), null)));
+    });
+  });
+  const wss = new WebSocketServer({ server });
+  wss.on("connection", (socket) => {
+    socket.on("message", (raw) => {
+      socket.send(JSON.stringify(respond(JSON.parse(raw), socket)));
+    });
+    socket.on("close", () => {
+      for (const [subscriptionId, subscription] of subscriptions) {
+        if (subscription.socket === socket) subscriptions.delete(subscriptionId);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    httpUrl: `http://127.0.0.1:${server.address().port}`,
+
+    /**
+     * Serve ERC-20 metadata for a token
+     * @param {Object} token - { address, symbol, decimals }
+     */
+    addToken({ address, symbol, decimals }) {
+      tokens.set(address.toLowerCase(), { symbol, decimals });
+    },
+
+    /**
+     * Set the pending nonce eth_getTransactionCount returns for an account
+     * @param {string} address - Account address
+     * @param {number} nonce - Next nonce
+     */
+    setNonce(address, nonce) {
+      nonces.set(address.toLowerCase(), nonce);
+    },
+
+    /**
+     * Deploy a pool holding a single position around its starting price
+     * @param {Object} options
+     * @param {string} options.address - Pool address
+     * @param {string} [options.protocol] - uniswapV3 or pancakeV3
+     * @param {string} options.token0 - token0 address
+     * @param {string} options.token1 - token1 address
+     * @param {bigint} options.sqrtPriceX96 - Starting price
+     * @param {bigint} options.liquidity - Position liquidity
+     * @param {number} [options.feePips] - Swap fee in hundredths of a bip
+     * @param {number} [options.tickSpacing] - Tick spacing
+     */
+    addPool({ address, protocol = "uniswapV3", token0, token1, sqrtPriceX96, liquidity, feePips = 500, tickSpacing = 10 }) {
+      const tick = getTickAtSqrtRatio(sqrtPriceX96);
+      const lower = Math.floor((tick - POSITION_HALF_WIDTH) / tickSpacing) * tickSpacing;
+      const upper = Math.floor((tick + POSITION_HALF_WIDTH) / tickSpacing) * tickSpacing;
+      pools.set(address.toLowerCase(), {
+        address,
+        protocol,
+        iface: POOL_INTERFACES[protocol],
+        token0,
+        token1,
+        sqrtPriceX96,
+        tick,
+        liquidity,
+        feePips,
+        tickSpacing,
+        ticks: new Map([[lower, liquidity], [upper, -liquidity]]),
+      });
+    },
+
+    /**
+     * Wait until a pool's Swaps and new heads are subscribed to
+     * Providers send eth_subscribe in the background, so a listener can be attached before the node knows of it
+     * @param {string} address - Pool address
+     * @returns {Promise<void>}
+     */
+    async waitForSubscribers(address) {
+      const pool = pools.get(address.toLowerCase());
+      const swapLog = { address: pool.address, topics: [pool.iface.getEvent("Swap").topicHash] };
+      await until(() => {
+        const open = [...subscriptions.values()].map(({ params }) => params);
+        return open.some((params) => params[0] === "newHeads") && open.some((params) => params[0] === "logs" && matchesFilter(swapLog, params[1] || {}));
+      });
+    },
+
+    /**
+     * Wait until every subscription is closed
+     * Providers send eth_unsubscribe in the background too; destroying one before it is answered rejects the request
+     * @returns {Promise<void>}
+     */
+    async waitForUnsubscribed() {
+      await until(() => subscriptions.size === 0);
+    },
+
+    /**
+     * Mine a block holding one Swap that moves a pool to a new price, and notify subscribers
+     * @param {string} address - Pool address
+     * @param {bigint} sqrtPriceX96 - Price after the swap
+     * @returns {number} Block number of the swap
+     */
+    swap(address, sqrtPriceX96) {
+      const pool = pools.get(address.toLowerCase());
+      pool.sqrtPriceX96 = sqrtPriceX96;
+      pool.tick = getTickAtSqrtRatio(sqrtPriceX96);
+      head++;
+
+      const values = [ethers.ZeroAddress, ethers.ZeroAddress, 0n, 0n, pool.sqrtPriceX96, pool.liquidity, pool.tick];
+      if (pool.protocol === "pancakeV3") values.push(0n, 0n);
+      const { topics, data } = pool.iface.encodeEventLog("Swap", values);
+      const log = {
+        address: pool.address,
+        topics,
+        data,
+        blockNumber: ethers.toQuantity(head),
+        blockHash: blockHash(head),
+        transactionHash: ethers.id(`swap ${head}`),
+        transactionIndex: "0x0",
+        logIndex: ethers.toQuantity(logIndex++),
+        removed: false,
+      };
+      logs.push(log);
+
+      for (const [subscriptionId, { socket, params }] of subscriptions) {
+        if (params[0] === "newHeads") notify(subscriptionId, socket, blockHeader(head));
+        if (params[0] === "logs" && matchesFilter(log, params[1] || {})) notify(subscriptionId, socket, log);
+      }
+      return head;
+    },
+
+    /**
+     * Disconnect every client and stop listening
+     * @returns {Promise<void>}
+     */
+    async close() {
+      for (const socket of wss.clients) socket.terminate();
+      await new Promise((resolve) => wss.close(resolve));
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
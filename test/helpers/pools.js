@@ -0,0 +1,70 @@
+import { PRICE_CALCULATORS } from "../../arbitrage.js";
+import { constantLiquidityPoolState, getTickAtSqrtRatio } from "../../quoter.js";
+
+/**
+ * Hand-built monitored pools for unit tests
+ *
+ * The pools have the shape initMonitoredPool() gives them in monitor.js, with a
+ * constant-liquidity quoter state instead of tick data read from a chain.
+ */
+
+// Base mainnet addresses; USDC sorts before cbBTC, so cbBTC/USDC pools are inverted
+export const TOKENS = {
+  cbBTC: { key: "cbBTC", address: "0xcbB7C0000aB88B473b1f5aFd9ef808440eed33Bf", symbol: "cbBTC", decimals: 8 },
+  USDC: { key: "USDC", address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", symbol: "USDC", decimals: 6 },
+};
+
+/**
+ * sqrtPriceX96 of a human-readable price
+ * @param {number} price - Quote tokens per 1 base token
+ * @param {Object} options
+ * @param {number} options.baseDecimals - Base token decimals
+ * @param {number} options.quoteDecimals - Quote token decimals
+ * @param {boolean} options.isInverted - Whether the base token is token1
+ * @returns {bigint} sqrtPriceX96
+ */
+export function sqrtPriceForPrice(price, { baseDecimals, quoteDecimals, isInverted }) {
+  // Raw token1 per raw token0
+  const ratio = isInverted
+    ? 10 ** baseDecimals / (price * 10 ** quoteDecimals)
+    : (price * 10 ** quoteDecimals) / 10 ** baseDecimals;
+  return BigInt(Math.round(Math.sqrt(ratio) * 2 ** 96));
+}
+
+/**
+ * Build a cbBTC/USDC monitored pool at a price
+ * @param {Object} options
+ * @param {string} options.dex - DEX name, also used for the pool id
+ * @param {string} [options.address] - Pool address
+ * @param {number} options.price - USDC per cbBTC
+ * @param {bigint} [options.liquidity] - Active liquidity, constant across the loaded words
+ * @param {number} [options.feePips] - Swap fee in hundredths of a bip
+ * @param {number} [options.tickSpacing] - Tick spacing
+ * @param {number} [options.gasFeeUSDC] - Registry gas cost per swap
+ * @param {string} [options.protocol] - Registry protocol type
+ * @returns {Object} Monitored pool
+ */
+export function buildPool({ dex, address = "0x0000000000000000000000000000000000000001", price, liquidity = 10n ** 15n, feePips = 500, tickSpacing = 10, gasFeeUSDC = 0.004, protocol = "uniswapV3" }) {
+  const baseToken = TOKENS.cbBTC;
+  const quoteToken = TOKENS.USDC;
+  const sqrtPriceX96 = sqrtPriceForPrice(price, { baseDecimals: baseToken.decimals, quoteDecimals: quoteToken.decimals, isInverted: true });
+  const pool = {
+    id: `${dex}:cbBTC/USDC`,
+    dex,
+    label: dex,
+    protocol,
+    address,
+    pair: { base: "cbBTC", quote: "USDC" },
+    gasFeeUSDC,
+    baseToken,
+    quoteToken,
+    isInverted: true,
+    calcPrice: PRICE_CALCULATORS[protocol],
+    fees: { feePips, unstakedFeePips: null },
+    feeTier: feePips,
+    tickSpacing,
+    state: constantLiquidityPoolState({ sqrtPriceX96, liquidity, tick: getTickAtSqrtRatio(sqrtPriceX96) }, tickSpacing),
+  };
+  pool.lastPrice = pool.calcPrice(sqrtPriceX96, true, baseToken.decimals, quoteToken.decimals);
+  return pool;
+}
@@ -0,0 +1,125 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { FILLS_FILE, LEDGER_FILE, createLedger } from "../ledger.js";
+
+// USDC per token, for the initial cost basis and the valuation
+const PRICES = { USDC: 1, cbBTC: 100 };
+const markPrice = (token) => PRICES[token] ?? null;
+
+const dirs = [];
+
+afterEach(() => {
+  for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "ledger-test-"));
+
+function openLedger({ dir = tempDir(), initialBalances = { USDC: 1000 }, fillMode = "round-trip", perVenue = false } = {}) {
+  dirs.push(dir);
+  return createLedger({ dir, initialBalances, fillMode, perVenue, venues: ["Uniswap", "PancakeSwap"], markPrice });
+}
+
+// Buy cbBTC with USDC on Uniswap, sell it back on PancakeSwap
+const pairLegs = ({ usdcIn, cbBtcOut, cbBtcIn = cbBtcOut, usdcOut }) => [
+  { venue: "Uniswap", tokenIn: "USDC", amountIn: usdcIn, tokenOut: "cbBTC", amountOut: cbBtcOut },
+  { venue: "PancakeSwap", tokenIn: "cbBTC", amountIn: cbBtcIn, tokenOut: "USDC", amountOut: usdcOut },
+];
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test("createLedger realizes PnL against the average cost of the tokens sold", async () => {
+  const ledger = openLedger();
+
+  // 1 cbBTC bought for 100, half of it sold for 60 at an average cost of 50, 1 USDC of gas
+  const first = ledger.fill({ kind: "pair", label: "first", legs: pairLegs({ usdcIn: 100, cbBtcOut: 1, cbBtcIn: 0.5, usdcOut: 60 }), gasUSDC: 1 });
+  assert.equal(first.accepted, true);
+  assertClose(first.realizedPnlUSDC, 9);
+  assertClose(ledger.valuation().positions.cbBTC.costUSDC, 50);
+
+  // 0.5 more for 70: 1 cbBTC at an average cost of 120, all of it sold for 130
+  const second = ledger.fill({ kind: "pair", label: "second", legs: pairLegs({ usdcIn: 70, cbBtcOut: 0.5, cbBtcIn: 1, usdcOut: 130 }), gasUSDC: 0 });
+  assertClose(second.realizedPnlUSDC, 10);
+
+  const valuation = ledger.valuation();
+  assertClose(valuation.realizedPnlUSDC, 19);
+  assertClose(valuation.balances.wallet.USDC, 1019);
+  assert.equal(valuation.balances.wallet.cbBTC, 0);
+  assertClose(valuation.equityUSDC, 1019);
+  assert.equal(valuation.unrealizedPnlUSDC, 0);
+  assert.equal(valuation.gasPaidUSDC, 1);
+  assert.equal(valuation.fills, 2);
+  await ledger.close();
+});
+
+test("createLedger marks held tokens against their cost basis", async () => {
+  const ledger = openLedger({ initialBalances: { USDC: 1000, cbBTC: 1 } });
+  ledger.fill({ kind: "pair", label: "buy more", legs: pairLegs({ usdcIn: 90, cbBtcOut: 1, cbBtcIn: 0, usdcOut: 0 }), gasUSDC: 0 });
+
+  // 2 cbBTC cost 100 + 90 and are worth 200
+  const { positions, unrealizedPnlUSDC, equityUSDC } = ledger.valuation();
+  assertClose(positions.cbBTC.costUSDC, 190);
+  assertClose(unrealizedPnlUSDC, 10);
+  assertClose(equityUSDC, 910 + 200);
+  await ledger.close();
+});
+
+test("createLedger needs the base token up front in inventory mode but not in round-trip mode", async () => {
+  const legs = pairLegs({ usdcIn: 100, cbBtcOut: 1, usdcOut: 101 });
+
+  const inventory = openLedger({ fillMode: "inventory" });
+  const rejected = inventory.fill({ kind: "pair", label: "inventory", legs, gasUSDC: 0.5 });
+  assert.deepEqual(rejected, { accepted: false, realizedPnlUSDC: 0, reason: "insufficient cbBTC: need 1, have 0" });
+  assert.deepEqual(inventory.valuation().balances, { wallet: { USDC: 1000 } });
+  assert.equal(inventory.valuation().rejected, 1);
+  await inventory.close();
+
+  const roundTrip = openLedger({ fillMode: "round-trip" });
+  const accepted = roundTrip.fill({ kind: "pair", label: "round trip", legs, gasUSDC: 0.5 });
+  assert.equal(accepted.accepted, true);
+  assertClose(accepted.realizedPnlUSDC, 0.5);
+  await roundTrip.close();
+});
+
+test("createLedger rejects fills an account cannot pay for", async () => {
+  const wallet = openLedger();
+  assert.equal(wallet.fill({ kind: "pair", label: "too big", legs: pairLegs({ usdcIn: 2000, cbBtcOut: 20, usdcOut: 2020 }), gasUSDC: 0 }).reason,
+    "insufficient USDC: need 2000, have 1000");
+  await wallet.close();
+
+  // Per venue, the cbBTC bought on Uniswap is not on PancakeSwap
+  const venues = openLedger({ perVenue: true });
+  assert.equal(venues.fill({ kind: "pair", label: "split", legs: pairLegs({ usdcIn: 100, cbBtcOut: 1, usdcOut: 101 }), gasUSDC: 0 }).reason,
+    "insufficient cbBTC on PancakeSwap: need 1, have 0");
+  // Cycles are sequential in either mode, so one venue can chain its own hops
+  const cycleLegs = pairLegs({ usdcIn: 100, cbBtcOut: 1, usdcOut: 101 }).map((leg) => ({ ...leg, venue: "Uniswap" }));
+  assert.equal(venues.fill({ kind: "cycle", label: "cycle", legs: cycleLegs, gasUSDC: 0 }).accepted, true);
+  assert.deepEqual(venues.valuation().balances, { Uniswap: { USDC: 1001, cbBTC: 0 }, PancakeSwap: { USDC: 1000 } });
+  await venues.close();
+});
+
+test("createLedger resumes from ledger.json and appends to fills.jsonl", async () => {
+  const dir = tempDir();
+  const first = openLedger({ dir });
+  assert.equal(first.resumed, false);
+  first.fill({ kind: "pair", label: "before restart", legs: pairLegs({ usdcIn: 100, cbBtcOut: 1, usdcOut: 103 }), gasUSDC: 1 });
+  const before = first.valuation();
+  await first.close();
+
+  const second = createLedger({ dir, initialBalances: { USDC: 5000 }, fillMode: "round-trip", perVenue: false, venues: [], markPrice });
+  assert.equal(second.resumed, true);
+  assert.deepEqual(second.valuation(), before);
+  second.fill({ kind: "pair", label: "after restart", legs: pairLegs({ usdcIn: 100, cbBtcOut: 1, usdcOut: 102 }), gasUSDC: 1 });
+  await second.close();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, LEDGER_FILE), "utf8"));
+  assert.equal(saved.fills, 2);
+  assertClose(saved.realizedPnlUSDC, 3);
+  const fills = fs.readFileSync(path.join(dir, FILLS_FILE), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(fills.map((fill) => fill.label), ["before restart", "after restart"]);
+
+  assert.throws(() => createLedger({ dir, initialBalances: { USDC: 1000 }, fillMode: "round-trip", perVenue: true, venues: ["Uniswap"], markPrice }),
+    /was kept in one wallet; move it away to change PAPER_LEDGER_PER_VENUE/);
+});
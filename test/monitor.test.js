@@ -0,0 +1,113 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+import { loadConfig } from "../config.js";
+import { createArbMonitor } from "../monitor.js";
+import { logger } from "../logger.js";
+import { startFakeChain } from "./helpers/fakeChain.js";
+import { TOKENS, sqrtPriceForPrice } from "./helpers/pools.js";
+
+// Pool addresses of test/fixtures/pools.json
+const UNISWAP_POOL = "0x00000000000000000000000000000000000000a1";
+const PANCAKE_POOL = "0x00000000000000000000000000000000000000b2";
+
+const sqrtPriceAt = (price) => sqrtPriceForPrice(price, { baseDecimals: 8, quoteDecimals: 6, isInverted: true });
+
+let chain;
+let provider;
+let monitor;
+
+before(async () => {
+  logger.configure({ format: "pretty", level: "error" });
+
+  chain = await startFakeChain();
+  chain.addToken(TOKENS.cbBTC);
+  chain.addToken(TOKENS.USDC);
+  const common = { token0: TOKENS.USDC.address, token1: TOKENS.cbBTC.address, liquidity: 10n ** 15n, feePips: 500 };
+  chain.addPool({ ...common, address: UNISWAP_POOL, protocol: "uniswapV3", sqrtPriceX96: sqrtPriceAt(90000), tickSpacing: 10 });
+  chain.addPool({ ...common, address: PANCAKE_POOL, protocol: "pancakeV3", sqrtPriceX96: sqrtPriceAt(90000), tickSpacing: 50 });
+
+  // The configured endpoints are never dialed: the monitor reads and subscribes through the injected provider
+  const config = loadConfig({
+    BASE_RPC_URL: "http://127.0.0.1:1",
+    BASE_WSS_URL: "ws://127.0.0.1:1",
+    POOL_REGISTRY_PATH: fileURLToPath(new URL("./fixtures/pools.json", import.meta.url)),
+    ARB_OVERALL_BUDGET_USDC: "10000",
+    ARB_BUDGET_PERCENT: "5",
+    VERIFY_OPPORTUNITIES: "false",
+    PRICE_GUARD_ENABLED: "false",
+    GAS_ORACLE_ENABLED: "false",
+    HISTORY_ENABLED: "false",
+  });
+  provider = new ethers.WebSocketProvider(chain.url);
+  monitor = createArbMonitor({ config, provider });
+  await monitor.start();
+  for (const address of [UNISWAP_POOL, PANCAKE_POOL]) await chain.waitForSubscribers(address);
+});
+
+after(async () => {
+  await monitor.stop();
+  await chain.waitForUnsubscribed();
+  // Replies come back in order, so once this one is in every eth_unsubscribe has been answered
+  await provider.send("eth_blockNumber", []);
+  await provider.destroy();
+  await chain.close();
+});
+
+test("createArbMonitor initializes every registry pool from the provider", () => {
+  const state = monitor.getState();
+
+  assert.equal(state.running, true);
+  assert.equal(state.budgetUSDC, 10000);
+  assert.deepEqual(state.pools.map((pool) => [pool.id, pool.feePips]), [["Uniswap:cbBTC/USDC", 500], ["PancakeSwap:cbBTC/USDC", 500]]);
+  for (const pool of state.pools) {
+    assert.ok(Math.abs(pool.price - 90000) < 0.01);
+    assert.equal(pool.lastSwapBlock, null);
+  }
+});
+
+test("createArbMonitor fills an opportunity opened by a Swap", async () => {
+  const price = once(monitor, "price");
+  const opportunity = once(monitor, "opportunity");
+  const budget = once(monitor, "budget");
+  const blockNumber = chain.swap(PANCAKE_POOL, sqrtPriceAt(89000));
+
+  const [priceEvent] = await price;
+  assert.equal(priceEvent.poolId, "PancakeSwap:cbBTC/USDC");
+  assert.equal(priceEvent.blockNumber, blockNumber);
+  assert.ok(Math.abs(priceEvent.price - 89000) < 0.01);
+
+  const [opportunityEvent] = await opportunity;
+  assert.equal(opportunityEvent.kind, "pair");
+  assert.equal(opportunityEvent.key, "cbBTC/USDC");
+  assert.equal(opportunityEvent.final, true);
+  assert.equal(opportunityEvent.filled, true);
+  assert.equal(opportunityEvent.result.buyDex, "PancakeSwap");
+  assert.equal(opportunityEvent.result.sellDex, "Uniswap");
+  assert.equal(opportunityEvent.result.isProfitable, true);
+
+  const [budgetEvent] = await budget;
+  assert.equal(budgetEvent.previousUSDC, 10000);
+  assert.equal(budgetEvent.profitUSDC, opportunityEvent.result.netProfitUSDC);
+  assert.equal(monitor.getState().budgetUSDC, 10000 + opportunityEvent.result.netProfitUSDC);
+  assert.equal(monitor.getState().pools[1].lastSwapBlock, blockNumber);
+});
+
+test("createArbMonitor reports spreads without filling unprofitable ones", async () => {
+  const budgetBefore = monitor.getState().budgetUSDC;
+  const spread = once(monitor, "spread");
+  const opportunity = once(monitor, "opportunity");
+  // Back within the two pools' fees of each other
+  chain.swap(PANCAKE_POOL, sqrtPriceAt(89990));
+
+  const [spreadEvent] = await spread;
+  assert.equal(spreadEvent.pair, "cbBTC/USDC");
+  assert.ok(Math.abs(spreadEvent.max.spreadPct) < 0.02);
+
+  const [opportunityEvent] = await opportunity;
+  assert.equal(opportunityEvent.result.isProfitable, false);
+  assert.equal(opportunityEvent.filled, false);
+  assert.equal(monitor.getState().budgetUSDC, budgetBefore);
+});
@@ -0,0 +1,184 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createNotifier, createSinks } from "../notifier.js";
+import { logger } from "../logger.js";
+
+// Local stand-in for every sink endpoint: records each request, answers 500 on /fail
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  logger.configure({ format: "pretty", level: "error" });
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, path: req.url, contentType: req.headers["content-type"], body: JSON.parse(body) });
+      res.statusCode = req.url === "/fail" ? 500 : 200;
+      res.end(req.url === "/fail" ? "boom" : "{}");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Sink that keeps what it was sent
+function recordingSink() {
+  const sent = [];
+  return { name: "recording", sent, send: async (alert) => sent.push(alert) };
+}
+
+const NOTIFIER_DEFAULTS = { minNetProfitUSDC: 1, minSpreadPct: 0.1, minDurationMs: 0, cooldownMs: 60_000 };
+
+// A profitable cbBTC/USDC opportunity, overridable per test
+const opportunity = (fields = {}) => ({
+  group: "cbBTC/USDC",
+  key: "cbBTC/USDC Buy on Uniswap, Sell on Aerodrome",
+  isProfitable: true,
+  netProfitUSDC: 5,
+  spreadPct: 0.5,
+  title: "💰 cbBTC/USDC +$5.00",
+  message: "Buy on Uniswap, Sell on Aerodrome",
+  ...fields,
+});
+
+test("createSinks posts each sink's payload format", async () => {
+  requests.length = 0;
+  const sinks = createSinks({
+    telegram: { botToken: "123:abc", chatId: "-1001", apiUrl: baseUrl },
+    discordWebhookUrl: `${baseUrl}/discord`,
+    slackWebhookUrl: `${baseUrl}/slack`,
+    webhookUrl: `${baseUrl}/webhook`,
+    requestTimeoutMs: 5000,
+  });
+  assert.deepEqual(sinks.map((sink) => sink.name), ["telegram", "discord", "slack", "webhook"]);
+
+  const notifier = createNotifier({ sinks, ...NOTIFIER_DEFAULTS });
+  await notifier.opportunity(opportunity({ data: { block: 1234 } }));
+
+  const byPath = Object.fromEntries(requests.map((request) => [request.path, request]));
+  assert.equal(requests.length, 4);
+  for (const request of requests) {
+    assert.equal(request.method, "POST");
+    assert.equal(request.contentType, "application/json");
+  }
+
+  const text = "💰 cbBTC/USDC +$5.00\nBuy on Uniswap, Sell on Aerodrome\nOpen for 0s";
+  assert.deepEqual(byPath["/bot123:abc/sendMessage"].body, { chat_id: "-1001", text, disable_web_page_preview: true });
+  assert.deepEqual(byPath["/discord"].body, { content: text });
+  assert.deepEqual(byPath["/slack"].body, { text });
+
+  const alert = byPath["/webhook"].body;
+  assert.equal(alert.kind, "opportunity");
+  assert.equal(alert.key, "cbBTC/USDC Buy on Uniswap, Sell on Aerodrome");
+  assert.equal(alert.title, "💰 cbBTC/USDC +$5.00");
+  assert.equal(alert.message, "Buy on Uniswap, Sell on Aerodrome\nOpen for 0s");
+  assert.equal(typeof alert.ts, "number");
+  assert.deepEqual(alert.data, { block: 1234, netProfitUSDC: 5, spreadPct: 0.5, openForMs: 0 });
+});
+
+test("createSinks leaves out sinks without settings", () => {
+  const sinks = createSinks({
+    telegram: { botToken: "123:abc", chatId: "", apiUrl: baseUrl },
+    discordWebhookUrl: "",
+    slackWebhookUrl: `${baseUrl}/slack`,
+    webhookUrl: "",
+    requestTimeoutMs: 5000,
+  });
+  assert.deepEqual(sinks.map((sink) => sink.name), ["slack"]);
+});
+
+test("createNotifier counts a failing sink without failing the others", async () => {
+  requests.length = 0;
+  const sinks = createSinks({
+    telegram: { botToken: "", chatId: "", apiUrl: baseUrl },
+    discordWebhookUrl: `${baseUrl}/fail`,
+    slackWebhookUrl: "",
+    webhookUrl: `${baseUrl}/webhook`,
+    requestTimeoutMs: 5000,
+  });
+  const notifier = createNotifier({ sinks, ...NOTIFIER_DEFAULTS });
+  await notifier.opportunity(opportunity());
+
+  assert.deepEqual(requests.map((request) => request.path).sort(), ["/fail", "/webhook"]);
+  assert.equal(notifier.metrics().sent, 1);
+  assert.equal(notifier.metrics().failed, 1);
+});
+
+test("createNotifier only alerts on opportunities above the thresholds", async () => {
+  const sink = recordingSink();
+  const notifier = createNotifier({ sinks: [sink], ...NOTIFIER_DEFAULTS });
+
+  await notifier.opportunity(opportunity({ isProfitable: false }));
+  await notifier.opportunity(opportunity({ netProfitUSDC: 0.5 }));
+  await notifier.opportunity(opportunity({ spreadPct: -0.05 }));
+  assert.equal(sink.sent.length, 0);
+
+  // Cycles have no spread, so only the profit threshold applies
+  await notifier.opportunity(opportunity({ group: "cycles", key: "USDC → cbBTC → WETH → USDC", spreadPct: null }));
+  assert.equal(sink.sent.length, 1);
+});
+
+test("createNotifier sends a persisting opportunity once per cooldown", async () => {
+  const sink = recordingSink();
+  const notifier = createNotifier({ sinks: [sink], ...NOTIFIER_DEFAULTS, cooldownMs: 100 });
+
+  await notifier.opportunity(opportunity());
+  await notifier.opportunity(opportunity());
+  await notifier.opportunity(opportunity({ netProfitUSDC: 7 }));
+  assert.equal(sink.sent.length, 1);
+  assert.equal(notifier.metrics().suppressed, 2);
+
+  // The other direction is a different key with its own cooldown
+  await notifier.opportunity(opportunity({ key: "cbBTC/USDC Buy on Aerodrome, Sell on Uniswap" }));
+  assert.equal(sink.sent.length, 2);
+
+  await sleep(150);
+  await notifier.opportunity(opportunity());
+  assert.equal(sink.sent.length, 3);
+});
+
+test("createNotifier waits for an opportunity to stay open for the minimum duration", async () => {
+  const sink = recordingSink();
+  const notifier = createNotifier({ sinks: [sink], ...NOTIFIER_DEFAULTS, minDurationMs: 100 });
+
+  await notifier.opportunity(opportunity());
+  assert.equal(sink.sent.length, 0);
+  assert.equal(notifier.metrics().openOpportunities, 1);
+
+  // Dropping below the thresholds closes it, so the duration starts over
+  await notifier.opportunity(opportunity({ isProfitable: false }));
+  assert.equal(notifier.metrics().openOpportunities, 0);
+  await notifier.opportunity(opportunity());
+  await sleep(150);
+  await notifier.opportunity(opportunity());
+  assert.equal(sink.sent.length, 1);
+  assert.ok(sink.sent[0].data.openForMs >= 100);
+});
+
+test("createNotifier raises a health condition once and resolves it once", async () => {
+  const sink = recordingSink();
+  const notifier = createNotifier({ sinks: [sink], ...NOTIFIER_DEFAULTS });
+
+  await notifier.resolve("pool-silent:Uniswap:cbBTC/USDC", "✅ Uniswap back", "Swaps again");
+  assert.equal(sink.sent.length, 0);
+
+  await notifier.health("pool-silent:Uniswap:cbBTC/USDC", "⚠️ Uniswap silent", "No Swap for 600s");
+  await notifier.health("pool-silent:Uniswap:cbBTC/USDC", "⚠️ Uniswap silent", "No Swap for 660s");
+  assert.deepEqual(notifier.metrics().activeHealth, ["pool-silent:Uniswap:cbBTC/USDC"]);
+
+  await notifier.resolve("pool-silent:Uniswap:cbBTC/USDC", "✅ Uniswap back", "Swaps again");
+  await notifier.resolve("pool-silent:Uniswap:cbBTC/USDC", "✅ Uniswap back", "Swaps again");
+  assert.deepEqual(sink.sent.map((alert) => alert.kind), ["health", "resolved"]);
+  assert.deepEqual(notifier.metrics().activeHealth, []);
+
+  // Raised again inside the cooldown of its first alert: muted
+  await notifier.health("pool-silent:Uniswap:cbBTC/USDC", "⚠️ Uniswap silent", "No Swap for 600s");
+  assert.equal(sink.sent.length, 2);
+  assert.equal(notifier.metrics().suppressed, 1);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { buildMockTransaction, decodePendingSwaps, projectSwap } from "../pendingFeed.js";
+import { poolPrice } from "../arbitrage.js";
+import { DEFAULT_ROUTERS } from "../executor.js";
+import { quoteExactInput } from "../quoter.js";
+import { POOL_SWAP_ABI } from "../abis.js";
+import { buildPool } from "./helpers/pools.js";
+
+const POOLS = [
+  buildPool({ dex: "Uniswap", address: "0x00000000000000000000000000000000000000a1", price: 90000, feePips: 500, tickSpacing: 10 }),
+  buildPool({ dex: "Aerodrome", address: "0x00000000000000000000000000000000000000a2", price: 90100, feePips: 100, tickSpacing: 1, protocol: "slipstream" }),
+  buildPool({ dex: "PancakeSwap", address: "0x00000000000000000000000000000000000000a3", price: 89950, feePips: 500, tickSpacing: 50, protocol: "pancakeV3" }),
+];
+const [UNISWAP, AERODROME, PANCAKE] = POOLS;
+
+const decodeMock = (entry) => decodePendingSwaps(buildMockTransaction(entry, POOLS, 0), POOLS);
+
+test("decodePendingSwaps decodes exactInputSingle router calls", () => {
+  const tx = buildMockTransaction({ pool: "Aerodrome:cbBTC/USDC", tokenIn: "USDC", amountIn: "250000" }, POOLS, 0);
+  assert.equal(tx.to, DEFAULT_ROUTERS.slipstream);
+
+  // USDC is token0 of the cbBTC/USDC pools
+  assert.deepEqual(decodePendingSwaps(tx, POOLS), [{ pool: AERODROME, zeroForOne: true, amountIn: 250000n * 10n ** 6n, method: "exactInputSingle" }]);
+  assert.deepEqual(decodeMock({ pool: "PancakeSwap:cbBTC/USDC", tokenIn: "cbBTC", amountIn: "2.5" }), [
+    { pool: PANCAKE, zeroForOne: false, amountIn: 25n * 10n ** 7n, method: "exactInputSingle" },
+  ]);
+});
+
+test("decodePendingSwaps decodes router calls inside multicall", () => {
+  const tx = buildMockTransaction({ pool: "Uniswap:cbBTC/USDC", tokenIn: "cbBTC", amountIn: "0.5", via: "multicall" }, POOLS, 0);
+  assert.equal(tx.to, DEFAULT_ROUTERS.uniswapV3);
+  assert.deepEqual(decodePendingSwaps(tx, POOLS), [{ pool: UNISWAP, zeroForOne: false, amountIn: 5n * 10n ** 7n, method: "exactInputSingle" }]);
+
+  assert.deepEqual(decodeMock({ pool: "Aerodrome:cbBTC/USDC", tokenIn: "USDC", amountIn: "150000", via: "multicall" }), [
+    { pool: AERODROME, zeroForOne: true, amountIn: 150000n * 10n ** 6n, method: "exactInputSingle" },
+  ]);
+});
+
+test("decodePendingSwaps decodes exact-input swap() calls on a pool", () => {
+  const tx = buildMockTransaction({ pool: "Uniswap:cbBTC/USDC", tokenIn: "cbBTC", amountIn: "1", via: "pool" }, POOLS, 0);
+  assert.equal(tx.to, UNISWAP.address);
+  assert.deepEqual(decodePendingSwaps(tx, POOLS), [{ pool: UNISWAP, zeroForOne: false, amountIn: 10n ** 8n, method: "swap" }]);
+
+  // Exact output (negative amountSpecified) is left alone
+  const exactOutput = new ethers.Interface(POOL_SWAP_ABI).encodeFunctionData("swap", [ethers.ZeroAddress, false, -(10n ** 8n), 0n, "0x"]);
+  assert.deepEqual(decodePendingSwaps({ to: UNISWAP.address, data: exactOutput }, POOLS), []);
+});
+
+test("decodePendingSwaps ignores calls that do not swap on a monitored pool", () => {
+  const tx = buildMockTransaction({ pool: "Uniswap:cbBTC/USDC", tokenIn: "USDC", amountIn: "1000" }, POOLS, 0);
+  // Same router, other fee tier: another pool
+  const otherTier = [{ ...UNISWAP, feeTier: 3000 }];
+  assert.deepEqual(decodePendingSwaps(tx, otherTier), []);
+  assert.deepEqual(decodePendingSwaps({ ...tx, to: "0x00000000000000000000000000000000000000ff" }, POOLS), []);
+  assert.deepEqual(decodePendingSwaps({ ...tx, data: "0x" }, POOLS), []);
+  assert.deepEqual(decodePendingSwaps({ to: null, data: tx.data }, POOLS), []);
+});
+
+test("buildMockTransaction rejects entries it cannot encode", () => {
+  assert.throws(() => buildMockTransaction({ pool: "Curve:cbBTC/USDC", tokenIn: "USDC", amountIn: "1" }, POOLS, 2), /Mock pending swap #3: unknown pool "Curve:cbBTC\/USDC"/);
+  assert.throws(() => buildMockTransaction({ pool: "Uniswap:cbBTC/USDC", tokenIn: "USDC", amountIn: "1", via: "aggregator" }, POOLS, 0), /unknown via "aggregator" \(expected one of: router, multicall, pool\)/);
+  assert.throws(() => buildMockTransaction({ pool: "Uniswap:cbBTC/USDC", tokenIn: "WETH", amountIn: "1" }, POOLS, 0), /tokenIn must be cbBTC or USDC/);
+});
+
+test("projectSwap moves the pool to the quoter's post-swap state", () => {
+  const [swap] = decodeMock({ pool: "Aerodrome:cbBTC/USDC", tokenIn: "USDC", amountIn: "250000" });
+  const { sqrtPriceX96, tick, liquidity } = AERODROME.state;
+  const projection = projectSwap(swap.pool, swap.pool.state, swap.zeroForOne, swap.amountIn);
+  const quote = quoteExactInput(AERODROME.state, true, 250000n * 10n ** 6n, { feePips: 100 });
+
+  assert.equal(projection.amountOut, quote.amountOut);
+  assert.equal(projection.state.sqrtPriceX96, quote.sqrtPriceX96After);
+  assert.equal(projection.state.tick, quote.tickAfter);
+  assert.equal(projection.state.liquidity, quote.liquidityAfter);
+  assert.equal(projection.price, poolPrice(AERODROME, quote.sqrtPriceX96After));
+  // USDC in makes cbBTC dearer; the pool itself is untouched
+  assert.ok(projection.price > AERODROME.lastPrice);
+  assert.deepEqual([AERODROME.state.sqrtPriceX96, AERODROME.state.tick, AERODROME.state.liquidity], [sqrtPriceX96, tick, liquidity]);
+  assert.equal(projection.state.ticks, AERODROME.state.ticks);
+});
+
+test("projectSwap chains on an earlier projection", () => {
+  const amountIn = 10n ** 8n;
+  const first = projectSwap(UNISWAP, UNISWAP.state, false, amountIn);
+  const second = projectSwap(UNISWAP, first.state, false, amountIn);
+
+  assert.equal(second.amountOut, quoteExactInput(first.state, false, amountIn, { feePips: 500 }).amountOut);
+  assert.ok(second.price < first.price && first.price < UNISWAP.lastPrice);
+});
+
+test("projectSwap gives up on swaps past the loaded ticks", () => {
+  assert.equal(projectSwap(PANCAKE, PANCAKE.state, true, 10n ** 30n), null);
+});
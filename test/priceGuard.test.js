@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPriceGuard, twapTick } from "../priceGuard.js";
+
+test("twapTick divides the cumulative delta by the window", () => {
+  assert.equal(twapTick(1_000n, 1_000n + 600n * 200n, 600), 200);
+  assert.equal(twapTick(0n, 1_799n, 600), 2);
+  assert.equal(twapTick(5n, 5n, 600), 0);
+});
+
+test("twapTick rounds negative averages toward negative infinity like OracleLibrary.consult", () => {
+  // -1799 / 600 truncates to -2 in BigInt division; consult rounds it down to -3
+  assert.equal(twapTick(0n, -1_799n, 600), -3);
+  assert.equal(twapTick(1_000n, 1_000n - 1n, 600), -1);
+  // Exact negative averages are not rounded
+  assert.equal(twapTick(0n, -1_800n, 600), -3);
+  assert.equal(twapTick(-600n * 70_000n, -600n * 70_000n * 2n, 600), -70_000);
+});
+
+test("createPriceGuard rejects unknown modes and oracle addresses", () => {
+  assert.throws(() => createPriceGuard({ mode: "block" }), /Unknown price guard mode "block" \(expected one of: flag, suppress\)/);
+  assert.throws(() => createPriceGuard({ mode: "flag", oracleAddress: "0x1234" }), /Invalid price guard oracle address "0x1234"/);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { constantLiquidityPoolState, getSqrtRatioAtTick, quoteExactInput } from "../quoter.js";
+
+// Pool at tick 0 (price 1) with constant liquidity across the loaded words
+function poolAtTickZero(liquidity, options) {
+  return constantLiquidityPoolState({ sqrtPriceX96: getSqrtRatioAtTick(0), liquidity, tick: 0 }, 10, options);
+}
+
+test("quoteExactInput matches the single-range closed form", () => {
+  const liquidity = 10n ** 18n;
+  const amountIn = 10n ** 15n;
+  const state = poolAtTickZero(liquidity);
+  const quote = quoteExactInput(state, true, amountIn);
+
+  // SqrtPriceMath.getNextSqrtPriceFromAmount0RoundingUp and getAmount1Delta rounded down
+  const numerator = liquidity << 96n;
+  const product = numerator * state.sqrtPriceX96;
+  const denominator = numerator + amountIn * state.sqrtPriceX96;
+  const sqrtPriceAfter = product / denominator + (product % denominator === 0n ? 0n : 1n);
+  const expectedOut = (liquidity * (state.sqrtPriceX96 - sqrtPriceAfter)) >> 96n;
+
+  assert.equal(quote.sqrtPriceX96After, sqrtPriceAfter);
+  assert.equal(quote.amountOut, expectedOut);
+  assert.equal(quote.amountIn, amountIn);
+  assert.equal(quote.feeAmount, 0n);
+  assert.equal(quote.ticksCrossed, 0);
+  assert.equal(quote.complete, true);
+});
+
+test("quoteExactInput takes the fee from the input", () => {
+  const state = poolAtTickZero(10n ** 18n);
+  const amountIn = 10n ** 15n;
+  const feePips = 3000;
+  const withFee = quoteExactInput(state, false, amountIn, { feePips });
+  const withoutFee = quoteExactInput(state, false, (amountIn * BigInt(1_000_000 - feePips)) / 1_000_000n);
+
+  assert.equal(withFee.amountIn, amountIn);
+  assert.equal(withFee.amountOut, withoutFee.amountOut);
+  assert.equal(withFee.sqrtPriceX96After, withoutFee.sqrtPriceX96After);
+  assert.ok(withFee.feeAmount >= (amountIn * BigInt(feePips)) / 1_000_000n);
+  assert.ok(withFee.feeAmount <= (amountIn * BigInt(feePips)) / 1_000_000n + 1n);
+});
+
+test("quoteExactInput moves the price in the swap direction", () => {
+  const state = poolAtTickZero(10n ** 18n);
+  const sell = quoteExactInput(state, true, 10n ** 16n);
+  const buy = quoteExactInput(state, false, 10n ** 16n);
+
+  assert.ok(sell.sqrtPriceX96After < state.sqrtPriceX96);
+  assert.ok(sell.tickAfter < 0);
+  assert.ok(buy.sqrtPriceX96After > state.sqrtPriceX96);
+  assert.ok(buy.tickAfter >= 0);
+  // At price 1 either way pays out slightly less than the input
+  assert.ok(sell.amountOut < 10n ** 16n && buy.amountOut < 10n ** 16n);
+});
+
+test("quoteExactInput crosses initialized ticks and applies their liquidityNet", () => {
+  const inner = 5n * 10n ** 17n;
+  const state = poolAtTickZero(10n ** 18n);
+  // A position with its lower tick at -100 adds `inner` above it (compressed -10: word -1, bit 246)
+  state.bitmap.set(-1, 1n << 246n);
+  state.ticks.set(-100, { liquidityNet: inner });
+
+  const small = quoteExactInput(state, true, 10n ** 15n);
+  assert.equal(small.ticksCrossed, 0);
+  assert.equal(small.liquidityAfter, 10n ** 18n);
+
+  const large = quoteExactInput(state, true, 2n * 10n ** 16n);
+  assert.equal(large.ticksCrossed, 1);
+  assert.equal(large.liquidityAfter, 10n ** 18n - inner);
+  assert.ok(large.tickAfter < -100);
+  assert.equal(large.complete, true);
+});
+
+test("quoteExactInput reports incomplete quotes past the loaded words", () => {
+  const state = poolAtTickZero(10n ** 18n, { wordRadius: 0 });
+  const amountIn = 10n ** 24n;
+  const quote = quoteExactInput(state, false, amountIn);
+
+  assert.equal(quote.complete, false);
+  assert.ok(quote.amountIn < amountIn);
+  // The walk stops at the top of the only loaded word (compressed 255, tick 2550)
+  assert.equal(quote.sqrtPriceX96After, getSqrtRatioAtTick(2550));
+});
+
+test("quoteExactInput reports a missing tick as incomplete", () => {
+  const state = poolAtTickZero(10n ** 18n);
+  state.bitmap.set(-1, 1n << 246n);
+
+  const quote = quoteExactInput(state, true, 2n * 10n ** 16n);
+  assert.equal(quote.complete, false);
+  assert.equal(quote.sqrtPriceX96After, getSqrtRatioAtTick(-100));
+});
@@ -0,0 +1,110 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import { createReferenceFeed } from "../referenceFeed.js";
+import { quoteLeg, referenceDeviationBps, simulateCexDexLeg } from "../arbitrage.js";
+import { logger } from "../logger.js";
+import { buildPool } from "./helpers/pools.js";
+
+// cbBTC/USDC steps through 91000 (pool below the reference), then 89000 (pool above it)
+const MOCK_PATH = fileURLToPath(new URL("./fixtures/reference.mock.json", import.meta.url));
+
+const POOL = buildPool({ dex: "Uniswap", price: 90000, feePips: 500, gasFeeUSDC: 0.004 });
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+// Start a mock feed on the fixture and keep its first price updates
+async function readMockFeed(count, options = {}) {
+  const updates = [];
+  const feed = createReferenceFeed({
+    source: "mock",
+    products: {},
+    maxAgeMs: 60_000,
+    mockPath: MOCK_PATH,
+    mockIntervalMs: 10,
+    onPrice: (update) => updates.push(update),
+    ...options,
+  });
+  await feed.start();
+  while (updates.length < count) await sleep(10);
+  feed.stop();
+  return { feed, updates };
+}
+
+let steps;
+
+before(async () => {
+  logger.configure({ format: "pretty", level: "error" });
+  ({ updates: steps } = await readMockFeed(3));
+});
+
+test("the mock reference feed steps through the file and holds its last price", async () => {
+  assert.deepEqual(steps.map(({ pair, price, previousPrice, venue }) => [pair, price, previousPrice, venue]), [
+    ["cbBTC/USDC", 91000, null, "Mock CEX"],
+    ["cbBTC/USDC", 89000, 91000, "Mock CEX"],
+    ["cbBTC/USDC", 89000, 89000, "Mock CEX"],
+  ]);
+
+  const { feed } = await readMockFeed(1, { venue: "Binance" });
+  assert.equal(feed.price("cbBTC/USDC").price, 91000);
+  assert.equal(feed.price("cbBTC/USDC").venue, "Binance");
+  assert.equal(feed.price("WETH/USDC"), null);
+  assert.equal(feed.status().updates, 1);
+});
+
+test("referenceDeviationBps is signed by the pool's side of the reference", () => {
+  assertClose(referenceDeviationBps(90000, steps[0].price), -109.89010989, "below");
+  assertClose(referenceDeviationBps(90000, steps[1].price), 112.35955056, "above");
+  assert.equal(referenceDeviationBps(90000, 90000), 0);
+});
+
+test("simulateCexDexLeg buys on the DEX and sells on the CEX when the pool is below the reference", () => {
+  const referencePrice = steps[0].price;
+  const result = simulateCexDexLeg(POOL, referencePrice, 1000, 1, { cexFeeBps: 10, venue: "Mock CEX" });
+  const dexQuote = quoteLeg(POOL, "buy", 1000);
+
+  assert.equal(result.dexSide, "buy");
+  assert.equal(result.direction, "Buy on Uniswap, Sell on Mock CEX");
+  assert.equal(result.poolId, "Uniswap:cbBTC/USDC");
+  assert.deepEqual(result.pair, { base: "cbBTC", quote: "USDC" });
+  assertClose(result.deviationBps, referenceDeviationBps(90000, referencePrice), "deviation");
+
+  // The cbBTC the DEX gives for 1000 USDC, sold at the reference less the taker fee
+  const cexPrice = referencePrice * (1 - 0.001);
+  assert.equal(result.details.tradeSizeBase, dexQuote.amountOut);
+  assertClose(result.details.cexPrice, cexPrice, "CEX price");
+  assertClose(result.netProfitUSDC, dexQuote.amountOut * cexPrice - 1000 - 0.004, "net profit");
+  assertClose(result.details.dexTradeFeesUSDC, 0.5, "DEX fees");
+  assertClose(result.details.cexFeesUSDC, dexQuote.amountOut * referencePrice * 0.001, "CEX fees");
+  assert.equal(result.details.gasCostUSDC, 0.004);
+  assert.equal(result.isProfitable, true);
+  assert.ok(result.details.dexPriceAfter > 90000);
+});
+
+test("simulateCexDexLeg buys on the CEX and sells on the DEX when the pool is above the reference", () => {
+  const referencePrice = steps[1].price;
+  const result = simulateCexDexLeg(POOL, referencePrice, 1000, 1, { cexFeeBps: 10, venue: "Mock CEX" });
+
+  assert.equal(result.dexSide, "sell");
+  assert.equal(result.direction, "Buy on Mock CEX, Sell on Uniswap");
+
+  // 1000 USDC of cbBTC at the reference plus the taker fee, sold into the pool
+  const cexPrice = referencePrice * (1 + 0.001);
+  const dexQuote = quoteLeg(POOL, "sell", 1000 / cexPrice);
+  assertClose(result.details.tradeSizeBase, 1000 / cexPrice, "base bought");
+  assertClose(result.netProfitUSDC, dexQuote.amountOut - 1000 - 0.004, "net profit");
+  assertClose(result.netProfitPct, result.netProfitUSDC / 10, "net profit %");
+  assert.equal(result.isProfitable, true);
+  assert.ok(result.details.dexPriceAfter < 90000);
+});
+
+test("simulateCexDexLeg loses the fees and gas at the reference price", () => {
+  const result = simulateCexDexLeg(POOL, 90000, 1000, 1, { cexFeeBps: 10 });
+
+  assert.equal(result.direction, "Buy on CEX, Sell on Uniswap");
+  assert.equal(result.isProfitable, false);
+  // 0.05% on the DEX, 0.1% on the CEX, a little price impact and the gas
+  assert.ok(result.netProfitUSDC < -(0.5 + 1 + 0.004) * 0.99);
+  assert.ok(result.netProfitUSDC > -(0.5 + 1 + 0.004) * 1.01);
+});
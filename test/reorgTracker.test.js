@@ -0,0 +1,104 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import { logger } from "../logger.js";
+import { createReorgTracker } from "../reorgTracker.js";
+
+before(() => {
+  logger.configure({ format: "pretty", level: "error" });
+});
+
+// A tracker over a chain whose canonical hashes the test can replace
+function tracker({ confirmations = 2, canonical = {} } = {}) {
+  return createReorgTracker({
+    confirmations,
+    blockHash: async (blockNumber) => {
+      const hash = canonical[blockNumber];
+      if (hash instanceof Error) throw hash;
+      return hash;
+    },
+  });
+}
+
+test("observe flags a Swap at a known height under another hash, and removed logs", () => {
+  const reorgs = tracker();
+  assert.equal(reorgs.observe({ blockNumber: 100, blockHash: "0xa", removed: false }), false);
+  assert.equal(reorgs.observe({ blockNumber: 100, blockHash: "0xa", removed: false }), false);
+  assert.equal(reorgs.observe({ blockNumber: 100, blockHash: "0xb", removed: false }), true);
+  assert.equal(reorgs.observe({ blockNumber: 101, blockHash: "0xc", removed: true }), true);
+});
+
+test("advance releases deferred results in block order once their hash is confirmed", async () => {
+  const canonical = { 100: "0xa", 101: "0xb" };
+  const reorgs = tracker({ canonical });
+  await reorgs.advance(99);
+  reorgs.observe({ blockNumber: 101, blockHash: "0xb", removed: false });
+  reorgs.observe({ blockNumber: 100, blockHash: "0xa", removed: false });
+  assert.equal(reorgs.defer(101, "second", () => "second"), true);
+  assert.equal(reorgs.defer(100, "first", () => "first"), true);
+
+  // Head 101 confirms nothing yet; head 103 confirms both blocks
+  assert.deepEqual((await reorgs.advance(101)).final, []);
+  const { final, reorgBlock } = await reorgs.advance(103);
+  assert.equal(reorgBlock, null);
+  assert.deepEqual(final.map(({ label, action }) => [label, action()]), [["first", "first"], ["second", "second"]]);
+
+  // Confirmed blocks and startup results (no block) are final at once
+  assert.equal(reorgs.defer(101, "late", () => {}), false);
+  assert.equal(reorgs.defer(null, "startup", () => {}), false);
+  assert.deepEqual(reorgs.status(), { confirmations: 2, headBlock: 103, confirmedBlock: 101, pendingBlocks: 0, pendingResults: 0, reorgs: 0, finalized: 2, dropped: 0 });
+});
+
+test("advance reports a block whose canonical hash changed, and rollback restores the earliest checkpoints", async () => {
+  const canonical = { 100: "0xa", 101: "0xb-replaced" };
+  const reorgs = tracker({ canonical });
+  await reorgs.advance(99);
+  let saves = 0;
+  for (const [blockNumber, hash] of [[100, "0xa"], [101, "0xb"], [102, "0xc"]]) {
+    reorgs.observe({ blockNumber, blockHash: hash, removed: false });
+    reorgs.defer(blockNumber, `block ${blockNumber}`, () => {});
+  }
+  // Only a key's first change per block is checkpointed
+  reorgs.checkpoint(101, "Uniswap", () => (saves++, "Uniswap before 101"));
+  reorgs.checkpoint(101, "Uniswap", () => (saves++, "Uniswap later in 101"));
+  reorgs.checkpoint(102, "Uniswap", () => (saves++, "Uniswap before 102"));
+  reorgs.checkpoint(102, "PancakeSwap", () => (saves++, "PancakeSwap before 102"));
+  assert.equal(saves, 3);
+
+  // Block 100 is confirmed, block 101 was replaced
+  const { final, reorgBlock } = await reorgs.advance(103);
+  assert.deepEqual(final.map(({ label }) => label), ["block 100"]);
+  assert.equal(reorgBlock, 101);
+
+  const { confirmedBlock, snapshots, dropped } = reorgs.rollback(reorgBlock);
+  assert.equal(confirmedBlock, 100);
+  assert.deepEqual(Object.fromEntries(snapshots), { Uniswap: "Uniswap before 101", PancakeSwap: "PancakeSwap before 102" });
+  assert.deepEqual(dropped, [{ block: 101, label: "block 101" }, { block: 102, label: "block 102" }]);
+
+  // The replaced blocks' hashes are forgotten, so the new chain's Swaps are not flagged
+  assert.equal(reorgs.observe({ blockNumber: 101, blockHash: "0xb-replaced", removed: false }), false);
+  assert.equal(reorgs.observe({ blockNumber: 100, blockHash: "0xother", removed: false }), true);
+  assert.equal(reorgs.status().reorgs, 1);
+  assert.equal(reorgs.status().dropped, 2);
+});
+
+test("advance keeps a block pending while its hash cannot be read", async () => {
+  const canonical = { 100: new Error("connection reset") };
+  const reorgs = tracker({ canonical });
+  await reorgs.advance(99);
+  reorgs.observe({ blockNumber: 100, blockHash: "0xa", removed: false });
+  reorgs.defer(100, "block 100", () => {});
+
+  assert.deepEqual(await reorgs.advance(102), { final: [], reorgBlock: null });
+  assert.equal(reorgs.status().pendingResults, 1);
+
+  canonical[100] = "0xa";
+  assert.deepEqual((await reorgs.advance(103)).final.map(({ label }) => label), ["block 100"]);
+});
+
+test("createReorgTracker with no confirmations neither defers nor checkpoints", async () => {
+  const reorgs = tracker({ confirmations: 0 });
+  await reorgs.advance(100);
+  assert.equal(reorgs.defer(101, "next block", () => {}), false);
+  reorgs.checkpoint(101, "Uniswap", () => assert.fail("checkpoint saved"));
+  assert.deepEqual(reorgs.rollback(101).snapshots, new Map());
+});
@@ -0,0 +1,120 @@
+import { afterEach, before, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { logger } from "../logger.js";
+import { createRiskManager, median } from "../risk.js";
+
+// Date.now() is mocked: every test starts at noon UTC on 2024-03-01
+const START = Date.UTC(2024, 2, 1, 12, 0, 0);
+let now;
+
+before(() => {
+  logger.configure({ format: "pretty", level: "error" });
+});
+
+beforeEach(() => {
+  now = START;
+  mock.method(Date, "now", () => now);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Every limit off unless a test sets it
+function riskManager(limits = {}) {
+  return createRiskManager({
+    maxNotionalUSDC: 0,
+    maxTradesPerMinute: 0,
+    dailyLossLimitUSDC: 0,
+    minNetProfitUSDC: 0,
+    minNetProfitBps: 0,
+    maxPriceAgeMs: 0,
+    maxPriceDeviationPct: 0,
+    cooldownMs: 60_000,
+    referencePrice: () => null,
+    ...limits,
+  });
+}
+
+const pool = (id, lastPrice = 100) => ({ id, lastPrice, lastSwapAt: now });
+const opportunity = (fields = {}) => ({ notionalUSDC: 1000, netProfitUSDC: 2, pools: [pool("Uniswap:cbBTC/USDC")], ...fields });
+
+test("median takes the middle value, or the mean of the two middle values", () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.equal(median([7]), 7);
+});
+
+test("createRiskManager rejects opportunities over each per-trade limit", () => {
+  const risk = riskManager({ maxNotionalUSDC: 5000, minNetProfitUSDC: 1, minNetProfitBps: 5, maxPriceAgeMs: 300_000 });
+
+  assert.deepEqual(risk.check(opportunity()), { allowed: true, reason: null });
+  assert.equal(risk.check(opportunity({ notionalUSDC: 6000, netProfitUSDC: 10 })).reason, "notional $6000.00 above the $5000 limit");
+  assert.equal(risk.check(opportunity({ netProfitUSDC: 0.5 })).reason, "net profit $0.5000 below $1");
+  assert.equal(risk.check(opportunity({ notionalUSDC: 4000, netProfitUSDC: 1 })).reason, "net profit 2.5 bps below 5 bps");
+
+  const stale = { ...pool("PancakeSwap:cbBTC/USDC"), lastSwapAt: now - 301_000 };
+  assert.equal(risk.check(opportunity({ pools: [pool("Uniswap:cbBTC/USDC"), stale] })).reason, "PancakeSwap:cbBTC/USDC price is stale (no Swap for 301s)");
+
+  assert.deepEqual(risk.status(), { checked: 5, accepted: 1, rejected: 4, trips: 0, breaker: null, dailyPnlUSDC: 0, tradesLastMinute: 0 });
+});
+
+test("createRiskManager pauses trading for the cooldown once the trade rate breaker trips", () => {
+  const risk = riskManager({ maxTradesPerMinute: 2 });
+  const changes = [];
+  risk.onBreakerChange((tripped, reason) => changes.push([tripped, reason]));
+
+  risk.recordTrade(1);
+  now += 10_000;
+  risk.recordTrade(1);
+  assert.equal(risk.check(opportunity()).reason, "paused: 2 trades in the last minute (max 2)");
+  assert.deepEqual(risk.status().breaker, { reason: "2 trades in the last minute (max 2)", trippedAt: now, until: now + 60_000 });
+
+  // Still paused after the trades leave the window, until the cooldown ends
+  now += 55_000;
+  assert.equal(risk.check(opportunity()).reason, "paused: 2 trades in the last minute (max 2) (resumes in 5s)");
+  now += 5_000;
+  assert.equal(risk.check(opportunity()).allowed, true);
+  assert.deepEqual(changes, [[true, "2 trades in the last minute (max 2)"], [false, "2 trades in the last minute (max 2)"]]);
+});
+
+test("createRiskManager trips again when the condition still holds after the cooldown, until reset", () => {
+  const risk = riskManager({ dailyLossLimitUSDC: 100 });
+  risk.recordTrade(-60);
+  assert.equal(risk.check(opportunity()).allowed, true);
+  risk.recordTrade(-50);
+  assert.equal(risk.check(opportunity()).reason, "paused: daily loss $110.00 reached the $100 limit");
+
+  now += 60_000;
+  assert.equal(risk.check(opportunity()).reason, "paused: daily loss $110.00 reached the $100 limit");
+  assert.equal(risk.status().trips, 2);
+
+  // reset() forgives the day's losses, so the next check passes
+  risk.reset("test");
+  assert.equal(risk.status().breaker, null);
+  assert.equal(risk.status().dailyPnlUSDC, 0);
+  assert.equal(risk.check(opportunity()).allowed, true);
+});
+
+test("createRiskManager counts the daily loss per UTC day", () => {
+  now = Date.UTC(2024, 2, 1, 23, 59, 30);
+  const risk = riskManager({ dailyLossLimitUSDC: 100 });
+  risk.recordTrade(-80);
+  assert.equal(risk.status().dailyPnlUSDC, -80);
+
+  // 00:00:30 UTC the next day: yesterday's loss no longer counts
+  now += 60_000;
+  risk.recordTrade(-80);
+  assert.equal(risk.status().dailyPnlUSDC, -80);
+  assert.equal(risk.check(opportunity()).allowed, true);
+});
+
+test("createRiskManager trips when a route pool is too far from its reference price", () => {
+  const references = { "Uniswap:cbBTC/USDC": 100, "PancakeSwap:cbBTC/USDC": null };
+  const risk = riskManager({ maxPriceDeviationPct: 2, referencePrice: (candidate) => references[candidate.id] });
+
+  // Pools without a reference are not checked
+  assert.equal(risk.check(opportunity({ pools: [pool("Uniswap:cbBTC/USDC", 101.5), pool("PancakeSwap:cbBTC/USDC", 150)] })).allowed, true);
+  assert.equal(risk.check(opportunity({ pools: [pool("Uniswap:cbBTC/USDC", 97)] })).reason,
+    "paused: Uniswap:cbBTC/USDC price 97.000000 is -3.00% from its reference 100.00000 (max ±2%)");
+});
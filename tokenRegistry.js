@@ -0,0 +1,54 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+/**
+ * Token registry
+ * Completes the registry's token entries with decimals and symbols read on-chain
+ * through ERC-20 `decimals()` / `symbol()`. On-chain decimals always win: a
+ * registry value that differs is reported and ignored, since it would skew every
+ * price. A symbol set in the registry is kept (it is only a display name).
+ */
+
+const ERC20_METADATA_ABI = [
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)",
+];
+
+/**
+ * Resolve decimals and symbol for one token
+ * @param {Object} token - Registry token { key, address, decimals, symbol }
+ * @param {ethers.Provider} provider - Connected provider
+ * @returns {Promise<Object>} { key, address, decimals, symbol }
+ */
+async function resolveToken(token, provider) {
+  const contract = new ethers.Contract(token.address, ERC20_METADATA_ABI, provider);
+  const [onChainDecimals, onChainSymbol] = await Promise.all([
+    contract.decimals(),
+    contract.symbol().catch(() => null),
+  ]);
+
+  const decimals = Number(onChainDecimals);
+  if (token.decimals !== null && token.decimals !== decimals) {
+    logger.warn(`⚠️  ${token.key}: configured decimals (${token.decimals}) differ from on-chain decimals (${decimals}), using on-chain value`, { token: token.key, configuredDecimals: token.decimals, onChainDecimals: decimals });
+  }
+
+  return {
+    key: token.key,
+    address: token.address,
+    decimals,
+    symbol: token.symbol || onChainSymbol || token.key,
+  };
+}
+
+/**
+ * Resolve every registry token
+ * @param {Object} tokens - Registry tokens keyed by token key
+ * @param {ethers.Provider} provider - Connected provider
+ * @returns {Promise<Object>} Resolved tokens keyed by token key
+ */
+export async function resolveTokens(tokens, provider) {
+  const entries = await Promise.all(
+    Object.values(tokens).map(async (token) => [token.key, await resolveToken(token, provider)])
+  );
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,91 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   OPTIMAL TRADE SIZE SOLVER                                                  ║
+ * ║   Searches input sizes for the one that maximizes net profit                 ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Net profit of an arbitrage is roughly concave in trade size: the spread earns
+ * linearly, price impact costs grow faster than linearly, and gas is a fixed
+ * cost. The solver samples the curve on a grid between a floor and a cap, then
+ * refines around the best grid point with a golden-section search.
+ */
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Find the trade size that maximizes a simulation's net profit
+ * @param {Function} simulate - (sizeUSDC) => arbitrage result with netProfitUSDC
+ * @param {Object} options
+ * @param {number} options.minSizeUSDC - Smallest trade size to consider
+ * @param {number} options.maxSizeUSDC - Largest trade size to consider (budget cap)
+ * @param {number} [options.gridPoints] - Number of evenly spaced sizes to sample
+ * @param {number} [options.refineIterations] - Golden-section iterations around the best grid point
+ * @param {Function} [options.score] - (result) => number to maximize (defaults to netProfitUSDC)
+ * @returns {Object|null} { optimalSizeUSDC, optimalNetProfitUSDC, optimalResult, curve } or null if the range is empty
+ */
+export function findOptimalTradeSize(simulate, {
+  minSizeUSDC,
+  maxSizeUSDC,
+  gridPoints = 12,
+  refineIterations = 20,
+  score = (result) => result.netProfitUSDC,
+}) {
+  if (!(maxSizeUSDC > 0) || minSizeUSDC > maxSizeUSDC) return null;
+
+  const evaluate = (sizeUSDC) => {
+    const result = simulate(sizeUSDC);
+    return { sizeUSDC, result, score: score(result) };
+  };
+
+  // Sample the profit curve on an even grid
+  const points = [];
+  const steps = Math.max(gridPoints - 1, 1);
+  for (let i = 0; i <= steps; i++) {
+    points.push(evaluate(minSizeUSDC + ((maxSizeUSDC - minSizeUSDC) * i) / steps));
+  }
+
+  let bestIndex = 0;
+  points.forEach((point, i) => {
+    if (point.score > points[bestIndex].score) bestIndex = i;
+  });
+  let best = points[bestIndex];
+
+  // Refine between the neighbours of the best grid point
+  let lo = points[Math.max(bestIndex - 1, 0)].sizeUSDC;
+  let hi = points[Math.min(bestIndex + 1, points.length - 1)].sizeUSDC;
+  if (hi > lo && Number.isFinite(best.score)) {
+    let x1 = hi - GOLDEN_RATIO * (hi - lo);
+    let x2 = lo + GOLDEN_RATIO * (hi - lo);
+    let p1 = evaluate(x1);
+    let p2 = evaluate(x2);
+    for (let i = 0; i < refineIterations; i++) {
+      if (p1.score > p2.score) {
+        hi = x2;
+        x2 = x1;
+        p2 = p1;
+        x1 = hi - GOLDEN_RATIO * (hi - lo);
+        p1 = evaluate(x1);
+      } else {
+        lo = x1;
+        x1 = x2;
+        p1 = p2;
+        x2 = lo + GOLDEN_RATIO * (hi - lo);
+        p2 = evaluate(x2);
+      }
+    }
+    for (const candidate of [p1, p2]) {
+      if (candidate.score > best.score) best = candidate;
+    }
+  }
+
+  return {
+    optimalSizeUSDC: best.sizeUSDC,
+    optimalNetProfitUSDC: best.result.netProfitUSDC,
+    optimalResult: best.result,
+    curve: points.map((point) => ({
+      sizeUSDC: point.sizeUSDC,
+      netProfitUSDC: point.result.netProfitUSDC,
+      fillable: Number.isFinite(point.score),
+    })),
+  };
+}
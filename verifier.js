@@ -0,0 +1,108 @@
+import { ethers } from "ethers";
+import { QUOTER_ABIS_BY_PROTOCOL } from "./abis.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   PRE-TRADE VERIFIER                                                         ║
+ * ║   Re-quotes "profitable" opportunities on-chain before they are reported     ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The simulation runs on locally cached pool state, which can lag the chain.
+ * Each leg of a profitable direction is re-quoted with eth_call against the
+ * venue's QuoterV2 (or any node VERIFY_RPC_URL points at, e.g. a local fork)
+ * using the leg's simulated input. Legs whose on-chain output differs from the
+ * simulated output by more than the tolerance, or whose quote reverts, mark the
+ * opportunity stale.
+ *
+ * Both QuoterV2 and the local quoter charge the pool fee read on-chain, so the
+ * outputs compare directly.
+ *
+ * Without VERIFY_RPC_URL the quotes go through the RPC pool as quorum reads: with
+ * RPC_QUORUM set, endpoints that return different quotes also mark the
+ * opportunity stale, since at least one of them is not at the latest state.
+ */
+
+// Default QuoterV2 per protocol on Base (override per pool with `quoter` in pools.json)
+export const DEFAULT_QUOTERS = {
+  uniswapV3: "0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a", // Uniswap QuoterV2
+  slipstream: "0x254cF9E1E6e233aa1AC962CB9B05b2cfeAaE15b0", // Aerodrome Slipstream QuoterV2
+  pancakeV3: "0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997", // PancakeSwap V3 QuoterV2
+};
+
+/**
+ * Readable reason from a failed eth_call
+ * @param {Error} error - ethers error
+ * @returns {string}
+ */
+function revertReason(error) {
+  return error.reason || error.revert?.name || error.shortMessage || error.message;
+}
+
+/**
+ * Create a pre-trade verifier
+ * @param {Object} options
+ * @param {string} [options.rpcUrl] - Dedicated node the quotes are run against (e.g. a local fork)
+ * @param {Object} [options.rpcPool] - RPC pool from createRpcPool(), used when rpcUrl is empty
+ * @param {number} options.tolerancePct - Largest accepted difference between simulated and on-chain output
+ * @returns {Object} { verify(arbResult, pools) }
+ */
+export function createVerifier({ rpcUrl, rpcPool, tolerancePct }) {
+  const provider = rpcUrl ? new ethers.JsonRpcProvider(rpcUrl) : null;
+  const quorumRead = provider
+    ? async (fn) => ({ value: await fn(provider), agreed: true })
+    : (fn, label) => rpcPool.quorumRead(fn, label);
+
+  // Quote one exact-input swap on the pool's QuoterV2
+  const quoteOnChain = async (pool, tokenIn, tokenOut, amountIn) => {
+    const params = pool.protocol === "slipstream"
+      ? { tokenIn: tokenIn.address, tokenOut: tokenOut.address, amountIn, tickSpacing: pool.state.tickSpacing, sqrtPriceLimitX96: 0n }
+      : { tokenIn: tokenIn.address, tokenOut: tokenOut.address, amountIn, fee: pool.feeTier, sqrtPriceLimitX96: 0n };
+    const { value: result, agreed } = await quorumRead((runner) => {
+      const quoter = new ethers.Contract(
+        pool.quoter || DEFAULT_QUOTERS[pool.protocol],
+        QUOTER_ABIS_BY_PROTOCOL[pool.protocol],
+        runner
+      );
+      return quoter.quoteExactInputSingle.staticCall(params);
+    }, `${pool.dex} quote`);
+    return { amountOut: result.amountOut, ticksCrossed: Number(result.initializedTicksCrossed), agreed };
+  };
+
+  // Compare one leg's simulated output with the on-chain quote for the same input
+  const verifyLeg = async (pool, side, simulated) => {
+    const isBuy = side === "buy";
+    const tokenIn = isBuy ? pool.quoteToken : pool.baseToken;
+    const tokenOut = isBuy ? pool.baseToken : pool.quoteToken;
+    const simulatedOut = Number(ethers.formatUnits(simulated.rawAmountOut, tokenOut.decimals));
+    const leg = { side, dex: pool.dex, tokenOut: tokenOut.symbol, simulatedOut, actualOut: null, deviationPct: null, revertReason: null, providersAgree: true };
+
+    try {
+      const quote = await quoteOnChain(pool, tokenIn, tokenOut, simulated.rawAmountIn);
+      leg.actualOut = Number(ethers.formatUnits(quote.amountOut, tokenOut.decimals));
+      leg.actualTicksCrossed = quote.ticksCrossed;
+      leg.providersAgree = quote.agreed;
+      leg.deviationPct = simulatedOut > 0 ? ((leg.actualOut - simulatedOut) / simulatedOut) * 100 : Infinity;
+    } catch (error) {
+      leg.revertReason = revertReason(error);
+    }
+    return leg;
+  };
+
+  /**
+   * Verify a profitable direction against on-chain quotes
+   * @param {Object} arbResult - Result from calculateArbDirection() (details carry the leg quotes)
+   * @param {Object} pools - The pair's monitored pools keyed by DEX name
+   * @returns {Promise<Object>} { stale, tolerancePct, legs: [{ side, dex, tokenOut, simulatedOut, actualOut, deviationPct, revertReason, providersAgree }] }
+   */
+  const verify = async (arbResult, pools) => {
+    const d = arbResult.details;
+    const legs = await Promise.all([
+      verifyLeg(pools[arbResult.buyDex], "buy", d.buyQuote),
+      verifyLeg(pools[arbResult.sellDex], "sell", d.sellQuote),
+    ]);
+    const stale = legs.some((leg) => leg.revertReason !== null || !leg.providersAgree || Math.abs(leg.deviationPct) > tolerancePct);
+    return { stale, tolerancePct, legs };
+  };
+
+  return { verify };
+}
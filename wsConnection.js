@@ -0,0 +1,294 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+import { endpointHost, withTimeout } from "./network.js";
+
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║   WEBSOCKET CONNECTION                                                       ║
+ * ║   Heartbeat, reconnect with backoff, re-subscription and gap backfill        ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ * ethers' WebSocketProvider never reconnects: when the socket drops, every
+ * subscription silently stops. The connection manager:
+ * - treats a socket close or error, or a heartbeat (eth_blockNumber) that is not
+ *   answered within the timeout, as a lost connection
+ * - reconnects with exponential backoff (the base delay doubles per attempt up
+ *   to a maximum, with some jitter so several bots do not retry in lockstep),
+ *   moving on to the next endpoint in the list on each attempt
+ * - hands every new provider to the onReconnect handlers, which re-subscribe
+ * - then passes the blocks missed while disconnected to the onGap handlers, which
+ *   backfill them with getLogs (see getLogsInChunks)
+ *
+ * The gap starts at the last block seen before the drop, so it overlaps what was
+ * already processed; gap handlers must skip logs they have applied. Live event
+ * handlers should await settled() so they run after the backfill, in chain order.
+ * Reconnects, heartbeat failures and backfilled gaps are counted in metrics().
+ */
+
+/**
+ * Fetch logs over a block range in fixed-size chunks (many RPCs cap eth_getLogs ranges)
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {Object} filter - Log filter without a block range ({ address, topics })
+ * @param {Object} range
+ * @param {number} range.fromBlock - First block (inclusive)
+ * @param {number} range.toBlock - Last block (inclusive)
+ * @param {number} range.chunkBlocks - Blocks per request
+ * @param {Function} [range.onChunk] - Called with (fromBlock, toBlock, logs) after each request
+ * @returns {Promise<Array>} Logs in (block, log index) order
+ */
+export async function getLogsInChunks(provider, filter, { fromBlock, toBlock, chunkBlocks, onChunk }) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkBlocks) {
+    const end = Math.min(start + chunkBlocks - 1, toBlock);
+    const chunk = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+    if (onChunk) onChunk(start, end, chunk);
+    logs.push(...chunk);
+  }
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a self-healing WebSocket connection
+ * @param {Object} options
+ * @param {Array<string>} options.urls - WebSocket RPC endpoints, in order of preference
+ * @param {number} options.heartbeatIntervalMs - Time between heartbeats
+ * @param {number} options.heartbeatTimeoutMs - Heartbeat (and connect) answer deadline
+ * @param {number} options.reconnectBaseDelayMs - Delay before the first reconnect attempt
+ * @param {number} options.reconnectMaxDelayMs - Longest delay between reconnect attempts
+ * @returns {Object} { provider, start, stop, onDisconnect, onReconnect, onGap, settled, metrics }
+ */
+export function createWsConnection({ urls, heartbeatIntervalMs, heartbeatTimeoutMs, reconnectBaseDelayMs, reconnectMaxDelayMs }) {
+  let provider = null;
+  let urlIndex = 0;
+  let heartbeatTimer = null;
+  let reconnecting = false;
+  let stopped = false;
+  let lastBlock = null;
+  let disconnectedAt = null;
+  let settledPromise = Promise.resolve();
+  const disconnectHandlers = [];
+  const reconnectHandlers = [];
+  const gapHandlers = [];
+  const counters = {
+    connects: 0,
+    disconnects: 0,
+    reconnects: 0,
+    reconnectFailures: 0,
+    heartbeatFailures: 0,
+    gapsBackfilled: 0,
+    blocksBackfilled: 0,
+    logsBackfilled: 0,
+    downtimeMs: 0,
+  };
+
+  const onBlock = (blockNumber) => {
+    if (lastBlock === null || blockNumber > lastBlock) lastBlock = blockNumber;
+  };
+
+  const headBlock = async (current) => Number(await withTimeout(current.send("eth_blockNumber", []), heartbeatTimeoutMs, "eth_blockNumber"));
+
+  // Open a socket to urls[index] and wait until it answers
+  const open = async (index) => {
+    const candidate = new ethers.WebSocketProvider(urls[index]);
+    // ws throws on an "error" event nobody listens to; both events only matter for the live provider
+    candidate.websocket.onerror = (error) => handleDisconnect(candidate, `socket error: ${error.message}`);
+    candidate.websocket.onclose = (event) => handleDisconnect(candidate, `socket closed (code ${event.code})`);
+    try {
+      const blockNumber = await headBlock(candidate);
+      urlIndex = index;
+      return { candidate, blockNumber };
+    } catch (error) {
+      candidate.destroy();
+      throw error;
+    }
+  };
+
+  const heartbeat = async () => {
+    const current = provider;
+    try {
+      onBlock(await headBlock(current));
+    } catch (error) {
+      if (current !== provider) return;
+      counters.heartbeatFailures++;
+      handleDisconnect(current, `heartbeat failed: ${error.shortMessage || error.message}`);
+    }
+  };
+
+  // Start using a connected provider; on a reconnect, re-subscribe and backfill the gap
+  const adopt = async (candidate, blockNumber, isReconnect) => {
+    provider = candidate;
+    counters.connects++;
+    provider.on("block", onBlock);
+    heartbeatTimer = setInterval(heartbeat, heartbeatIntervalMs);
+    if (!isReconnect) {
+      lastBlock = blockNumber;
+      return;
+    }
+
+    const gapStart = lastBlock ?? blockNumber;
+    const downtimeMs = Date.now() - disconnectedAt;
+    counters.reconnects++;
+    counters.downtimeMs += downtimeMs;
+    disconnectedAt = null;
+    reconnecting = false;
+    logger.event("ws_reconnected", { url: endpointHost(urls[urlIndex]), downtimeMs, headBlock: blockNumber },
+      `🔌 WebSocket reconnected after ${(downtimeMs / 1000).toFixed(1)}s (head block ${blockNumber})`);
+
+    for (const handler of reconnectHandlers) {
+      try {
+        await handler(provider);
+      } catch (error) {
+        logger.error(`❌ Re-subscription after reconnect failed: ${error.shortMessage || error.message}`, { error: error.shortMessage || error.message });
+      }
+    }
+
+    // Read the head again now that subscriptions are live, so no block falls between backfill and subscription
+    const gap = { fromBlock: gapStart, toBlock: await headBlock(provider).catch(() => blockNumber) };
+    let logs = 0;
+    for (const handler of gapHandlers) {
+      try {
+        logs += (await handler(provider, gap)) || 0;
+      } catch (error) {
+        logger.error(`❌ Backfill of blocks ${gap.fromBlock}-${gap.toBlock} failed: ${error.shortMessage || error.message}`, { ...gap, error: error.shortMessage || error.message });
+      }
+    }
+    counters.gapsBackfilled++;
+    counters.blocksBackfilled += gap.toBlock - gap.fromBlock + 1;
+    counters.logsBackfilled += logs;
+    onBlock(gap.toBlock);
+    logger.event("ws_backfill", { ...gap, logs, reconnects: counters.reconnects, blocksBackfilled: counters.blocksBackfilled },
+      `🩹 Backfilled blocks ${gap.fromBlock}-${gap.toBlock}: ${logs} logs (${counters.reconnects} reconnects, ${counters.blocksBackfilled} blocks backfilled so far)`);
+  };
+
+  const reconnect = async () => {
+    for (let attempt = 0; !stopped; attempt++) {
+      const backoffMs = Math.min(reconnectMaxDelayMs, reconnectBaseDelayMs * 2 ** attempt);
+      const delayMs = Math.round(backoffMs * (0.8 + Math.random() * 0.4));
+      // Start with the next endpoint: the one that just failed is the least likely to answer
+      const index = (urlIndex + 1 + attempt) % urls.length;
+      logger.info(`🔌 Reconnect attempt ${attempt + 1} to ${endpointHost(urls[index])} in ${(delayMs / 1000).toFixed(1)}s...`, { attempt: attempt + 1, url: endpointHost(urls[index]), delayMs });
+      await sleep(delayMs);
+      if (stopped) return;
+      try {
+        const { candidate, blockNumber } = await open(index);
+        await adopt(candidate, blockNumber, true);
+        return;
+      } catch (error) {
+        counters.reconnectFailures++;
+        logger.error(`❌ Reconnect attempt ${attempt + 1} failed: ${error.shortMessage || error.message}`, { attempt: attempt + 1, error: error.shortMessage || error.message });
+      }
+    }
+  };
+
+  // Tear down a dead provider and reconnect; events from replaced providers are ignored
+  const handleDisconnect = (source, reason) => {
+    if (stopped || reconnecting || source !== provider) return;
+    reconnecting = true;
+    counters.disconnects++;
+    disconnectedAt = Date.now();
+    clearInterval(heartbeatTimer);
+    logger.errorEvent("ws_disconnected", { url: endpointHost(urls[urlIndex]), reason, lastBlock }, `🔌 WebSocket connection lost (${reason}), last block ${lastBlock}`);
+    provider.destroy();
+    for (const handler of disconnectHandlers) handler(reason);
+
+    let resolveSettled;
+    settledPromise = new Promise((resolve) => (resolveSettled = resolve));
+    reconnect().finally(resolveSettled);
+  };
+
+  return {
+    // Current provider; replaced on every reconnect
+    get provider() {
+      return provider;
+    },
+    // Connect to the first endpoint that answers; throws if none does
+    async start() {
+      let lastError;
+      for (let index = 0; index < urls.length; index++) {
+        try {
+          const { candidate, blockNumber } = await open(index);
+          await adopt(candidate, blockNumber, false);
+          return provider;
+        } catch (error) {
+          lastError = error;
+          logger.error(`❌ WebSocket ${endpointHost(urls[index])} did not answer: ${error.shortMessage || error.message}`, { url: endpointHost(urls[index]), error: error.shortMessage || error.message });
+        }
+      }
+      throw lastError;
+    },
+    // Endpoint currently connected to (full URL: pass it through endpointHost before logging it)
+    get url() {
+      return urls[urlIndex];
+    },
+    stop() {
+      stopped = true;
+      clearInterval(heartbeatTimer);
+      if (provider) provider.destroy();
+    },
+    /**
+     * Register a handler run when the connection is lost, before reconnecting
+     * @param {Function} handler - (reason) => void
+     */
+    onDisconnect(handler) {
+      disconnectHandlers.push(handler);
+    },
+    /**
+     * Register a handler run with each new provider after a reconnect (re-subscribe here)
+     * @param {Function} handler - async (provider) => void
+     */
+    onReconnect(handler) {
+      reconnectHandlers.push(handler);
+    },
+    /**
+     * Register a handler that backfills the blocks missed while disconnected
+     * @param {Function} handler - async (provider, { fromBlock, toBlock }) => number of logs backfilled
+     */
+    onGap(handler) {
+      gapHandlers.push(handler);
+    },
+    // Resolves once any reconnect in progress has re-subscribed and backfilled its gap
+    settled() {
+      return settledPromise;
+    },
+    // Connection counters, for logs and metrics
+    metrics() {
+      return {
+        connected: provider !== null && !reconnecting,
+        lastBlock,
+        ...counters,
+        currentDowntimeMs: disconnectedAt === null ? 0 : Date.now() - disconnectedAt,
+      };
+    },
+  };
+}
+
+/**
+ * Wrap a caller-owned provider in the connection interface, for embedding the monitor
+ * with a provider it does not manage: no heartbeat, no reconnects (the provider's owner
+ * handles those) and stop() leaves the provider open
+ * @param {ethers.Provider} provider - Connected provider
+ * @returns {Object} Same shape as createWsConnection()
+ */
+export function createStaticConnection(provider) {
+  return {
+    provider,
+    async start() {
+      return provider;
+    },
+    url: "injected provider",
+    stop() {},
+    onDisconnect() {},
+    onReconnect() {},
+    onGap() {},
+    settled() {
+      return Promise.resolve();
+    },
+    metrics() {
+      return { connected: true, lastBlock: null, connects: 1, disconnects: 0, reconnects: 0, reconnectFailures: 0, heartbeatFailures: 0, gapsBackfilled: 0, blocksBackfilled: 0, logsBackfilled: 0, downtimeMs: 0, currentDowntimeMs: 0 };
+    },
+  };
+}